@@ -131,6 +131,49 @@ namespace API.Controllers
             });
         }
 
+        /// <summary>
+        /// Exchange a refresh token for a new JWT.
+        /// The session keeps its original ExpiresAt, so refreshing can never
+        /// extend a login past the configured session lifetime.
+        /// </summary>
+        [AllowAnonymous]
+        [HttpPost("refresh")]
+        public async Task<IActionResult> Refresh(RefreshTokenDto dto)
+        {
+            if (string.IsNullOrEmpty(dto.RefreshToken))
+            {
+                return Unauthorized();
+            }
+
+            var session = await _sessionManager.GetSessionByRefreshTokenAsync(dto.RefreshToken);
+
+            // Revoked, expired or unknown refresh tokens all fail the same way
+            // so the response does not reveal which check rejected it.
+            if (session == null || !session.IsActive() || session.User == null || !session.User.IsActive)
+            {
+                return Unauthorized();
+            }
+
+            var user = session.User;
+            var roles = await _userManager.GetRolesAsync(user);
+            var token = _tokenService.GenerateToken(user, roles);
+
+            session = await _sessionManager.RotateSessionTokensAsync(session, token);
+
+            return Ok(new
+            {
+                token,
+                refreshToken = session.RefreshToken,
+                expiresAt = session.ExpiresAt,
+                user = new
+                {
+                    username = user.UserName,
+                    email = user.Email,
+                    roles
+                }
+            });
+        }
+
         /// <summary>
         /// Logout and revoke the current session
         /// </summary>
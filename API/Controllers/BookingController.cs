@@ -139,6 +139,7 @@ namespace ConferenceBooking.API.Controllers
         /// - GET /api/booking/filter?isActiveRoom=true&page=1&pageSize=10
         /// - GET /api/booking/filter?roomName=Room A&location=London&isActiveRoom=true&page=1&pageSize=10
         /// - GET /api/booking/filter?sortBy=RoomName&sortOrder=asc
+        /// - GET /api/booking/filter?requestedBy=alice&sortBy=Date&sortOrder=desc
         /// </summary>
         /// <param name="filter">Filter criteria</param>
         /// <param name="page">Page number (default: 1)</param>
@@ -158,8 +159,8 @@ namespace ConferenceBooking.API.Controllers
             if (pageSize < PaginationConstants.MinPageSize) pageSize = PaginationConstants.DefaultPageSize;
             if (pageSize > PaginationConstants.MaxPageSize) pageSize = PaginationConstants.MaxPageSize;
 
-            _logger.LogInformation("Filtering bookings with criteria: RoomName={RoomName}, Location={Location}, StartDate={StartDate}, EndDate={EndDate}, IsActiveRoom={IsActiveRoom}, Status={Status}, Page={Page}, PageSize={PageSize}, SortBy={SortBy}, SortOrder={SortOrder}",
-                filter.RoomName, filter.Location, filter.StartDate, filter.EndDate, filter.IsActiveRoom, filter.Status, page, pageSize, sortBy, sortOrder);
+            _logger.LogInformation("Filtering bookings with criteria: RoomName={RoomName}, Location={Location}, StartDate={StartDate}, EndDate={EndDate}, IsActiveRoom={IsActiveRoom}, Status={Status}, RequestedBy={RequestedBy}, Page={Page}, PageSize={PageSize}, SortBy={SortBy}, SortOrder={SortOrder}",
+                filter.RoomName, filter.Location, filter.StartDate, filter.EndDate, filter.IsActiveRoom, filter.Status, filter.RequestedBy, page, pageSize, sortBy, sortOrder);
 
             // Get paginated filtered bookings from repository with sorting
             // Repository now returns DTOs directly with database-level projection
@@ -323,7 +324,7 @@ namespace ConferenceBooking.API.Controllers
 
             // Broadcast to all connected SignalR clients so every open tab
             // updates its booking list without a manual refresh.
-            await _hubContext.Clients.All.SendAsync("BookingCreated", new { Data = responseDto, By = User.Identity?.Name ?? "Unknown" });
+            await _hubContext.BroadcastAsync("BookingCreated", new { Data = responseDto, By = User.Identity?.Name ?? "Unknown" });
 
             _logger.LogInformation("Booking created successfully with Pending status");
             return Ok(new { message = "Booking created and pending confirmation by receptionist.", booking = responseDto });
@@ -350,6 +351,7 @@ namespace ConferenceBooking.API.Controllers
             // Find the existing booking
             var booking = await _dbContext.Bookings
                 .Include(b => b.Room)
+                .Include(b => b.User) // RequestedBy in the response and the BookingUpdated payload
                 .FirstOrDefaultAsync(b => b.Id == id);
 
             if (booking == null)
@@ -423,7 +425,7 @@ namespace ConferenceBooking.API.Controllers
             var responseDto = _bookingManagementService.MapToDetailDto(booking);
 
             // Broadcast the updated booking to all connected SignalR clients.
-            await _hubContext.Clients.All.SendAsync("BookingUpdated", new { Data = responseDto, By = User.Identity?.Name ?? "Unknown" });
+            await _hubContext.BroadcastAsync("BookingUpdated", new { Data = responseDto, By = User.Identity?.Name ?? "Unknown" });
 
             return Ok(responseDto);
         }
@@ -462,6 +464,7 @@ namespace ConferenceBooking.API.Controllers
             var responseDto = _bookingManagementService.MapToDetailDto(booking);
 
             _logger.LogInformation($"Booking {id} confirmed by {User.Identity?.Name}");
+            await _hubContext.BroadcastAsync("BookingUpdated", new { Data = responseDto, By = User.Identity?.Name ?? "Unknown" });
             return Ok(new { message = "Booking confirmed successfully.", booking = responseDto });
         }
 
@@ -480,11 +483,11 @@ namespace ConferenceBooking.API.Controllers
         #region DELETE Endpoints
 
         /// <summary>
-        /// Cancel a booking
+        /// Cancel a booking, with an optional reason for the audit log
         /// </summary>
         [HttpDelete("{id}/cancel")]
         [HttpDelete("cancel/{id}")]
-        public async Task<IActionResult> CancelBooking(int id)
+        public async Task<IActionResult> CancelBooking(int id, [FromQuery] string? reason = null)
         {
             var validation = await _bookingManagementService.ValidateBookingCancellationAsync(id);
             if (!validation.isValid)
@@ -496,7 +499,10 @@ namespace ConferenceBooking.API.Controllers
 
             booking.Cancel();
             await _dbContext.SaveChangesAsync();
-            await _hubContext.Clients.All.SendAsync("BookingCancelled", new { booking.Id, booking.RoomId, Status = booking.Status.ToString(), By = User.Identity?.Name ?? "Unknown" });
+
+            _logger.LogInformation("Booking {BookingId} cancelled by {User}. Reason: {Reason}",
+                id, User.Identity?.Name, string.IsNullOrWhiteSpace(reason) ? "(none given)" : reason);
+            await _hubContext.BroadcastAsync("BookingCancelled", new { booking.Id, booking.RoomId, Status = booking.Status.ToString(), Reason = reason, By = User.Identity?.Name ?? "Unknown" });
             return NoContent();
         }
 
@@ -506,7 +512,7 @@ namespace ConferenceBooking.API.Controllers
         [HttpDelete("cancel")]
         public async Task<IActionResult> CancelBookingByDto([FromBody] CancelBookingDTO cancelBookingDTO)
         {
-            return await CancelBooking(cancelBookingDTO.BookingId);
+            return await CancelBooking(cancelBookingDTO.BookingId, cancelBookingDTO.Reason);
         }
 
         /// <summary>
@@ -525,7 +531,7 @@ namespace ConferenceBooking.API.Controllers
 
             _dbContext.Bookings.Remove(booking);
             await _dbContext.SaveChangesAsync();
-            await _hubContext.Clients.All.SendAsync("BookingDeleted", new { Id = id, By = User.Identity?.Name ?? "Unknown" });
+            await _hubContext.BroadcastAsync("BookingDeleted", new { Id = id, By = User.Identity?.Name ?? "Unknown" });
             return NoContent();
         }
 
@@ -140,12 +140,17 @@ namespace ConferenceBooking.API.Controllers
         #region GET Endpoints - Room Availability
 
         /// <summary>
-        /// Get availability of a specific room by room ID
+        /// Get availability of a specific room by room ID.
+        /// Checks the window [atTime, endTime) when given, otherwise the current moment.
         /// </summary>
         [HttpGet("{id}/availability")]
         [HttpGet("availability/ByRoomNumber")]
         [Authorize]
-        public async Task<IActionResult> GetAvailabilityByRoomNumber([FromQuery] int? roomId, int? id)
+        public async Task<IActionResult> GetAvailabilityByRoomNumber(
+            [FromQuery] int? roomId,
+            int? id,
+            [FromQuery] DateTimeOffset? atTime = null,
+            [FromQuery] DateTimeOffset? endTime = null)
         {
             int targetRoomId = id ?? roomId ?? 0;
             
@@ -154,6 +159,13 @@ namespace ConferenceBooking.API.Controllers
                 return BadRequest(new { message = "Room ID is required." });
             }
 
+            var window = ResolveAvailabilityWindow(atTime, endTime);
+            if (!window.isValid)
+            {
+                return BadRequest(new { message = window.errorMessage });
+            }
+            var (windowStart, windowEnd) = (window.start, window.end);
+
             var room = await _dbContext.ConferenceRooms.FindAsync(targetRoomId);
             if (room == null)
             {
@@ -168,14 +180,15 @@ namespace ConferenceBooking.API.Controllers
             var isAvailable = !await _dbContext.Bookings.AnyAsync(b =>
                 b.RoomId == targetRoomId &&
                 b.Status == BookingStatus.Confirmed &&
-                b.StartTime <= DateTimeOffset.UtcNow &&
-                DateTimeOffset.UtcNow < b.EndTime);
+                b.StartTime < windowEnd &&
+                windowStart < b.EndTime);
 
             var availability = new CheckAvailableRoomsDTO
             {
                 RoomId = room.Id,
                 RoomName = room.Name,
                 Capacity = room.Capacity,
+                Location = room.Location.ToString(),
                 IsAvailable = isAvailable
             };
 
@@ -183,26 +196,35 @@ namespace ConferenceBooking.API.Controllers
         }
 
         /// <summary>
-        /// Get all available rooms at a specific time
+        /// Get all available rooms at a specific time, or — when endTime is given —
+        /// for the whole window [atTime, endTime)
         /// </summary>
         [HttpGet("availability")]
         [HttpGet("availability/ByTime")]
         [Authorize]
-        public async Task<IActionResult> GetAvailableRoomsByTime([FromQuery] DateTimeOffset? atTime)
+        public async Task<IActionResult> GetAvailableRoomsByTime(
+            [FromQuery] DateTimeOffset? atTime,
+            [FromQuery] DateTimeOffset? endTime = null)
         {
-            var requestedTime = atTime ?? DateTimeOffset.UtcNow;
+            var window = ResolveAvailabilityWindow(atTime, endTime);
+            if (!window.isValid)
+            {
+                return BadRequest(new { message = window.errorMessage });
+            }
+            var (windowStart, windowEnd) = (window.start, window.end);
 
             var availableRooms = await _dbContext.ConferenceRooms
                 .Where(room => room.IsActive && !_dbContext.Bookings.Any(b =>
                     b.RoomId == room.Id &&
                     b.Status == BookingStatus.Confirmed &&
-                    b.StartTime <= requestedTime &&
-                    requestedTime < b.EndTime))
+                    b.StartTime < windowEnd &&
+                    windowStart < b.EndTime))
                 .Select(room => new CheckAvailableRoomsDTO
                 {
                     RoomId = room.Id,
                     RoomName = room.Name,
                     Capacity = room.Capacity,
+                    Location = room.Location.ToString(),
                     IsAvailable = true
                 })
                 .ToListAsync();
@@ -210,6 +232,26 @@ namespace ConferenceBooking.API.Controllers
             return Ok(availableRooms);
         }
 
+        /// <summary>
+        /// Turns the atTime/endTime query pair into a half-open window [start, end).
+        /// Without endTime the window is a single tick at atTime (default: now), which
+        /// keeps the original point-in-time check: a booking blocks it when
+        /// StartTime &lt;= atTime &lt; EndTime.
+        /// </summary>
+        private static (bool isValid, string? errorMessage, DateTimeOffset start, DateTimeOffset end) ResolveAvailabilityWindow(
+            DateTimeOffset? atTime,
+            DateTimeOffset? endTime)
+        {
+            var start = atTime ?? DateTimeOffset.UtcNow;
+
+            if (endTime.HasValue && endTime.Value <= start)
+            {
+                return (false, "endTime must be after atTime.", start, start);
+            }
+
+            return (true, null, start, endTime ?? start.AddTicks(1));
+        }
+
         #endregion
     }
 }
@@ -44,7 +44,7 @@ namespace API.Controllers
             await _dbContext.SaveChangesAsync();
 
             var payload = new { room.Id, room.Name, room.IsActive, room.DeletedAt, By = User.Identity?.Name ?? "Unknown" };
-            await _hubContext.Clients.All.SendAsync("RoomUpdated", payload);
+            await _hubContext.BroadcastAsync("RoomUpdated", payload);
 
             return Ok(new
             {
@@ -81,7 +81,7 @@ namespace API.Controllers
                 room.IsActive,
                 By = User.Identity?.Name ?? "Unknown"
             };
-            await _hubContext.Clients.All.SendAsync("RoomUpdated", updatedPayload);
+            await _hubContext.BroadcastAsync("RoomUpdated", updatedPayload);
 
             return Ok(new
             {
@@ -127,7 +127,7 @@ namespace API.Controllers
                 room.IsActive,
                 By = User.Identity?.Name ?? "Unknown"
             };
-            await _hubContext.Clients.All.SendAsync("RoomCreated", createdPayload);
+            await _hubContext.BroadcastAsync("RoomCreated", createdPayload);
 
             return CreatedAtAction(
                 "GetRoomById",
@@ -158,7 +158,7 @@ namespace API.Controllers
             _roomManagementService.ApplyStatusChange(room, false);
             await _dbContext.SaveChangesAsync();
 
-            await _hubContext.Clients.All.SendAsync("RoomDeleted", new { room.Id, room.Name, By = User.Identity?.Name ?? "Unknown" });
+            await _hubContext.BroadcastAsync("RoomDeleted", new { room.Id, room.Name, By = User.Identity?.Name ?? "Unknown" });
 
             return Ok(new
             {
@@ -8,6 +8,7 @@ namespace ConferenceBooking.API.DTO
     public class BookingSummaryDTO
     {
         public int BookingId { get; set; }
+        public int RoomId { get; set; }
         public string RoomName { get; set; } = string.Empty;
         public DateTimeOffset Date { get; set; }
         public DateTimeOffset StartTime { get; set; }
@@ -15,5 +16,11 @@ namespace ConferenceBooking.API.DTO
         public string Location { get; set; } = string.Empty;
         public bool IsActive { get; set; }
         public string Status { get; set; } = string.Empty;
+
+        /// <summary>Who asked for the room — shown in the receptionist approval queue</summary>
+        public string RequestedBy { get; set; } = string.Empty;
+
+        /// <summary>When the request was made — the approval queue is oldest first</summary>
+        public DateTimeOffset CreatedAt { get; set; }
     }
 }
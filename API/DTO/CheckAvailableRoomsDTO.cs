@@ -5,6 +5,7 @@ namespace ConferenceBooking.API.DTO
         public int RoomId { get; set; }
         public string? RoomName { get; set; }
         public int Capacity { get; set; }
+        public string? Location { get; set; }
         public bool IsAvailable { get; set; }
     }
 }
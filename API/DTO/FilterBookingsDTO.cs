@@ -34,8 +34,14 @@ namespace ConferenceBooking.API.DTO
         public bool? IsActiveRoom { get; set; }
 
         /// <summary>
-        /// Filter by booking status (optional)
+        /// Filter by booking status (optional). One status or a comma-separated
+        /// list, e.g. "Pending,Confirmed"
         /// </summary>
         public string? Status { get; set; }
+
+        /// <summary>
+        /// Filter by the username of the person who made the booking (optional, exact match)
+        /// </summary>
+        public string? RequestedBy { get; set; }
     }
 }
@@ -0,0 +1,7 @@
+namespace ConferenceBooking.API.DTO
+{
+    public class RefreshTokenDto
+    {
+        public string? RefreshToken { get; set; }
+    }
+}
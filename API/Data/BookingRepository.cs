@@ -68,13 +68,16 @@ namespace ConferenceBooking.API.Data
                 .Select(b => new BookingSummaryDTO
                 {
                     BookingId = b.Id,
+                    RoomId = b.RoomId,
                     RoomName = b.Room.Name,
                     Date = b.StartTime,
                     StartTime = b.StartTime,
                     EndTime = b.EndTime,
                     Location = b.Location.ToString(),
                     IsActive = b.Room.IsActive,
-                    Status = b.Status.ToString()
+                    Status = b.Status.ToString(),
+                    RequestedBy = b.User != null ? b.User.UserName! : b.RequestedBy,
+                    CreatedAt = b.CreatedAt
                 })
                 .ToListAsync();
 
@@ -143,13 +146,18 @@ namespace ConferenceBooking.API.Data
                 query = query.Where(b => b.Room.IsActive == filter.IsActiveRoom.Value); // Translates to SQL: WHERE Room.IsActive = @isActive
             }
 
-            // DATABASE FILTER: Filter by booking status
-            if (!string.IsNullOrWhiteSpace(filter.Status))
+            // DATABASE FILTER: Filter by booking status - one status or a comma-separated list ("Pending,Confirmed")
+            var statuses = ParseStatuses(filter.Status);
+            if (statuses.Count > 0)
             {
-                if (Enum.TryParse<BookingStatus>(filter.Status, true, out var status))
-                {
-                    query = query.Where(b => b.Status == status); // Translates to SQL: WHERE Status = @status
-                }
+                query = query.Where(b => statuses.Contains(b.Status)); // Translates to SQL: WHERE Status IN (@s0, @s1, ...)
+            }
+
+            // DATABASE FILTER: Filter by the booking's owner (same source as BookingSummaryDTO.RequestedBy)
+            if (!string.IsNullOrWhiteSpace(filter.RequestedBy))
+            {
+                var requestedBy = filter.RequestedBy.Trim();
+                query = query.Where(b => b.User != null ? b.User.UserName == requestedBy : b.RequestedBy == requestedBy); // Translates to SQL: WHERE User.UserName = @requestedBy
             }
 
             // *** DATABASE EXECUTION POINT ***
@@ -215,13 +223,18 @@ namespace ConferenceBooking.API.Data
                 query = query.Where(b => b.StartTime.CompareTo(filterEndDate) <= 0); // Translates to SQL: WHERE StartTime <= @endDate
             }
 
-            // DATABASE FILTER: Filter by booking status
-            if (!string.IsNullOrWhiteSpace(filter.Status))
+            // DATABASE FILTER: Filter by booking status - one status or a comma-separated list ("Pending,Confirmed")
+            var statuses = ParseStatuses(filter.Status);
+            if (statuses.Count > 0)
             {
-                if (Enum.TryParse<BookingStatus>(filter.Status, true, out var status))
-                {
-                    query = query.Where(b => b.Status == status); // Translates to SQL: WHERE Status = @status
-                }
+                query = query.Where(b => statuses.Contains(b.Status)); // Translates to SQL: WHERE Status IN (@s0, @s1, ...)
+            }
+
+            // DATABASE FILTER: Filter by the booking's owner (same source as BookingSummaryDTO.RequestedBy)
+            if (!string.IsNullOrWhiteSpace(filter.RequestedBy))
+            {
+                var requestedBy = filter.RequestedBy.Trim();
+                query = query.Where(b => b.User != null ? b.User.UserName == requestedBy : b.RequestedBy == requestedBy); // Translates to SQL: WHERE User.UserName = @requestedBy
             }
 
             // DATABASE OPERATION: Get total count of filtered results - SELECT COUNT(*) FROM ... WHERE ...
@@ -237,17 +250,42 @@ namespace ConferenceBooking.API.Data
                 .Select(b => new BookingSummaryDTO
                 {
                     BookingId = b.Id,
+                    RoomId = b.RoomId,
                     RoomName = b.Room.Name,
                     Date = b.StartTime,
+                    StartTime = b.StartTime,
+                    EndTime = b.EndTime,
                     Location = b.Location.ToString(),
                     IsActive = b.Room.IsActive,
-                    Status = b.Status.ToString()
+                    Status = b.Status.ToString(),
+                    RequestedBy = b.User != null ? b.User.UserName! : b.RequestedBy,
+                    CreatedAt = b.CreatedAt
                 })
                 .ToListAsync();
 
             return (totalCount, bookings);
         }
 
+        /// <summary>
+        /// Parses FilterBookingsDTO.Status ("Confirmed" or "Pending,Confirmed") into statuses.
+        /// Unknown values are ignored, so an empty list means "no status filter".
+        /// </summary>
+        private static List<BookingStatus> ParseStatuses(string? status)
+        {
+            var statuses = new List<BookingStatus>();
+            if (string.IsNullOrWhiteSpace(status)) return statuses;
+
+            foreach (var value in status.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+            {
+                if (Enum.TryParse<BookingStatus>(value, true, out var parsed) && !statuses.Contains(parsed))
+                {
+                    statuses.Add(parsed);
+                }
+            }
+
+            return statuses;
+        }
+
         /// <summary>
         /// Applies sorting to the booking query at the database level.
         /// For SQLite compatibility, Date sorting uses strftime on StartTime column.
@@ -4,12 +4,26 @@ namespace ConferenceBooking.API.Hubs
 {
     /// <summary>
     /// SignalR Hub for real-time booking notifications.
-    /// Connected clients are pushed a message whenever a booking is created or updated.
-    /// The hub itself is thin — all broadcast logic lives in the controller via IHubContext.
+    /// Connected clients are pushed a message whenever a booking or room changes.
+    /// The hub itself is thin — all broadcast logic lives in the controllers via
+    /// IHubContext and BookingHubBroadcast.BroadcastAsync.
     /// </summary>
     public class BookingHub : Hub
     {
-        // No server-side methods needed — the hub is receive-only from the client's perspective.
-        // Controllers broadcast to all clients via IHubContext<BookingHub>.
+        /// <summary>
+        /// Sequence number of the latest broadcast — a freshly connected client's
+        /// starting point for noticing missed events.
+        /// </summary>
+        public long GetLatestSequence() => BookingHubBroadcast.LatestSequence;
+
+        /// <summary>
+        /// The events broadcast after <paramref name="sequence"/>, so a client that
+        /// reconnected (or saw a gap in the numbers) replays only what it missed.
+        /// </summary>
+        public object GetEventsSince(long sequence)
+        {
+            var (complete, latest, events) = BookingHubBroadcast.EventsSince(sequence);
+            return new { Complete = complete, Latest = latest, Events = events };
+        }
     }
 }
@@ -0,0 +1,68 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.SignalR;
+
+namespace ConferenceBooking.API.Hubs
+{
+    /// <summary>
+    /// One broadcast BookingHub event, kept so reconnecting clients can replay it.
+    /// </summary>
+    public record HubEventRecord(long Sequence, string Name, object Payload);
+
+    /// <summary>
+    /// Broadcasts BookingHub events with a sequence number.
+    /// Clients patch their lists from each payload instead of reloading them, so a
+    /// missed event would leave a list wrong until the next full load. Every event
+    /// carries the next number as a second argument; a client that sees a jump
+    /// (or a lower number after an API restart) knows it missed something.
+    /// The latest events are kept in memory so such a client — or one that just
+    /// reconnected — can fetch only what it missed (BookingHub.GetEventsSince).
+    /// </summary>
+    public static class BookingHubBroadcast
+    {
+        // Enough for a client offline for a few minutes on a busy day; anything
+        // older falls back to a full reload
+        private const int RecentEventLimit = 500;
+
+        private static readonly object _lock = new();
+        private static readonly Queue<HubEventRecord> _recent = new();
+        private static long _sequence;
+
+        public static Task BroadcastAsync(this IHubContext<BookingHub> hubContext, string eventName, object payload)
+        {
+            long sequence;
+            lock (_lock)
+            {
+                sequence = ++_sequence;
+                _recent.Enqueue(new HubEventRecord(sequence, eventName, payload));
+                if (_recent.Count > RecentEventLimit) _recent.Dequeue();
+            }
+            return hubContext.Clients.All.SendAsync(eventName, payload, sequence);
+        }
+
+        /// <summary>
+        /// Sequence number of the latest broadcast (0 before the first)
+        /// </summary>
+        public static long LatestSequence
+        {
+            get { lock (_lock) return _sequence; }
+        }
+
+        /// <summary>
+        /// The events broadcast after <paramref name="sequence"/>, oldest first.
+        /// complete is false when some of them are no longer kept, or the number
+        /// is from before an API restart — the client has to reload instead.
+        /// </summary>
+        public static (bool complete, long latest, IReadOnlyList<HubEventRecord> events) EventsSince(long sequence)
+        {
+            lock (_lock)
+            {
+                var oldestKept = _recent.Count > 0 ? _recent.Peek().Sequence : _sequence + 1;
+                var complete = sequence <= _sequence && sequence >= oldestKept - 1;
+                var events = complete ? _recent.Where(e => e.Sequence > sequence).ToList() : new List<HubEventRecord>();
+                return (complete, _sequence, events);
+            }
+        }
+    }
+}
@@ -23,6 +23,7 @@ namespace ConferenceBooking.API.Middleware
             // Skip validation for authentication endpoints and public endpoints
             var path = context.Request.Path.Value?.ToLower() ?? "";
             if (path.StartsWith("/api/auth/login") || 
+                path.StartsWith("/api/auth/refresh") ||
                 path.StartsWith("/api/auth/register") ||
                 context.User.Identity?.IsAuthenticated != true)
             {
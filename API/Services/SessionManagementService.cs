@@ -23,16 +23,7 @@ public class SessionManagementService
             return (false, "End time must be after start time");
         }
 
-        if (dto.RoomId.HasValue)
-        {
-            var roomExists = await _context.ConferenceRooms.AnyAsync(r => r.Id == dto.RoomId.Value);
-            if (!roomExists)
-            {
-                return (false, $"Room with ID {dto.RoomId.Value} not found");
-            }
-        }
-
-        return (true, null);
+        return await ValidateRoomForSessionAsync(dto.RoomId, dto.Capacity);
     }
 
     /// <summary>
@@ -56,13 +47,28 @@ public class SessionManagementService
             return (false, $"Session with ID {sessionId} not found");
         }
 
-        if (dto.RoomId.HasValue)
+        return await ValidateRoomForSessionAsync(dto.RoomId, dto.Capacity);
+    }
+
+    /// <summary>
+    /// Validates that the assigned room (if any) exists and can seat the session
+    /// </summary>
+    private async Task<(bool isValid, string? errorMessage)> ValidateRoomForSessionAsync(int? roomId, int capacity)
+    {
+        if (!roomId.HasValue)
+        {
+            return (true, null);
+        }
+
+        var room = await _context.ConferenceRooms.FirstOrDefaultAsync(r => r.Id == roomId.Value);
+        if (room == null)
+        {
+            return (false, $"Room with ID {roomId.Value} not found");
+        }
+
+        if (capacity > room.Capacity)
         {
-            var roomExists = await _context.ConferenceRooms.AnyAsync(r => r.Id == dto.RoomId.Value);
-            if (!roomExists)
-            {
-                return (false, $"Room with ID {dto.RoomId.Value} not found");
-            }
+            return (false, $"Session capacity ({capacity}) exceeds room '{room.Name}' capacity ({room.Capacity})");
         }
 
         return (true, null);
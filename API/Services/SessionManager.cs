@@ -21,6 +21,7 @@ namespace ConferenceBooking.API.Services
         Task UpdateSessionActivityAsync(string token);
         Task<List<UserSession>> GetUserActiveSessionsAsync(string userId);
         Task<bool> RevokeSessionByIdAsync(int sessionId, string userId, string reason);
+        Task<UserSession> RotateSessionTokensAsync(UserSession session, string newToken);
     }
 
     public class SessionManager : ISessionManager
@@ -192,6 +193,20 @@ namespace ConferenceBooking.API.Services
             return true;
         }
 
+        /// <summary>
+        /// Swap in a freshly issued JWT and rotate the refresh token so a
+        /// refresh token can only ever be exchanged once.
+        /// </summary>
+        public async Task<UserSession> RotateSessionTokensAsync(UserSession session, string newToken)
+        {
+            session.Token = newToken;
+            session.RefreshToken = GenerateRefreshToken();
+            session.UpdateActivity();
+            await _context.SaveChangesAsync();
+
+            return session;
+        }
+
         /// <summary>
         /// Generate a cryptographically secure refresh token
         /// </summary>
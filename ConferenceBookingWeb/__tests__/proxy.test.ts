@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * proxy.test.ts
+ *
+ * Tests server-side route protection (proxy.ts) and its cookie (app/api/session):
+ *   1. Guests     — no cookie or an expired JWT redirects to /login?from=…
+ *   2. Roles      — a role-restricted page answers 403 with the Access Denied page
+ *   3. Allowed    — a permitted user gets through, including a single user's page
+ *   4. Cookie     — expires with the JWT's exp, whatever the caller asks for;
+ *                   expired tokens are refused
+ *
+ * Tokens are unsigned test JWTs; the proxy only reads their claims.
+ */
+
+import { NextRequest } from 'next/server';
+import { proxy } from '../proxy';
+import { POST } from '../app/api/session/route';
+import { SESSION_COOKIE } from '../src/auth/sessionToken';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const base64url = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const makeToken = (roles: string | string[], expiresInSeconds = 3600) =>
+  [
+    base64url({ alg: 'HS256', typ: 'JWT' }),
+    base64url({ unique_name: 'alice', role: roles, exp: Math.floor(Date.now() / 1000) + expiresInSeconds }),
+    'signature',
+  ].join('.');
+
+const requestFor = (path: string, token?: string) => {
+  const request = new NextRequest(new URL(path, 'http://localhost:3000'));
+  if (token) request.cookies.set(SESSION_COOKIE, token);
+  return request;
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('proxy', () => {
+  it('redirects guests and expired sessions to /login with the page they wanted', () => {
+    const guest = proxy(requestFor('/dashboard/bookings?page=2'));
+    expect(guest.status).toBe(307);
+    expect(new URL(guest.headers.get('location')!).pathname).toBe('/login');
+    expect(new URL(guest.headers.get('location')!).searchParams.get('from')).toBe('/dashboard/bookings?page=2');
+
+    const expired = proxy(requestFor('/bookings/7', makeToken('Admin', -60)));
+    expect(expired.status).toBe(307);
+    expect(new URL(expired.headers.get('location')!).searchParams.get('from')).toBe('/bookings/7');
+  });
+
+  it('answers 403 for a role-restricted page the user may not open', () => {
+    const response = proxy(requestFor('/dashboard/room-management', makeToken(['Admin', 'Receptionist'])));
+
+    expect(response.status).toBe(403);
+    expect(response.headers.get('x-middleware-rewrite')).toContain('/access-denied');
+  });
+
+  it('lets permitted users through', () => {
+    expect(proxy(requestFor('/dashboard/room-management', makeToken('FacilityManager'))).status).toBe(200);
+    expect(proxy(requestFor('/dashboard', makeToken('Employee'))).status).toBe(200);
+    expect(proxy(requestFor('/dashboard/users/abc', makeToken('Receptionist'))).status).toBe(200);
+    expect(proxy(requestFor('/dashboard/users', makeToken('Receptionist'))).status).toBe(403);
+  });
+});
+
+describe('POST /api/session', () => {
+  const post = (body: object) =>
+    POST(new NextRequest('http://localhost:3000/api/session', { method: 'POST', body: JSON.stringify(body) }));
+
+  it("sets the cookie to expire with the JWT's exp", async () => {
+    const token = makeToken('Employee');
+    const exp = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()).exp;
+    const muchLater = new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString();
+
+    const response = await post({ token, expiresAt: muchLater });
+
+    expect(response.status).toBe(204);
+    expect(response.cookies.get(SESSION_COOKIE)?.expires).toEqual(new Date(exp * 1000));
+  });
+
+  it('refuses an expired or unreadable token', async () => {
+    expect((await post({ token: makeToken('Employee', -60) })).status).toBe(400);
+    expect((await post({ token: 'not-a-jwt' })).status).toBe(400);
+  });
+});
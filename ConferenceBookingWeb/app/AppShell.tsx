@@ -7,6 +7,10 @@
 //      tree (layout components AND page components) shares one auth state.
 //   2. Renders the persistent Header and Sidebar on every route except /login,
 //      which needs a clean, shell-free layout for the authentication UI.
+//   3. Renders <SessionTimeoutModal> once, so the session expiry warning
+//      appears on every page.
+//   4. Wraps it all in <HubProvider>, so every page listening for live
+//      updates shares one SignalR connection.
 //
 // Why 'use client':
 //   - usePathname is a Next.js hook (browser-only) used to detect the current
@@ -15,8 +19,10 @@
 
 import { usePathname } from 'next/navigation';
 import { AuthProvider } from '../src/context/AuthContext';
+import { HubProvider } from '../src/context/HubContext';
 import Header from '../src/components/Header';
 import Sidebar from '../src/components/Sidebar';
+import SessionTimeoutModal from '../src/components/SessionTimeoutModal';
 import './AppShell.css';
 
 export default function AppShell({ children }: { children: React.ReactNode }) {
@@ -27,17 +33,20 @@ export default function AppShell({ children }: { children: React.ReactNode }) {
 
   return (
     <AuthProvider>
-      {showShell ? (
-        <div className="app-shell">
-          <Header />
-          <div className="shell-body">
-            <Sidebar />
-            <main className="shell-main">{children}</main>
+      <HubProvider>
+        {showShell ? (
+          <div className="app-shell">
+            <Header />
+            <div className="shell-body">
+              <Sidebar />
+              <main className="shell-main">{children}</main>
+            </div>
           </div>
-        </div>
-      ) : (
-        children
-      )}
+        ) : (
+          children
+        )}
+        <SessionTimeoutModal />
+      </HubProvider>
     </AuthProvider>
   );
 }
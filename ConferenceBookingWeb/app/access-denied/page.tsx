@@ -0,0 +1,26 @@
+// app/access-denied/page.tsx — Access Denied, route: /access-denied  (Server Component)
+//
+// proxy.ts rewrites here (status 403) when a signed-in user opens a page their
+// role may not use, e.g. /dashboard/room-management without FacilityManager.
+// The address bar keeps the page they asked for.
+
+import Link from 'next/link';
+import '../../src/App.css';
+import '../dashboard/room-management/RoomManagement.css';
+
+export default function AccessDeniedPage() {
+  return (
+    <div className="app-container">
+      <div className="rm-access-wall">
+        <div className="rm-access-icon">⛔</div>
+        <h2>Access Denied</h2>
+        <p>Your role does not allow this page.</p>
+        <p>
+          <Link href="/dashboard">← Back to Dashboard</Link>
+          {' · '}
+          <Link href="/login">Sign in with a different account</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// app/api/session/route.ts — Mirrors the JWT into an httpOnly cookie.
+//
+// The token lives in localStorage (read by apiClient), which the server never
+// sees. authService posts it here after login / refresh so proxy.ts can check
+// the session before /dashboard/* and /bookings/* render, and deletes it on
+// logout. JavaScript cannot read the cookie back.
+//
+//   POST   /api/session  { token }  – set the cookie (expires with the JWT)
+//   DELETE /api/session             – clear it
+
+import { NextResponse, type NextRequest } from 'next/server';
+import { SESSION_COOKIE, readTokenClaims, isSessionExpired } from '../../../src/auth/sessionToken';
+
+export async function POST(request: NextRequest) {
+  const body = await request.json().catch(() => null) as { token?: unknown } | null;
+  const token = typeof body?.token === 'string' ? body.token : null;
+  const claims = readTokenClaims(token);
+
+  if (!token || isSessionExpired(claims)) {
+    return NextResponse.json({ message: 'A valid, unexpired token is required.' }, { status: 400 });
+  }
+
+  const response = new NextResponse(null, { status: 204 });
+  response.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    ...(claims.expiresAt !== null && { expires: new Date(claims.expiresAt) }),
+  });
+  return response;
+}
+
+export async function DELETE() {
+  const response = new NextResponse(null, { status: 204 });
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
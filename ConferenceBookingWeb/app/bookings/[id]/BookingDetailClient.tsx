@@ -9,10 +9,18 @@
 //   The .NET API returns HTTP 404 when the booking ID does not exist.
 //   Axios throws on 4xx/5xx, so we catch and check error.response.status.
 //   A custom branded message is shown instead of the global Next.js 404 page.
+//
+// Confirm / Cancel:
+//   Shown only when the booking's status allows that transition and the
+//   signed-in user has the capability (useCan) — 'bookings.confirm' for
+//   PATCH /Booking/{id}/confirm, 'bookings.cancel' on this booking for
+//   DELETE /Booking/{id}/cancel.
 
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
-import { getBookingById } from '../../../src/services/bookingService';
+import { getBookingById, confirmBooking, cancelBooking } from '../../../src/services/bookingService';
+import useCan from '../../../src/hooks/useCan';
+import { allowedStatusTransitions } from '../../../src/validation/bookingRules';
 import './booking-detail.css';
 
 interface BookingDetail {
@@ -36,6 +44,10 @@ export default function BookingDetailClient({ id }: { id: string }) {
   const [loading, setLoading] = useState(true);
   const [notFound, setNotFound] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [isActing, setIsActing] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const can = useCan();
 
   useEffect(() => {
     let cancelled = false;
@@ -68,6 +80,39 @@ export default function BookingDetailClient({ id }: { id: string }) {
     return () => { cancelled = true; };
   }, [id]);
 
+  // The API explains refusals in { message } ("Cannot confirm: Room is not available…")
+  const actionFailed = (err: unknown) =>
+    setActionError((err as { response?: { data?: { message?: string } } })?.response?.data?.message
+      ?? (err as Error)?.message ?? 'Something went wrong.');
+
+  const handleConfirm = async () => {
+    try {
+      setIsActing(true);
+      setActionError(null);
+      const result = await confirmBooking(parseInt(id, 10)) as { booking?: BookingDetail };
+      setBooking(result?.booking ?? await getBookingById(parseInt(id, 10)) as BookingDetail);
+    } catch (err) {
+      actionFailed(err);
+    } finally {
+      setIsActing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = prompt('Cancel this booking? You can add a reason (optional):');
+    if (reason === null) return;
+    try {
+      setIsActing(true);
+      setActionError(null);
+      await cancelBooking(parseInt(id, 10), reason);
+      setBooking(await getBookingById(parseInt(id, 10)) as BookingDetail);
+    } catch (err) {
+      actionFailed(err);
+    } finally {
+      setIsActing(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="booking-detail-loading">
@@ -112,6 +157,8 @@ export default function BookingDetailClient({ id }: { id: string }) {
 
   const fmt = (dt: string) => new Date(dt).toLocaleString();
   const statusClass = `status-badge status-${booking.status.toLowerCase()}`;
+  const transitions = allowedStatusTransitions(booking.status, { canConfirm: can('bookings.confirm') })
+    .filter(status => status !== 'Cancelled' || can('bookings.cancel', booking));
 
   // ── Booking Detail View ──────────────────────────────────────────────────
   return (
@@ -122,6 +169,21 @@ export default function BookingDetailClient({ id }: { id: string }) {
           <h1>Booking <span className="booking-id">#{booking.bookingId}</span></h1>
           <span className={statusClass}>{booking.status}</span>
         </div>
+        {transitions.length > 0 && (
+          <div className="booking-detail-actions">
+            {transitions.includes('Confirmed') && (
+              <button type="button" className="detail-action detail-action-confirm" onClick={handleConfirm} disabled={isActing}>
+                Confirm Booking
+              </button>
+            )}
+            {transitions.includes('Cancelled') && (
+              <button type="button" className="detail-action detail-action-cancel" onClick={handleCancel} disabled={isActing}>
+                Cancel Booking
+              </button>
+            )}
+          </div>
+        )}
+        {actionError && <p className="booking-detail-action-error" role="alert">{actionError}</p>}
       </div>
 
       <div className="booking-detail-grid">
@@ -6,21 +6,32 @@
  *   2. Success  — API returns a full booking object
  *   3. Not Found — API rejects with HTTP 404
  *   4. Error    — API rejects with any other error
+ * and the role-aware status actions:
+ *   5. Confirm  — offered to a Receptionist on a Pending booking
+ *   6. Employee — may cancel their own booking but never sees Confirm
+ *   7. Owner    — an Employee can't cancel someone else's booking
  *
  * Strategy: mock `getBookingById` from bookingService so no real HTTP
  * calls are made. The component's behaviour is driven entirely by what
- * that mock returns/throws.
+ * that mock returns/throws. AuthContext is mocked to supply the user's name and roles.
  */
 
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import BookingDetailClient from '../BookingDetailClient';
 import * as bookingService from '../../../../src/services/bookingService';
 
 // ── Mock the service module ──────────────────────────────────────────────────
 jest.mock('../../../../src/services/bookingService');
 
+let mockRoles: string[] = ['Receptionist'];
+let mockUsername = 'alice@example.com';
+jest.mock('../../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({ currentUser: { username: mockUsername, roles: mockRoles } }),
+}));
+
 const mockGetBookingById = bookingService.getBookingById as jest.Mock;
+const mockConfirmBooking = bookingService.confirmBooking as jest.Mock;
 
 // ── Shared fixture ───────────────────────────────────────────────────────────
 const fakeBooking = {
@@ -44,6 +55,8 @@ const fakeBooking = {
 describe('BookingDetailClient', () => {
   afterEach(() => {
     jest.resetAllMocks();
+    mockRoles = ['Receptionist'];
+    mockUsername = 'alice@example.com';
   });
 
   it('shows a loading spinner while the fetch is in-flight', () => {
@@ -105,4 +118,38 @@ describe('BookingDetailClient', () => {
 
     await waitFor(() => expect(mockGetBookingById).toHaveBeenCalledWith(42));
   });
+
+  it('lets a Receptionist confirm a pending booking', async () => {
+    mockGetBookingById.mockResolvedValue({ ...fakeBooking, status: 'Pending' });
+    mockConfirmBooking.mockResolvedValue({ message: 'Booking confirmed successfully.', booking: fakeBooking });
+
+    render(<BookingDetailClient id="42" />);
+
+    fireEvent.click(await screen.findByText('Confirm Booking'));
+
+    await waitFor(() => expect(screen.getByText('Confirmed')).toBeInTheDocument());
+    expect(mockConfirmBooking).toHaveBeenCalledWith(42);
+    expect(screen.queryByText('Confirm Booking')).not.toBeInTheDocument();
+  });
+
+  it('offers an Employee Cancel but not Confirm', async () => {
+    mockRoles = ['Employee'];
+    mockGetBookingById.mockResolvedValue({ ...fakeBooking, status: 'Pending' });
+
+    render(<BookingDetailClient id="42" />);
+
+    expect(await screen.findByText('Cancel Booking')).toBeInTheDocument();
+    expect(screen.queryByText('Confirm Booking')).not.toBeInTheDocument();
+  });
+
+  it("hides Cancel from an Employee on someone else's booking", async () => {
+    mockRoles = ['Employee'];
+    mockUsername = 'bob@example.com';
+    mockGetBookingById.mockResolvedValue({ ...fakeBooking, status: 'Pending' });
+
+    render(<BookingDetailClient id="42" />);
+
+    expect(await screen.findByText('Main Hall')).toBeInTheDocument();
+    expect(screen.queryByText('Cancel Booking')).not.toBeInTheDocument();
+  });
 });
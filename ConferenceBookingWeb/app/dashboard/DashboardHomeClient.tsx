@@ -12,6 +12,11 @@ import BookingForm from '../../src/components/BookingForm';
 import RoomList from '../../src/components/RoomList';
 import RoomForm from '../../src/components/RoomForm';
 import Button from '../../src/components/Button';
+import Pagination from '../../src/components/Pagination';
+import SortBar from '../../src/components/SortBar';
+import BookingFilterPanel, { EMPTY_BOOKING_FILTERS } from '../../src/components/BookingFilterPanel';
+import SavedViewTabs from '../../src/components/SavedViewTabs';
+import Can from '../../src/components/Can';
 import Footer from '../../src/components/Footer';
 import LoadingSpinner from '../../src/components/LoadingSpinner';
 import ErrorMessage from '../../src/components/ErrorMessage';
@@ -22,10 +27,52 @@ import * as roomService from '../../src/services/roomService';
 import { useAuthContext } from '../../src/context/AuthContext';
 import useSignalR from '../../src/hooks/useSignalR';
 import useDebounce from '../../src/hooks/useDebounce';
+import useQueryState from '../../src/hooks/useQueryState';
+import useSavedViews, { viewFilters, findActiveView } from '../../src/hooks/useSavedViews';
+import useCan from '../../src/hooks/useCan';
+import useQuery from '../../src/hooks/useQuery';
+import { roomsQuery, bookingsPageQuery, bookingSortOptionsQuery, isFirstBookingsPage } from '../../src/api/queries';
+import { optimisticUpdate, optimisticInsert, optimisticRemove, rejectionMessage } from '../../src/api/optimistic';
+import { readHubEvent, applyToList, matchesRoomSearch } from '../../src/api/liveUpdates';
 import '../../src/App.css';
 
 const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
 const ErrMsg   = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>
+const Pager    = Pagination    as unknown as React.FC<{
+  page: number; totalPages: number; totalRecords: number; pageSize: number; pageSizes?: number[];
+  onPageChange: (page: number) => void; onPageSizeChange: (size: number) => void; disabled?: boolean; itemLabel?: string;
+}>;
+const Sorter   = SortBar       as unknown as React.FC<{
+  fields: SortField[]; sortBy: string; sortOrder: string;
+  onSortChange: (sort: { sortBy: string; sortOrder: string }) => void; disabled?: boolean;
+}>;
+const Filters  = BookingFilterPanel as unknown as React.FC<{
+  filters: BookingFilters; onChange: (updates: Partial<BookingFilters>) => void; disabled?: boolean;
+}>;
+
+const ViewTabs = SavedViewTabs as unknown as React.FC<{
+  views: SavedView[]; activeId: string | null; filtered: boolean; onSelect: (view: SavedView | null) => void;
+  onSave: (name: string, range: string) => void; onDelete: (view: SavedView) => void;
+}>;
+
+interface SortField { value: string; description: string; }
+
+// URL form of FilterBookingsDTO (src/dto/FilterBookingsDTO.js)
+interface BookingFilters {
+  roomName: string; location: string; from: string; to: string; status: string; inactiveOnly: boolean;
+}
+
+interface BookingListParams extends BookingFilters { page: number; pageSize: number; sortBy: string; sortOrder: string; }
+
+interface SavedView { id: string; name: string; filters: BookingFilters; range: string; }
+
+interface BookingPage { data?: unknown[]; totalPages?: number; totalRecords?: number; }
+
+const NO_ROWS: unknown[] = [];
+
+// Just the filter keys of the list state (no page / sort)
+const filtersOf = (params: BookingFilters): BookingFilters =>
+  Object.fromEntries(Object.keys(EMPTY_BOOKING_FILTERS).map(key => [key, params[key as keyof BookingFilters]])) as unknown as BookingFilters;
 
 const formatDateTimeForInput = (dt: string | null | undefined) => {
   if (!dt) return '';
@@ -34,31 +81,22 @@ const formatDateTimeForInput = (dt: string | null | undefined) => {
 };
 
 export default function DashboardHomeClient() {
-  // ── Data state ───────────────────────────────────────────────────────────────
-  const [allBookings, setAllBookings] = useState<unknown[]>([]);
-  const [allRooms, setAllRooms] = useState<unknown[]>([]);
+  // ── Booking page / sort / filter state — lives in the URL so links can be shared
+  const [listParams, setListParams] = useQueryState(bookingService.BOOKING_LIST_DEFAULTS) as
+    [BookingListParams, (updates: Partial<BookingListParams>) => void];
 
-  // ── Filter state ─────────────────────────────────────────────────────────────
-  const [categoryFilter, setCategoryFilter] = useState('All');
-  const [locationFilter, setLocationFilter] = useState('All');
+  // ── Room filter state ────────────────────────────────────────────────────────
   const [roomCapacityFilter, setRoomCapacityFilter] = useState('All');
   const [roomLocationFilter, setRoomLocationFilter] = useState('All');
 
-  // ── Booking search state (debounced API search) ──────────────────────────────
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isSearching, setIsSearching] = useState(false);
-  const [searchResults, setSearchResults] = useState<unknown[] | null>(null);
-  const searchTermRef = useRef('');
-
   // ── Room search state (debounced API search) ──────────────────────────────────
   const [roomSearchTerm, setRoomSearchTerm] = useState('');
   const [isRoomSearching, setIsRoomSearching] = useState(false);
   const [roomSearchResults, setRoomSearchResults] = useState<unknown[] | null>(null);
   const roomSearchTermRef = useRef('');
+  const roomSearchResultsRef = useRef<unknown[] | null>(null);
 
-  // ── Loading / error / submit ─────────────────────────────────────────────────
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  // ── Error ────────────────────────────────────────────────────────────────────
   const [error, setError] = useState<unknown>(null);
 
   // ── Toast state ──────────────────────────────────────────────────────────────
@@ -69,6 +107,7 @@ export default function DashboardHomeClient() {
   const [bookingFormErrors, setBookingFormErrors] = useState<Record<string, string>>({});
   const [showBookingForm, setShowBookingForm] = useState(false);
   const [editingBooking, setEditingBooking] = useState<unknown>(null);
+  const [bookingPrefill, setBookingPrefill] = useState<unknown>(null); // what was entered, after a rejected create
   const [showRoomForm, setShowRoomForm] = useState(false);
   const [editingRoom, setEditingRoom] = useState<unknown>(null);
   const [showStressTest, setShowStressTest] = useState(false);
@@ -77,14 +116,50 @@ export default function DashboardHomeClient() {
   const [bookingsOpen, setBookingsOpen] = useState(false);
   const [roomsOpen, setRoomsOpen]       = useState(false);
 
-  const { isLoggedIn, refreshKey, currentUser } = useAuthContext();
-  const isFacilityManager = (currentUser as { roles?: string[] })?.roles?.includes('FacilityManager') ?? false;
-  // Keep refs in sync so stable useCallback closures can read the latest values
-  useEffect(() => { searchTermRef.current = searchTerm; }, [searchTerm]);
+  const { isLoggedIn, currentUser } = useAuthContext();
+  const can = useCan();
+  const canManageRooms = can('rooms.manage');
+
+  // ── Data — shared with the other dashboard tabs through the query cache ──────
+  // The previous page stays on screen while the next one loads.
+  const bookingsResult = useQuery(bookingsPageQuery(listParams), { enabled: isLoggedIn, keepPreviousData: true });
+  const roomsResult    = useQuery(roomsQuery(), { enabled: isLoggedIn });
+  const sortResult     = useQuery(bookingSortOptionsQuery(), { enabled: isLoggedIn });
+  const bookingPage  = bookingsResult.data as BookingPage | undefined;
+  const allBookings  = bookingPage?.data ?? NO_ROWS;
+  const totalPages   = Math.max(1, bookingPage?.totalPages ?? 1);
+  const totalRecords = bookingPage?.totalRecords ?? 0;
+  const allRooms     = (roomsResult.data as unknown[] | undefined) ?? NO_ROWS;
+  const sortFields   = (sortResult.data as { availableFields?: SortField[] } | null | undefined)?.availableFields ?? [];
+  const isLoading    = bookingsResult.isLoading;
+  const isPaging     = bookingsResult.isFetching;
+  const hasLoadedRef = useRef(false);
+
+  // ── Saved views — per user, in localStorage ──────────────────────────────────
+  const { views: savedViews, saveView, deleteView } = useSavedViews((currentUser as { username?: string })?.username) as
+    { views: SavedView[]; saveView: (name: string, filters: BookingFilters, range: string) => void; deleteView: (id: string) => void };
+  const activeViewId = (findActiveView(savedViews, listParams) as SavedView | undefined)?.id ?? null;
+  const isFiltered = Object.keys(EMPTY_BOOKING_FILTERS).some(
+    key => listParams[key as keyof BookingFilters] !== EMPTY_BOOKING_FILTERS[key as keyof typeof EMPTY_BOOKING_FILTERS]
+  );
+  // Keep ref in sync so the stable useCallback closure can read the latest value
   useEffect(() => { roomSearchTermRef.current = roomSearchTerm; }, [roomSearchTerm]);
+  useEffect(() => { roomSearchResultsRef.current = roomSearchResults; }, [roomSearchResults]);
 
-  // ── Debounced booking search: fires GET /Booking/filter 400ms after typing ───
-  const debouncedSearch = useDebounce(searchTerm, 400);
+  // A shared link (or deleting the last item) can point past the end
+  useEffect(() => {
+    const pages = bookingPage?.totalPages;
+    if (pages && listParams.page > pages) setListParams({ page: pages });
+  }, [bookingPage, listParams.page, setListParams]);
+
+  useEffect(() => {
+    if (!bookingPage || hasLoadedRef.current) return;
+    hasLoadedRef.current = true;
+    setToast({ show: true, message: `Loaded ${bookingPage.totalRecords ?? 0} bookings.`, type: 'success' });
+  }, [bookingPage]);
+
+  const loadError = bookingsResult.error ?? roomsResult.error;
+  useEffect(() => { if (loadError) setError(loadError); }, [loadError]);
 
   // ── Debounced room search: fires GET /Room?name=… 400ms after typing ─────────
   const debouncedRoomSearch = useDebounce(roomSearchTerm, 400);
@@ -110,38 +185,10 @@ export default function DashboardHomeClient() {
     return () => { mounted = false; };
   }, [debouncedRoomSearch]);
 
-  useEffect(() => {
-    const term = debouncedSearch.trim();
-    if (!term) {
-      setSearchResults(null); // cleared → fall back to full allBookings list
-      return;
-    }
-    let mounted = true;
-    (async () => {
-      try {
-        setIsSearching(true);
-        const results = await bookingService.searchBookings(term);
-        if (mounted) setSearchResults(results);
-      } catch {
-        // silently keep previous results on transient error
-      } finally {
-        if (mounted) setIsSearching(false);
-      }
-    })();
-    return () => { mounted = false; };
-  }, [debouncedSearch]);
   // ── SignalR — booking and room events ────────────────────────────────────────
   useSignalR({
     onBookingChange: useCallback(async (eventName: string, payload: unknown) => {
-      // Refresh either the search results or the full list, depending on what's active
-      const currentSearch = searchTermRef.current.trim();
-      if (currentSearch) {
-        const results = await bookingService.searchBookings(currentSearch);
-        setSearchResults(results);
-      } else {
-        const bookings = await bookingService.fetchAllBookings();
-        setAllBookings(bookings);
-      }
+      // HubProvider has already patched the cached pages from the payload
       const actor = (payload as Record<string, string>)?.by ?? (payload as Record<string, string>)?.By ?? 'Unknown';
       const templates: Record<string, string> = {
         BookingCreated:   `A new booking was created by "${actor}".`,
@@ -152,13 +199,14 @@ export default function DashboardHomeClient() {
       setToastRemote({ show: true, message: templates[eventName] ?? `Bookings updated by "${actor}".`, type: 'warning' });
     }, []),
     onRoomChange: useCallback(async (eventName: string, payload: unknown) => {
+      // Search results are patched like the cached lists, and searched
+      // again only when the payload can't say
       const currentRoomSearch = roomSearchTermRef.current.trim();
-      if (currentRoomSearch) {
-        const results = await roomService.searchRooms(currentRoomSearch);
-        setRoomSearchResults(results);
-      } else {
-        const rooms = await roomService.fetchAllRooms();
-        setAllRooms(rooms);
+      const results = roomSearchResultsRef.current;
+      if (currentRoomSearch && results) {
+        const change = readHubEvent(eventName, payload);
+        const patched = change && applyToList(results, change, { belongs: room => matchesRoomSearch(room, currentRoomSearch) });
+        setRoomSearchResults(patched ?? await roomService.searchRooms(currentRoomSearch));
       }
       const actor = (payload as Record<string, string>)?.by ?? (payload as Record<string, string>)?.By ?? 'Unknown';
       const templates: Record<string, string> = {
@@ -170,69 +218,13 @@ export default function DashboardHomeClient() {
     }, []),
   });
 
-  // ── Fetch data on mount / login change ───────────────────────────────────────
-  useEffect(() => {
-    if (!isLoggedIn) {
-      setIsLoading(false);
-      setAllBookings([]);
-      setAllRooms([]);
-      return;
-    }
-
-    const controller = new AbortController();
-    let mounted = true;
-
-    (async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        const [bookingsData, roomsData] = await Promise.all([
-          bookingService.fetchAllBookings(),
-          roomService.fetchAllRooms(),
-        ]);
-        if (mounted && !controller.signal.aborted) {
-          setAllBookings(bookingsData);
-          setAllRooms(roomsData);
-          setToast({
-            show: true,
-            message: `Loaded ${(bookingsData as unknown[]).length} bookings and ${(roomsData as unknown[]).length} rooms.`,
-            type: 'success',
-          });
-        }
-      } catch (err) {
-        if (mounted && !controller.signal.aborted) setError(err);
-      } finally {
-        if (mounted) setIsLoading(false);
-      }
-    })();
-
-    return () => { mounted = false; controller.abort(); };
-  }, [isLoggedIn, refreshKey]);
-
   // ── Derived unique locations ─────────────────────────────────────────────────
-  const uniqueLocations = useMemo(() => {
-    const locs = (allBookings as { location?: string }[]).map(b => b.location).filter(Boolean) as string[];
-    return [...new Set(locs)].sort();
-  }, [allBookings]);
-
   const uniqueRoomLocations = useMemo(() => {
     const locs = (allRooms as { location?: string }[]).map(r => r.location).filter(Boolean) as string[];
     return [...new Set(locs)].sort();
   }, [allRooms]);
 
   // ── Derived filtered data ─────────────────────────────────────────────────────────
-  // When a search is active, filter ON TOP of the server search results;
-  // otherwise filter the full allBookings list.
-  const filteredBookings = useMemo(() => {
-    let result = (searchResults ?? allBookings) as { status?: string; location?: string }[];
-    if (categoryFilter === 'Pending')        result = result.filter(b => b.status === 'Pending');
-    else if (categoryFilter === 'Confirmed') result = result.filter(b => b.status === 'Confirmed');
-    else if (categoryFilter === 'Cancelled') result = result.filter(b => b.status === 'Cancelled');
-    else if (categoryFilter === 'By Location') result = [...result].sort((a, b) => (a.location ?? '').localeCompare(b.location ?? ''));
-    if (locationFilter !== 'All') result = result.filter(b => b.location === locationFilter);
-    return result;
-  }, [categoryFilter, locationFilter, allBookings, searchResults]);
-
   const filteredRooms = useMemo(() => {
     let result = (roomSearchResults ?? allRooms) as { capacity?: number; location?: string }[];
     if (roomCapacityFilter === 'Small')        result = result.filter(r => (r.capacity ?? 0) < 10);
@@ -244,27 +236,59 @@ export default function DashboardHomeClient() {
   }, [roomCapacityFilter, roomLocationFilter, allRooms, roomSearchResults]);
 
   // ── Booking CRUD handlers ─────────────────────────────────────────────────
+  // Every change shows in the list straight away, marked "Saving…"
+  // (src/api/optimistic.js), and is undone when the API rejects it.
+  const showRejection = useCallback((err: unknown) => {
+    const message = rejectionMessage(err);
+    if (message) setToast({ show: true, message: `${message} The change was undone.`, type: 'error' });
+    else setError(err);
+  }, []);
+
   const handleBookingSubmit = useCallback(async (bookingData: Record<string, unknown>) => {
     setBookingFormErrors({});
+    setBookingPrefill(null);
+    setError(null);
+    const editing = editingBooking as { id: number; startTime?: string; endTime?: string } | null;
+    const room = (allRooms as { id: unknown; name?: string; location?: string }[]).find(r => r.id === bookingData.roomId);
+    const shown = { roomId: bookingData.roomId, roomName: room?.name, location: room?.location };
+    const change = editing
+      ? optimisticUpdate(['bookings'], editing.id, {
+          ...shown,
+          startTime: bookingData.startTime,
+          endTime: bookingData.endTime,
+          ...(bookingData.status ? { status: bookingData.status } : {}),
+        })
+      : optimisticInsert(['bookings'], {
+          ...shown,
+          startTime: bookingData.startDate,
+          endTime: bookingData.endDate,
+          status: 'Pending',
+          requestedBy: (currentUser as { username?: string })?.username,
+        }, { atStart: true, where: isFirstBookingsPage });
+    setShowBookingForm(false);
+    setEditingBooking(null);
     try {
-      setIsSubmitting(true);
-      setError(null);
-      if (editingBooking) {
-        const bookingId = (bookingData.bookingId || (editingBooking as { id: unknown }).id) as number;
-        await bookingService.updateBooking(bookingId, bookingData);
-        const refreshed = await bookingService.fetchAllBookings();
-        setAllBookings(refreshed);
-        setShowBookingForm(false);
-        setEditingBooking(null);
+      if (editing) {
+        const bookingId = (bookingData.bookingId || editing.id) as number;
+        change.commit(await bookingService.updateBooking(bookingId, bookingData) as object);
         setToast({ show: true, message: 'Booking updated successfully!', type: 'success' });
       } else {
-        await bookingService.createBooking(bookingData);
-        const refreshed = await bookingService.fetchAllBookings();
-        setAllBookings(refreshed);
-        setShowBookingForm(false);
+        const res = await bookingService.createBooking(bookingData) as { booking?: object };
+        change.commit(res?.booking);
         setToast({ show: true, message: 'Booking created successfully!', type: 'success' });
       }
     } catch (err: unknown) {
+      change.rollback();
+      // Back to the form, with what was entered and the server's field errors —
+      // the form reports the rejection, so no toast as well
+      const entered = {
+        roomId:    bookingData.roomId,
+        startTime: formatDateTimeForInput((bookingData.startTime ?? bookingData.startDate) as string),
+        endTime:   formatDateTimeForInput((bookingData.endTime ?? bookingData.endDate) as string),
+      };
+      if (editing) setEditingBooking({ ...editing, ...entered });
+      else setBookingPrefill(entered);
+      setShowBookingForm(true);
       const data = (err as { response?: { data?: Record<string, unknown> } })?.response?.data;
       if (data?.errors) {
         const e = data.errors as Record<string, string[]>;
@@ -276,6 +300,7 @@ export default function DashboardHomeClient() {
         if (e.EndTime)   mapped.endTime   = e.EndTime[0];
         if (e.Capacity)  mapped.general   = e.Capacity[0];
         if (e.Location)  mapped.general   = e.Location[0];
+        if (e.Status)    mapped.general   = e.Status[0];
         if (e.General)   mapped.general   = e.General[0];
         if (Object.keys(mapped).length === 0)
           mapped.general = (data.title as string) || (data.detail as string) || (err as Error).message;
@@ -283,21 +308,53 @@ export default function DashboardHomeClient() {
       } else {
         setBookingFormErrors({ general: (data?.message as string) || (data?.title as string) || (err as Error).message });
       }
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
     }
-  }, [editingBooking]);
+  }, [editingBooking, allRooms, currentUser]);
 
   const handleDeleteBooking = useCallback(async (bookingId: unknown) => {
     if (!confirm('Are you sure you want to delete this booking?')) return;
+    setError(null);
+    const change = optimisticRemove(['bookings'], bookingId as number);
     try {
-      setError(null);
       await bookingService.deleteBooking(bookingId as number);
-      setAllBookings(prev => (prev as { bookingId?: unknown; id?: unknown }[]).filter(b => (b.bookingId || b.id) !== bookingId));
+      change.commit();
       setToast({ show: true, message: 'Booking deleted successfully!', type: 'success' });
-    } catch (err) { setError(err); }
-  }, []);
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
+
+  // Status changes use the dedicated endpoints: PATCH /Booking/{id}/confirm
+  // (Receptionist/Admin) and DELETE /Booking/{id}/cancel (soft cancel).
+  // Confirm answers 409 when the room is already taken.
+  const handleConfirmBooking = useCallback(async (bookingId: unknown) => {
+    setError(null);
+    const change = optimisticUpdate(['bookings'], bookingId as number, { status: 'Confirmed' });
+    try {
+      const res = await bookingService.confirmBooking(bookingId as number) as { booking?: object };
+      change.commit(res?.booking);
+      setToast({ show: true, message: 'Booking confirmed.', type: 'success' });
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
+
+  const handleCancelBooking = useCallback(async (bookingId: unknown) => {
+    const reason = prompt('Cancel this booking? You can add a reason (optional):');
+    if (reason === null) return;
+    setError(null);
+    const change = optimisticUpdate(['bookings'], bookingId as number, { status: 'Cancelled' });
+    try {
+      await bookingService.cancelBooking(bookingId as number, reason);
+      change.commit();
+      setToast({ show: true, message: 'Booking cancelled.', type: 'success' });
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
 
   const handleEditBooking = useCallback(async (booking: Record<string, unknown>) => {
     try {
@@ -316,36 +373,57 @@ export default function DashboardHomeClient() {
     } catch { alert('Failed to load booking details'); }
   }, []);
 
+  // ── Saved view handlers ──────────────────────────────────────────────────────
+  // Opening a view re-resolves its relative range, so "This week" rolls forward
+  const handleSelectView = useCallback((view: SavedView | null) => {
+    setListParams({ ...EMPTY_BOOKING_FILTERS, ...(view ? viewFilters(view) : {}), page: 1 });
+  }, [setListParams]);
+
+  const handleSaveView = useCallback((name: string, range: string) => {
+    saveView(name, filtersOf(listParams), range);
+    setToast({ show: true, message: `View "${name.trim()}" saved.`, type: 'success' });
+  }, [saveView, listParams]);
+
+  const handleDeleteView = useCallback((view: SavedView) => {
+    if (!confirm(`Delete the saved view "${view.name}"?`)) return;
+    deleteView(view.id);
+  }, [deleteView]);
+
   // ── Room CRUD handlers ────────────────────────────────────────────────────
   const handleRoomSubmit = useCallback(async (roomData: Record<string, unknown>) => {
+    setError(null);
+    const change = editingRoom
+      ? optimisticUpdate(['rooms'], roomData.id as number, roomData)
+      : optimisticInsert(['rooms'], { ...roomData, isActive: true });
+    setShowRoomForm(false);
+    setEditingRoom(null);
     try {
-      setIsSubmitting(true);
-      setError(null);
       if (editingRoom) {
-        const updated = await roomService.updateRoom(roomData.id as number, roomData);
-        setAllRooms(prev => (prev as { id: unknown }[]).map(r => r.id === (updated as { id: unknown }).id ? updated : r));
-        setShowRoomForm(false);
-        setEditingRoom(null);
+        change.commit(await roomService.updateRoom(roomData.id as number, roomData) as object);
         setToast({ show: true, message: 'Room updated successfully!', type: 'success' });
       } else {
-        const created = await roomService.createRoom(roomData);
-        setAllRooms(prev => [...prev, created]);
-        setShowRoomForm(false);
+        change.commit(await roomService.createRoom(roomData) as object);
         setToast({ show: true, message: 'Room created successfully!', type: 'success' });
       }
-    } catch (err) { setError(err); }
-    finally { setIsSubmitting(false); }
-  }, [editingRoom]);
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [editingRoom, showRejection]);
 
   const handleDeleteRoom = useCallback(async (roomId: unknown) => {
     if (!confirm('Are you sure you want to delete this room?')) return;
+    setError(null);
+    const change = optimisticRemove(['rooms', 'active'], roomId as number);
     try {
-      setError(null);
       await roomService.deleteRoom(roomId as number);
-      setAllRooms(prev => (prev as { id: unknown }[]).filter(r => r.id !== roomId));
+      change.commit();
       setToast({ show: true, message: 'Room deleted successfully!', type: 'success' });
-    } catch (err) { setError(err); }
-  }, []);
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
 
   const handleEditRoom = useCallback((room: Record<string, unknown>) => {
     setEditingRoom({
@@ -378,13 +456,12 @@ export default function DashboardHomeClient() {
         <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
       )}
       {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
-      {isSubmitting && <Spinner overlay message="Saving…" />}
 
       {/* Stats */}
       <div className="dashboard-stats">
         <div className="stat-card">
           <h3>Total Bookings</h3>
-          <p className="stat-number">{(filteredBookings as unknown[]).length}</p>
+          <p className="stat-number">{totalRecords}</p>
         </div>
         <div className="stat-card">
           <h3>Total Available Rooms</h3>
@@ -397,57 +474,62 @@ export default function DashboardHomeClient() {
         <div className="section-header collapsible-header" onClick={() => setBookingsOpen(o => !o)} style={{ cursor: 'pointer', userSelect: 'none' }}>
           <h2>Bookings Management <span className="collapse-icon">{bookingsOpen ? '▲' : '▼'}</span></h2>
           {bookingsOpen && (
-            <Button
-              label={showBookingForm ? 'Hide Form' : 'New Booking'}
-              variant="primary"
-              onClick={e => { e.stopPropagation(); setShowBookingForm(s => !s); setEditingBooking(null); }}
-              disabled={isSubmitting}
-            />
+            <Can do="bookings.create">
+              <Button
+                label={showBookingForm ? 'Hide Form' : 'New Booking'}
+                variant="primary"
+                onClick={e => { e.stopPropagation(); setShowBookingForm(s => !s); setEditingBooking(null); setBookingPrefill(null); }}
+              />
+            </Can>
           )}
         </div>
         {bookingsOpen && (
           <>
-            <div className="filter-section">
-              <div className="filter-group search-group">
-                <label htmlFor="booking-search">Search by Room:</label>
-                <input
-                  id="booking-search"
-                  type="search"
-                  className="filter-select"
-                  placeholder="Type room name…"
-                  value={searchTerm}
-                  onChange={e => setSearchTerm(e.target.value)}
-                />
-                {isSearching && <span className="search-indicator">Searching…</span>}
-              </div>
-              <div className="filter-group">
-                <label htmlFor="category-filter">Filter by Category:</label>
-                <select id="category-filter" value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} className="filter-select">
-                  <option value="All">All Bookings</option>
-                  <option value="Pending">Pending</option>
-                  <option value="Confirmed">Confirmed</option>
-                  <option value="Cancelled">Cancelled</option>
-                  <option value="By Location">Sorted by Location</option>
-                </select>
-              </div>
-              <div className="filter-group">
-                <label htmlFor="location-filter">Filter by Location:</label>
-                <select id="location-filter" value={locationFilter} onChange={e => setLocationFilter(e.target.value)} className="filter-select">
-                  <option value="All">All Locations</option>
-                  {uniqueLocations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
-                </select>
-              </div>
-            </div>
+            {/* Filters are sent to GET /Booking/filter and kept in the URL */}
+            <Filters filters={listParams} onChange={updates => setListParams({ ...updates, page: 1 })} />
             {showBookingForm && (
               <BookingForm
                 onSubmit={handleBookingSubmit}
-                onCancel={() => { setShowBookingForm(false); setEditingBooking(null); setBookingFormErrors({}); }}
+                onCancel={() => { setShowBookingForm(false); setEditingBooking(null); setBookingPrefill(null); setBookingFormErrors({}); }}
                 rooms={allRooms}
                 initialData={editingBooking}
+                prefill={bookingPrefill}
                 serverErrors={bookingFormErrors}
               />
             )}
-            <BookingList bookings={filteredBookings} onEdit={handleEditBooking} onDelete={handleDeleteBooking} />
+            <ViewTabs
+              views={savedViews}
+              activeId={activeViewId}
+              filtered={isFiltered}
+              onSelect={handleSelectView}
+              onSave={handleSaveView}
+              onDelete={handleDeleteView}
+            />
+            <Sorter
+              fields={sortFields}
+              sortBy={listParams.sortBy}
+              sortOrder={listParams.sortOrder}
+              onSortChange={sort => setListParams({ ...sort, page: 1 })}
+              disabled={isPaging}
+            />
+            <BookingList
+              bookings={allBookings}
+              onEdit={handleEditBooking}
+              onDelete={handleDeleteBooking}
+              onConfirm={handleConfirmBooking}
+              onCancel={handleCancelBooking}
+            />
+            <Pager
+              page={listParams.page}
+              totalPages={totalPages}
+              totalRecords={totalRecords}
+              pageSize={listParams.pageSize}
+              pageSizes={bookingService.BOOKING_PAGE_SIZES}
+              onPageChange={page => setListParams({ page })}
+              onPageSizeChange={pageSize => setListParams({ pageSize, page: 1 })}
+              disabled={isPaging}
+              itemLabel="booking"
+            />
           </>
         )}
       </section>
@@ -456,12 +538,11 @@ export default function DashboardHomeClient() {
       <section className="section">
         <div className="section-header collapsible-header" onClick={() => setRoomsOpen(o => !o)} style={{ cursor: 'pointer', userSelect: 'none' }}>
           <h2>Rooms Management <span className="collapse-icon">{roomsOpen ? '▲' : '▼'}</span></h2>
-          {roomsOpen && isFacilityManager && (
+          {roomsOpen && canManageRooms && (
             <Button
               label={showRoomForm ? 'Hide Form' : 'Add Room'}
               variant="success"
               onClick={e => { e.stopPropagation(); setShowRoomForm(s => !s); setEditingRoom(null); }}
-              disabled={isSubmitting}
             />
           )}
         </div>
@@ -505,7 +586,7 @@ export default function DashboardHomeClient() {
                 initialData={editingRoom}
               />
             )}
-            <RoomList rooms={filteredRooms} onEdit={isFacilityManager ? handleEditRoom : undefined} onDelete={isFacilityManager ? handleDeleteRoom : undefined} />
+            <RoomList rooms={filteredRooms} onEdit={canManageRooms ? handleEditRoom : undefined} onDelete={canManageRooms ? handleDeleteRoom : undefined} />
           </>
         )}
       </section>
@@ -0,0 +1,243 @@
+'use client';
+// app/dashboard/approvals/ApprovalsPageClient.tsx
+//
+// Approval queue for Pending bookings. Accessible by Receptionist & Admin
+// (the roles allowed to confirm). Requests are listed oldest first with any
+// clashing bookings inline; confirm / reject work on one request or a
+// selection, and new requests arrive live through BookingCreated.
+// Endpoints consumed:
+//   GET    /api/Booking/filter?status=Pending     – the queue (oldest first)
+//   GET    /api/Booking/filter?status=Confirmed   – bookings the queue may clash with
+//   PATCH  /api/Booking/{id}/confirm              – confirm (Receptionist, Admin)
+//   DELETE /api/Booking/{id}/cancel?reason=…      – reject  (soft cancel)
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import ApprovalQueue, { findQueueConflicts } from '../../../src/components/ApprovalQueue';
+import Footer from '../../../src/components/Footer';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import Toast from '../../../src/components/Toast';
+import * as bookingService from '../../../src/services/bookingService';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import useSignalR from '../../../src/hooks/useSignalR';
+import { readHubEvent, applyToList } from '../../../src/api/liveUpdates';
+import useCan from '../../../src/hooks/useCan';
+import '../../../src/App.css';
+import '../room-management/RoomManagement.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg  = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+const Queue   = ApprovalQueue as unknown as React.FC<{
+  bookings: PendingBooking[];
+  conflicts: Record<number, PendingBooking[]>;
+  onConfirm: (ids: number[]) => void;
+  onReject: (ids: number[]) => void;
+  busyIds: number[];
+  rowErrors: Record<number, string>;
+}>;
+
+// Confirm explains 409s in { message } ("Cannot confirm: Room is not
+// available…") — prefer that over axios' generic status text.
+const serverError = (err: unknown) =>
+  (err as { response?: { data?: { message?: string } } })?.response?.data?.message ?? err;
+
+const errorText = (err: unknown) => {
+  const message = serverError(err);
+  return typeof message === 'string' ? message : (message as Error)?.message ?? 'Request failed.';
+};
+
+interface PendingBooking {
+  bookingId: number;
+  roomId: number;
+  roomName: string;
+  location: string;
+  startTime: string;
+  endTime: string;
+  status: string;
+  requestedBy?: string;
+  createdAt?: string;
+}
+
+export default function ApprovalsPageClient() {
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, refreshKey } = useAuthContext();
+  const canView = useCan()('bookings.confirm');
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [pending, setPending]     = useState<PendingBooking[]>([]);
+  const [confirmed, setConfirmed] = useState<PendingBooking[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError]         = useState<unknown>(null);
+
+  // ── Action state ─────────────────────────────────────────────────────────────
+  const [busyIds, setBusyIds]     = useState<number[]>([]);
+  const [rowErrors, setRowErrors] = useState<Record<number, string>>({});
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+  const [toastRemote, setToastRemote] = useState({ show: false, message: '', type: 'warning' });
+
+  // ── Load queue + the Confirmed bookings it could clash with ──────────────────
+  // The time span those Confirmed bookings were loaded for; a request outside
+  // it could clash with ones that aren't loaded
+  const confirmedSpanRef = useRef<{ start: number; end: number } | null>(null);
+
+  const loadQueue = useCallback(async () => {
+    const queue = await bookingService.fetchPendingBookings() as PendingBooking[];
+    let clashCandidates: PendingBooking[] = [];
+    confirmedSpanRef.current = null;
+    if (queue.length > 0) {
+      const start = Math.min(...queue.map(b => new Date(b.startTime).getTime()));
+      const end   = Math.max(...queue.map(b => new Date(b.endTime).getTime()));
+      clashCandidates = await bookingService.fetchBookingsInRange(new Date(start), new Date(end), { status: 'Confirmed' }) as PendingBooking[];
+      confirmedSpanRef.current = { start, end };
+    }
+    setPending(queue);
+    setConfirmed(clashCandidates);
+  }, []);
+
+  const conflicts = useMemo(() => findQueueConflicts(pending, confirmed), [pending, confirmed]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !canView) { setIsLoading(false); setPending([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        await loadQueue();
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, canView, refreshKey, loadQueue]);
+
+  // ── SignalR — new requests join the queue, others' decisions leave it ────────
+  useSignalR({
+    onBookingChange: useCallback(async (eventName: string, payload: unknown) => {
+      if (!canView) return;
+      // Patched from the payload — unless it is unreadable, or a Pending
+      // request lies outside the span its clashes were loaded for
+      const change = readHubEvent(eventName, payload);
+      const row = change?.row as PendingBooking | undefined;
+      const span = confirmedSpanRef.current;
+      const unchecked = change?.complete && row?.status === 'Pending' && (
+        !span || new Date(row.startTime).getTime() < span.start || new Date(row.endTime).getTime() > span.end
+      );
+      if (!change || unchecked) {
+        try { await loadQueue(); } catch { /* keep the current queue on a transient error */ }
+      } else {
+        setPending(list => (applyToList(list, change, { belongs: b => b.status === 'Pending' }) ?? list) as PendingBooking[]);
+        setConfirmed(list => (applyToList(list, change, { belongs: b => b.status === 'Confirmed' }) ?? list) as PendingBooking[]);
+      }
+      if (eventName !== 'BookingCreated') return;
+      const id    = change?.id;
+      const actor = change?.actor ?? 'Unknown';
+      setToastRemote({ show: true, message: `New booking request${id ? ` #${id}` : ''} from "${actor}".`, type: 'warning' });
+    }, [canView, loadQueue]),
+    onResync: useCallback(() => { if (canView) loadQueue().catch(() => {}); }, [canView, loadQueue]),
+  });
+
+  // ── Actions — one request at a time, oldest first, so earlier requests win ──
+  const runBatch = useCallback(async (
+    ids: number[],
+    action: (id: number) => Promise<unknown>,
+    verb: string,
+  ) => {
+    setBusyIds(ids);
+    setRowErrors(errors => {
+      const next = { ...errors };
+      ids.forEach(id => delete next[id]);
+      return next;
+    });
+
+    const failures: Record<number, string> = {};
+    for (const id of ids) {
+      try {
+        await action(id);
+      } catch (err) {
+        failures[id] = errorText(err);
+      }
+    }
+
+    const failed = Object.keys(failures).length;
+    const done = ids.length - failed;
+    setRowErrors(errors => ({ ...errors, ...failures }));
+    setBusyIds([]);
+    setToast({
+      show: true,
+      message: failed === 0
+        ? `${done} booking${done === 1 ? '' : 's'} ${verb}.`
+        : `${done} of ${ids.length} booking${ids.length === 1 ? '' : 's'} ${verb}; ${failed} failed.`,
+      type: failed === 0 ? 'success' : 'error',
+    });
+
+    try { await loadQueue(); } catch (err) { setError(err); }
+  }, [loadQueue]);
+
+  const handleConfirm = useCallback((ids: number[]) =>
+    runBatch(ids, id => bookingService.confirmBooking(id), 'confirmed'), [runBatch]);
+
+  const handleReject = useCallback((ids: number[]) => {
+    const label = ids.length === 1 ? `booking #${ids[0]}` : `${ids.length} bookings`;
+    const reason = prompt(`Reject ${label}? You can add a reason (optional):`);
+    if (reason === null) return;
+    return runBatch(ids, id => bookingService.cancelBooking(id, reason), 'rejected');
+  }, [runBatch]);
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading && pending.length === 0) return <Spinner overlay message="Loading approval queue…" />;
+
+  if (!isLoggedIn || !canView) {
+    return (
+      <div className="app-container">
+        <div className="rm-access-wall">
+          <div className="rm-access-icon">⛔</div>
+          <h2>Access Denied</h2>
+          <p>The approval queue requires a Receptionist or Admin account.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && pending.length === 0) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => window.location.reload()} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="app-container">
+      {/* ── Toasts ──────────────────────────────────────────────────────────── */}
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {toastRemote.show && (
+        <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+
+      <section className="section">
+        <div className="section-header">
+          <h2>Approval Queue</h2>
+        </div>
+        <Queue
+          bookings={pending}
+          conflicts={conflicts}
+          onConfirm={handleConfirm}
+          onReject={handleReject}
+          busyIds={busyIds}
+          rowErrors={rowErrors}
+        />
+      </section>
+
+      <Footer />
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+'use client';
+// app/dashboard/approvals/page.tsx
+// Route: /dashboard/approvals
+//
+// 'use client' + dynamic import with ssr:false required because the client
+// component reads localStorage (JWT) through the auth context.
+
+import dynamic from 'next/dynamic';
+
+const ApprovalsPageClient = dynamic(
+  () => import('./ApprovalsPageClient'),
+  {
+    ssr: false,
+    loading: () => (
+      <div style={{ padding: '4rem', textAlign: 'center', color: '#666' }}>
+        Loading approval queue…
+      </div>
+    ),
+  }
+);
+
+export default function ApprovalsPage() {
+  return <ApprovalsPageClient />;
+}
@@ -5,24 +5,67 @@
 // Contains all booking-specific state, handlers, SignalR subscription and JSX.
 // Replaces the old pattern of delegating to the monolithic src/App.jsx.
 
-import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import BookingList from '../../../src/components/BookingList';
 import BookingForm from '../../../src/components/BookingForm';
 import Button from '../../../src/components/Button';
+import Pagination from '../../../src/components/Pagination';
+import SortBar from '../../../src/components/SortBar';
+import BookingFilterPanel, { EMPTY_BOOKING_FILTERS } from '../../../src/components/BookingFilterPanel';
+import SavedViewTabs from '../../../src/components/SavedViewTabs';
+import Can from '../../../src/components/Can';
 import Footer from '../../../src/components/Footer';
 import LoadingSpinner from '../../../src/components/LoadingSpinner';
 import ErrorMessage from '../../../src/components/ErrorMessage';
 import Toast from '../../../src/components/Toast';
 import * as bookingService from '../../../src/services/bookingService';
-import * as roomService from '../../../src/services/roomService';
 import { useAuthContext } from '../../../src/context/AuthContext';
 import useSignalR from '../../../src/hooks/useSignalR';
-import useDebounce from '../../../src/hooks/useDebounce';
+import useQueryState from '../../../src/hooks/useQueryState';
+import useSavedViews, { viewFilters, findActiveView } from '../../../src/hooks/useSavedViews';
+import useQuery from '../../../src/hooks/useQuery';
+import { roomsQuery, bookingsPageQuery, bookingSortOptionsQuery, isFirstBookingsPage } from '../../../src/api/queries';
+import { optimisticUpdate, optimisticInsert, optimisticRemove, rejectionMessage } from '../../../src/api/optimistic';
 import '../../../src/App.css';
 
 // Cast the JS components to typed variants so TSX props are accepted without errors.
 const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
 const ErrMsg   = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>
+const Pager    = Pagination    as unknown as React.FC<{
+  page: number; totalPages: number; totalRecords: number; pageSize: number; pageSizes?: number[];
+  onPageChange: (page: number) => void; onPageSizeChange: (size: number) => void; disabled?: boolean; itemLabel?: string;
+}>;
+const Sorter   = SortBar       as unknown as React.FC<{
+  fields: SortField[]; sortBy: string; sortOrder: string;
+  onSortChange: (sort: { sortBy: string; sortOrder: string }) => void; disabled?: boolean;
+}>;
+const Filters  = BookingFilterPanel as unknown as React.FC<{
+  filters: BookingFilters; onChange: (updates: Partial<BookingFilters>) => void; disabled?: boolean;
+}>;
+
+const ViewTabs = SavedViewTabs as unknown as React.FC<{
+  views: SavedView[]; activeId: string | null; filtered: boolean; onSelect: (view: SavedView | null) => void;
+  onSave: (name: string, range: string) => void; onDelete: (view: SavedView) => void;
+}>;
+
+interface SortField { value: string; description: string; }
+
+// URL form of FilterBookingsDTO (src/dto/FilterBookingsDTO.js)
+interface BookingFilters {
+  roomName: string; location: string; from: string; to: string; status: string; inactiveOnly: boolean;
+}
+
+interface BookingListParams extends BookingFilters { page: number; pageSize: number; sortBy: string; sortOrder: string; }
+
+interface SavedView { id: string; name: string; filters: BookingFilters; range: string; }
+
+interface BookingPage { data?: unknown[]; totalPages?: number; totalRecords?: number; }
+
+const NO_ROWS: unknown[] = [];
+
+// Just the filter keys of the list state (no page / sort)
+const filtersOf = (params: BookingFilters): BookingFilters =>
+  Object.fromEntries(Object.keys(EMPTY_BOOKING_FILTERS).map(key => [key, params[key as keyof BookingFilters]])) as unknown as BookingFilters;
 
 const formatDateTimeForInput = (dt: string | null | undefined) => {
   if (!dt) return '';
@@ -31,23 +74,11 @@ const formatDateTimeForInput = (dt: string | null | undefined) => {
 };
 
 export default function BookingsPageClient() {
-  // ── Data state ───────────────────────────────────────────────────────────────
-  const [allBookings, setAllBookings] = useState<unknown[]>([]);
-  const [allRooms, setAllRooms] = useState<unknown[]>([]); // needed by BookingForm dropdown
-
-  // ── Filter state ─────────────────────────────────────────────────────────────
-  const [categoryFilter, setCategoryFilter] = useState('All');
-  const [locationFilter, setLocationFilter] = useState('All');
-
-  // ── Search state (debounced API search) ──────────────────────────────────────
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isSearching, setIsSearching] = useState(false);
-  const [searchResults, setSearchResults] = useState<unknown[] | null>(null);
-  const searchTermRef = useRef('');
-
-  // ── Loading / error / submit ─────────────────────────────────────────────────
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  // ── Page / sort / filter state — lives in the URL so links can be shared ─────
+  const [listParams, setListParams] = useQueryState(bookingService.BOOKING_LIST_DEFAULTS) as
+    [BookingListParams, (updates: Partial<BookingListParams>) => void];
+
+  // ── Error ────────────────────────────────────────────────────────────────────
   const [error, setError] = useState<unknown>(null);
 
   // ── Toast state ──────────────────────────────────────────────────────────────
@@ -58,48 +89,52 @@ export default function BookingsPageClient() {
   const [bookingFormErrors, setBookingFormErrors] = useState<Record<string, string>>({});
   const [showBookingForm, setShowBookingForm] = useState(false);
   const [editingBooking, setEditingBooking] = useState<unknown>(null);
+  const [bookingPrefill, setBookingPrefill] = useState<unknown>(null); // what was entered, after a rejected create
 
-  const { isLoggedIn, refreshKey } = useAuthContext();
+  const { isLoggedIn, currentUser } = useAuthContext();
 
-  // Keep ref in sync so the stable useCallback below can read the latest value
-  useEffect(() => { searchTermRef.current = searchTerm; }, [searchTerm]);
+  // ── Data — shared with the other dashboard tabs through the query cache ──────
+  // The previous page stays on screen while the next one loads.
+  const bookingsResult = useQuery(bookingsPageQuery(listParams), { enabled: isLoggedIn, keepPreviousData: true });
+  const roomsResult    = useQuery(roomsQuery(), { enabled: isLoggedIn }); // needed by BookingForm dropdown
+  const sortResult     = useQuery(bookingSortOptionsQuery(), { enabled: isLoggedIn });
+  const bookingPage  = bookingsResult.data as BookingPage | undefined;
+  const allBookings  = bookingPage?.data ?? NO_ROWS;
+  const totalPages   = Math.max(1, bookingPage?.totalPages ?? 1);
+  const totalRecords = bookingPage?.totalRecords ?? 0;
+  const allRooms     = (roomsResult.data as unknown[] | undefined) ?? NO_ROWS;
+  const sortFields   = (sortResult.data as { availableFields?: SortField[] } | null | undefined)?.availableFields ?? [];
+  const isLoading    = bookingsResult.isLoading;
+  const isPaging     = bookingsResult.isFetching;
+  const hasLoadedRef = useRef(false);
 
-  // ── Debounced search: fires a GET /Booking/filter request 400ms after typing ─
-  const debouncedSearch = useDebounce(searchTerm, 400);
+  // ── Saved views — per user, in localStorage ──────────────────────────────────
+  const { views: savedViews, saveView, deleteView } = useSavedViews((currentUser as { username?: string })?.username) as
+    { views: SavedView[]; saveView: (name: string, filters: BookingFilters, range: string) => void; deleteView: (id: string) => void };
+  const activeViewId = (findActiveView(savedViews, listParams) as SavedView | undefined)?.id ?? null;
+  const isFiltered = Object.keys(EMPTY_BOOKING_FILTERS).some(
+    key => listParams[key as keyof BookingFilters] !== EMPTY_BOOKING_FILTERS[key as keyof typeof EMPTY_BOOKING_FILTERS]
+  );
 
+  // A shared link (or deleting the last item) can point past the end
   useEffect(() => {
-    const term = debouncedSearch.trim();
-    if (!term) {
-      setSearchResults(null); // cleared → fall back to full allBookings list
-      return;
-    }
-    let mounted = true;
-    (async () => {
-      try {
-        setIsSearching(true);
-        const results = await bookingService.searchBookings(term);
-        if (mounted) setSearchResults(results);
-      } catch {
-        // silently keep previous results on transient error
-      } finally {
-        if (mounted) setIsSearching(false);
-      }
-    })();
-    return () => { mounted = false; };
-  }, [debouncedSearch]);
+    const pages = bookingPage?.totalPages;
+    if (pages && listParams.page > pages) setListParams({ page: pages });
+  }, [bookingPage, listParams.page, setListParams]);
+
+  useEffect(() => {
+    if (!bookingPage || hasLoadedRef.current) return;
+    hasLoadedRef.current = true;
+    setToast({ show: true, message: `Loaded ${bookingPage.totalRecords ?? 0} bookings.`, type: 'success' });
+  }, [bookingPage]);
+
+  const loadError = bookingsResult.error ?? roomsResult.error;
+  useEffect(() => { if (loadError) setError(loadError); }, [loadError]);
 
   // ── SignalR — booking events only ────────────────────────────────────────────
   useSignalR({
     onBookingChange: useCallback(async (eventName: string, payload: unknown) => {
-      // Refresh either the search results or the full list, depending on what's active
-      const currentSearch = searchTermRef.current.trim();
-      if (currentSearch) {
-        const results = await bookingService.searchBookings(currentSearch);
-        setSearchResults(results);
-      } else {
-        const bookings = await bookingService.fetchAllBookings();
-        setAllBookings(bookings);
-      }
+      // HubProvider has already patched the cached pages from the payload
       const actor = (payload as Record<string, string>)?.by ?? (payload as Record<string, string>)?.By ?? 'Unknown';
       const templates: Record<string, string> = {
         BookingCreated:   `A new booking was created by "${actor}".`,
@@ -111,82 +146,60 @@ export default function BookingsPageClient() {
     }, []),
   });
 
-  // ── Fetch data on mount / login change ───────────────────────────────────────
-  useEffect(() => {
-    if (!isLoggedIn) {
-      setIsLoading(false);
-      setAllBookings([]);
-      setAllRooms([]);
-      return;
-    }
-
-    const controller = new AbortController();
-    let mounted = true;
-
-    (async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        const [bookingsData, roomsData] = await Promise.all([
-          bookingService.fetchAllBookings(),
-          roomService.fetchAllRooms(),
-        ]);
-        if (mounted && !controller.signal.aborted) {
-          setAllBookings(bookingsData);
-          setAllRooms(roomsData);
-          setToast({ show: true, message: `Loaded ${(bookingsData as unknown[]).length} bookings.`, type: 'success' });
-        }
-      } catch (err) {
-        if (mounted && !controller.signal.aborted) setError(err);
-      } finally {
-        if (mounted) setIsLoading(false);
-      }
-    })();
-
-    return () => { mounted = false; controller.abort(); };
-  }, [isLoggedIn, refreshKey]);
-
-  // ── Derived unique locations for filter dropdown ──────────────────────────────
-  const uniqueLocations = useMemo(() => {
-    const locs = (allBookings as { location?: string }[]).map(b => b.location).filter(Boolean) as string[];
-    return [...new Set(locs)].sort();
-  }, [allBookings]);
-
-  // ── Derived filtered bookings ────────────────────────────────────────────────
-  // When a search is active, filter ON TOP of the server search results;
-  // otherwise filter the full allBookings list.
-  const filteredBookings = useMemo(() => {
-    let result = (searchResults ?? allBookings) as { status?: string; location?: string }[];
-    if (categoryFilter === 'Pending')       result = result.filter(b => b.status === 'Pending');
-    else if (categoryFilter === 'Confirmed') result = result.filter(b => b.status === 'Confirmed');
-    else if (categoryFilter === 'Cancelled') result = result.filter(b => b.status === 'Cancelled');
-    else if (categoryFilter === 'By Location') result = [...result].sort((a, b) => (a.location ?? '').localeCompare(b.location ?? ''));
-    if (locationFilter !== 'All') result = result.filter(b => b.location === locationFilter);
-    return result;
-  }, [categoryFilter, locationFilter, allBookings, searchResults]);
-
   // ── Booking CRUD handlers ─────────────────────────────────────────────────
+  // Every change shows in the list straight away, marked "Saving…"
+  // (src/api/optimistic.js), and is undone when the API rejects it.
+  const showRejection = useCallback((err: unknown) => {
+    const message = rejectionMessage(err);
+    if (message) setToast({ show: true, message: `${message} The change was undone.`, type: 'error' });
+    else setError(err);
+  }, []);
+
   const handleBookingSubmit = useCallback(async (bookingData: Record<string, unknown>) => {
     setBookingFormErrors({});
+    setBookingPrefill(null);
+    setError(null);
+    const editing = editingBooking as { id: number; startTime?: string; endTime?: string } | null;
+    const room = (allRooms as { id: unknown; name?: string; location?: string }[]).find(r => r.id === bookingData.roomId);
+    const shown = { roomId: bookingData.roomId, roomName: room?.name, location: room?.location };
+    const change = editing
+      ? optimisticUpdate(['bookings'], editing.id, {
+          ...shown,
+          startTime: bookingData.startTime,
+          endTime: bookingData.endTime,
+          ...(bookingData.status ? { status: bookingData.status } : {}),
+        })
+      : optimisticInsert(['bookings'], {
+          ...shown,
+          startTime: bookingData.startDate,
+          endTime: bookingData.endDate,
+          status: 'Pending',
+          requestedBy: (currentUser as { username?: string })?.username,
+        }, { atStart: true, where: isFirstBookingsPage });
+    setShowBookingForm(false);
+    setEditingBooking(null);
     try {
-      setIsSubmitting(true);
-      setError(null);
-      if (editingBooking) {
-        const bookingId = (bookingData.bookingId || (editingBooking as { id: unknown }).id) as number;
-        await bookingService.updateBooking(bookingId, bookingData);
-        const refreshed = await bookingService.fetchAllBookings();
-        setAllBookings(refreshed);
-        setShowBookingForm(false);
-        setEditingBooking(null);
+      if (editing) {
+        const bookingId = (bookingData.bookingId || editing.id) as number;
+        change.commit(await bookingService.updateBooking(bookingId, bookingData) as object);
         setToast({ show: true, message: 'Booking updated successfully!', type: 'success' });
       } else {
-        await bookingService.createBooking(bookingData);
-        const refreshed = await bookingService.fetchAllBookings();
-        setAllBookings(refreshed);
-        setShowBookingForm(false);
+        const res = await bookingService.createBooking(bookingData) as { booking?: object };
+        change.commit(res?.booking);
         setToast({ show: true, message: 'Booking created successfully!', type: 'success' });
       }
     } catch (err: unknown) {
+      change.rollback();
+      // Back to the form, with what was entered and the server's field errors —
+      // the form reports the rejection, so no toast as well
+      const entered = {
+        roomId:    bookingData.roomId,
+        startTime: formatDateTimeForInput((bookingData.startTime ?? bookingData.startDate) as string),
+        endTime:   formatDateTimeForInput((bookingData.endTime ?? bookingData.endDate) as string),
+      };
+      if (editing) setEditingBooking({ ...editing, ...entered });
+      else setBookingPrefill(entered);
+      setShowBookingForm(true);
       const data = (err as { response?: { data?: Record<string, unknown> } })?.response?.data;
       if (data?.errors) {
         const e = data.errors as Record<string, string[]>;
@@ -198,6 +211,7 @@ export default function BookingsPageClient() {
         if (e.EndTime)   mapped.endTime   = e.EndTime[0];
         if (e.Capacity)  mapped.general   = e.Capacity[0];
         if (e.Location)  mapped.general   = e.Location[0];
+        if (e.Status)    mapped.general   = e.Status[0];
         if (e.General)   mapped.general   = e.General[0];
         if (Object.keys(mapped).length === 0)
           mapped.general = (data.title as string) || (data.detail as string) || (err as Error).message;
@@ -205,23 +219,53 @@ export default function BookingsPageClient() {
       } else {
         setBookingFormErrors({ general: (data?.message as string) || (data?.title as string) || (err as Error).message });
       }
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
     }
-  }, [editingBooking]);
+  }, [editingBooking, allRooms, currentUser]);
 
   const handleDeleteBooking = useCallback(async (bookingId: unknown) => {
     if (!confirm('Are you sure you want to delete this booking?')) return;
+    setError(null);
+    const change = optimisticRemove(['bookings'], bookingId as number);
     try {
-      setError(null);
       await bookingService.deleteBooking(bookingId as number);
-      setAllBookings(prev => (prev as { bookingId?: unknown; id?: unknown }[]).filter(b => (b.bookingId || b.id) !== bookingId));
+      change.commit();
       setToast({ show: true, message: 'Booking deleted successfully!', type: 'success' });
     } catch (err) {
-      setError(err);
+      change.rollback();
+      showRejection(err);
     }
-  }, []);
+  }, [showRejection]);
+
+  // Status changes use the dedicated endpoints: PATCH /Booking/{id}/confirm
+  // (Receptionist/Admin) and DELETE /Booking/{id}/cancel (soft cancel).
+  // Confirm answers 409 when the room is already taken.
+  const handleConfirmBooking = useCallback(async (bookingId: unknown) => {
+    setError(null);
+    const change = optimisticUpdate(['bookings'], bookingId as number, { status: 'Confirmed' });
+    try {
+      const res = await bookingService.confirmBooking(bookingId as number) as { booking?: object };
+      change.commit(res?.booking);
+      setToast({ show: true, message: 'Booking confirmed.', type: 'success' });
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
+
+  const handleCancelBooking = useCallback(async (bookingId: unknown) => {
+    const reason = prompt('Cancel this booking? You can add a reason (optional):');
+    if (reason === null) return;
+    setError(null);
+    const change = optimisticUpdate(['bookings'], bookingId as number, { status: 'Cancelled' });
+    try {
+      await bookingService.cancelBooking(bookingId as number, reason);
+      change.commit();
+      setToast({ show: true, message: 'Booking cancelled.', type: 'success' });
+    } catch (err) {
+      change.rollback();
+      showRejection(err);
+    }
+  }, [showRejection]);
 
   const handleEditBooking = useCallback(async (booking: Record<string, unknown>) => {
     try {
@@ -242,6 +286,22 @@ export default function BookingsPageClient() {
     }
   }, []);
 
+  // ── Saved view handlers ──────────────────────────────────────────────────────
+  // Opening a view re-resolves its relative range, so "This week" rolls forward
+  const handleSelectView = useCallback((view: SavedView | null) => {
+    setListParams({ ...EMPTY_BOOKING_FILTERS, ...(view ? viewFilters(view) : {}), page: 1 });
+  }, [setListParams]);
+
+  const handleSaveView = useCallback((name: string, range: string) => {
+    saveView(name, filtersOf(listParams), range);
+    setToast({ show: true, message: `View "${name.trim()}" saved.`, type: 'success' });
+  }, [saveView, listParams]);
+
+  const handleDeleteView = useCallback((view: SavedView) => {
+    if (!confirm(`Delete the saved view "${view.name}"?`)) return;
+    deleteView(view.id);
+  }, [deleteView]);
+
   // ── Render ───────────────────────────────────────────────────────────────────
   if (isLoading) return <Spinner overlay message="Loading bookings…" />;
 
@@ -262,67 +322,71 @@ export default function BookingsPageClient() {
         <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
       )}
       {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
-      {isSubmitting && <Spinner overlay message="Saving…" />}
 
       <div className="dashboard-stats">
         <div className="stat-card">
           <h3>Total Bookings</h3>
-          <p className="stat-number">{(filteredBookings as unknown[]).length}</p>
+          <p className="stat-number">{totalRecords}</p>
         </div>
       </div>
 
-      <div className="filter-section">
-        <div className="filter-group search-group">
-          <label htmlFor="booking-search">Search by Room:</label>
-          <input
-            id="booking-search"
-            type="search"
-            className="filter-select"
-            placeholder="Type room name…"
-            value={searchTerm}
-            onChange={e => setSearchTerm(e.target.value)}
-          />
-          {isSearching && <span className="search-indicator">Searching…</span>}
-        </div>
-        <div className="filter-group">
-          <label htmlFor="category-filter">Filter by Category:</label>
-          <select id="category-filter" value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} className="filter-select">
-            <option value="All">All Bookings</option>
-            <option value="Pending">Pending</option>
-            <option value="Confirmed">Confirmed</option>
-            <option value="Cancelled">Cancelled</option>
-            <option value="By Location">Sorted by Location</option>
-          </select>
-        </div>
-        <div className="filter-group">
-          <label htmlFor="location-filter">Filter by Location:</label>
-          <select id="location-filter" value={locationFilter} onChange={e => setLocationFilter(e.target.value)} className="filter-select">
-            <option value="All">All Locations</option>
-            {uniqueLocations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
-          </select>
-        </div>
-      </div>
+      {/* Filters are sent to GET /Booking/filter and kept in the URL */}
+      <Filters filters={listParams} onChange={updates => setListParams({ ...updates, page: 1 })} />
 
       <section className="section">
         <div className="section-header">
           <h2>Bookings Management</h2>
-          <Button
-            label={showBookingForm ? 'Hide Form' : 'New Booking'}
-            variant="primary"
-            onClick={() => { setShowBookingForm(s => !s); setEditingBooking(null); }}
-            disabled={isSubmitting}
-          />
+          <Can do="bookings.create">
+            <Button
+              label={showBookingForm ? 'Hide Form' : 'New Booking'}
+              variant="primary"
+              onClick={() => { setShowBookingForm(s => !s); setEditingBooking(null); setBookingPrefill(null); }}
+            />
+          </Can>
         </div>
         {showBookingForm && (
           <BookingForm
             onSubmit={handleBookingSubmit}
-            onCancel={() => { setShowBookingForm(false); setEditingBooking(null); setBookingFormErrors({}); }}
+            onCancel={() => { setShowBookingForm(false); setEditingBooking(null); setBookingPrefill(null); setBookingFormErrors({}); }}
             rooms={allRooms}
             initialData={editingBooking}
+            prefill={bookingPrefill}
             serverErrors={bookingFormErrors}
           />
         )}
-        <BookingList bookings={filteredBookings} onEdit={handleEditBooking} onDelete={handleDeleteBooking} />
+        <ViewTabs
+          views={savedViews}
+          activeId={activeViewId}
+          filtered={isFiltered}
+          onSelect={handleSelectView}
+          onSave={handleSaveView}
+          onDelete={handleDeleteView}
+        />
+        <Sorter
+          fields={sortFields}
+          sortBy={listParams.sortBy}
+          sortOrder={listParams.sortOrder}
+          onSortChange={sort => setListParams({ ...sort, page: 1 })}
+          disabled={isPaging}
+        />
+        <BookingList
+          bookings={allBookings}
+          onEdit={handleEditBooking}
+          onDelete={handleDeleteBooking}
+          onConfirm={handleConfirmBooking}
+          onCancel={handleCancelBooking}
+        />
+        <Pager
+          page={listParams.page}
+          totalPages={totalPages}
+          totalRecords={totalRecords}
+          pageSize={listParams.pageSize}
+          pageSizes={bookingService.BOOKING_PAGE_SIZES}
+          onPageChange={page => setListParams({ page })}
+          onPageSizeChange={pageSize => setListParams({ pageSize, page: 1 })}
+          disabled={isPaging}
+          itemLabel="booking"
+        />
       </section>
 
       <Footer />
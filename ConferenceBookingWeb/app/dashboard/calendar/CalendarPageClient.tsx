@@ -0,0 +1,381 @@
+'use client';
+// app/dashboard/calendar/CalendarPageClient.tsx
+//
+// Day / week calendar of bookings per room, for anyone who needs to see at a
+// glance where the free slots are. Refetches the visible range whenever a
+// booking or room changes on the server (SignalR).
+//
+// Drag across empty time to open BookingForm prefilled with that room and
+// slot; drag a booking (or its right edge) to reschedule it. A rejected
+// reschedule snaps the block back and shows the server's reason under the row.
+// Booking from a slot needs 'bookings.create'; moving a booking needs
+// 'bookings.update' on it (useCan).
+// Endpoints consumed:
+//   GET /api/Booking/filter?startDate&endDate – bookings overlapping the visible range
+//   GET /api/Room                             – active rooms (one calendar row each)
+//   POST /api/Booking                         – create from a selected slot
+//   PUT /api/Booking/{id}                     – reschedule (startTime / endTime only)
+
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import Toast from '../../../src/components/Toast';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import BookingCalendar, { getCalendarRange } from '../../../src/components/BookingCalendar';
+import BookingForm from '../../../src/components/BookingForm';
+import FindRoomPanel from '../../../src/components/FindRoomPanel';
+import Footer from '../../../src/components/Footer';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import * as bookingService from '../../../src/services/bookingService';
+import * as roomService from '../../../src/services/roomService';
+import useSignalR from '../../../src/hooks/useSignalR';
+import { readHubEvent, applyToList } from '../../../src/api/liveUpdates';
+import useCan from '../../../src/hooks/useCan';
+import '../../../src/App.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const FindRoom = FindRoomPanel as unknown as React.FC<{
+  onSelectRoom?: (pick: { room: { roomId: number }; start: Date; end: Date }) => void;
+}>;
+const Spinner  = LoadingSpinner  as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg   = ErrorMessage    as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+const Calendar = BookingCalendar as unknown as React.FC<{
+  rooms: RoomRow[];
+  bookings: BookingRow[];
+  view: CalendarView;
+  date: Date;
+  onViewChange: (view: CalendarView) => void;
+  onDateChange: (date: Date) => void;
+  onSelectSlot?: (slot: { room: RoomRow; start: Date; end: Date }) => void;
+  onMoveBooking?: (booking: BookingRow, slot: { start: Date; end: Date }) => Promise<void>;
+  canMove?: (booking: BookingRow) => boolean;
+  isLoading?: boolean;
+}>;
+const Form = BookingForm as unknown as React.FC<{
+  onSubmit: (data: Record<string, unknown>) => Promise<void>;
+  onCancel: () => void;
+  rooms: RoomRow[];
+  prefill?: { roomId: number; startTime: string; endTime: string } | null;
+  serverErrors?: Record<string, string>;
+}>;
+
+type CalendarView = 'day' | 'week';
+
+interface BookingRow {
+  bookingId: number;
+  roomName: string;
+  location: string;
+  startTime: string;
+  endTime: string;
+  status: string;
+  requestedBy?: string;
+}
+
+interface RoomRow {
+  id: number;
+  name: string;
+  location: string;
+  capacity: number;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+const pad = (n: number) => String(Math.abs(n)).padStart(2, '0');
+
+// Date → "2026-03-10T09:00" for BookingForm's datetime-local inputs
+const toLocalInput = (date: Date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Date → "2026-03-10T09:00:00+02:00" (same local-offset format BookingForm
+// sends, so the API's business-hours check sees the hour the user picked).
+function toOffsetIso(date: Date): string {
+  const offset = -date.getTimezoneOffset();
+  return `${toLocalInput(date)}:00${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// Booking 400s come back as ValidationProblemDetails ({ errors: { Field: [msg] } });
+// other failures as { message } (409 overlap, 404, …).
+type ApiError = { response?: { data?: { errors?: Record<string, string[]>; message?: string; title?: string } }; message?: string };
+
+function bookingFieldErrors(err: unknown): Record<string, string> {
+  const data = (err as ApiError)?.response?.data;
+  const e = data?.errors;
+  if (!e) return { general: data?.message || data?.title || (err as ApiError)?.message || 'Something went wrong.' };
+  const mapped: Record<string, string> = {};
+  if (e.RoomId)    mapped.roomId    = e.RoomId[0];
+  if (e.StartDate) mapped.startTime = e.StartDate[0];
+  if (e.EndDate)   mapped.endTime   = e.EndDate[0];
+  if (e.StartTime) mapped.startTime = e.StartTime[0];
+  if (e.EndTime)   mapped.endTime   = e.EndTime[0];
+  if (e.Capacity)  mapped.general   = e.Capacity[0];
+  if (e.Location)  mapped.general   = e.Location[0];
+  if (e.General)   mapped.general   = e.General[0];
+  if (Object.keys(mapped).length === 0) mapped.general = data?.title || 'Something went wrong.';
+  return mapped;
+}
+
+const serverError = (err: unknown) => {
+  const errors = (err as ApiError)?.response?.data?.errors;
+  const first = errors && Object.values(errors)[0]?.[0];
+  return first ?? bookingFieldErrors(err).general;
+};
+
+export default function CalendarPageClient() {
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, refreshKey } = useAuthContext();
+  const can = useCan();
+  const canCreate = can('bookings.create'); // POST /Booking is Admin only
+  const canMove = useCallback((booking: BookingRow) => can('bookings.update', booking), [can]);
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [bookings, setBookings]   = useState<BookingRow[]>([]);
+  const [rooms, setRooms]         = useState<RoomRow[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isFetching, setIsFetching] = useState(false);
+  const [error, setError]         = useState<unknown>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast]             = useState({ show: false, message: '', type: 'success' });
+  const [toastRemote, setToastRemote] = useState({ show: false, message: '', type: 'warning' });
+
+  // ── Form state (slot picked on the calendar) ─────────────────────────────────
+  const [slot, setSlot] = useState<{ roomId: number; startTime: string; endTime: string } | null>(null);
+  const [bookingFormErrors, setBookingFormErrors] = useState<Record<string, string>>({});
+
+  // ── View state ───────────────────────────────────────────────────────────────
+  const [view, setView]                     = useState<CalendarView>('day');
+  const [date, setDate]                     = useState(() => new Date());
+  const [locationFilter, setLocationFilter] = useState('All');
+  const [hideCancelled, setHideCancelled]   = useState(false);
+
+  const range = useMemo(() => getCalendarRange(view, date), [view, date]);
+  // Range key so a new Date inside the same day/week doesn't refetch.
+  const rangeKey = `${view}:${range.start.getTime()}`;
+
+  // Latest range for the SignalR handler, which is registered once.
+  const rangeRef = useRef(range);
+  useEffect(() => { rangeRef.current = range; }, [range]);
+
+  // ── Load rooms ───────────────────────────────────────────────────────────────
+  const loadRooms = useCallback(async () => {
+    const roomData = await roomService.fetchAllRooms() as RoomRow[];
+    setRooms(roomData);
+  }, []);
+
+  useEffect(() => {
+    if (!isLoggedIn) { setRooms([]); return; }
+    loadRooms().catch(err => setError(err));
+  }, [isLoggedIn, refreshKey, loadRooms]);
+
+  // ── Load bookings for the visible range ──────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn) { setIsLoading(false); setBookings([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsFetching(true);
+        setError(null);
+        const { start, end } = rangeRef.current;
+        const data = await bookingService.fetchBookingsInRange(start, end) as BookingRow[];
+        if (mounted) setBookings(data);
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) { setIsFetching(false); setIsLoading(false); }
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, refreshKey, rangeKey]);
+
+  const reloadBookings = useCallback(async () => {
+    const { start, end } = rangeRef.current;
+    const data = await bookingService.fetchBookingsInRange(start, end) as BookingRow[];
+    setBookings(data);
+  }, []);
+
+  // ── Live updates ─────────────────────────────────────────────────────────────
+  useSignalR({
+    onBookingChange: useCallback(async (eventName: string, payload: unknown) => {
+      // Patched from the payload (the range matches like the API's filter:
+      // the booking ends after the range starts and starts before it ends)
+      const change = readHubEvent(eventName, payload);
+      if (change) {
+        const { start, end } = rangeRef.current;
+        const inRange = (b: BookingRow) => new Date(b.endTime) >= start && new Date(b.startTime) <= end;
+        setBookings(list => (applyToList(list, change, { belongs: inRange }) ?? list) as BookingRow[]);
+      } else {
+        try {
+          await reloadBookings();
+        } catch (err) {
+          console.error('Failed to refresh calendar after SignalR event:', err);
+        }
+      }
+      const actor = change?.actor ?? 'Unknown';
+      const templates: Record<string, string> = {
+        BookingCreated:   `A new booking was created by "${actor}".`,
+        BookingUpdated:   `A booking was updated by "${actor}".`,
+        BookingCancelled: `A booking was cancelled by "${actor}".`,
+        BookingDeleted:   `A booking was deleted by "${actor}".`,
+      };
+      setToastRemote({ show: true, message: templates[eventName] ?? `Bookings were updated by "${actor}".`, type: 'warning' });
+    }, [reloadBookings]),
+    onRoomChange: useCallback(async (eventName: string, payload: unknown) => {
+      // A room switched back on arrives without its details — reload for those
+      const change = readHubEvent(eventName, payload);
+      if (change && (change.complete || change.row.isActive === false)) {
+        setRooms(list => (applyToList(list, change, { belongs: room => room.isActive !== false }) ?? list) as RoomRow[]);
+      } else {
+        loadRooms().catch(err => console.error('Failed to refresh rooms after SignalR event:', err));
+      }
+    }, [loadRooms]),
+    onResync: useCallback(() => {
+      reloadBookings().catch(err => console.error('Failed to refresh calendar after a missed event:', err));
+      loadRooms().catch(err => console.error('Failed to refresh rooms after a missed event:', err));
+    }, [reloadBookings, loadRooms]),
+  });
+
+  // ── Drag handlers ────────────────────────────────────────────────────────────
+  const handleSelectSlot = useCallback(({ room, start, end }: { room: RoomRow; start: Date; end: Date }) => {
+    setBookingFormErrors({});
+    setSlot({ roomId: room.id, startTime: toLocalInput(start), endTime: toLocalInput(end) });
+  }, []);
+
+  // "Find a room" → jump the calendar to that day and prefill the form
+  const handlePickRoom = useCallback(({ room, start, end }: { room: { roomId: number }; start: Date; end: Date }) => {
+    setBookingFormErrors({});
+    setDate(start);
+    setSlot({ roomId: room.roomId, startTime: toLocalInput(start), endTime: toLocalInput(end) });
+  }, []);
+
+  // Rejecting with the server's message makes the calendar snap the block back
+  // and show the reason inline.
+  const handleMoveBooking = useCallback(async (booking: BookingRow, { start, end }: { start: Date; end: Date }) => {
+    try {
+      await bookingService.updateBooking(booking.bookingId, { startTime: toOffsetIso(start), endTime: toOffsetIso(end) });
+    } catch (err) {
+      throw new Error(serverError(err));
+    }
+    setToast({ show: true, message: `Booking #${booking.bookingId} moved.`, type: 'success' });
+    try {
+      await reloadBookings();
+    } catch (err) {
+      setError(err);
+    }
+  }, [reloadBookings]);
+
+  const handleCreateBooking = useCallback(async (bookingData: Record<string, unknown>) => {
+    setBookingFormErrors({});
+    try {
+      setIsSubmitting(true);
+      await bookingService.createBooking(bookingData);
+      setSlot(null);
+      setToast({ show: true, message: 'Booking created successfully!', type: 'success' });
+      await reloadBookings().catch(err => setError(err));
+    } catch (err) {
+      // Re-throw so BookingForm keeps the fields for correction.
+      setBookingFormErrors(bookingFieldErrors(err));
+      throw err;
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [reloadBookings]);
+
+  // ── Derived data ─────────────────────────────────────────────────────────────
+  const locations = useMemo(
+    () => Array.from(new Set([...rooms.map(r => r.location), ...bookings.map(b => b.location)])).sort(),
+    [rooms, bookings]
+  );
+
+  const visibleRooms = useMemo(
+    () => rooms
+      .filter(r => locationFilter === 'All' || r.location === locationFilter)
+      .sort((a, b) => a.location.localeCompare(b.location) || a.name.localeCompare(b.name)),
+    [rooms, locationFilter]
+  );
+
+  const visibleBookings = useMemo(
+    () => bookings
+      .filter(b => locationFilter === 'All' || b.location === locationFilter)
+      .filter(b => !hideCancelled || b.status !== 'Cancelled'),
+    [bookings, locationFilter, hideCancelled]
+  );
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading) return <Spinner overlay message="Loading calendar…" />;
+
+  if (error && bookings.length === 0 && rooms.length === 0) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => window.location.reload()} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="app-container">
+      {/* ── Toasts ──────────────────────────────────────────────────────────── */}
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {toastRemote.show && (
+        <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+      {isSubmitting && <Spinner overlay message="Saving…" />}
+
+      <section className="section">
+        <div className="section-header">
+          <h2>Booking Calendar</h2>
+        </div>
+
+        <FindRoom onSelectRoom={canCreate ? handlePickRoom : undefined} />
+
+        {slot && (
+          <Form
+            onSubmit={handleCreateBooking}
+            onCancel={() => { setSlot(null); setBookingFormErrors({}); }}
+            rooms={rooms}
+            prefill={slot}
+            serverErrors={bookingFormErrors}
+          />
+        )}
+
+        {/* ── Filters ───────────────────────────────────────────────────────── */}
+        <div className="filter-section">
+          <div className="filter-group">
+            <label htmlFor="cal-location">Location:</label>
+            <select id="cal-location" className="filter-select" value={locationFilter} onChange={e => setLocationFilter(e.target.value)}>
+              <option value="All">All Locations</option>
+              {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="cal-hide-cancelled">
+              <input
+                id="cal-hide-cancelled"
+                type="checkbox"
+                checked={hideCancelled}
+                onChange={e => setHideCancelled(e.target.checked)}
+              />
+              {' '}Hide cancelled
+            </label>
+          </div>
+        </div>
+
+        <Calendar
+          rooms={visibleRooms}
+          bookings={visibleBookings}
+          view={view}
+          date={date}
+          onViewChange={setView}
+          onDateChange={setDate}
+          onSelectSlot={canCreate ? handleSelectSlot : undefined}
+          onMoveBooking={handleMoveBooking}
+          canMove={canMove}
+          isLoading={isFetching}
+        />
+      </section>
+
+      <Footer />
+    </div>
+  );
+}
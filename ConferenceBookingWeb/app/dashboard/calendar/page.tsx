@@ -0,0 +1,24 @@
+'use client';
+// app/dashboard/calendar/page.tsx
+// Route: /dashboard/calendar
+//
+// 'use client' + dynamic import with ssr:false required because the client
+// component reads localStorage (JWT) through the auth context.
+
+import dynamic from 'next/dynamic';
+
+const CalendarPageClient = dynamic(
+  () => import('./CalendarPageClient'),
+  {
+    ssr: false,
+    loading: () => (
+      <div style={{ padding: '4rem', textAlign: 'center', color: '#666' }}>
+        Loading calendar…
+      </div>
+    ),
+  }
+);
+
+export default function CalendarPage() {
+  return <CalendarPageClient />;
+}
@@ -3,6 +3,7 @@
 // This layout wraps every route under /dashboard with <ProtectedRoute>.
 // <ProtectedRoute> is a Client Component; it reads the JWT token from the
 // shared AuthContext and redirects unauthenticated guests to /login.
+// The first check happens earlier, on the server, in proxy.ts.
 //
 // The layout itself has no 'use client' so the outer shell remains a Server
 // Component — only ProtectedRoute and its children opt into the client bundle.
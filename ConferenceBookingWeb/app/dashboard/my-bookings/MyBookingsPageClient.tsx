@@ -0,0 +1,356 @@
+'use client';
+// app/dashboard/my-bookings/MyBookingsPageClient.tsx
+//
+// The signed-in user's own bookings, for every role. Upcoming bookings (not
+// yet ended) come first, soonest first, each with a countdown; the next
+// meeting is highlighted at the top. Past bookings follow, most recent first,
+// without Edit / Cancel. The clock ticks every 30 s, so countdowns stay
+// current and a meeting moves to Past once it ends.
+// Endpoints consumed:
+//   GET    /api/Booking/filter?requestedBy=…   – the user's bookings (all pages)
+//   GET    /api/Room                           – rooms for the edit form
+//   PUT    /api/Booking/{id}                   – edit
+//   PATCH  /api/Booking/{id}/confirm           – confirm (Receptionist, Admin)
+//   DELETE /api/Booking/{id}/cancel?reason=…   – cancel
+//   DELETE /api/Booking/{id}                   – delete (Admin)
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import BookingCard from '../../../src/components/BookingCard';
+import BookingForm from '../../../src/components/BookingForm';
+import MeetingCountdown from '../../../src/components/MeetingCountdown';
+import Footer from '../../../src/components/Footer';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import Toast from '../../../src/components/Toast';
+import * as bookingService from '../../../src/services/bookingService';
+import * as roomService from '../../../src/services/roomService';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import useSignalR from '../../../src/hooks/useSignalR';
+import { readHubEvent, applyToList } from '../../../src/api/liveUpdates';
+import { isOwner } from '../../../src/permissions/permissions';
+import '../../../src/App.css';
+import '../../../src/components/BookingList.css'; // bookings-grid / empty-message
+import '../room-management/RoomManagement.css';
+import './MyBookings.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const Spinner   = LoadingSpinner   as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg    = ErrorMessage     as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+const Countdown = MeetingCountdown as unknown as React.FC<{ startTime: string; endTime: string; now: number }>;
+const Card      = BookingCard      as unknown as React.FC<{
+  booking: MyBooking;
+  onEdit?: (booking: MyBooking) => void;
+  onDelete?: (bookingId: number) => void;
+  onConfirm?: (bookingId: number) => void;
+  onCancel?: (bookingId: number) => void;
+}>;
+
+// Confirm/cancel explain 400/409s in { message } — prefer that over axios'
+// generic status text.
+const serverError = (err: unknown) =>
+  (err as { response?: { data?: { message?: string } } })?.response?.data?.message ?? err;
+
+const formatDateTimeForInput = (dt: string | null | undefined) => {
+  if (!dt) return '';
+  const d = new Date(dt);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}T${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+const CLOCK_TICK_MS = 30 * 1000;
+
+interface MyBooking {
+  bookingId: number;
+  roomId: number;
+  roomName: string;
+  location: string;
+  startTime: string;
+  endTime: string;
+  status: string;
+  requestedBy?: string;
+}
+
+export default function MyBookingsPageClient() {
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, currentUser, refreshKey } = useAuthContext();
+  const username = (currentUser as { username?: string } | null)?.username;
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [bookings, setBookings] = useState<MyBooking[]>([]);
+  const [allRooms, setAllRooms] = useState<unknown[]>([]); // needed by BookingForm dropdown
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<unknown>(null);
+
+  // ── Clock — drives the countdowns and the upcoming / past split ─────────────
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+  const [toastRemote, setToastRemote] = useState({ show: false, message: '', type: 'warning' });
+
+  // ── Form state ───────────────────────────────────────────────────────────────
+  const [bookingFormErrors, setBookingFormErrors] = useState<Record<string, string>>({});
+  const [editingBooking, setEditingBooking] = useState<unknown>(null);
+
+  // ── Load ─────────────────────────────────────────────────────────────────────
+  const reloadBookings = useCallback(async () => {
+    if (!username) return;
+    setBookings(await bookingService.fetchMyBookings(username) as MyBooking[]);
+  }, [username]);
+
+  useEffect(() => {
+    if (!isLoggedIn || !username) { setIsLoading(false); setBookings([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [mine, rooms] = await Promise.all([
+          bookingService.fetchMyBookings(username),
+          roomService.fetchAllRooms(),
+        ]);
+        if (mounted) {
+          setBookings(mine as MyBooking[]);
+          setAllRooms(rooms);
+        }
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, username, refreshKey]);
+
+  // ── SignalR — someone else may confirm or cancel one of these bookings ──────
+  useSignalR({
+    onBookingChange: useCallback(async (eventName: string, payload: unknown) => {
+      // Patch the list from the payload; reload only when it is unreadable.
+      // (A partial payload never names the requester, so a booking missing
+      // here can only be someone else's.)
+      const change = readHubEvent(eventName, payload);
+      if (change) {
+        setBookings(list => (applyToList(list, change, { belongs: b => isOwner(b, username) }) ?? list) as MyBooking[]);
+      } else {
+        try { await reloadBookings(); } catch { /* keep the current list on a transient error */ }
+      }
+      const id    = change?.id;
+      const actor = change?.actor;
+      // Only worth a toast when someone else touched one of this user's bookings
+      if (actor && actor !== username && bookings.some(b => b.bookingId === id)) {
+        setToastRemote({ show: true, message: `Your booking #${id} was updated by "${actor}".`, type: 'warning' });
+      }
+    }, [reloadBookings, username, bookings]),
+    onResync: useCallback(() => { reloadBookings().catch(() => {}); }, [reloadBookings]),
+  });
+
+  // ── Upcoming (soonest first) / past (most recent first) ─────────────────────
+  const { upcoming, past } = useMemo(() => {
+    const byStart = (a: MyBooking, b: MyBooking) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime();
+    return {
+      upcoming: bookings.filter(b => new Date(b.endTime).getTime() > now).sort(byStart),
+      past:     bookings.filter(b => new Date(b.endTime).getTime() <= now).sort((a, b) => byStart(b, a)),
+    };
+  }, [bookings, now]);
+
+  const nextMeeting = upcoming.find(b => b.status !== 'Cancelled');
+
+  // ── Handlers ─────────────────────────────────────────────────────────────────
+  const handleEditBooking = useCallback(async (booking: MyBooking) => {
+    try {
+      const full = await bookingService.getBookingById(booking.bookingId) as Record<string, unknown>;
+      setEditingBooking({
+        id:        full.bookingId,
+        roomId:    full.roomId,
+        startTime: formatDateTimeForInput(full.startTime as string),
+        endTime:   formatDateTimeForInput(full.endTime as string),
+        status:    full.status || 'Pending',
+      });
+      setBookingFormErrors({});
+    } catch {
+      alert('Failed to load booking details');
+    }
+  }, []);
+
+  const handleBookingSubmit = useCallback(async (bookingData: Record<string, unknown>) => {
+    if (!editingBooking) return;
+    setBookingFormErrors({});
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const bookingId = (bookingData.bookingId || (editingBooking as { id: unknown }).id) as number;
+      await bookingService.updateBooking(bookingId, bookingData);
+      await reloadBookings();
+      setEditingBooking(null);
+      setToast({ show: true, message: 'Booking updated successfully!', type: 'success' });
+    } catch (err: unknown) {
+      const data = (err as { response?: { data?: Record<string, unknown> } })?.response?.data;
+      if (data?.errors) {
+        const e = data.errors as Record<string, string[]>;
+        const mapped: Record<string, string> = {};
+        if (e.RoomId)    mapped.roomId    = e.RoomId[0];
+        if (e.StartTime) mapped.startTime = e.StartTime[0];
+        if (e.EndTime)   mapped.endTime   = e.EndTime[0];
+        if (e.Capacity)  mapped.general   = e.Capacity[0];
+        if (e.Status)    mapped.general   = e.Status[0];
+        if (e.General)   mapped.general   = e.General[0];
+        if (Object.keys(mapped).length === 0)
+          mapped.general = (data.title as string) || (data.detail as string) || (err as Error).message;
+        setBookingFormErrors(mapped);
+      } else {
+        setBookingFormErrors({ general: (data?.message as string) || (data?.title as string) || (err as Error).message });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [editingBooking, reloadBookings]);
+
+  const handleConfirmBooking = useCallback(async (bookingId: number) => {
+    try {
+      setError(null);
+      await bookingService.confirmBooking(bookingId);
+      await reloadBookings();
+      setToast({ show: true, message: 'Booking confirmed.', type: 'success' });
+    } catch (err) { setError(serverError(err)); }
+  }, [reloadBookings]);
+
+  const handleCancelBooking = useCallback(async (bookingId: number) => {
+    const reason = prompt('Cancel this booking? You can add a reason (optional):');
+    if (reason === null) return;
+    try {
+      setError(null);
+      await bookingService.cancelBooking(bookingId, reason);
+      await reloadBookings();
+      setToast({ show: true, message: 'Booking cancelled.', type: 'success' });
+    } catch (err) { setError(serverError(err)); }
+  }, [reloadBookings]);
+
+  const handleDeleteBooking = useCallback(async (bookingId: number) => {
+    if (!confirm('Are you sure you want to delete this booking?')) return;
+    try {
+      setError(null);
+      await bookingService.deleteBooking(bookingId);
+      await reloadBookings();
+      setToast({ show: true, message: 'Booking deleted.', type: 'success' });
+    } catch (err) { setError(serverError(err)); }
+  }, [reloadBookings]);
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading && bookings.length === 0) return <Spinner overlay message="Loading your bookings…" />;
+
+  if (!isLoggedIn || !username) {
+    return (
+      <div className="app-container">
+        <div className="rm-access-wall">
+          <div className="rm-access-icon">⛔</div>
+          <h2>Access Denied</h2>
+          <p>Sign in to see your bookings.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && bookings.length === 0) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => window.location.reload()} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="app-container">
+      {/* ── Toasts ──────────────────────────────────────────────────────────── */}
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {toastRemote.show && (
+        <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+      {isSubmitting && <Spinner overlay message="Saving…" />}
+
+      {/* ── Next meeting ────────────────────────────────────────────────────── */}
+      <div className="my-bookings-next">
+        {nextMeeting ? (
+          <>
+            <h3>Next meeting</h3>
+            <p className="my-bookings-next-room">
+              {nextMeeting.roomName} ({nextMeeting.location})
+            </p>
+            <p className="my-bookings-next-time">
+              {new Date(nextMeeting.startTime).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })}
+            </p>
+            <Countdown startTime={nextMeeting.startTime} endTime={nextMeeting.endTime} now={now} />
+          </>
+        ) : (
+          <p className="my-bookings-next-empty">No upcoming meetings.</p>
+        )}
+      </div>
+
+      {editingBooking !== null && (
+        <BookingForm
+          onSubmit={handleBookingSubmit}
+          onCancel={() => { setEditingBooking(null); setBookingFormErrors({}); }}
+          rooms={allRooms}
+          initialData={editingBooking}
+          serverErrors={bookingFormErrors}
+        />
+      )}
+
+      {/* ── Upcoming ────────────────────────────────────────────────────────── */}
+      <section className="section">
+        <div className="section-header">
+          <h2>Upcoming ({upcoming.length})</h2>
+        </div>
+        {upcoming.length === 0 ? (
+          <p className="empty-message">Nothing booked ahead.</p>
+        ) : (
+          <div className="bookings-grid">
+            {upcoming.map(booking => (
+              <div key={booking.bookingId} className="my-bookings-item">
+                {booking.status !== 'Cancelled' && (
+                  <Countdown startTime={booking.startTime} endTime={booking.endTime} now={now} />
+                )}
+                <Card
+                  booking={booking}
+                  onEdit={handleEditBooking}
+                  onDelete={handleDeleteBooking}
+                  onConfirm={handleConfirmBooking}
+                  onCancel={handleCancelBooking}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {/* ── Past — nothing left to edit or cancel ───────────────────────────── */}
+      <section className="section">
+        <div className="section-header">
+          <h2>Past ({past.length})</h2>
+        </div>
+        {past.length === 0 ? (
+          <p className="empty-message">No past bookings.</p>
+        ) : (
+          <div className="bookings-grid">
+            {past.map(booking => (
+              <Card
+                key={booking.bookingId}
+                booking={booking}
+                onDelete={handleDeleteBooking}
+              />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <Footer />
+    </div>
+  );
+}
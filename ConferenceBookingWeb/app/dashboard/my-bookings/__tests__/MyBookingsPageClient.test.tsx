@@ -0,0 +1,91 @@
+/**
+ * MyBookingsPageClient.test.tsx
+ *
+ * Tests how live updates patch the signed-in user's bookings:
+ *   1. Owner   — a change to one of their bookings is applied in place, even
+ *                when the API spells the username with other capitals
+ *   2. Others  — a booking that turns out to be someone else's is dropped
+ *
+ * Strategy: mock bookingService and roomService so no real HTTP calls are
+ * made, and useSignalR so each test can deliver a hub event itself.
+ */
+
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import MyBookingsPageClient from '../MyBookingsPageClient';
+import * as bookingService from '../../../../src/services/bookingService';
+import * as roomService from '../../../../src/services/roomService';
+
+// ── Mock the service modules ─────────────────────────────────────────────────
+jest.mock('../../../../src/services/bookingService');
+jest.mock('../../../../src/services/roomService');
+
+jest.mock('../../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({
+    isLoggedIn: true,
+    refreshKey: 0,
+    currentUser: { username: 'jane', roles: ['Employee'] },
+  }),
+}));
+
+let mockOnBookingChange: (eventName: string, payload: unknown) => Promise<void>;
+jest.mock('../../../../src/hooks/useSignalR', () => ({
+  __esModule: true,
+  default: ({ onBookingChange }: { onBookingChange: typeof mockOnBookingChange }) => {
+    mockOnBookingChange = onBookingChange;
+    return 'connected';
+  },
+}));
+
+const mockFetchMyBookings = bookingService.fetchMyBookings as jest.Mock;
+const mockFetchAllRooms = roomService.fetchAllRooms as jest.Mock;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+// The API keeps the username as it was registered
+const BOOKING = {
+  bookingId: 7,
+  roomId: 1,
+  roomName: 'Boardroom',
+  location: 'London',
+  startTime: '2030-03-02T09:00:00Z',
+  endTime: '2030-03-02T10:00:00Z',
+  status: 'Pending',
+  requestedBy: 'Jane',
+  createdAt: '2030-03-01T08:00:00Z',
+};
+
+async function renderWithBooking() {
+  render(<MyBookingsPageClient />);
+  expect(await screen.findByText('Pending')).toBeInTheDocument();
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('MyBookingsPageClient', () => {
+  beforeEach(() => {
+    mockFetchMyBookings.mockResolvedValue([BOOKING]);
+    mockFetchAllRooms.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it("applies a change to the user's booking whatever the username's case", async () => {
+    await renderWithBooking();
+
+    await act(() => mockOnBookingChange('BookingUpdated', { data: { ...BOOKING, status: 'Confirmed' }, by: 'rita' }));
+
+    expect(screen.getByText('Confirmed')).toBeInTheDocument();
+    expect(screen.queryByText('Pending')).not.toBeInTheDocument();
+    expect(mockFetchMyBookings).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops a booking that is now someone else's", async () => {
+    await renderWithBooking();
+
+    await act(() => mockOnBookingChange('BookingUpdated', { data: { ...BOOKING, requestedBy: 'bob' }, by: 'rita' }));
+
+    expect(screen.queryByText('Pending')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,24 @@
+'use client';
+// app/dashboard/my-bookings/page.tsx
+// Route: /dashboard/my-bookings
+//
+// 'use client' + dynamic import with ssr:false required because the client
+// component reads localStorage (JWT) through the auth context.
+
+import dynamic from 'next/dynamic';
+
+const MyBookingsPageClient = dynamic(
+  () => import('./MyBookingsPageClient'),
+  {
+    ssr: false,
+    loading: () => (
+      <div style={{ padding: '4rem', textAlign: 'center', color: '#666' }}>
+        Loading your bookings…
+      </div>
+    ),
+  }
+);
+
+export default function MyBookingsPage() {
+  return <MyBookingsPageClient />;
+}
@@ -0,0 +1,246 @@
+'use client';
+// app/dashboard/my-sessions/MySessionsPageClient.tsx
+//
+// Lists the signed-in user's active sessions so staff can revoke a session
+// left open on a lost or shared device. Available to every role.
+// Endpoints consumed:
+//   GET    /api/auth/sessions             – active sessions of the current user
+//   DELETE /api/auth/sessions/{sessionId} – revoke one session
+//   POST   /api/auth/logout-all           – revoke every session (all devices)
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import Toast from '../../../src/components/Toast';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import Footer from '../../../src/components/Footer';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import { authService } from '../../../src/services/authService';
+import '../../../src/App.css';
+import './MySessions.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg  = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+
+interface SessionRow {
+  id: number;
+  createdAt: string;
+  expiresAt: string;
+  lastActivityAt: string;
+  ipAddress?: string | null;
+  userAgent?: string | null;
+  isCurrent: boolean;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+// Turns a raw user-agent string into "Browser on OS" so a lost laptop is easy
+// to spot. Order matters: Edge and Opera also contain "Chrome", Chrome also
+// contains "Safari".
+function describeUserAgent(ua?: string | null): string {
+  if (!ua) return 'Unknown device';
+  const browser =
+    /Edg\//.test(ua)                  ? 'Edge'    :
+    /OPR\//.test(ua)                  ? 'Opera'   :
+    /Firefox\//.test(ua)              ? 'Firefox' :
+    /Chrome\//.test(ua)               ? 'Chrome'  :
+    /Safari\//.test(ua)               ? 'Safari'  :
+    /PostmanRuntime|curl/i.test(ua)   ? 'API client' :
+    'Unknown browser';
+  const os =
+    /Windows/.test(ua)                ? 'Windows' :
+    /Android/.test(ua)                ? 'Android' :
+    /iPhone|iPad/.test(ua)            ? 'iOS'     :
+    /Mac OS X/.test(ua)               ? 'macOS'   :
+    /Linux/.test(ua)                  ? 'Linux'   :
+    null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Current session first, then most recently active.
+const sortSessions = (list: SessionRow[]) =>
+  [...list].sort((a, b) =>
+    Number(b.isCurrent) - Number(a.isCurrent) ||
+    new Date(b.lastActivityAt).getTime() - new Date(a.lastActivityAt).getTime()
+  );
+
+export default function MySessionsPageClient() {
+  const router = useRouter();
+
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, refreshKey, logout, logoutAll } = useAuthContext();
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [sessions, setSessions]         = useState<SessionRow[]>([]);
+  const [isLoading, setIsLoading]       = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError]               = useState<unknown>(null);
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+
+  // ── Load sessions on mount ───────────────────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn) { setIsLoading(false); setSessions([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await authService.getSessions() as SessionRow[];
+        if (mounted) setSessions(sortSessions(data ?? []));
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, refreshKey]);
+
+  const showToast = (message: string, type = 'success') =>
+    setToast({ show: true, message, type });
+
+  // ── Handlers ─────────────────────────────────────────────────────────────────
+  const handleRevoke = async (session: SessionRow) => {
+    const device = describeUserAgent(session.userAgent);
+
+    // Revoking the session in use is just a logout — go through the normal
+    // flow so local state is cleared and the user lands on /login.
+    if (session.isCurrent) {
+      if (!confirm('This is the session you are using now. Sign out of this device?')) return;
+      await logout();
+      router.push('/login');
+      return;
+    }
+
+    if (!confirm(`Revoke the session on "${device}"${session.ipAddress ? ` (${session.ipAddress})` : ''}?`)) return;
+    try {
+      setIsSubmitting(true);
+      await authService.revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      showToast(`Session on "${device}" revoked.`);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!confirm('Sign out of every device, including this one?')) return;
+    try {
+      setIsSubmitting(true);
+      await logoutAll();
+      router.push('/login');
+    } catch (err) {
+      setError(err);
+      setIsSubmitting(false);
+    }
+  };
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading) return <Spinner overlay message="Loading sessions…" />;
+
+  if (!isLoggedIn) {
+    return (
+      <div className="app-container">
+        <p className="empty-message">
+          Please <Link href="/login">log in</Link> to manage your sessions.
+        </p>
+      </div>
+    );
+  }
+
+  if (error && sessions.length === 0) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => window.location.reload()} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  const otherCount = sessions.filter(s => !s.isCurrent).length;
+
+  return (
+    <div className="app-container">
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+      {isSubmitting && <Spinner overlay message="Revoking…" />}
+
+      <section className="section">
+        <div className="section-header">
+          <h2>My Sessions</h2>
+          <button
+            className="ms-btn ms-btn-danger"
+            onClick={handleLogoutAll}
+            disabled={isSubmitting || sessions.length === 0}
+            title="Revoke every session, including this one"
+          >
+            Sign out everywhere
+          </button>
+        </div>
+
+        <p className="ms-intro">
+          You are signed in on {sessions.length} {sessions.length === 1 ? 'device' : 'devices'}
+          {otherCount > 0 && ` (${otherCount} other than this one)`}.
+          If you don&apos;t recognise a session, revoke it and change your password.
+        </p>
+
+        {sessions.length === 0 ? (
+          <p className="empty-message">No active sessions found.</p>
+        ) : (
+          <div className="ms-table-wrapper">
+            <table className="ms-table">
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>IP Address</th>
+                  <th>Signed In</th>
+                  <th>Last Activity</th>
+                  <th>Expires</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => (
+                  <tr key={session.id} className={session.isCurrent ? 'ms-row-current' : ''}>
+                    <td>
+                      <span className="ms-device">{describeUserAgent(session.userAgent)}</span>
+                      {session.isCurrent && <span className="ms-badge-current">This device</span>}
+                      {session.userAgent && (
+                        <span className="ms-user-agent" title={session.userAgent}>{session.userAgent}</span>
+                      )}
+                    </td>
+                    <td>{session.ipAddress || <span className="ms-muted">—</span>}</td>
+                    <td>{formatDateTime(session.createdAt)}</td>
+                    <td>{formatDateTime(session.lastActivityAt)}</td>
+                    <td>{formatDateTime(session.expiresAt)}</td>
+                    <td>
+                      <button
+                        className={`ms-btn ${session.isCurrent ? 'ms-btn-secondary' : 'ms-btn-danger'}`}
+                        onClick={() => handleRevoke(session)}
+                        disabled={isSubmitting}
+                        title={session.isCurrent ? 'Sign out of this device' : 'Revoke this session'}
+                      >
+                        {session.isCurrent ? 'Sign out' : 'Revoke'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <Footer />
+    </div>
+  );
+}
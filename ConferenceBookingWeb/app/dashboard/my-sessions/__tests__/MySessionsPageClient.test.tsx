@@ -0,0 +1,120 @@
+/**
+ * MySessionsPageClient.test.tsx
+ *
+ * Tests the signed-in user's session list and its revoke actions:
+ *   1. List       — the current device first, then most recently active
+ *   2. Revoke     — one other session is revoked and dropped from the list
+ *   3. Everywhere — "Sign out everywhere" signs out through logoutAll and
+ *                   lands on /login
+ *   4. Rejected   — a failed logout-all keeps the user on the page
+ *
+ * Strategy: mock authService so no real HTTP calls are made. AuthContext is
+ * mocked to supply logout / logoutAll, and window.confirm is answered "OK".
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
+import MySessionsPageClient from '../MySessionsPageClient';
+import { authService } from '../../../../src/services/authService';
+
+// ── Mock the service module ──────────────────────────────────────────────────
+jest.mock('../../../../src/services/authService', () => ({
+  authService: { getSessions: jest.fn(), revokeSession: jest.fn() },
+}));
+
+const mockLogout = jest.fn();
+const mockLogoutAll = jest.fn();
+jest.mock('../../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({ isLoggedIn: true, refreshKey: 0, logout: mockLogout, logoutAll: mockLogoutAll }),
+}));
+
+const mockPush = jest.fn();
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: mockPush }),
+}));
+
+const mockGetSessions = authService.getSessions as jest.Mock;
+const mockRevokeSession = authService.revokeSession as jest.Mock;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+const SAFARI_IPHONE  = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const FIREFOX_LINUX  = 'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0';
+
+const session = (id: number, userAgent: string, lastActivityAt: string, isCurrent = false) => ({
+  id, userAgent, lastActivityAt, isCurrent,
+  ipAddress: `10.0.0.${id}`,
+  createdAt: '2026-03-01T08:00:00Z',
+  expiresAt: '2026-03-08T08:00:00Z',
+});
+
+const SESSIONS = [
+  session(1, SAFARI_IPHONE, '2026-03-02T09:00:00Z'),
+  session(2, CHROME_WINDOWS, '2026-03-02T08:00:00Z', true),
+  session(3, FIREFOX_LINUX, '2026-03-02T10:00:00Z'),
+];
+
+const deviceColumn = () =>
+  screen.getAllByRole('row').slice(1).map(row => row.querySelector('.ms-device')?.textContent);
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('MySessionsPageClient', () => {
+  beforeEach(() => {
+    mockGetSessions.mockResolvedValue(SESSIONS);
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('lists this device first, then the most recently active', async () => {
+    render(<MySessionsPageClient />);
+
+    expect(await screen.findByText('This device')).toBeInTheDocument();
+    expect(deviceColumn()).toEqual(['Chrome on Windows', 'Firefox on Linux', 'Safari on iOS']);
+    expect(screen.getByText(/signed in on 3 devices \(2 other than this one\)/)).toBeInTheDocument();
+  });
+
+  it('revokes one session and drops it from the list', async () => {
+    mockRevokeSession.mockResolvedValue(undefined);
+    render(<MySessionsPageClient />);
+    await screen.findByText('This device');
+
+    const iphone = screen.getByText('Safari on iOS').closest('tr')!;
+    fireEvent.click(within(iphone).getByRole('button', { name: 'Revoke' }));
+
+    expect(window.confirm).toHaveBeenCalledWith('Revoke the session on "Safari on iOS" (10.0.0.1)?');
+    expect(await screen.findByText('Session on "Safari on iOS" revoked.')).toBeInTheDocument();
+    expect(mockRevokeSession).toHaveBeenCalledWith(1);
+    expect(deviceColumn()).toEqual(['Chrome on Windows', 'Firefox on Linux']);
+    expect(mockLogout).not.toHaveBeenCalled();
+  });
+
+  it('signs out everywhere and goes to the login page', async () => {
+    mockLogoutAll.mockResolvedValue(undefined);
+    render(<MySessionsPageClient />);
+    await screen.findByText('This device');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign out everywhere' }));
+
+    await waitFor(() => expect(mockPush).toHaveBeenCalledWith('/login'));
+    expect(mockLogoutAll).toHaveBeenCalledTimes(1);
+    expect(mockRevokeSession).not.toHaveBeenCalled();
+  });
+
+  it('stays on the page when signing out everywhere fails', async () => {
+    mockLogoutAll.mockRejectedValue(new Error('Network Error'));
+    render(<MySessionsPageClient />);
+    await screen.findByText('This device');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign out everywhere' }));
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Sign out everywhere' })).toBeEnabled());
+    expect(mockLogoutAll).toHaveBeenCalledTimes(1);
+    expect(mockPush).not.toHaveBeenCalled();
+    expect(deviceColumn()).toHaveLength(3);
+  });
+});
@@ -17,6 +17,10 @@ import Footer from '../../../src/components/Footer';
 import LoginForm from '../../../src/components/LoginForm';
 import { useAuthContext } from '../../../src/context/AuthContext';
 import useSignalR from '../../../src/hooks/useSignalR';
+import useCan from '../../../src/hooks/useCan';
+import useQuery from '../../../src/hooks/useQuery';
+import { managedRoomsQuery } from '../../../src/api/queries';
+import { optimisticUpdate, optimisticInsert, rejectionMessage } from '../../../src/api/optimistic';
 import * as roomService from '../../../src/services/roomService';
 import '../../../src/App.css';
 import './RoomManagement.css';
@@ -25,6 +29,8 @@ import './RoomManagement.css';
 const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
 const ErrMsg  = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
 
+const NO_ROOMS: RoomRow[] = [];
+
 // ── Location enum (mirrors backend RoomLocation) ─────────────────────────────
 const LOCATIONS = ['London', 'CapeTown', 'Johannesburg', 'Bloemfontein', 'Durban'];
 
@@ -39,6 +45,7 @@ interface RoomRow {
   location: string;
   isActive: boolean;
   deletedAt?: string | null;
+  isSaving?: boolean; // change not yet confirmed by the API (src/api/optimistic.js)
 }
 
 interface FormState {
@@ -51,18 +58,15 @@ interface FormState {
 
 export default function RoomManagementPageClient() {
   // ── Auth ─────────────────────────────────────────────────────────────────────
-  const { isLoggedIn, currentUser, refreshKey, login } = useAuthContext();
-  // Room Management is exclusively for FacilityManager
+  const { isLoggedIn, currentUser, login } = useAuthContext();
+  // Room Management is exclusively for FacilityManager (full CRUD including create)
   const userRoles: string[] = (currentUser as { roles?: string[] })?.roles ?? [];
-  const isFacilityManager = userRoles.includes('FacilityManager');
-  // FacilityManager has full CRUD including create
-  const isAdmin = isFacilityManager;
-  const canManage = isFacilityManager;
-
-  // ── Data state ───────────────────────────────────────────────────────────────
-  const [rooms, setRooms] = useState<RoomRow[]>([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  const canManage = useCan()('rooms.manage');
+
+  // ── Data state — active and inactive rooms, from the shared query cache ──────
+  const roomsResult = useQuery(managedRoomsQuery(), { enabled: isLoggedIn });
+  const rooms       = (roomsResult.data as RoomRow[] | undefined) ?? NO_ROOMS;
+  const isLoading   = roomsResult.isLoading;
   const [error, setError] = useState<unknown>(null);
 
   // ── Toast state ──────────────────────────────────────────────────────────────
@@ -82,8 +86,6 @@ export default function RoomManagementPageClient() {
   // ── SignalR — react to real-time room events ─────────────────────────────────
   useSignalR({
     onRoomChange: useCallback(async (eventName: string, payload: unknown) => {
-      const data = await (roomService as { fetchAllRoomsManagement: () => Promise<RoomRow[]> }).fetchAllRoomsManagement();
-      setRooms(data);
       const actor = (payload as Record<string, string>)?.by ?? (payload as Record<string, string>)?.By ?? 'Unknown';
       const templates: Record<string, string> = {
         RoomCreated: `Room added by "${actor}".`,
@@ -94,25 +96,7 @@ export default function RoomManagementPageClient() {
     }, []),
   });
 
-  // ── Load all rooms on mount ──────────────────────────────────────────────────
-  useEffect(() => {
-    if (!isLoggedIn) { setIsLoading(false); setRooms([]); return; }
-    let mounted = true;
-    const controller = new AbortController();
-    (async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        const data = await (roomService as { fetchAllRoomsManagement: () => Promise<RoomRow[]> }).fetchAllRoomsManagement();
-        if (mounted) { setRooms(data); }
-      } catch (err) {
-        if (mounted) setError(err);
-      } finally {
-        if (mounted) setIsLoading(false);
-      }
-    })();
-    return () => { mounted = false; controller.abort(); };
-  }, [isLoggedIn, refreshKey]);
+  useEffect(() => { if (roomsResult.error) setError(roomsResult.error); }, [roomsResult.error]);
 
   // ── Helpers ──────────────────────────────────────────────────────────────────
   const showToast = (message: string, type = 'success') =>
@@ -139,6 +123,15 @@ export default function RoomManagementPageClient() {
   const closeModal = () => { setShowCreateModal(false); setEditingRoom(null); setForm(BLANK_FORM); };
 
   // ── CRUD handlers ─────────────────────────────────────────────────────────────
+  // Every change shows in the table straight away, marked "Saving…", so
+  // several rooms can be toggled in a row without waiting on each request.
+  // When the API rejects one (400 / 409) only that row is put back.
+  const showRejection = (err: unknown) => {
+    const message = rejectionMessage(err);
+    if (message) showToast(`${message} The change was undone.`, 'error');
+    else setError(err);
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!form.name || !form.capacity || !form.number || !form.location) {
@@ -151,52 +144,57 @@ export default function RoomManagementPageClient() {
       location: form.location,
       isActive: form.isActive,
     };
+    const editing = editingRoom;
+    const entered = form;
+    setError(null);
+    const change = editing
+      ? optimisticUpdate(['rooms'], editing.id, payload)
+      : optimisticInsert(['rooms'], payload);
+    closeModal();
     try {
-      setIsSubmitting(true);
-      setError(null);
-      if (editingRoom) {
-        const updated = await roomService.updateRoom(editingRoom.id, payload) as RoomRow;
-        setRooms(prev => prev.map(r => r.id === updated.id ? updated : r));
+      if (editing) {
+        const updated = await roomService.updateRoom(editing.id, payload) as RoomRow;
+        change.commit(updated);
         showToast(`Room "${updated.name}" updated successfully.`);
       } else {
         const created = await roomService.createRoom(payload) as RoomRow;
-        setRooms(prev => [...prev, created]);
+        change.commit(created);
         showToast(`Room "${created.name}" created successfully.`);
       }
-      closeModal();
     } catch (err) {
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
+      change.rollback();
+      // Reopen the form with what was entered
+      setEditingRoom(editing);
+      setForm(entered);
+      setShowCreateModal(true);
+      showRejection(err);
     }
   };
 
   const handleToggleStatus = async (room: RoomRow) => {
     const action = room.isActive ? 'deactivate' : 'activate';
     if (!confirm(`Are you sure you want to ${action} room "${room.name}"?`)) return;
+    const change = optimisticUpdate(['rooms'], room.id, { isActive: !room.isActive });
     try {
-      setIsSubmitting(true);
       const updated = await roomService.updateRoomStatus(room.id, !room.isActive) as RoomRow;
-      setRooms(prev => prev.map(r => r.id === room.id ? { ...r, isActive: updated.isActive ?? !room.isActive } : r));
+      change.commit({ isActive: updated.isActive ?? !room.isActive });
       showToast(`Room "${room.name}" ${updated.isActive ? 'activated' : 'deactivated'}.`);
     } catch (err) {
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
+      change.rollback();
+      showRejection(err);
     }
   };
 
   const handleDeactivate = async (room: RoomRow) => {
     if (!confirm(`Permanently deactivate room "${room.name}"? This cannot be undone easily.`)) return;
+    const change = optimisticUpdate(['rooms'], room.id, { isActive: false });
     try {
-      setIsSubmitting(true);
       await roomService.deleteRoom(room.id);
-      setRooms(prev => prev.map(r => r.id === room.id ? { ...r, isActive: false } : r));
+      change.commit();
       showToast(`Room "${room.name}" deactivated.`, 'warning');
     } catch (err) {
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
+      change.rollback();
+      showRejection(err);
     }
   };
 
@@ -241,7 +239,7 @@ export default function RoomManagementPageClient() {
         <div className="rm-access-wall">
           <div className="rm-access-icon">⛔</div>
           <h2>Access Denied</h2>
-          <p>Your account (<strong>{(currentUser as { username?: string })?.username ?? 'unknown'}</strong>) has role: <strong>{userRoles.join(', ') || 'none'}</strong>. Admin or FacilityManager required.</p>
+          <p>Your account (<strong>{(currentUser as { username?: string })?.username ?? 'unknown'}</strong>) has role: <strong>{userRoles.join(', ') || 'none'}</strong>. FacilityManager required.</p>
           <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>Log in with a different account below.</p>
           <LoginForm
             onLogin={async (username: string, password: string) => { await login(username, password); }}
@@ -270,7 +268,6 @@ export default function RoomManagementPageClient() {
         <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
       )}
       {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
-      {isSubmitting && <Spinner overlay message="Saving…" />}
 
       {/* ── Stats bar ───────────────────────────────────────────────────────── */}
       <div className="dashboard-stats">
@@ -292,8 +289,8 @@ export default function RoomManagementPageClient() {
       <section className="section">
         <div className="section-header">
           <h2>Room Management</h2>
-          {isAdmin && (
-            <button className="rm-btn rm-btn-success" onClick={openCreateModal} disabled={isSubmitting}>
+          {canManage && (
+            <button className="rm-btn rm-btn-success" onClick={openCreateModal}>
               + Add Room
             </button>
           )}
@@ -348,7 +345,11 @@ export default function RoomManagementPageClient() {
               </thead>
               <tbody>
                 {visibleRooms.map(room => (
-                  <tr key={room.id} className={room.isActive ? '' : 'rm-row-inactive'}>
+                  <tr
+                    key={room.id}
+                    className={[room.isActive ? '' : 'rm-row-inactive', room.isSaving ? 'rm-row-saving' : ''].join(' ').trim()}
+                    aria-busy={room.isSaving || undefined}
+                  >
                     <td>{room.id}</td>
                     <td>{room.name}</td>
                     <td>{room.number}</td>
@@ -358,12 +359,13 @@ export default function RoomManagementPageClient() {
                       <span className={`rm-badge ${room.isActive ? 'rm-badge-active' : 'rm-badge-inactive'}`}>
                         {room.isActive ? 'Active' : 'Inactive'}
                       </span>
+                      {room.isSaving && <span className="rm-saving">Saving…</span>}
                     </td>
                     <td className="rm-actions">
                       <button
                         className="rm-btn rm-btn-edit"
                         onClick={() => openEditModal(room)}
-                        disabled={isSubmitting}
+                        disabled={room.isSaving}
                         title="Edit room details"
                       >
                         Edit
@@ -371,7 +373,7 @@ export default function RoomManagementPageClient() {
                       <button
                         className={`rm-btn ${room.isActive ? 'rm-btn-warning' : 'rm-btn-success'}`}
                         onClick={() => handleToggleStatus(room)}
-                        disabled={isSubmitting}
+                        disabled={room.isSaving}
                         title={room.isActive ? 'Deactivate this room' : 'Activate this room'}
                       >
                         {room.isActive ? 'Deactivate' : 'Activate'}
@@ -380,7 +382,7 @@ export default function RoomManagementPageClient() {
                         <button
                           className="rm-btn rm-btn-danger"
                           onClick={() => handleDeactivate(room)}
-                          disabled={isSubmitting}
+                          disabled={room.isSaving}
                           title="Permanently deactivate"
                         >
                           Remove
@@ -469,11 +471,11 @@ export default function RoomManagementPageClient() {
               </div>
 
               <div className="rm-modal-footer">
-                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeModal} disabled={isSubmitting}>
+                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeModal}>
                   Cancel
                 </button>
-                <button type="submit" className="rm-btn rm-btn-primary" disabled={isSubmitting}>
-                  {isSubmitting ? 'Saving…' : editingRoom ? 'Save Changes' : 'Create Room'}
+                <button type="submit" className="rm-btn rm-btn-primary">
+                  {editingRoom ? 'Save Changes' : 'Create Room'}
                 </button>
               </div>
             </form>
@@ -8,6 +8,7 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import RoomList from '../../../src/components/RoomList';
 import RoomForm from '../../../src/components/RoomForm';
+import FindRoomPanel from '../../../src/components/FindRoomPanel';
 import Button from '../../../src/components/Button';
 import Footer from '../../../src/components/Footer';
 import LoadingSpinner from '../../../src/components/LoadingSpinner';
@@ -17,15 +18,20 @@ import * as roomService from '../../../src/services/roomService';
 import { useAuthContext } from '../../../src/context/AuthContext';
 import useSignalR from '../../../src/hooks/useSignalR';
 import useDebounce from '../../../src/hooks/useDebounce';
+import useCan from '../../../src/hooks/useCan';
+import useQuery from '../../../src/hooks/useQuery';
+import { roomsQuery } from '../../../src/api/queries';
+import { optimisticUpdate, optimisticInsert, optimisticRemove, rejectionMessage } from '../../../src/api/optimistic';
+import { readHubEvent, applyToList, matchesRoomSearch } from '../../../src/api/liveUpdates';
 import '../../../src/App.css';
 
 const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
 const ErrMsg   = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>
+const FindRoom = FindRoomPanel as unknown as React.FC<{ onSelectRoom?: (pick: unknown) => void }>;
 
-export default function RoomsPageClient() {
-  // ── Data state ───────────────────────────────────────────────────────────────
-  const [allRooms, setAllRooms] = useState<unknown[]>([]);
+const NO_ROOMS: unknown[] = [];
 
+export default function RoomsPageClient() {
   // ── Filter state ─────────────────────────────────────────────────────────────
   const [roomCapacityFilter, setRoomCapacityFilter] = useState('All');
   const [roomLocationFilter, setRoomLocationFilter] = useState('All');
@@ -35,10 +41,9 @@ export default function RoomsPageClient() {
   const [isSearching, setIsSearching] = useState(false);
   const [searchResults, setSearchResults] = useState<unknown[] | null>(null);
   const searchTermRef = useRef('');
+  const searchResultsRef = useRef<unknown[] | null>(null);
 
-  // ── Loading / error / submit ─────────────────────────────────────────────────
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+  // ── Error ────────────────────────────────────────────────────────────────────
   const [error, setError] = useState<unknown>(null);
 
   // ── Toast state ──────────────────────────────────────────────────────────────
@@ -49,11 +54,18 @@ export default function RoomsPageClient() {
   const [showRoomForm, setShowRoomForm] = useState(false);
   const [editingRoom, setEditingRoom] = useState<unknown>(null);
 
-  const { isLoggedIn, refreshKey, currentUser } = useAuthContext();
-  const isFacilityManager = (currentUser as { roles?: string[] })?.roles?.includes('FacilityManager') ?? false;
+  const { isLoggedIn } = useAuthContext();
+  const canManageRooms = useCan()('rooms.manage');
+
+  // ── Data — shared with the other dashboard tabs through the query cache ──────
+  const roomsResult = useQuery(roomsQuery(), { enabled: isLoggedIn });
+  const allRooms    = (roomsResult.data as unknown[] | undefined) ?? NO_ROOMS;
+  const isLoading   = roomsResult.isLoading;
+  const hasLoadedRef = useRef(false);
 
   // Keep ref in sync so stable SignalR callback can read latest search term
   useEffect(() => { searchTermRef.current = searchTerm; }, [searchTerm]);
+  useEffect(() => { searchResultsRef.current = searchResults; }, [searchResults]);
 
   // ── Debounced search: fires GET /Room?name=… 400ms after typing ───────────────
   const debouncedSearch = useDebounce(searchTerm, 400);
@@ -82,13 +94,14 @@ export default function RoomsPageClient() {
   // ── SignalR — room events only ───────────────────────────────────────────────
   useSignalR({
     onRoomChange: useCallback(async (eventName: string, payload: unknown) => {
+      // The room lists come patched from the cache; search results are
+      // patched here, and searched again only when the payload can't say
       const currentSearch = searchTermRef.current.trim();
-      if (currentSearch) {
-        const results = await roomService.searchRooms(currentSearch);
-        setSearchResults(results);
-      } else {
-        const rooms = await roomService.fetchAllRooms();
-        setAllRooms(rooms);
+      const results = searchResultsRef.current;
+      if (currentSearch && results) {
+        const change = readHubEvent(eventName, payload);
+        const patched = change && applyToList(results, change, { belongs: room => matchesRoomSearch(room, currentSearch) });
+        setSearchResults(patched ?? await roomService.searchRooms(currentSearch));
       }
       const actor = (payload as Record<string, string>)?.by ?? (payload as Record<string, string>)?.By ?? 'Unknown';
       const templates: Record<string, string> = {
@@ -100,36 +113,13 @@ export default function RoomsPageClient() {
     }, []),
   });
 
-  // ── Fetch data on mount / login change ───────────────────────────────────────
   useEffect(() => {
-    if (!isLoggedIn) {
-      setIsLoading(false);
-      setAllRooms([]);
-      setFilteredRooms([]);
-      return;
-    }
+    if (!roomsResult.data || hasLoadedRef.current) return;
+    hasLoadedRef.current = true;
+    setToast({ show: true, message: `Loaded ${(roomsResult.data as unknown[]).length} rooms.`, type: 'success' });
+  }, [roomsResult.data]);
 
-    const controller = new AbortController();
-    let mounted = true;
-
-    (async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        const data = await roomService.fetchAllRooms();
-        if (mounted && !controller.signal.aborted) {
-          setAllRooms(data);
-          setToast({ show: true, message: `Loaded ${(data as unknown[]).length} rooms.`, type: 'success' });
-        }
-      } catch (err) {
-        if (mounted && !controller.signal.aborted) setError(err);
-      } finally {
-        if (mounted) setIsLoading(false);
-      }
-    })();
-
-    return () => { mounted = false; controller.abort(); };
-  }, [isLoggedIn, refreshKey]);
+  useEffect(() => { if (roomsResult.error) setError(roomsResult.error); }, [roomsResult.error]);
 
   // ── Derived unique locations for filter dropdown ─────────────────────────────
   const uniqueRoomLocations = useMemo(() => {
@@ -151,38 +141,46 @@ export default function RoomsPageClient() {
   }, [roomCapacityFilter, roomLocationFilter, allRooms, searchResults]);
 
   // ── Room CRUD handlers ────────────────────────────────────────────────────────
+  // Changes show in the list straight away, marked "Saving…"
+  // (src/api/optimistic.js), and are undone when the API rejects them.
+  const showRejection = (err: unknown) => {
+    const message = rejectionMessage(err);
+    if (message) setToast({ show: true, message: `${message} The change was undone.`, type: 'error' });
+    else setError(err);
+  };
+
   const handleRoomSubmit = async (roomData: Record<string, unknown>) => {
+    setError(null);
+    const change = editingRoom
+      ? optimisticUpdate(['rooms'], roomData.id as number, roomData)
+      : optimisticInsert(['rooms'], { ...roomData, isActive: true });
+    setShowRoomForm(false);
+    setEditingRoom(null);
     try {
-      setIsSubmitting(true);
-      setError(null);
       if (editingRoom) {
-        const updated = await roomService.updateRoom(roomData.id as number, roomData);
-        setAllRooms(prev => (prev as { id: unknown }[]).map(r => r.id === (updated as { id: unknown }).id ? updated : r));
-        setShowRoomForm(false);
-        setEditingRoom(null);
+        change.commit(await roomService.updateRoom(roomData.id as number, roomData) as object);
         setToast({ show: true, message: 'Room updated successfully!', type: 'success' });
       } else {
-        const created = await roomService.createRoom(roomData);
-        setAllRooms(prev => [...prev, created]);
-        setShowRoomForm(false);
+        change.commit(await roomService.createRoom(roomData) as object);
         setToast({ show: true, message: 'Room created successfully!', type: 'success' });
       }
     } catch (err) {
-      setError(err);
-    } finally {
-      setIsSubmitting(false);
+      change.rollback();
+      showRejection(err);
     }
   };
 
   const handleDeleteRoom = async (roomId: unknown) => {
     if (!confirm('Are you sure you want to delete this room?')) return;
+    setError(null);
+    const change = optimisticRemove(['rooms', 'active'], roomId as number);
     try {
-      setError(null);
       await roomService.deleteRoom(roomId as number);
-      setAllRooms(prev => (prev as { id: unknown }[]).filter(r => r.id !== roomId));
+      change.commit();
       setToast({ show: true, message: 'Room deleted successfully!', type: 'success' });
     } catch (err) {
-      setError(err);
+      change.rollback();
+      showRejection(err);
     }
   };
 
@@ -217,7 +215,6 @@ export default function RoomsPageClient() {
         <Toast message={toastRemote.message} type={toastRemote.type} onClose={() => setToastRemote(t => ({ ...t, show: false }))} className="toast-remote" />
       )}
       {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
-      {isSubmitting && <Spinner overlay message="Saving…" />}
 
       <div className="dashboard-stats">
         <div className="stat-card">
@@ -226,15 +223,16 @@ export default function RoomsPageClient() {
         </div>
       </div>
 
+      <FindRoom />
+
       <section className="section">
         <div className="section-header">
           <h2>Rooms Management</h2>
-          {isFacilityManager && (
+          {canManageRooms && (
             <Button
               label={showRoomForm ? 'Hide Form' : 'Add Room'}
               variant="success"
               onClick={() => { setShowRoomForm(s => !s); setEditingRoom(null); }}
-              disabled={isSubmitting}
             />
           )}
         </div>
@@ -278,7 +276,7 @@ export default function RoomsPageClient() {
             initialData={editingRoom}
           />
         )}
-            <RoomList rooms={filteredRooms} onEdit={isFacilityManager ? handleEditRoom : undefined} onDelete={isFacilityManager ? handleDeleteRoom : undefined} />
+            <RoomList rooms={filteredRooms} onEdit={canManageRooms ? handleEditRoom : undefined} onDelete={canManageRooms ? handleDeleteRoom : undefined} />
       </section>
 
       <Footer />
@@ -0,0 +1,583 @@
+'use client';
+// app/dashboard/sessions/SessionsPageClient.tsx
+//
+// Conference session scheduling (talks / tracks run by the events team).
+// Any signed-in user can view, edit, assign and delete sessions; creating a
+// session is Admin only.
+// Endpoints consumed:
+//   GET    /api/ConferenceSession            – list all sessions
+//   POST   /api/ConferenceSession            – create session (Admin only)
+//   PUT    /api/ConferenceSession/{id}       – update / assign to a room
+//   DELETE /api/ConferenceSession/{id}       – delete session
+//   GET    /api/Room                         – active rooms for the room pickers
+
+import { useState, useEffect, useMemo } from 'react';
+import Toast from '../../../src/components/Toast';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import Footer from '../../../src/components/Footer';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import useCan from '../../../src/hooks/useCan';
+import * as sessionService from '../../../src/services/sessionService';
+import * as roomService from '../../../src/services/roomService';
+import '../../../src/App.css';
+import '../room-management/RoomManagement.css';
+import './Sessions.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg  = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+
+interface SessionRow {
+  id: number;
+  title: string;
+  description?: string | null;
+  capacity: number;
+  startTime: string;
+  endTime: string;
+  roomId?: number | null;
+  roomName?: string | null;
+  roomLocation?: string | null;
+}
+
+interface RoomOption {
+  id: number;
+  name: string;
+  capacity: number;
+  location: string;
+}
+
+interface FormState {
+  title: string;
+  description: string;
+  capacity: string | number;
+  startTime: string;
+  endTime: string;
+  roomId: string;
+}
+
+// ── Blank form state ──────────────────────────────────────────────────────────
+const BLANK_FORM: FormState = { title: '', description: '', capacity: '', startTime: '', endTime: '', roomId: '' };
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+// The API explains 400s in { message } — prefer that over axios' generic text.
+const serverError = (err: unknown) =>
+  (err as { response?: { data?: { message?: string } } })?.response?.data?.message
+  ?? (err as { message?: string })?.message
+  ?? 'Something went wrong.';
+
+// datetime-local "2026-03-10T09:00" → "2026-03-10T09:00:00+02:00" (same
+// local-offset format BookingForm sends for DateTimeOffset fields).
+function toOffsetIso(local: string): string {
+  const date = new Date(local);
+  const pad = (n: number) => String(Math.abs(n)).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:00` +
+    `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// API DateTimeOffset → value for <input type="datetime-local"> in local time
+function toLocalInput(value: string): string {
+  const date = new Date(value);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatSlot(startTime: string, endTime: string): string {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const time = (d: Date) => d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `${start.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}, ${time(start)}–${time(end)}`;
+}
+
+// Rooms that can seat the session first (tightest fit at the top), then the
+// ones that are too small.
+const roomsByFit = (rooms: RoomOption[], capacity: number) =>
+  [...rooms].sort((a, b) => {
+    const aFits = a.capacity >= capacity, bFits = b.capacity >= capacity;
+    if (aFits !== bFits) return aFits ? -1 : 1;
+    return a.capacity - b.capacity;
+  });
+
+export default function SessionsPageClient() {
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, refreshKey } = useAuthContext();
+  const canCreate = useCan()('sessions.create'); // POST /ConferenceSession is Admin only
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [sessions, setSessions]         = useState<SessionRow[]>([]);
+  const [rooms, setRooms]               = useState<RoomOption[]>([]);
+  const [isLoading, setIsLoading]       = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError]               = useState<unknown>(null);
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+
+  // ── Modal / form state ────────────────────────────────────────────────────────
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingSession, setEditingSession] = useState<SessionRow | null>(null);
+  const [form, setForm]                   = useState<FormState>(BLANK_FORM);
+  const [assigningSession, setAssigningSession] = useState<SessionRow | null>(null);
+  const [assignRoomId, setAssignRoomId]   = useState('');
+  const [modalError, setModalError]       = useState<string | null>(null);
+
+  // ── Filter state ─────────────────────────────────────────────────────────────
+  const [assignmentFilter, setAssignmentFilter] = useState<'all' | 'assigned' | 'unassigned'>('all');
+  const [locationFilter, setLocationFilter]     = useState('All');
+  const [search, setSearch]                     = useState('');
+
+  // ── Load sessions + rooms ────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn) { setIsLoading(false); setSessions([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [sessionData, roomData] = await Promise.all([
+          sessionService.fetchAllSessions() as Promise<SessionRow[]>,
+          roomService.fetchAllRooms() as Promise<RoomOption[]>,
+        ]);
+        if (!mounted) return;
+        setSessions(sessionData);
+        setRooms(roomData);
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, refreshKey]);
+
+  const showToast = (message: string, type = 'success') =>
+    setToast({ show: true, message, type });
+
+  // ── Modal helpers ────────────────────────────────────────────────────────────
+  const openCreateModal = () => {
+    setEditingSession(null);
+    setForm(BLANK_FORM);
+    setModalError(null);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (session: SessionRow) => {
+    setEditingSession(session);
+    setForm({
+      title:       session.title,
+      description: session.description ?? '',
+      capacity:    session.capacity,
+      startTime:   toLocalInput(session.startTime),
+      endTime:     toLocalInput(session.endTime),
+      roomId:      session.roomId ? String(session.roomId) : '',
+    });
+    setModalError(null);
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => { setShowFormModal(false); setEditingSession(null); setForm(BLANK_FORM); };
+
+  const openAssignModal = (session: SessionRow) => {
+    setAssigningSession(session);
+    // Preselect the tightest room that fits, if there is one.
+    const best = roomsByFit(rooms, session.capacity).find(r => r.capacity >= session.capacity);
+    setAssignRoomId(session.roomId ? String(session.roomId) : best ? String(best.id) : '');
+    setModalError(null);
+  };
+
+  const closeAssignModal = () => { setAssigningSession(null); setAssignRoomId(''); };
+
+  const roomById = (id: string | number | null | undefined) => rooms.find(r => r.id === Number(id));
+
+  // ── CRUD handlers ─────────────────────────────────────────────────────────────
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setModalError(null);
+    if (!form.title.trim() || !form.capacity || !form.startTime || !form.endTime) {
+      setModalError('Please fill in all required fields.'); return;
+    }
+    if (new Date(form.endTime) <= new Date(form.startTime)) {
+      setModalError('End time must be after start time.'); return;
+    }
+    const room = roomById(form.roomId);
+    if (room && Number(form.capacity) > room.capacity) {
+      setModalError(`"${room.name}" seats ${room.capacity} — too small for ${form.capacity} attendees.`); return;
+    }
+    const payload = {
+      title:       form.title,
+      description: form.description,
+      capacity:    Number(form.capacity),
+      startTime:   toOffsetIso(form.startTime),
+      endTime:     toOffsetIso(form.endTime),
+      roomId:      form.roomId ? Number(form.roomId) : null,
+    };
+    try {
+      setIsSubmitting(true);
+      if (editingSession) {
+        const updated = await sessionService.updateSession(editingSession.id, payload) as SessionRow;
+        setSessions(prev => prev.map(s => s.id === updated.id ? updated : s));
+        showToast(`Session "${updated.title}" updated.`);
+      } else {
+        const created = await sessionService.createSession(payload) as SessionRow;
+        setSessions(prev => [...prev, created]);
+        showToast(`Session "${created.title}" created.`);
+      }
+      closeFormModal();
+    } catch (err) {
+      setModalError(serverError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAssign = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!assigningSession) return;
+    const room = roomById(assignRoomId);
+    if (!room) { setModalError('Please choose a room.'); return; }
+    if (assigningSession.capacity > room.capacity) {
+      setModalError(`"${room.name}" seats ${room.capacity} — too small for ${assigningSession.capacity} attendees.`); return;
+    }
+    try {
+      setIsSubmitting(true);
+      setModalError(null);
+      const updated = await sessionService.assignSessionToRoom(assigningSession, room.id) as SessionRow;
+      setSessions(prev => prev.map(s => s.id === updated.id ? updated : s));
+      showToast(`"${updated.title}" assigned to ${room.name}.`);
+      closeAssignModal();
+    } catch (err) {
+      setModalError(serverError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (session: SessionRow) => {
+    if (!confirm(`Delete session "${session.title}"? This cannot be undone.`)) return;
+    try {
+      setIsSubmitting(true);
+      await sessionService.deleteSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      showToast(`Session "${session.title}" deleted.`, 'warning');
+    } catch (err) {
+      setError(serverError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // ── Derived list ─────────────────────────────────────────────────────────────
+  const locations = useMemo(
+    () => Array.from(new Set(sessions.map(s => s.roomLocation).filter(Boolean) as string[])).sort(),
+    [sessions]
+  );
+
+  const visibleSessions = useMemo(() => sessions
+    .filter(s => {
+      if (assignmentFilter === 'assigned')   return !!s.roomId;
+      if (assignmentFilter === 'unassigned') return !s.roomId;
+      return true;
+    })
+    .filter(s => locationFilter === 'All' || s.roomLocation === locationFilter)
+    .filter(s => !search || s.title.toLowerCase().includes(search.toLowerCase()))
+    .sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime()),
+  [sessions, assignmentFilter, locationFilter, search]);
+
+  const unassignedCount = sessions.filter(s => !s.roomId).length;
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading) return <Spinner overlay message="Loading sessions…" />;
+
+  if (error && sessions.length === 0) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => window.location.reload()} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  const formCapacity = Number(form.capacity) || 0;
+  const assignCapacity = assigningSession?.capacity ?? 0;
+
+  return (
+    <div className="app-container">
+      {/* ── Toasts ──────────────────────────────────────────────────────────── */}
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+      {isSubmitting && <Spinner overlay message="Saving…" />}
+
+      {/* ── Stats bar ───────────────────────────────────────────────────────── */}
+      <div className="dashboard-stats">
+        <div className="stat-card">
+          <h3>Total Sessions</h3>
+          <p className="stat-number">{sessions.length}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Assigned</h3>
+          <p className="stat-number">{sessions.length - unassignedCount}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Needs a Room</h3>
+          <p className="stat-number">{unassignedCount}</p>
+        </div>
+      </div>
+
+      <section className="section">
+        <div className="section-header">
+          <h2>Conference Sessions</h2>
+          {canCreate && (
+            <button className="rm-btn rm-btn-success" onClick={openCreateModal} disabled={isSubmitting}>
+              + New Session
+            </button>
+          )}
+        </div>
+
+        {/* ── Filters ───────────────────────────────────────────────────────── */}
+        <div className="filter-section">
+          <div className="filter-group">
+            <label htmlFor="cs-search">Search:</label>
+            <input
+              id="cs-search"
+              type="text"
+              className="filter-select"
+              placeholder="Session title…"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="cs-assignment">Room:</label>
+            <select
+              id="cs-assignment"
+              className="filter-select"
+              value={assignmentFilter}
+              onChange={e => setAssignmentFilter(e.target.value as 'all' | 'assigned' | 'unassigned')}
+            >
+              <option value="all">All</option>
+              <option value="assigned">Assigned</option>
+              <option value="unassigned">Unassigned</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="cs-location">Location:</label>
+            <select id="cs-location" className="filter-select" value={locationFilter} onChange={e => setLocationFilter(e.target.value)}>
+              <option value="All">All Locations</option>
+              {locations.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* ── Session table ─────────────────────────────────────────────────── */}
+        {visibleSessions.length === 0 ? (
+          <p className="empty-message">No sessions match the current filters.</p>
+        ) : (
+          <div className="rm-table-wrapper">
+            <table className="rm-table">
+              <thead>
+                <tr>
+                  <th>Session</th>
+                  <th>When</th>
+                  <th>Capacity</th>
+                  <th>Room</th>
+                  <th>Location</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleSessions.map(session => (
+                  <tr key={session.id}>
+                    <td>
+                      <span className="cs-title">{session.title}</span>
+                      {session.description && <span className="cs-description">{session.description}</span>}
+                    </td>
+                    <td>{formatSlot(session.startTime, session.endTime)}</td>
+                    <td>{session.capacity}</td>
+                    <td>
+                      {session.roomName ?? <span className="rm-badge rm-badge-inactive">Unassigned</span>}
+                    </td>
+                    <td>{session.roomLocation ?? '—'}</td>
+                    <td className="rm-actions">
+                      <button
+                        className={`rm-btn ${session.roomId ? 'rm-btn-secondary' : 'rm-btn-success'}`}
+                        onClick={() => openAssignModal(session)}
+                        disabled={isSubmitting}
+                        title={session.roomId ? 'Move to another room' : 'Assign a room'}
+                      >
+                        {session.roomId ? 'Move' : 'Assign'}
+                      </button>
+                      <button
+                        className="rm-btn rm-btn-edit"
+                        onClick={() => openEditModal(session)}
+                        disabled={isSubmitting}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="rm-btn rm-btn-danger"
+                        onClick={() => handleDelete(session)}
+                        disabled={isSubmitting}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {/* ── Create / Edit Modal ──────────────────────────────────────────────── */}
+      {showFormModal && (
+        <div className="rm-modal-overlay" onClick={e => { if (e.target === e.currentTarget) closeFormModal(); }}>
+          <div className="rm-modal">
+            <div className="rm-modal-header">
+              <h3>{editingSession ? `Edit Session — ${editingSession.title}` : 'New Session'}</h3>
+              <button className="rm-modal-close" onClick={closeFormModal} aria-label="Close">✕</button>
+            </div>
+            <form className="rm-form" onSubmit={handleSubmit}>
+              {modalError && <p className="cs-modal-error" role="alert">{modalError}</p>}
+
+              <div className="rm-form-group">
+                <label htmlFor="cs-title">Title <span className="required">*</span></label>
+                <input
+                  id="cs-title"
+                  type="text"
+                  value={form.title}
+                  onChange={e => setForm(f => ({ ...f, title: e.target.value }))}
+                  placeholder="e.g., Keynote: The Year Ahead"
+                  required
+                />
+              </div>
+
+              <div className="rm-form-group">
+                <label htmlFor="cs-description">Description</label>
+                <textarea
+                  id="cs-description"
+                  rows={2}
+                  value={form.description}
+                  onChange={e => setForm(f => ({ ...f, description: e.target.value }))}
+                />
+              </div>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="cs-start">Start <span className="required">*</span></label>
+                  <input
+                    id="cs-start"
+                    type="datetime-local"
+                    value={form.startTime}
+                    onChange={e => setForm(f => ({ ...f, startTime: e.target.value }))}
+                    required
+                  />
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="cs-end">End <span className="required">*</span></label>
+                  <input
+                    id="cs-end"
+                    type="datetime-local"
+                    value={form.endTime}
+                    min={form.startTime || undefined}
+                    onChange={e => setForm(f => ({ ...f, endTime: e.target.value }))}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="cs-capacity">Capacity <span className="required">*</span></label>
+                  <input
+                    id="cs-capacity"
+                    type="number"
+                    min={1}
+                    value={form.capacity}
+                    onChange={e => setForm(f => ({ ...f, capacity: e.target.value }))}
+                    placeholder="e.g., 40"
+                    required
+                  />
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="cs-room">Room</label>
+                  <select
+                    id="cs-room"
+                    value={form.roomId}
+                    onChange={e => setForm(f => ({ ...f, roomId: e.target.value }))}
+                  >
+                    <option value="">Unassigned</option>
+                    {roomsByFit(rooms, formCapacity).map(room => (
+                      <option key={room.id} value={room.id} disabled={room.capacity < formCapacity}>
+                        {room.name} · {room.location} · {room.capacity} seats{room.capacity < formCapacity ? ' (too small)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="rm-modal-footer">
+                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeFormModal} disabled={isSubmitting}>
+                  Cancel
+                </button>
+                <button type="submit" className="rm-btn rm-btn-primary" disabled={isSubmitting}>
+                  {isSubmitting ? 'Saving…' : editingSession ? 'Save Changes' : 'Create Session'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ── Assign Room Modal ────────────────────────────────────────────────── */}
+      {assigningSession && (
+        <div className="rm-modal-overlay" onClick={e => { if (e.target === e.currentTarget) closeAssignModal(); }}>
+          <div className="rm-modal">
+            <div className="rm-modal-header">
+              <h3>Assign Room — {assigningSession.title}</h3>
+              <button className="rm-modal-close" onClick={closeAssignModal} aria-label="Close">✕</button>
+            </div>
+            <form className="rm-form" onSubmit={handleAssign}>
+              {modalError && <p className="cs-modal-error" role="alert">{modalError}</p>}
+              <p className="cs-assign-summary">
+                {formatSlot(assigningSession.startTime, assigningSession.endTime)} · needs <strong>{assignCapacity}</strong> seats
+              </p>
+              <div className="rm-form-group">
+                <label htmlFor="cs-assign-room">Room <span className="required">*</span></label>
+                <select
+                  id="cs-assign-room"
+                  value={assignRoomId}
+                  onChange={e => { setAssignRoomId(e.target.value); setModalError(null); }}
+                  required
+                >
+                  <option value="" disabled>Choose a room…</option>
+                  {roomsByFit(rooms, assignCapacity).map(room => (
+                    <option key={room.id} value={room.id} disabled={room.capacity < assignCapacity}>
+                      {room.name} · {room.location} · {room.capacity} seats{room.capacity < assignCapacity ? ' (too small)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {!rooms.some(r => r.capacity >= assignCapacity) && (
+                <p className="cs-modal-error">No active room can seat {assignCapacity} people. Reduce the capacity first.</p>
+              )}
+              <div className="rm-modal-footer">
+                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeAssignModal} disabled={isSubmitting}>
+                  Cancel
+                </button>
+                <button type="submit" className="rm-btn rm-btn-primary" disabled={isSubmitting || !assignRoomId}>
+                  Assign
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </div>
+  );
+}
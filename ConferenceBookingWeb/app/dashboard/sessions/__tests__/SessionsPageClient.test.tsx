@@ -0,0 +1,113 @@
+/**
+ * SessionsPageClient.test.tsx
+ *
+ * Tests assigning a conference session to a room:
+ *   1. Assign    — the tightest room that fits is preselected and the
+ *                  session is saved with it
+ *   2. Too small — a room with too few seats is refused before any API call
+ *   3. Rejected  — the API's { message } is shown and the modal stays open
+ *
+ * Strategy: mock sessionService and roomService so no real HTTP calls are
+ * made. AuthContext is mocked to supply an Employee (no "New Session").
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
+import SessionsPageClient from '../SessionsPageClient';
+import * as sessionService from '../../../../src/services/sessionService';
+import * as roomService from '../../../../src/services/roomService';
+
+// ── Mock the service modules ─────────────────────────────────────────────────
+jest.mock('../../../../src/services/sessionService');
+jest.mock('../../../../src/services/roomService');
+
+jest.mock('../../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({
+    isLoggedIn: true,
+    refreshKey: 0,
+    currentUser: { username: 'jane', roles: ['Employee'] },
+  }),
+}));
+
+const mockFetchAllSessions = sessionService.fetchAllSessions as jest.Mock;
+const mockAssignSessionToRoom = sessionService.assignSessionToRoom as jest.Mock;
+const mockFetchAllRooms = roomService.fetchAllRooms as jest.Mock;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const KEYNOTE = {
+  id: 7,
+  title: 'Keynote: The Year Ahead',
+  description: null,
+  capacity: 40,
+  startTime: '2026-03-10T09:00:00+00:00',
+  endTime: '2026-03-10T10:00:00+00:00',
+  roomId: null,
+  roomName: null,
+  roomLocation: null,
+};
+
+const ROOMS = [
+  { id: 1, name: 'Main Hall', capacity: 120, location: 'London' },
+  { id: 2, name: 'Boardroom', capacity: 12, location: 'London' },
+  { id: 3, name: 'Training Room', capacity: 50, location: 'Cape Town' },
+];
+
+async function openAssignModal() {
+  render(<SessionsPageClient />);
+  await screen.findByText(KEYNOTE.title);
+  fireEvent.click(screen.getByRole('button', { name: 'Assign' }));
+  return screen.getByRole('heading', { name: `Assign Room — ${KEYNOTE.title}` }).closest('.rm-modal') as HTMLElement;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('SessionsPageClient', () => {
+  beforeEach(() => {
+    mockFetchAllSessions.mockResolvedValue([KEYNOTE]);
+    mockFetchAllRooms.mockResolvedValue(ROOMS);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('assigns a session to the tightest room that fits', async () => {
+    mockAssignSessionToRoom.mockResolvedValue({ ...KEYNOTE, roomId: 3, roomName: 'Training Room', roomLocation: 'Cape Town' });
+    const modal = await openAssignModal();
+
+    const picker = within(modal).getByLabelText(/Room/) as HTMLSelectElement;
+    expect(picker.value).toBe('3');
+    expect(within(modal).getByRole('option', { name: /Boardroom.*\(too small\)/ })).toBeDisabled();
+
+    fireEvent.click(within(modal).getByRole('button', { name: 'Assign' }));
+
+    expect(await screen.findByText('"Keynote: The Year Ahead" assigned to Training Room.')).toBeInTheDocument();
+    expect(mockAssignSessionToRoom).toHaveBeenCalledWith(KEYNOTE, 3);
+    expect(screen.queryByRole('heading', { name: /Assign Room/ })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Move' })).toBeInTheDocument();
+  });
+
+  it('refuses a room that is too small without calling the API', async () => {
+    const modal = await openAssignModal();
+
+    fireEvent.change(within(modal).getByLabelText(/Room/), { target: { value: '2' } });
+    fireEvent.click(within(modal).getByRole('button', { name: 'Assign' }));
+
+    expect(await within(modal).findByRole('alert')).toHaveTextContent('"Boardroom" seats 12 — too small for 40 attendees.');
+    expect(mockAssignSessionToRoom).not.toHaveBeenCalled();
+  });
+
+  it("shows the API's reason when the assignment is rejected", async () => {
+    // The room shrank since the page loaded — only the server knows
+    mockAssignSessionToRoom.mockRejectedValue(Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { message: 'Session capacity (40) exceeds room capacity (30).' } },
+    }));
+    const modal = await openAssignModal();
+
+    fireEvent.click(within(modal).getByRole('button', { name: 'Assign' }));
+
+    expect(await within(modal).findByRole('alert')).toHaveTextContent('Session capacity (40) exceeds room capacity (30).');
+    await waitFor(() => expect(within(modal).getByRole('button', { name: 'Assign' })).toBeEnabled());
+    expect(screen.getByText('Unassigned', { selector: '.rm-badge' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,24 @@
+'use client';
+// app/dashboard/sessions/page.tsx
+// Route: /dashboard/sessions
+//
+// 'use client' + dynamic import with ssr:false required because the client
+// component reads localStorage (JWT) through the auth context.
+
+import dynamic from 'next/dynamic';
+
+const SessionsPageClient = dynamic(
+  () => import('./SessionsPageClient'),
+  {
+    ssr: false,
+    loading: () => (
+      <div style={{ padding: '4rem', textAlign: 'center', color: '#666' }}>
+        Loading sessions…
+      </div>
+    ),
+  }
+);
+
+export default function SessionsPage() {
+  return <SessionsPageClient />;
+}
@@ -0,0 +1,548 @@
+'use client';
+// app/dashboard/users/UsersPageClient.tsx
+//
+// User administration console. Accessible by Admin & FacilityManager.
+// FacilityManager can browse and edit profile details; only Admin can create
+// users, change roles and deactivate/reactivate accounts.
+// Endpoints consumed:
+//   GET    /api/UserManagement/fetch/true|false  – paginated user list (Admin, FacilityManager)
+//   POST   /api/UserManagement/create            – create user         (Admin only)
+//   PUT    /api/UserManagement/{id}/update       – update user         (Admin, FacilityManager)
+//   DELETE /api/UserManagement/{id}/deactivate   – soft delete + reason (Admin only)
+//   POST   /api/UserManagement/{id}/reactivate   – reactivate          (Admin only)
+//   PATCH  /api/UserManagement/{id}/status       – reactivate + reason (Admin only)
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Toast from '../../../src/components/Toast';
+import LoadingSpinner from '../../../src/components/LoadingSpinner';
+import ErrorMessage from '../../../src/components/ErrorMessage';
+import Footer from '../../../src/components/Footer';
+import { useAuthContext } from '../../../src/context/AuthContext';
+import useCan from '../../../src/hooks/useCan';
+import * as userService from '../../../src/services/userService';
+import { USER_ROLES, NOTIFICATION_PREFERENCES } from '../../../src/dto/CreateUserDTO';
+import { ROOM_LOCATIONS } from '../../../src/dto/CreateRoomDTO';
+import '../../../src/App.css';
+import '../room-management/RoomManagement.css';
+import './Users.css';
+
+// ── Type casts for untyped JSX components ────────────────────────────────────
+const Spinner = LoadingSpinner as unknown as React.FC<{ overlay?: boolean; message?: string }>;
+const ErrMsg  = ErrorMessage  as unknown as React.FC<{ error: unknown; onRetry?: () => void; onDismiss?: () => void }>;
+
+const PAGE_SIZES = [10, 25, 50];
+
+// The API explains 400s in { message } ("Email already in use by another user")
+// — prefer that over axios' generic "Request failed with status code 400".
+const serverError = (err: unknown) =>
+  (err as { response?: { data?: { message?: string } } })?.response?.data?.message ?? err;
+
+export interface UserRow {
+  id: string;
+  firstName: string;
+  lastName: string;
+  fullName: string;
+  email: string;
+  phoneNumber?: string | null;
+  department?: string | null;
+  employeeNumber?: string | null;
+  primaryLocation?: string | null;
+  preferredLocation?: string | null;
+  notificationPreferences: string;
+  isActive: boolean;
+  roles: string[];
+  dateJoined: string;
+  lastLoginDate?: string | null;
+  deletedAt?: string | null;
+}
+
+interface PagedUsers {
+  data: UserRow[];
+  currentPage: number;
+  pageSize: number;
+  totalRecords: number;
+  totalPages: number;
+}
+
+interface FormState {
+  firstName: string;
+  lastName: string;
+  email: string;
+  phoneNumber: string;
+  password: string;
+  role: string;
+  department: string;
+  employeeNumber: string;
+  primaryLocation: string;
+  preferredLocation: string;
+  notificationPreferences: string;
+}
+
+// ── Blank form state ──────────────────────────────────────────────────────────
+const BLANK_FORM: FormState = {
+  firstName: '', lastName: '', email: '', phoneNumber: '', password: '',
+  role: 'Employee', department: '', employeeNumber: '',
+  primaryLocation: '', preferredLocation: '', notificationPreferences: 'Email',
+};
+
+export default function UsersPageClient() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  // ── Auth ─────────────────────────────────────────────────────────────────────
+  const { isLoggedIn, currentUser, refreshKey } = useAuthContext();
+  const can       = useCan();
+  const canView   = can('users.list');
+  const canCreate = can('users.create');
+  const selfEmail = (currentUser as { email?: string })?.email;
+
+  // ── Data state ───────────────────────────────────────────────────────────────
+  const [users, setUsers]               = useState<UserRow[]>([]);
+  const [totalRecords, setTotalRecords] = useState(0);
+  const [totalPages, setTotalPages]     = useState(1);
+  const [isLoading, setIsLoading]       = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError]               = useState<unknown>(null);
+  // Bumped after a status change so the current page is re-fetched
+  const [reloadKey, setReloadKey]       = useState(0);
+
+  // ── Paging / filter state ────────────────────────────────────────────────────
+  const [statusFilter, setStatusFilter] = useState<'active' | 'inactive'>('active');
+  const [page, setPage]                 = useState(1);
+  const [pageSize, setPageSize]         = useState(PAGE_SIZES[0]);
+
+  // ── Toast state ──────────────────────────────────────────────────────────────
+  const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
+
+  // ── Modal / form state ────────────────────────────────────────────────────────
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingUser, setEditingUser]     = useState<UserRow | null>(null);
+  const [form, setForm]                   = useState<FormState>(BLANK_FORM);
+  const [statusTarget, setStatusTarget]   = useState<UserRow | null>(null);
+  const [reason, setReason]               = useState('');
+
+  // ── Load current page ────────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn || !canView) { setIsLoading(false); setUsers([]); return; }
+    let mounted = true;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const res = await userService.fetchUsersByStatus(statusFilter === 'active', page, pageSize) as PagedUsers;
+        if (!mounted) return;
+        setUsers(res?.data ?? []);
+        setTotalRecords(res?.totalRecords ?? 0);
+        setTotalPages(Math.max(1, res?.totalPages ?? 1));
+      } catch (err) {
+        if (mounted) setError(err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+    return () => { mounted = false; };
+  }, [isLoggedIn, canView, refreshKey, statusFilter, page, pageSize, reloadKey]);
+
+  // ── ?create=1 (from the header's "Create New User" button) opens the modal ──
+  useEffect(() => {
+    if (canCreate && searchParams.get('create') === '1') {
+      openCreateModal();
+      router.replace('/dashboard/users');
+    }
+  }, [canCreate, searchParams, router]);
+
+  // ── Helpers ──────────────────────────────────────────────────────────────────
+  const showToast = (message: string, type = 'success') =>
+    setToast({ show: true, message, type });
+
+  const openCreateModal = () => {
+    setEditingUser(null);
+    setForm(BLANK_FORM);
+    setShowFormModal(true);
+  };
+
+  const openEditModal = (user: UserRow) => {
+    setEditingUser(user);
+    setForm({
+      firstName:               user.firstName,
+      lastName:                user.lastName,
+      email:                   user.email,
+      phoneNumber:             user.phoneNumber ?? '',
+      password:                '',
+      role:                    user.roles[0] ?? 'Employee',
+      department:              user.department ?? '',
+      employeeNumber:          user.employeeNumber ?? '',
+      primaryLocation:         user.primaryLocation ?? '',
+      preferredLocation:       user.preferredLocation ?? '',
+      notificationPreferences: user.notificationPreferences || 'Email',
+    });
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => { setShowFormModal(false); setEditingUser(null); setForm(BLANK_FORM); };
+
+  const openStatusModal = (user: UserRow) => { setStatusTarget(user); setReason(''); };
+  const closeStatusModal = () => { setStatusTarget(null); setReason(''); };
+
+  const setField = (field: keyof FormState) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+      setForm(f => ({ ...f, [field]: e.target.value }));
+
+  // ── CRUD handlers ─────────────────────────────────────────────────────────────
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.firstName || !form.lastName || !form.email) {
+      showToast('Please fill in all required fields.', 'error'); return;
+    }
+    if (!editingUser && form.password.length < 6) {
+      showToast('Password must be at least 6 characters.', 'error'); return;
+    }
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      if (editingUser) {
+        // Role is only sent by Admin — the backend ignores it for anyone else.
+        const { password: _password, role, ...details } = form;
+        const updated = await userService.updateUser(editingUser.id, can('users.changeRole') ? { ...details, role } : details) as UserRow;
+        setUsers(prev => prev.map(u => u.id === updated.id ? updated : u));
+        showToast(`User "${updated.fullName}" updated successfully.`);
+      } else {
+        const created = await userService.createUser(form) as UserRow;
+        // New users are active — show them if we're on the active list.
+        if (statusFilter === 'active') setReloadKey(k => k + 1);
+        showToast(`User "${created.fullName}" created successfully.`);
+      }
+      closeFormModal();
+    } catch (err) {
+      setError(serverError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStatusSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!statusTarget) return;
+    const deactivating = statusTarget.isActive;
+    if (deactivating && !reason.trim()) {
+      showToast('Please give a reason for deactivating this account.', 'error'); return;
+    }
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      if (deactivating) {
+        await userService.deactivateUser(statusTarget.id, reason);
+      } else if (reason.trim()) {
+        // /reactivate hard-codes its history reason; /status records ours.
+        await userService.changeUserStatus(statusTarget.id, true, reason);
+      } else {
+        await userService.reactivateUser(statusTarget.id);
+      }
+      showToast(`User "${statusTarget.fullName}" ${deactivating ? 'deactivated' : 'reactivated'}.`, deactivating ? 'warning' : 'success');
+      closeStatusModal();
+      // The user has moved to the other list; step back if this page is now empty.
+      if (users.length === 1 && page > 1) setPage(p => p - 1);
+      else setReloadKey(k => k + 1);
+    } catch (err) {
+      setError(serverError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // ── Render guards ─────────────────────────────────────────────────────────────
+  if (isLoading && users.length === 0) return <Spinner overlay message="Loading users…" />;
+
+  if (!isLoggedIn || !canView) {
+    return (
+      <div className="app-container">
+        <div className="rm-access-wall">
+          <div className="rm-access-icon">⛔</div>
+          <h2>Access Denied</h2>
+          <p>User Management requires an Admin or FacilityManager account.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && users.length === 0 && !showFormModal && !statusTarget) {
+    return (
+      <div className="app-container">
+        <ErrMsg error={error} onRetry={() => setReloadKey(k => k + 1)} onDismiss={() => setError(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="app-container">
+      {/* ── Toasts ──────────────────────────────────────────────────────────── */}
+      {toast.show && (
+        <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />
+      )}
+      {error && <ErrMsg error={error} onDismiss={() => setError(null)} />}
+      {isSubmitting && <Spinner overlay message="Saving…" />}
+
+      {/* ── Header + Create button ───────────────────────────────────────────── */}
+      <section className="section">
+        <div className="section-header">
+          <h2>User Management</h2>
+          {canCreate && (
+            <button className="rm-btn rm-btn-success" onClick={openCreateModal} disabled={isSubmitting}>
+              + Add User
+            </button>
+          )}
+        </div>
+
+        {/* ── Filters ───────────────────────────────────────────────────────── */}
+        <div className="filter-section">
+          <div className="filter-group">
+            <label htmlFor="um-status">Status:</label>
+            <select
+              id="um-status"
+              className="filter-select"
+              value={statusFilter}
+              onChange={e => { setStatusFilter(e.target.value as 'active' | 'inactive'); setPage(1); }}
+            >
+              <option value="active">Active</option>
+              <option value="inactive">Inactive</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="um-page-size">Per page:</label>
+            <select
+              id="um-page-size"
+              className="filter-select"
+              value={pageSize}
+              onChange={e => { setPageSize(Number(e.target.value)); setPage(1); }}
+            >
+              {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* ── User table ────────────────────────────────────────────────────── */}
+        {users.length === 0 ? (
+          <p className="empty-message">No {statusFilter} users found.</p>
+        ) : (
+          <div className="rm-table-wrapper">
+            <table className="rm-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Roles</th>
+                  <th>Department</th>
+                  <th>Primary Location</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(user => {
+                  const isSelf = !!selfEmail && user.email.toLowerCase() === selfEmail.toLowerCase();
+                  return (
+                    <tr key={user.id} className={user.isActive ? '' : 'rm-row-inactive'}>
+                      <td>
+                        <Link href={`/dashboard/users/${user.id}`} className="um-user-link" title="View profile and status history">
+                          {user.fullName}
+                        </Link>
+                        {user.employeeNumber && <span className="um-employee-number">#{user.employeeNumber}</span>}
+                      </td>
+                      <td>{user.email}</td>
+                      <td>
+                        {user.roles.map(role => <span key={role} className="um-role">{role}</span>)}
+                      </td>
+                      <td>{user.department || '—'}</td>
+                      <td>{user.primaryLocation || '—'}</td>
+                      <td>
+                        <span className={`rm-badge ${user.isActive ? 'rm-badge-active' : 'rm-badge-inactive'}`}>
+                          {user.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="rm-actions">
+                        {can('users.update') && (
+                          <button
+                            className="rm-btn rm-btn-edit"
+                            onClick={() => openEditModal(user)}
+                            disabled={isSubmitting}
+                            title="Edit user details"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can('users.deactivate') && (
+                          <button
+                            className={`rm-btn ${user.isActive ? 'rm-btn-warning' : 'rm-btn-success'}`}
+                            onClick={() => openStatusModal(user)}
+                            disabled={isSubmitting || isSelf}
+                            title={isSelf ? 'You cannot deactivate your own account' : user.isActive ? 'Deactivate this account' : 'Reactivate this account'}
+                          >
+                            {user.isActive ? 'Deactivate' : 'Reactivate'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* ── Pagination ────────────────────────────────────────────────────── */}
+        <div className="um-pagination">
+          <button className="rm-btn rm-btn-secondary" onClick={() => setPage(p => p - 1)} disabled={page <= 1 || isLoading}>
+            ‹ Prev
+          </button>
+          <span>Page {page} of {totalPages} ({totalRecords} {totalRecords === 1 ? 'user' : 'users'})</span>
+          <button className="rm-btn rm-btn-secondary" onClick={() => setPage(p => p + 1)} disabled={page >= totalPages || isLoading}>
+            Next ›
+          </button>
+        </div>
+      </section>
+
+      {/* ── Create / Edit Modal ──────────────────────────────────────────────── */}
+      {showFormModal && (
+        <div className="rm-modal-overlay" onClick={e => { if (e.target === e.currentTarget) closeFormModal(); }}>
+          <div className="rm-modal um-modal-wide">
+            <div className="rm-modal-header">
+              <h3>{editingUser ? `Edit User — ${editingUser.fullName}` : 'Add New User'}</h3>
+              <button className="rm-modal-close" onClick={closeFormModal} aria-label="Close">✕</button>
+            </div>
+            <form className="rm-form" onSubmit={handleSubmit}>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="um-first-name">First Name <span className="required">*</span></label>
+                  <input id="um-first-name" type="text" maxLength={100} value={form.firstName} onChange={setField('firstName')} required />
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="um-last-name">Last Name <span className="required">*</span></label>
+                  <input id="um-last-name" type="text" maxLength={100} value={form.lastName} onChange={setField('lastName')} required />
+                </div>
+              </div>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="um-email">Email <span className="required">*</span></label>
+                  <input id="um-email" type="email" value={form.email} onChange={setField('email')} required />
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="um-phone">Phone</label>
+                  <input id="um-phone" type="tel" value={form.phoneNumber} onChange={setField('phoneNumber')} />
+                </div>
+              </div>
+
+              {!editingUser && (
+                <div className="rm-form-group">
+                  <label htmlFor="um-password">Password <span className="required">*</span></label>
+                  <input id="um-password" type="password" minLength={6} autoComplete="new-password" value={form.password} onChange={setField('password')} required />
+                </div>
+              )}
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="um-role">Role <span className="required">*</span></label>
+                  <select id="um-role" value={form.role} onChange={setField('role')} disabled={!can('users.changeRole')}>
+                    {USER_ROLES.map((role: string) => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="um-notifications">Notifications</label>
+                  <select id="um-notifications" value={form.notificationPreferences} onChange={setField('notificationPreferences')}>
+                    {NOTIFICATION_PREFERENCES.map((pref: string) => <option key={pref} value={pref}>{pref}</option>)}
+                  </select>
+                </div>
+              </div>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="um-department">Department</label>
+                  <input id="um-department" type="text" maxLength={100} value={form.department} onChange={setField('department')} />
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="um-employee-number">Employee Number</label>
+                  <input id="um-employee-number" type="text" maxLength={50} value={form.employeeNumber} onChange={setField('employeeNumber')} />
+                </div>
+              </div>
+
+              <div className="rm-form-row">
+                <div className="rm-form-group">
+                  <label htmlFor="um-primary-location">Primary Location</label>
+                  <select id="um-primary-location" value={form.primaryLocation} onChange={setField('primaryLocation')}>
+                    <option value="">—</option>
+                    {ROOM_LOCATIONS.map((loc: string) => <option key={loc} value={loc}>{loc}</option>)}
+                  </select>
+                </div>
+                <div className="rm-form-group">
+                  <label htmlFor="um-preferred-location">Preferred Location</label>
+                  <select id="um-preferred-location" value={form.preferredLocation} onChange={setField('preferredLocation')}>
+                    <option value="">—</option>
+                    {ROOM_LOCATIONS.map((loc: string) => <option key={loc} value={loc}>{loc}</option>)}
+                  </select>
+                </div>
+              </div>
+
+              <div className="rm-modal-footer">
+                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeFormModal} disabled={isSubmitting}>
+                  Cancel
+                </button>
+                <button type="submit" className="rm-btn rm-btn-primary" disabled={isSubmitting}>
+                  {isSubmitting ? 'Saving…' : editingUser ? 'Save Changes' : 'Create User'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ── Deactivate / Reactivate Modal ────────────────────────────────────── */}
+      {statusTarget && (
+        <div className="rm-modal-overlay" onClick={e => { if (e.target === e.currentTarget) closeStatusModal(); }}>
+          <div className="rm-modal">
+            <div className="rm-modal-header">
+              <h3>{statusTarget.isActive ? 'Deactivate' : 'Reactivate'} — {statusTarget.fullName}</h3>
+              <button className="rm-modal-close" onClick={closeStatusModal} aria-label="Close">✕</button>
+            </div>
+            <form className="rm-form" onSubmit={handleStatusSubmit}>
+              <p className="um-status-note">
+                {statusTarget.isActive
+                  ? 'The user will no longer be able to sign in. The reason is kept in their status history.'
+                  : 'The user will be able to sign in again.'}
+              </p>
+              <div className="rm-form-group">
+                <label htmlFor="um-reason">
+                  Reason {statusTarget.isActive ? <span className="required">*</span> : '(optional)'}
+                </label>
+                <textarea
+                  id="um-reason"
+                  rows={3}
+                  value={reason}
+                  onChange={e => setReason(e.target.value)}
+                  placeholder={statusTarget.isActive ? 'e.g., Left the company' : 'e.g., Returned from leave'}
+                  required={statusTarget.isActive}
+                />
+              </div>
+              <div className="rm-modal-footer">
+                <button type="button" className="rm-btn rm-btn-secondary" onClick={closeStatusModal} disabled={isSubmitting}>
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className={`rm-btn ${statusTarget.isActive ? 'rm-btn-danger' : 'rm-btn-success'}`}
+                  disabled={isSubmitting}
+                >
+                  {statusTarget.isActive ? 'Deactivate' : 'Reactivate'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </div>
+  );
+}
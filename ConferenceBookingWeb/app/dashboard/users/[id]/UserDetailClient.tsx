@@ -0,0 +1,270 @@
+'use client';
+// app/dashboard/users/[id]/UserDetailClient.tsx — User Detail + Status History (Client Component)
+//
+// 'use client': fetches after mount with the JWT from localStorage, same as
+// BookingDetailClient.
+//
+// Shows the user's profile and an audit timeline built from
+// GET /api/UserManagement/{id}/history (UserStatusHistory rows: who changed
+// the account status, when, why and from which IP). The timeline can be
+// filtered by action and by a date range — filtering is client-side because
+// the endpoint returns the full history in one response.
+//
+// Not-Found / Forbidden handling mirrors BookingDetailClient: the API's 404
+// and 403 responses are caught and rendered as branded messages.
+
+import { useState, useEffect, useMemo } from 'react';
+import Link from 'next/link';
+import { getUserById, getUserStatusHistory } from '../../../../src/services/userService';
+import '../../../bookings/[id]/booking-detail.css';
+import './user-detail.css';
+
+interface UserDetail {
+  id: string;
+  fullName: string;
+  email: string;
+  phoneNumber?: string | null;
+  department?: string | null;
+  employeeNumber?: string | null;
+  primaryLocation?: string | null;
+  preferredLocation?: string | null;
+  isActive: boolean;
+  roles: string[];
+  dateJoined: string;
+  lastLoginDate?: string | null;
+  deletedAt?: string | null;
+}
+
+interface StatusHistoryEntry {
+  id: number;
+  oldStatus: boolean;
+  newStatus: boolean;
+  changedBy: string;
+  changedAt: string;
+  reason?: string | null;
+  action: string;
+  ipAddress?: string | null;
+}
+
+// ChangedAt is written as DateTime.UtcNow but comes back from the database
+// without a zone designator — treat a bare timestamp as UTC, not local time.
+const parseUtc = (value: string) =>
+  new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(value) ? value : `${value}Z`);
+
+const fmt = (value: string) => parseUtc(value).toLocaleString();
+
+// 'YYYY-MM-DD' from <input type="date"> → local midnight (start) / end of day.
+const dayStart = (day: string) => new Date(`${day}T00:00:00`).getTime();
+const dayEnd   = (day: string) => new Date(`${day}T23:59:59.999`).getTime();
+
+export default function UserDetailClient({ id }: { id: string }) {
+  const [user, setUser] = useState<UserDetail | null>(null);
+  const [history, setHistory] = useState<StatusHistoryEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [forbidden, setForbidden] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // ── Timeline filters ─────────────────────────────────────────────────────
+  const [actionFilter, setActionFilter] = useState('All');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [userData, historyData] = await Promise.all([
+          getUserById(id),
+          getUserStatusHistory(id),
+        ]);
+        if (cancelled) return;
+        setUser(userData as UserDetail);
+        setHistory((historyData as StatusHistoryEntry[]) ?? []);
+      } catch (err: unknown) {
+        if (cancelled) return;
+        const status = (err as { response?: { status?: number } })?.response?.status;
+        if (status === 404) {
+          setNotFound(true);
+        } else if (status === 403) {
+          setForbidden(true);
+        } else {
+          const msg = (err as { message?: string })?.message ?? 'An unexpected error occurred.';
+          setError(msg);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [id]);
+
+  // Actions seen in this user's history ("Soft Deleted", "Reactivated", …)
+  const actions = useMemo(
+    () => Array.from(new Set(history.map(h => h.action))).sort(),
+    [history]
+  );
+
+  const visibleHistory = useMemo(() => history.filter(entry => {
+    if (actionFilter !== 'All' && entry.action !== actionFilter) return false;
+    const at = parseUtc(entry.changedAt).getTime();
+    if (fromDate && at < dayStart(fromDate)) return false;
+    if (toDate && at > dayEnd(toDate)) return false;
+    return true;
+  }), [history, actionFilter, fromDate, toDate]);
+
+  const hasFilters = actionFilter !== 'All' || !!fromDate || !!toDate;
+  const clearFilters = () => { setActionFilter('All'); setFromDate(''); setToDate(''); };
+
+  if (loading) {
+    return (
+      <div className="booking-detail-loading">
+        <div className="loading-spinner" aria-label="Loading user" />
+        <p>Loading user…</p>
+      </div>
+    );
+  }
+
+  // ── Not-Found / Forbidden / Error Views ──────────────────────────────────
+  if (notFound || forbidden || error) {
+    return (
+      <div className="booking-detail-notfound">
+        <div className="notfound-icon" aria-hidden="true">{notFound ? '🔍' : forbidden ? '⛔' : '⚠️'}</div>
+        <h1>{notFound ? 'User Not Found' : forbidden ? 'Access Denied' : 'Something Went Wrong'}</h1>
+        <p>
+          {notFound
+            ? 'No user exists with this ID. The link may be incorrect.'
+            : forbidden
+              ? 'Status history is only available to Admin and FacilityManager accounts.'
+              : error}
+        </p>
+        <Link href="/dashboard/users" className="notfound-back">
+          ← Back to Users
+        </Link>
+      </div>
+    );
+  }
+
+  if (!user) return null;
+
+  // ── User Detail View ─────────────────────────────────────────────────────
+  return (
+    <div className="booking-detail">
+      <div className="booking-detail-header">
+        <Link href="/dashboard/users" className="back-link">← Back to Users</Link>
+        <div className="booking-detail-title">
+          <h1>{user.fullName}</h1>
+          <span className={`status-badge ${user.isActive ? 'status-confirmed' : 'status-cancelled'}`}>
+            {user.isActive ? 'Active' : 'Inactive'}
+          </span>
+        </div>
+      </div>
+
+      <div className="booking-detail-grid">
+        <div className="detail-card">
+          <h2>Profile</h2>
+          <dl className="detail-list">
+            <div className="detail-row">
+              <dt>Email</dt>
+              <dd>{user.email}</dd>
+            </div>
+            <div className="detail-row">
+              <dt>Roles</dt>
+              <dd>{user.roles.join(', ') || '—'}</dd>
+            </div>
+            <div className="detail-row">
+              <dt>Department</dt>
+              <dd>{user.department || '—'}</dd>
+            </div>
+            <div className="detail-row">
+              <dt>Employee #</dt>
+              <dd>{user.employeeNumber || '—'}</dd>
+            </div>
+            <div className="detail-row">
+              <dt>Primary Location</dt>
+              <dd>{user.primaryLocation || '—'}</dd>
+            </div>
+          </dl>
+        </div>
+
+        <div className="detail-card">
+          <h2>Account</h2>
+          <dl className="detail-list">
+            <div className="detail-row">
+              <dt>Joined</dt>
+              <dd>{fmt(user.dateJoined)}</dd>
+            </div>
+            <div className="detail-row">
+              <dt>Last Login</dt>
+              <dd>{user.lastLoginDate ? fmt(user.lastLoginDate) : 'Never'}</dd>
+            </div>
+            {user.deletedAt && (
+              <div className="detail-row">
+                <dt>Deactivated At</dt>
+                <dd>{fmt(user.deletedAt)}</dd>
+              </div>
+            )}
+          </dl>
+        </div>
+      </div>
+
+      {/* ── Status History Timeline ─────────────────────────────────────── */}
+      <div className="detail-card user-history">
+        <h2>Status History</h2>
+
+        <div className="history-filters">
+          <label>
+            Action
+            <select value={actionFilter} onChange={e => setActionFilter(e.target.value)}>
+              <option value="All">All actions</option>
+              {actions.map(action => <option key={action} value={action}>{action}</option>)}
+            </select>
+          </label>
+          <label>
+            From
+            <input type="date" value={fromDate} max={toDate || undefined} onChange={e => setFromDate(e.target.value)} />
+          </label>
+          <label>
+            To
+            <input type="date" value={toDate} min={fromDate || undefined} onChange={e => setToDate(e.target.value)} />
+          </label>
+          {hasFilters && (
+            <button type="button" className="history-clear" onClick={clearFilters}>Clear</button>
+          )}
+        </div>
+
+        {history.length === 0 ? (
+          <p className="history-empty">No status changes recorded for this user.</p>
+        ) : visibleHistory.length === 0 ? (
+          <p className="history-empty">No status changes match the current filters.</p>
+        ) : (
+          <ol className="history-timeline">
+            {visibleHistory.map(entry => (
+              <li
+                key={entry.id}
+                className={`history-entry ${entry.newStatus ? 'history-entry-activated' : 'history-entry-deactivated'}`}
+              >
+                <div className="history-entry-header">
+                  <strong>{entry.action}</strong>
+                  <time dateTime={parseUtc(entry.changedAt).toISOString()}>{fmt(entry.changedAt)}</time>
+                </div>
+                <p className="history-entry-meta">
+                  {entry.oldStatus ? 'Active' : 'Inactive'} → {entry.newStatus ? 'Active' : 'Inactive'}
+                  {' · '}by <strong>{entry.changedBy}</strong>
+                  {entry.ipAddress && <> from {entry.ipAddress}</>}
+                </p>
+                <p className="history-entry-reason">
+                  {entry.reason ? entry.reason : <em>No reason given</em>}
+                </p>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * UserDetailClient.test.tsx
+ *
+ * Tests the user detail page and its status-history timeline:
+ *   1. Success   — profile and every history entry (action, actor, reason) render
+ *   2. Action    — the action filter hides entries with other actions
+ *   3. Dates     — the From/To range hides entries outside it
+ *   4. Not Found — API rejects with HTTP 404
+ *   5. Forbidden — API rejects with HTTP 403
+ *
+ * Strategy: mock userService so no real HTTP calls are made, as in
+ * BookingDetailClient.test.tsx.
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import UserDetailClient from '../UserDetailClient';
+import * as userService from '../../../../../src/services/userService';
+
+// ── Mock the service module ──────────────────────────────────────────────────
+jest.mock('../../../../../src/services/userService');
+
+const mockGetUserById = userService.getUserById as jest.Mock;
+const mockGetUserStatusHistory = userService.getUserStatusHistory as jest.Mock;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const fakeUser = {
+  id: 'u-1',
+  fullName: 'Jane Doe',
+  email: 'jane@example.com',
+  department: 'Finance',
+  employeeNumber: 'E-100',
+  primaryLocation: 'London',
+  isActive: true,
+  roles: ['Employee'],
+  dateJoined: '2025-01-01T08:00:00',
+  lastLoginDate: null,
+  deletedAt: null,
+};
+
+// Newest first, as returned by GET /UserManagement/{id}/history
+const fakeHistory = [
+  {
+    id: 2, oldStatus: false, newStatus: true, changedBy: 'admin@example.com',
+    changedAt: '2026-03-10T09:00:00', reason: 'Returned from leave', action: 'Activated', ipAddress: '10.0.0.1',
+  },
+  {
+    id: 1, oldStatus: true, newStatus: false, changedBy: 'hr@example.com',
+    changedAt: '2026-01-15T09:00:00', reason: 'Extended leave', action: 'Soft Deleted', ipAddress: null,
+  },
+];
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('UserDetailClient', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('renders the profile and the full status history timeline', async () => {
+    mockGetUserById.mockResolvedValue(fakeUser);
+    mockGetUserStatusHistory.mockResolvedValue(fakeHistory);
+
+    render(<UserDetailClient id="u-1" />);
+
+    await waitFor(() => expect(screen.getByText('Jane Doe')).toBeInTheDocument());
+
+    expect(screen.getByText('Finance')).toBeInTheDocument();
+    expect(screen.getByText('Returned from leave')).toBeInTheDocument();
+    expect(screen.getByText('Extended leave')).toBeInTheDocument();
+    expect(screen.getByText('hr@example.com')).toBeInTheDocument();
+    expect(mockGetUserStatusHistory).toHaveBeenCalledWith('u-1');
+  });
+
+  it('filters the timeline by action', async () => {
+    mockGetUserById.mockResolvedValue(fakeUser);
+    mockGetUserStatusHistory.mockResolvedValue(fakeHistory);
+
+    render(<UserDetailClient id="u-1" />);
+    await waitFor(() => expect(screen.getByText('Extended leave')).toBeInTheDocument());
+
+    fireEvent.change(screen.getByLabelText('Action'), { target: { value: 'Soft Deleted' } });
+
+    expect(screen.getByText('Extended leave')).toBeInTheDocument();
+    expect(screen.queryByText('Returned from leave')).not.toBeInTheDocument();
+  });
+
+  it('filters the timeline by date range', async () => {
+    mockGetUserById.mockResolvedValue(fakeUser);
+    mockGetUserStatusHistory.mockResolvedValue(fakeHistory);
+
+    render(<UserDetailClient id="u-1" />);
+    await waitFor(() => expect(screen.getByText('Extended leave')).toBeInTheDocument());
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2026-03-01' } });
+    expect(screen.getByText('Returned from leave')).toBeInTheDocument();
+    expect(screen.queryByText('Extended leave')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '2026-03-05' } });
+    expect(screen.getByText(/No status changes match/i)).toBeInTheDocument();
+  });
+
+  it('shows the "User Not Found" view when the API returns 404', async () => {
+    mockGetUserById.mockRejectedValue({ response: { status: 404 } });
+    mockGetUserStatusHistory.mockResolvedValue([]);
+
+    render(<UserDetailClient id="missing" />);
+
+    await waitFor(() => expect(screen.getByText('User Not Found')).toBeInTheDocument());
+  });
+
+  it('shows the "Access Denied" view when the API returns 403', async () => {
+    mockGetUserById.mockResolvedValue(fakeUser);
+    mockGetUserStatusHistory.mockRejectedValue({ response: { status: 403 } });
+
+    render(<UserDetailClient id="u-1" />);
+
+    await waitFor(() => expect(screen.getByText('Access Denied')).toBeInTheDocument());
+  });
+});
@@ -0,0 +1,18 @@
+// app/dashboard/users/[id]/page.tsx — Dynamic User Detail Route (Server Component)
+//
+// Same shape as app/bookings/[id]/page.tsx: the server component only reads
+// params and hands the id to UserDetailClient, which does the JWT-backed
+// fetch in the browser. The /dashboard layout already wraps this route in
+// ProtectedRoute.
+
+import UserDetailClient from './UserDetailClient';
+
+// In Next.js 15+ dynamic params arrive as a Promise.
+interface PageProps {
+  params: Promise<{ id: string }>;
+}
+
+export default async function UserDetailPage({ params }: PageProps) {
+  const { id } = await params;
+  return <UserDetailClient id={id} />;
+}
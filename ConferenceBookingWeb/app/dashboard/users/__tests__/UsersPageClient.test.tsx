@@ -0,0 +1,127 @@
+/**
+ * UsersPageClient.test.tsx
+ *
+ * Tests the user console's list and status actions:
+ *   1. List       — the active users page renders; switching to Inactive
+ *                   fetches that list from the first page
+ *   2. Reactivate — a reason goes through changeUserStatus, without one
+ *                   through reactivateUser; the list is reloaded
+ *   3. Rejected   — the API's { message } is shown and the modal stays open
+ *
+ * Strategy: mock userService so no real HTTP calls are made. AuthContext is
+ * mocked to supply an Admin.
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import UsersPageClient from '../UsersPageClient';
+import * as userService from '../../../../src/services/userService';
+
+// ── Mock the service module ──────────────────────────────────────────────────
+jest.mock('../../../../src/services/userService');
+
+jest.mock('../../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({
+    isLoggedIn: true,
+    refreshKey: 0,
+    currentUser: { username: 'admin', email: 'admin@example.com', roles: ['Admin'] },
+  }),
+}));
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ replace: jest.fn() }),
+  useSearchParams: () => new URLSearchParams(),
+}));
+
+const mockFetchUsersByStatus = userService.fetchUsersByStatus as jest.Mock;
+const mockChangeUserStatus = userService.changeUserStatus as jest.Mock;
+const mockReactivateUser = userService.reactivateUser as jest.Mock;
+const mockDeactivateUser = userService.deactivateUser as jest.Mock;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const user = (id: string, fullName: string, isActive = true) => ({
+  id, fullName,
+  firstName: fullName.split(' ')[0],
+  lastName: fullName.split(' ')[1],
+  email: `${id}@example.com`,
+  department: 'Finance',
+  employeeNumber: null,
+  primaryLocation: 'London',
+  notificationPreferences: 'Email',
+  isActive,
+  roles: ['Employee'],
+  dateJoined: '2025-01-01T08:00:00',
+});
+
+const page = (users: unknown[]) => ({ data: users, currentPage: 1, pageSize: 10, totalRecords: users.length, totalPages: 1 });
+
+const ACTIVE   = [user('u-1', 'Jane Doe'), user('u-2', 'John Smith')];
+const INACTIVE = [user('u-3', 'Ann Lee', false)];
+
+const listFor = (isActive: boolean) => Promise.resolve(page(isActive ? ACTIVE : INACTIVE));
+
+async function openInactiveList() {
+  render(<UsersPageClient />);
+  await screen.findByText('Jane Doe');
+  fireEvent.change(screen.getByLabelText('Status:'), { target: { value: 'inactive' } });
+  await screen.findByText('Ann Lee');
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('UsersPageClient', () => {
+  beforeEach(() => {
+    mockFetchUsersByStatus.mockImplementation(listFor);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('lists active users and fetches the inactive list on request', async () => {
+    render(<UsersPageClient />);
+
+    expect(await screen.findByText('Jane Doe')).toBeInTheDocument();
+    expect(screen.getByText('John Smith')).toBeInTheDocument();
+    expect(screen.getByText('Page 1 of 1 (2 users)')).toBeInTheDocument();
+    expect(mockFetchUsersByStatus).toHaveBeenCalledWith(true, 1, 10);
+
+    fireEvent.change(screen.getByLabelText('Status:'), { target: { value: 'inactive' } });
+
+    expect(await screen.findByText('Ann Lee')).toBeInTheDocument();
+    expect(screen.queryByText('Jane Doe')).not.toBeInTheDocument();
+    expect(mockFetchUsersByStatus).toHaveBeenLastCalledWith(false, 1, 10);
+  });
+
+  it('reactivates with a recorded reason through the status endpoint', async () => {
+    mockChangeUserStatus.mockResolvedValue({ ...INACTIVE[0], isActive: true });
+    await openInactiveList();
+    const fetches = mockFetchUsersByStatus.mock.calls.length;
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reactivate' }));
+    fireEvent.change(screen.getByLabelText(/Reason/), { target: { value: 'Returned from leave' } });
+    fireEvent.click(screen.getAllByRole('button', { name: 'Reactivate' }).at(-1)!);
+
+    await waitFor(() => expect(mockChangeUserStatus).toHaveBeenCalledWith('u-3', true, 'Returned from leave'));
+    expect(mockReactivateUser).not.toHaveBeenCalled();
+    expect(await screen.findByText('User "Ann Lee" reactivated.')).toBeInTheDocument();
+    await waitFor(() => expect(mockFetchUsersByStatus.mock.calls.length).toBe(fetches + 1));
+  });
+
+  it("shows the API's reason when a status change is rejected", async () => {
+    mockDeactivateUser.mockRejectedValue(Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { message: 'User has upcoming confirmed bookings.' } },
+    }));
+    render(<UsersPageClient />);
+    await screen.findByText('Jane Doe');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Deactivate' })[0]);
+    fireEvent.change(screen.getByLabelText(/Reason/), { target: { value: 'Left the company' } });
+    fireEvent.click(screen.getAllByRole('button', { name: 'Deactivate' }).at(-1)!);
+
+    expect(await screen.findByText('User has upcoming confirmed bookings.')).toBeInTheDocument();
+    expect(mockDeactivateUser).toHaveBeenCalledWith('u-1', 'Left the company');
+    // Still open, so the admin can adjust and retry
+    expect(screen.getByRole('heading', { name: 'Deactivate — Jane Doe' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,24 @@
+'use client';
+// app/dashboard/users/page.tsx
+// Route: /dashboard/users
+//
+// 'use client' + dynamic import with ssr:false required because the client
+// component reads localStorage (JWT) through the auth context.
+
+import dynamic from 'next/dynamic';
+
+const UsersPageClient = dynamic(
+  () => import('./UsersPageClient'),
+  {
+    ssr: false,
+    loading: () => (
+      <div style={{ padding: '4rem', textAlign: 'center', color: '#666' }}>
+        Loading user management…
+      </div>
+    ),
+  }
+);
+
+export default function UsersPage() {
+  return <UsersPageClient />;
+}
@@ -13,21 +13,46 @@
 // auth state held in AuthProvider is updated on successful login. This means
 // the persistent Header in the layout immediately reflects the logged-in user
 // without requiring a page reload.
+//
+// After login the user goes back to `from` (the page that sent them here) when
+// it is a same-origin path their role may open, otherwise to their role's
+// landing page — see src/auth/loginRedirect.js.
+//
+// proxy.ts also sends a tab reopened after its JWT (and so the session cookie)
+// expired here. When a session is still stored, it is refreshed first — that
+// mirrors the new JWT into the cookie — and the user continues to `from`
+// without typing the password again. A rejected refresh leaves the form.
 
+import { useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuthContext } from '../../src/context/AuthContext';
 import LoginForm from '../../src/components/LoginForm';
+import { loginRedirectPath } from '../../src/auth/loginRedirect';
 
-export default function LoginPageClient() {
+export default function LoginPageClient({ from }: { from?: string }) {
   const router = useRouter();
-  const { login } = useAuthContext();
+  const { login, isLoggedIn, currentUser, refreshSession } = useAuthContext();
+
+  // Set once the page has resumed a stored session or the form was submitted,
+  // so logging in here doesn't trigger a refresh as well
+  const handled = useRef(false);
+
+  // ── Resume a stored session ──────────────────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn || handled.current) return;
+    handled.current = true;
+    refreshSession()
+      .then(({ user }: { user?: object }) => router.replace(loginRedirectPath(from, user ?? currentUser)))
+      .catch(() => {}); // rejected: apiClient has cleared the session, the form stays
+  }, [isLoggedIn, currentUser, from, refreshSession, router]);
 
   // login() is from useAuth (inside AuthContext). It POSTs credentials,
   // stores the JWT, and updates isLoggedIn + currentUser in the context.
   // LoginForm re-throws on failure so LoginForm can display the error.
   const handleLogin = async (username: string, password: string) => {
-    await login(username, password);
-    router.push('/dashboard');
+    handled.current = true;
+    const { user } = await login(username, password);
+    router.replace(loginRedirectPath(from, user));
   };
 
   return (
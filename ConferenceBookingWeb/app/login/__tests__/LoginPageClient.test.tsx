@@ -0,0 +1,80 @@
+/**
+ * LoginPageClient.test.tsx
+ *
+ * Tests how /login continues to the page that sent the user there:
+ *   1. Sign in  — after the form, back to ?from= without a refresh
+ *   2. Resume   — a stored session (JWT and cookie expired) is refreshed and
+ *                 continues to ?from= without the form
+ *   3. Rejected — a failed refresh leaves the user on the form
+ *
+ * Strategy: AuthContext is mocked so each test decides whether a session is
+ * stored; login / refreshSession are jest.fn()s.
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import LoginPageClient from '../LoginPageClient';
+
+const mockLogin = jest.fn();
+const mockRefreshSession = jest.fn();
+let mockStored: { username: string; roles: string[] } | null = null;
+jest.mock('../../../src/context/AuthContext', () => ({
+  useAuthContext: () => ({
+    login: mockLogin,
+    refreshSession: mockRefreshSession,
+    isLoggedIn: !!mockStored,
+    currentUser: mockStored,
+  }),
+}));
+
+const mockReplace = jest.fn();
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ replace: mockReplace, push: jest.fn() }),
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const RECEPTIONIST = { username: 'rita', roles: ['Receptionist'] };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('LoginPageClient', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+    mockStored = null;
+  });
+
+  it('signs in and returns to the page that asked', async () => {
+    mockLogin.mockResolvedValue({ token: 'jwt', user: RECEPTIONIST });
+    render(<LoginPageClient from="/dashboard/bookings?page=2" />);
+
+    fireEvent.change(screen.getByPlaceholderText('Enter username'), { target: { value: 'rita' } });
+    fireEvent.change(screen.getByPlaceholderText('Enter password'), { target: { value: 'secret' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Login' }));
+
+    await waitFor(() => expect(mockReplace).toHaveBeenCalledWith('/dashboard/bookings?page=2'));
+    expect(mockLogin).toHaveBeenCalledWith('rita', 'secret');
+    expect(mockRefreshSession).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a stored session and continues without the form', async () => {
+    mockStored = RECEPTIONIST;
+    mockRefreshSession.mockResolvedValue({ token: 'new-jwt', user: RECEPTIONIST });
+
+    render(<LoginPageClient from="/dashboard/approvals" />);
+
+    await waitFor(() => expect(mockReplace).toHaveBeenCalledWith('/dashboard/approvals'));
+    expect(mockRefreshSession).toHaveBeenCalledTimes(1);
+    expect(mockLogin).not.toHaveBeenCalled();
+  });
+
+  it('stays on the form when the stored session cannot be refreshed', async () => {
+    mockStored = RECEPTIONIST;
+    mockRefreshSession.mockRejectedValue(new Error('Request failed with status code 401'));
+
+    render(<LoginPageClient from="/dashboard/approvals" />);
+
+    await waitFor(() => expect(mockRefreshSession).toHaveBeenCalledTimes(1));
+    expect(mockReplace).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: 'Login' })).toBeInTheDocument();
+  });
+});
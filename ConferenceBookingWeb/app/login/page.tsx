@@ -4,9 +4,18 @@
 // The actual login UI (LoginForm + router navigation) lives in LoginPageClient
 // which is marked "use client". This file is a clean server-side entry point
 // that simply renders the client boundary.
+//
+// ?from= (set by proxy.ts / ProtectedRoute) is read here and handed to
+// LoginPageClient, which validates it before redirecting there after login.
 
 import LoginPageClient from './LoginPageClient';
 
-export default function LoginPage() {
-  return <LoginPageClient />;
+// In Next.js 15+ searchParams arrive as a Promise.
+interface PageProps {
+  searchParams: Promise<{ from?: string | string[] }>;
+}
+
+export default async function LoginPage({ searchParams }: PageProps) {
+  const { from } = await searchParams;
+  return <LoginPageClient from={Array.isArray(from) ? from[0] : from} />;
 }
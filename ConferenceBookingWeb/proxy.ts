@@ -0,0 +1,38 @@
+// proxy.ts — Route protection on the server (Next.js 16's name for middleware).
+//
+// Runs before /dashboard/* and /bookings/* render, so a guest never sees a
+// protected page flash before ProtectedRoute redirects it:
+//   • no session cookie, or its JWT has expired → redirect to /login?from=<path>
+//   • signed in without the page's capability   → 403 with the Access Denied page
+//
+// The cookie is the httpOnly copy of the JWT set through app/api/session.
+// Each page's capability (routeCapability) is checked against the token's role
+// claims with the same map the UI uses (src/permissions/permissions.js).
+
+import { NextResponse, type NextRequest } from 'next/server';
+import { SESSION_COOKIE, readTokenClaims, isSessionExpired } from './src/auth/sessionToken';
+import { can, routeCapability } from './src/permissions/permissions';
+
+export function proxy(request: NextRequest) {
+  const { pathname, search } = request.nextUrl;
+  const claims = readTokenClaims(request.cookies.get(SESSION_COOKIE)?.value);
+
+  if (isSessionExpired(claims)) {
+    const login = new URL('/login', request.url);
+    login.searchParams.set('from', `${pathname}${search}`);
+    const response = NextResponse.redirect(login);
+    response.cookies.delete(SESSION_COOKIE);
+    return response;
+  }
+
+  const capability = routeCapability(pathname);
+  if (capability && !can(claims, capability)) {
+    return NextResponse.rewrite(new URL('/access-denied', request.url), { status: 403 });
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ['/dashboard/:path*', '/bookings/:path*'],
+};
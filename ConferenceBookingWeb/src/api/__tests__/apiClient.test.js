@@ -0,0 +1,79 @@
+/**
+ * apiClient.test.js
+ *
+ * Tests the silent-refresh behaviour of the apiClient 401 interceptor:
+ *   1. Parallel 401s trigger exactly one refresh and are all replayed
+ *   2. A rejected refresh falls back to logout and wipes stored tokens
+ *   3. A 401 from /auth/login never attempts a refresh
+ *
+ * Strategy: swap the Axios adapter for a fake that answers based on the
+ * Authorization header, so no real HTTP calls are made.
+ */
+
+import apiClient, { configureApiClient } from '../apiClient';
+
+const OLD_TOKEN = 'old-token';
+const NEW_TOKEN = 'new-token';
+
+const unauthorized = (config) =>
+  Promise.reject(Object.assign(new Error('Request failed with status code 401'), {
+    config,
+    response: { status: 401, data: {}, config },
+  }));
+
+// Answers 200 only when the request carries the refreshed token.
+const fakeAdapter = (config) => {
+  if (config.headers.Authorization === `Bearer ${NEW_TOKEN}`) {
+    return Promise.resolve({ data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config });
+  }
+  return unauthorized(config);
+};
+
+describe('apiClient silent refresh', () => {
+  let refreshSession;
+  let onUnauthorized;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    apiClient.defaults.adapter = fakeAdapter;
+    localStorage.setItem('token', OLD_TOKEN);
+    localStorage.setItem('refreshToken', 'refresh-token');
+
+    refreshSession = jest.fn().mockResolvedValue({ token: NEW_TOKEN });
+    onUnauthorized = jest.fn();
+    configureApiClient({ getToken: () => OLD_TOKEN, onUnauthorized, refreshSession });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('refreshes once for parallel 401s and replays every request', async () => {
+    const results = await Promise.all([
+      apiClient.get('/Booking'),
+      apiClient.get('/Room'),
+      apiClient.get('/health'),
+    ]);
+
+    expect(refreshSession).toHaveBeenCalledTimes(1);
+    expect(results.map(r => r.url)).toEqual(['/Booking', '/Room', '/health']);
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('logs out and clears stored tokens when the refresh is rejected', async () => {
+    refreshSession.mockRejectedValue(new Error('refresh rejected'));
+
+    await expect(apiClient.get('/Booking')).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+
+  it('does not attempt a refresh when /auth/login returns 401', async () => {
+    await expect(apiClient.post('/auth/login', {})).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(refreshSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * liveUpdates.test.js
+ *
+ * Tests applying BookingHub event payloads to cached lists:
+ *   1. Read      — PascalCase and partial payloads become one change shape
+ *   2. Bookings  — a new booking joins the first newest-first page, updates and
+ *                  deletes patch the row, filtered pages are refetched; a page
+ *                  filtered by several statuses keeps rows in any of them
+ *   3. Rooms     — deactivation leaves the active list only; a reactivation
+ *                  without details refetches it
+ *   4. Own lists — applyToList() keeps only the rows a page's list holds
+ *   5. Echo      — the event for one's own new booking and the POST response
+ *                  leave one row, not two
+ */
+
+import { fetchQuery, clearQueryCache, getQueryState, subscribeQuery } from '../queryCache';
+import { readHubEvent, applyHubEvent, applyToList } from '../liveUpdates';
+import { optimisticInsert } from '../optimistic';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const booking = (bookingId, fields = {}) => ({
+  bookingId,
+  roomId: 1,
+  roomName: 'Room A',
+  startTime: '2026-03-02T09:00:00Z',
+  endTime: '2026-03-02T10:00:00Z',
+  location: 'CapeTown',
+  status: 'Pending',
+  requestedBy: 'alice',
+  createdAt: '2026-03-01T08:00:00Z',
+  ...fields,
+});
+
+const room = (id, fields = {}) => ({ id, name: `Room ${id}`, capacity: 8, number: id, location: 'London', isActive: true, ...fields });
+
+const FIRST_PAGE    = { page: 1, pageSize: 10, sortBy: 'CreatedAt', sortOrder: 'desc', status: '' };
+const PENDING_ONLY  = { ...FIRST_PAGE, status: 'Pending' };
+const OPEN          = { ...FIRST_PAGE, status: 'Pending,Confirmed' };
+const BY_ROOM_NAME  = { ...FIRST_PAGE, sortBy: 'RoomName', sortOrder: 'asc' };
+
+// Let refetches started by an event reach their fetcher
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const page = (params) => getQueryState(['bookings', 'page', params]).data;
+const rooms = (which) => getQueryState(['rooms', which]).data;
+
+const cachePage = (params, rows, fetcher = () => Promise.resolve({ data: rows, totalRecords: rows.length })) =>
+  fetchQuery(['bookings', 'page', params], fetcher);
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('liveUpdates', () => {
+  afterEach(() => clearQueryCache());
+
+  it('reads full, partial and PascalCase payloads', () => {
+    expect(readHubEvent('BookingCreated', { Data: { BookingId: 7, Status: 'Pending' }, By: 'bob' }))
+      .toMatchObject({ entity: 'booking', id: 7, created: true, complete: false, actor: 'bob' });
+    expect(readHubEvent('BookingUpdated', { data: booking(7), by: 'bob' }).complete).toBe(true);
+    expect(readHubEvent('BookingCancelled', { id: 7, roomId: 1, status: 'Cancelled', by: 'bob' }).row)
+      .toEqual({ bookingId: 7, status: 'Cancelled' });
+    expect(readHubEvent('BookingDeleted', { id: 7, by: 'bob' })).toMatchObject({ id: 7, removed: true });
+    expect(readHubEvent('RoomDeleted', { id: 3, name: 'Room 3', by: 'bob' }).row).toEqual({ id: 3, name: 'Room 3', isActive: false });
+    expect(readHubEvent('BookingUpdated', { by: 'bob' })).toBeNull();
+  });
+
+  it('patches cached booking pages in place and refetches the ones it cannot place', async () => {
+    await cachePage(FIRST_PAGE, [booking(2), booking(1)]);
+    await cachePage(PENDING_ONLY, [booking(2), booking(1)]);
+    const byRoomName = jest.fn().mockResolvedValue({ data: [booking(1), booking(2)], totalRecords: 2 });
+    await cachePage(BY_ROOM_NAME, [], byRoomName);
+    const unsubscribe = subscribeQuery(['bookings', 'page', BY_ROOM_NAME], () => {});
+
+    applyHubEvent('BookingCreated', { data: booking(3), by: 'bob' });
+    expect(page(FIRST_PAGE).data.map(b => b.bookingId)).toEqual([3, 2, 1]);
+    expect(page(FIRST_PAGE).totalRecords).toBe(3);
+    // Its place in the other orders depends on rows that aren't loaded
+    await flush();
+    expect(byRoomName).toHaveBeenCalledTimes(2);
+
+    applyHubEvent('BookingUpdated', { data: booking(2, { status: 'Confirmed' }), by: 'carol' });
+    expect(page(FIRST_PAGE).data[1].status).toBe('Confirmed');
+    expect(page(PENDING_ONLY).data.map(b => b.bookingId)).toEqual([1]);
+
+    applyHubEvent('BookingDeleted', { id: 1, by: 'carol' });
+    expect(page(FIRST_PAGE).data.map(b => b.bookingId)).toEqual([3, 2]);
+    expect(page(FIRST_PAGE).totalRecords).toBe(2);
+    unsubscribe();
+  });
+
+  it('keeps rows on a page filtered by several statuses while they match one', async () => {
+    await cachePage(OPEN, [booking(2), booking(1, { status: 'Confirmed' })]);
+
+    applyHubEvent('BookingUpdated', { data: booking(2, { status: 'Confirmed' }), by: 'carol' });
+    expect(page(OPEN).data.map(b => [b.bookingId, b.status])).toEqual([[2, 'Confirmed'], [1, 'Confirmed']]);
+    expect(page(OPEN).totalRecords).toBe(2);
+
+    applyHubEvent('BookingCancelled', { id: 1, roomId: 1, status: 'Cancelled', by: 'carol' });
+    expect(page(OPEN).data.map(b => b.bookingId)).toEqual([2]);
+    expect(page(OPEN).totalRecords).toBe(1);
+  });
+
+  it('moves rooms between the active and all lists', async () => {
+    const fetchActive = jest.fn().mockResolvedValue([room(1), room(2)]);
+    await fetchQuery(['rooms', 'active'], fetchActive);
+    await fetchQuery(['rooms', 'all'], () => Promise.resolve([room(1), room(2)]));
+    const unsubscribe = subscribeQuery(['rooms', 'active'], () => {});
+
+    applyHubEvent('RoomDeleted', { id: 2, name: 'Room 2', by: 'fm' });
+    expect(rooms('active').map(r => r.id)).toEqual([1]);
+    expect(rooms('all')[1]).toMatchObject({ id: 2, isActive: false });
+    expect(fetchActive).toHaveBeenCalledTimes(1);
+
+    // A status change carries no capacity / location — the active list reloads
+    applyHubEvent('RoomUpdated', { id: 2, name: 'Room 2', isActive: true, deletedAt: null, by: 'fm' });
+    expect(rooms('all')[1].isActive).toBe(true);
+    await flush();
+    expect(fetchActive).toHaveBeenCalledTimes(2);
+
+    applyHubEvent('RoomCreated', { ...room(3), by: 'fm' });
+    expect(rooms('all').map(r => r.id)).toEqual([1, 2, 3]);
+    unsubscribe();
+  });
+
+  it('patches a list a page keeps itself, keeping only rows that belong', () => {
+    const mine = [booking(1), booking(2)];
+    const byAlice = { belongs: b => b.requestedBy === 'alice' };
+
+    expect(applyToList(mine, readHubEvent('BookingCreated', { data: booking(3, { requestedBy: 'bob' }) }), byAlice)).toBe(mine);
+    expect(applyToList(mine, readHubEvent('BookingCancelled', { id: 2, status: 'Cancelled' }), byAlice)[1].status).toBe('Cancelled');
+    expect(applyToList(mine, readHubEvent('BookingCancelled', { id: 9, status: 'Cancelled' }), byAlice)).toBe(mine);
+  });
+
+  it("keeps one row when one's own booking is broadcast before the POST returns", async () => {
+    await cachePage(FIRST_PAGE, [booking(1)]);
+    const change = optimisticInsert(['bookings'], booking(undefined), { atStart: true });
+
+    applyHubEvent('BookingCreated', { data: booking(2), by: 'alice' });
+    change.commit(booking(2));
+
+    expect(page(FIRST_PAGE).data.map(b => b.bookingId)).toEqual([2, 1]);
+    expect(page(FIRST_PAGE).totalRecords).toBe(2);
+  });
+});
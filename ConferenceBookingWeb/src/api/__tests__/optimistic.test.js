@@ -0,0 +1,98 @@
+/**
+ * optimistic.test.js
+ *
+ * Tests the optimistic helpers over the query cache:
+ *   1. Update   — the row changes at once with a saving marker; rollback puts
+ *                 back only that row, so other changes in flight keep theirs
+ *   2. Insert   — a temporary row takes the server's id on commit and only
+ *                 lists that pass `where` get it; totalRecords follows
+ *   3. Remove   — rollback restores the row at its old position
+ *   4. Reject   — rejectionMessage() explains 400 / 409 and nothing else
+ */
+
+import { fetchQuery, clearQueryCache, getQueryState } from '../queryCache';
+import { optimisticUpdate, optimisticInsert, optimisticRemove, rejectionMessage, isUnsaved } from '../optimistic';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const ROOMS = [
+  { id: 1, name: 'Room A', isActive: true },
+  { id: 2, name: 'Room B', isActive: true },
+];
+
+const BOOKINGS_PAGE = {
+  data: [{ bookingId: 10, status: 'Pending' }, { bookingId: 11, status: 'Pending' }],
+  page: 1,
+  totalRecords: 2,
+};
+
+const rooms = () => getQueryState(['rooms', 'all']).data;
+const page = (n) => getQueryState(['bookings', 'page', { page: n }]).data;
+
+const axiosError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data },
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('optimistic', () => {
+  beforeEach(async () => {
+    await fetchQuery(['rooms', 'all'], () => Promise.resolve(ROOMS));
+    await fetchQuery(['bookings', 'page', { page: 1 }], () => Promise.resolve(BOOKINGS_PAGE));
+    await fetchQuery(['bookings', 'page', { page: 2 }], () => Promise.resolve({ ...BOOKINGS_PAGE, data: [], page: 2 }));
+  });
+
+  afterEach(() => clearQueryCache());
+
+  it('applies an update at once and rolls back only its own row', () => {
+    const first = optimisticUpdate(['rooms'], 1, { isActive: false });
+    const second = optimisticUpdate(['rooms'], 2, { isActive: false });
+    expect(rooms()[0]).toEqual({ id: 1, name: 'Room A', isActive: false, isSaving: true });
+
+    first.rollback();
+    second.commit({ id: 2, name: 'Room B', isActive: false });
+
+    expect(rooms()).toEqual([
+      ROOMS[0],
+      { id: 2, name: 'Room B', isActive: false, isSaving: false },
+    ]);
+  });
+
+  it('gives an inserted row the server id on commit, only where asked', () => {
+    const change = optimisticInsert(['bookings'], { status: 'Pending' }, {
+      atStart: true,
+      where: key => key[2].page === 1,
+    });
+
+    const pending = page(1).data[0];
+    expect(isUnsaved(pending)).toBe(true);
+    expect(pending.isSaving).toBe(true);
+    expect(page(1).totalRecords).toBe(3);
+    expect(page(2).data).toEqual([]);
+
+    change.commit({ bookingId: 12, status: 'Pending' });
+    expect(page(1).data[0]).toMatchObject({ bookingId: 12, isSaving: false });
+    expect(isUnsaved(page(1).data[0])).toBe(false);
+
+    const rejected = optimisticInsert(['rooms'], { name: 'Room C' });
+    expect(rooms()).toHaveLength(3);
+    rejected.rollback();
+    expect(rooms()).toEqual(ROOMS);
+  });
+
+  it('puts a removed row back where it was on rollback', () => {
+    const change = optimisticRemove(['bookings'], 10);
+    expect(page(1).data.map(b => b.bookingId)).toEqual([11]);
+    expect(page(1).totalRecords).toBe(1);
+
+    change.rollback();
+    expect(page(1)).toEqual(BOOKINGS_PAGE);
+  });
+
+  it('only explains validation and conflict rejections', () => {
+    expect(rejectionMessage(axiosError(409, { message: 'Room is already booked.' }))).toBe('Room is already booked.');
+    expect(rejectionMessage(axiosError(400, { title: 'One or more validation errors occurred.' })))
+      .toBe('One or more validation errors occurred.');
+    expect(rejectionMessage(axiosError(500, { message: 'Boom' }))).toBeNull();
+    expect(rejectionMessage(new Error('Network Error'))).toBeNull();
+  });
+});
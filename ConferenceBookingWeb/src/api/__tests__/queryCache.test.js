@@ -0,0 +1,157 @@
+/**
+ * queryCache.test.js
+ *
+ * Tests the shared query cache behind useQuery:
+ *   1. Dedupe    — concurrent reads of one key share a request; fresh data is
+ *                  served from the cache, stale data is refetched
+ *   2. Invalidate — a prefix refetches the matching keys on screen and leaves
+ *                  the rest for their next use
+ *   3. Pages     — useQuery keeps the previous page on screen while the next
+ *                  one loads, and a second component reuses the cached key
+ *   4. Clear     — clearQueryCache() drops data and ignores a late response
+ *   5. Gc        — an entry nobody listens to is dropped once it goes stale,
+ *                  unless a component subscribes again first
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import {
+  fetchQuery, invalidateQueries, clearQueryCache, getQueryState, subscribeQuery, hashKey,
+} from '../queryCache';
+import useQuery from '../../hooks/useQuery';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('queryCache', () => {
+  afterEach(() => {
+    clearQueryCache();
+    jest.restoreAllMocks();
+  });
+
+  it('shares in-flight requests and serves fresh data from the cache', async () => {
+    const fetcher = jest.fn().mockResolvedValue(['Room A']);
+
+    const [a, b] = await Promise.all([fetchQuery(['rooms'], fetcher), fetchQuery(['rooms'], fetcher)]);
+    expect(a).toEqual(['Room A']);
+    expect(b).toBe(a);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await fetchQuery(['rooms'], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    // Object keys match whatever order their properties were written in
+    expect(hashKey(['bookings', { page: 1, sortBy: 'x' }])).toBe(hashKey(['bookings', { sortBy: 'x', page: 1 }]));
+
+    const later = Date.now() + 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    await fetchQuery(['rooms'], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('refetches invalidated keys that are on screen and marks the rest stale', async () => {
+    const onScreen = jest.fn().mockResolvedValue({ data: [1] });
+    const offScreen = jest.fn().mockResolvedValue({ data: [2] });
+    const rooms = jest.fn().mockResolvedValue([]);
+    await fetchQuery(['bookings', 'page', { page: 1 }], onScreen);
+    await fetchQuery(['bookings', 'page', { page: 2 }], offScreen);
+    await fetchQuery(['rooms'], rooms);
+    const unsubscribe = subscribeQuery(['bookings', 'page', { page: 1 }], () => {});
+
+    await invalidateQueries(['bookings']);
+
+    expect(onScreen).toHaveBeenCalledTimes(2);
+    expect(offScreen).toHaveBeenCalledTimes(1);
+    expect(rooms).toHaveBeenCalledTimes(1);
+
+    // The stale page reloads when it is next asked for, the fresh rooms don't
+    await fetchQuery(['bookings', 'page', { page: 2 }], offScreen);
+    await fetchQuery(['rooms'], rooms);
+    expect(offScreen).toHaveBeenCalledTimes(2);
+    expect(rooms).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  it('keeps the previous page while the next loads and shares cached keys between components', async () => {
+    const pages = { 1: deferred(), 2: deferred() };
+    const fetchPage = jest.fn(page => pages[page].promise);
+    const query = page => ({ key: ['bookings', 'page', { page }], fetcher: () => fetchPage(page) });
+
+    const { result, rerender } = renderHook(
+      ({ page }) => useQuery(query(page), { keepPreviousData: true }),
+      { initialProps: { page: 1 } }
+    );
+    expect(result.current.isLoading).toBe(true);
+
+    await act(async () => { pages[1].resolve({ data: ['a'] }); });
+    expect(result.current.data).toEqual({ data: ['a'] });
+
+    rerender({ page: 2 });
+    expect(result.current.data).toEqual({ data: ['a'] });
+    expect(result.current.isFetching).toBe(true);
+
+    await act(async () => { pages[2].resolve({ data: ['b'] }); });
+    expect(result.current.data).toEqual({ data: ['b'] });
+
+    // Another tab opening page 1 gets it from the cache, without a request
+    const other = renderHook(() => useQuery(query(1)));
+    expect(other.result.current.data).toEqual({ data: ['a'] });
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops cached data on clear and ignores responses that arrive afterwards', async () => {
+    const late = deferred();
+    await fetchQuery(['rooms'], () => Promise.resolve(['Room A']));
+    const pending = fetchQuery(['bookings'], () => late.promise);
+
+    clearQueryCache();
+    late.resolve(['previous user']);
+    await pending;
+
+    expect(getQueryState(['rooms']).data).toBeUndefined();
+    expect(getQueryState(['bookings']).data).toBeUndefined();
+
+    // A mounted reader loads the key again for the next user
+    const fetcher = jest.fn().mockResolvedValue(['next user']);
+    const { result } = renderHook(() => useQuery({ key: ['bookings'], fetcher }));
+    await waitFor(() => expect(result.current.data).toEqual(['next user']));
+    act(() => clearQueryCache());
+    await waitFor(() => expect(fetcher).toHaveBeenCalledTimes(2));
+  });
+
+  it('drops entries without listeners once they go stale', async () => {
+    jest.useFakeTimers();
+    try {
+      const fetcher = jest.fn().mockResolvedValue({ data: ['a'] });
+      const pageOne = ['bookings', 'page', { page: 1 }];
+      const pageTwo = ['bookings', 'page', { page: 2 }];
+      await fetchQuery(pageOne, fetcher);
+      await fetchQuery(pageTwo, fetcher);
+      const unsubscribe = subscribeQuery(pageTwo, () => {});
+
+      // Left for the next page to reuse while fresh…
+      jest.advanceTimersByTime(29 * 1000);
+      expect(getQueryState(pageOne).data).toEqual({ data: ['a'] });
+
+      // …and dropped once stale; the page on screen stays
+      jest.advanceTimersByTime(1000);
+      expect(getQueryState(pageOne).data).toBeUndefined();
+      expect(getQueryState(pageTwo).data).toEqual({ data: ['a'] });
+
+      // Leaving and coming back before it goes stale keeps it
+      unsubscribe();
+      jest.advanceTimersByTime(20 * 1000);
+      const again = subscribeQuery(pageTwo, () => {});
+      jest.advanceTimersByTime(60 * 1000);
+      expect(getQueryState(pageTwo).data).toEqual({ data: ['a'] });
+      again();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
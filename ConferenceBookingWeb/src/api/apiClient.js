@@ -22,29 +22,40 @@ const apiClient = axios.create({
 // configureApiClient() on mount so the interceptors can read the live token
 // from Context state and call logout() directly instead of via CustomEvent.
 //
-// _getToken   — reads the JWT from the AuthContext token state.
+// _getToken       — reads the JWT from the AuthContext token state.
 // _onUnauthorized — calls logout() from the AuthContext on a 401 response.
+// _refreshSession — calls refreshSession() from the AuthContext, which
+//                   exchanges the stored refreshToken for a new JWT.
 let _getToken = () => localStorage.getItem('token'); // fallback until AuthProvider mounts
 let _onUnauthorized = null;
+let _refreshSession = null;
 
 /**
- * Called by AuthProvider to wire the Context token getter and logout function
- * into the Axios interceptors. Must be called inside a useEffect so it always
- * has the latest token and logout reference.
- * @param {{ getToken: () => string|null, onUnauthorized: () => void }} handlers
+ * Called by AuthProvider to wire the Context token getter, logout and refresh
+ * functions into the Axios interceptors. Must be called inside a useEffect so
+ * it always has the latest token and logout reference.
+ * @param {{
+ *   getToken: () => string|null,
+ *   onUnauthorized: () => void,
+ *   refreshSession?: () => Promise<{ token: string }>
+ * }} handlers
  */
-export function configureApiClient({ getToken, onUnauthorized }) {
+export function configureApiClient({ getToken, onUnauthorized, refreshSession }) {
   if (getToken) _getToken = getToken;
   if (onUnauthorized) _onUnauthorized = onUnauthorized;
+  if (refreshSession) _refreshSession = refreshSession;
 }
 
 // ── Request Interceptor ───────────────────────────────────────────────────────
 // 1. Reads the JWT from AuthContext via _getToken() so the token source is the
 //    Context state, not a direct localStorage read.
 // 2. Logs every outgoing request — method + full URL — to the console.
+//
+// Replayed requests (config._retry) already carry the refreshed token, which
+// Context state may not have caught up with yet, so their header is kept.
 apiClient.interceptors.request.use((config) => {
   const token = _getToken(); // token sourced from AuthContext state
-  if (token) {
+  if (token && !config._retry) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   const fullUrl = `${config.baseURL ?? ''}${config.url}`;
@@ -52,28 +63,94 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
+// ── Silent refresh ────────────────────────────────────────────────────────────
+// When a request fails with 401 the stored refreshToken is exchanged exactly
+// once. Every other request that fails while that exchange is in flight is
+// parked in _pendingRequests and replayed with the new token afterwards, so a
+// burst of parallel requests never triggers a burst of refresh calls.
+//
+// Auth endpoints are excluded: a 401 from /auth/login means bad credentials,
+// and a 401 from /auth/refresh or /auth/logout means the session is gone.
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+let _isRefreshing = false;
+let _pendingRequests = [];
+
+const isRefreshable = (config) =>
+  !!config &&
+  !config._retry &&
+  !!_refreshSession &&
+  !!localStorage.getItem('refreshToken') &&
+  !NO_REFRESH_URLS.some(url => config.url?.startsWith(url));
+
+const settlePendingRequests = (error, token = null) => {
+  _pendingRequests.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(token)));
+  _pendingRequests = [];
+};
+
+const replayWithToken = (config, token) => {
+  config._retry = true;
+  config.headers.Authorization = `Bearer ${token}`;
+  return apiClient(config);
+};
+
+// Wipes the stored session and hands control to AuthContext.logout().
+// Guard: only trigger session expiry if a token was present.
+// This prevents an infinite loop when authService.logout() POSTs to
+// /auth/logout without a token and the server returns 401 again.
+const expireSession = () => {
+  const hadToken = !!localStorage.getItem('token');
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  if (hadToken && _onUnauthorized) {
+    // Directly calls logout() from AuthContext — no CustomEvent needed.
+    _onUnauthorized();
+  }
+};
+
 // ── Response Interceptor ──────────────────────────────────────────────────────
 // Success: unwrap the Axios envelope once here so no consuming code ever
 //          needs to write `.data` chains.
-// Failure: log the error then re-throw so callers can still handle it.
+// Failure: log the error, try a silent refresh on 401, then re-throw so
+//          callers can still handle it.
 apiClient.interceptors.response.use(
   (response) => response.data,
   (error) => {
     console.log(`Request failed: ${error.message}`);
-    if (error.response?.status === 401) {
-      // Guard: only trigger session expiry if a token was present.
-      // This prevents an infinite loop when authService.logout() POSTs to
-      // /auth/logout without a token and the server returns 401 again.
-      const hadToken = !!localStorage.getItem('token');
-      localStorage.removeItem('token');
-      localStorage.removeItem('refreshToken');
-      localStorage.removeItem('user');
-      if (hadToken && _onUnauthorized) {
-        // Directly calls logout() from AuthContext — no CustomEvent needed.
-        _onUnauthorized();
-      }
+    if (error.response?.status !== 401) {
+      return Promise.reject(error);
+    }
+
+    const originalRequest = error.config;
+    if (!isRefreshable(originalRequest)) {
+      expireSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
+
+    // A refresh is already running — wait for it, then replay.
+    if (_isRefreshing) {
+      return new Promise((resolve, reject) => {
+        _pendingRequests.push({ resolve, reject });
+      }).then(token => replayWithToken(originalRequest, token));
+    }
+
+    originalRequest._retry = true;
+    _isRefreshing = true;
+
+    return _refreshSession()
+      .then(({ token }) => {
+        settlePendingRequests(null, token);
+        return replayWithToken(originalRequest, token);
+      })
+      .catch((refreshError) => {
+        settlePendingRequests(refreshError);
+        expireSession();
+        return Promise.reject(error);
+      })
+      .finally(() => {
+        _isRefreshing = false;
+      });
   }
 );
 
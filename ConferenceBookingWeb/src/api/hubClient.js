@@ -0,0 +1,235 @@
+// hubClient.js — The app's connection to the .NET BookingHub at /hubs/booking.
+//
+// One client per signed-in user, owned by <HubProvider> (src/context/HubContext.jsx),
+// which starts it while some component listens and stops it when none does.
+// Building a client opens nothing; start() and stop() may be called any number
+// of times, and a delayed stop() is cancelled by the next start().
+//
+// Catch-up: the API numbers its broadcasts. After a reconnect, a restart, or
+// when the numbers jump, the client asks the hub for the events it missed
+// (GetEventsSince) and hands them to onEvent like live ones. Only when the hub
+// no longer has them all is onResync() called, to reload everything.
+//
+// Connection state: 'connecting' | 'connected' | 'reconnecting' |
+// 'disconnected', read with getStatus() / subscribeStatus(). Dropped
+// connections retry on an exponential backoff (DEFAULT_BACKOFF); so does the
+// first connect.
+//
+// JWT auth: SignalR cannot set HTTP headers on the WebSocket handshake, so the
+// token is passed as ?access_token=... via the accessTokenFactory option.
+// The backend JwtBearerEvents.OnMessageReceived reads it from the query string.
+
+import * as signalR from '@microsoft/signalr';
+import { BOOKING_EVENTS, ROOM_EVENTS } from './liveUpdates';
+
+export const HUB_URL = process.env.NEXT_PUBLIC_HUB_URL ?? 'http://localhost:5230/hubs/booking';
+
+/**
+ * Reconnect delays: initialDelayMs, then × multiplier per attempt up to
+ * maxDelayMs (±20% jitter so tabs don't retry in step), giving up after
+ * maxAttempts.
+ */
+export const DEFAULT_BACKOFF = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  multiplier: 2,
+  maxAttempts: 10,
+};
+
+/**
+ * A SignalR retry policy from backoff settings.
+ * @param {Partial<typeof DEFAULT_BACKOFF>} [backoff]
+ * @returns {{ nextRetryDelayInMilliseconds: (context: { previousRetryCount: number }) => number|null }}
+ *   null once the attempts are used up
+ */
+export function createBackoffPolicy(backoff = {}) {
+  const { initialDelayMs, maxDelayMs, multiplier, maxAttempts } = { ...DEFAULT_BACKOFF, ...backoff };
+  return {
+    nextRetryDelayInMilliseconds: ({ previousRetryCount }) => {
+      if (previousRetryCount >= maxAttempts) return null;
+      const delay = Math.min(initialDelayMs * multiplier ** previousRetryCount, maxDelayMs);
+      return Math.round(delay * (0.8 + Math.random() * 0.4));
+    },
+  };
+}
+
+/**
+ * Creates a (stopped) hub client.
+ *
+ * @param {{
+ *   getToken: () => string|null,
+ *   onEvent: (eventName: string, payload: Object) => void,
+ *   onResync: () => void,
+ *   backoff?: Partial<typeof DEFAULT_BACKOFF>,
+ *   url?: string
+ * }} options
+ *   onEvent  – each booking / room event, in broadcast order and once
+ *   onResync – missed events could not be replayed
+ * @returns {{
+ *   start: () => void,
+ *   stop: (delayMs?: number) => void,
+ *   getStatus: () => 'connecting'|'connected'|'reconnecting'|'disconnected',
+ *   subscribeStatus: (listener: () => void) => () => void
+ * }}
+ */
+export function createHubClient({ getToken, onEvent, onResync, backoff, url = HUB_URL }) {
+  const retryPolicy = createBackoffPolicy(backoff);
+  const connection = new signalR.HubConnectionBuilder()
+    .withUrl(url, {
+      // A refreshed token is picked up on the next (re)connect without restarting
+      accessTokenFactory: () => getToken() ?? '',
+    })
+    .withAutomaticReconnect(retryPolicy)
+    .configureLogging(signalR.LogLevel.Warning)
+    .build();
+
+  // ── State ──────────────────────────────────────────────────────────────────
+  let status = 'disconnected';
+  const statusListeners = new Set();
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    statusListeners.forEach(listener => listener());
+  };
+
+  // The current start() — a connect attempt left over from an earlier one
+  // stops when it sees it is no longer current. null while stopped.
+  let run = null;
+  let retryTimer = null;
+  let stopTimer = null;
+  let closing = false;
+  let stopping = Promise.resolve();
+
+  // ── Events, in order and once each ─────────────────────────────────────────
+  // Sequence number of the last event applied; null until there is a baseline.
+  // Kept across stop / start, so a restart replays what came in between.
+  let lastSequence = null;
+  let catchingUp = false;
+  let catchUpAgain = false;
+
+  const resync = (latest) => {
+    lastSequence = latest ?? null;
+    onResync();
+  };
+
+  // Replay what was broadcast after lastSequence; reload when the hub no
+  // longer has it all (or there is no baseline to replay from)
+  const catchUp = async () => {
+    if (catchingUp) { catchUpAgain = true; return; }
+    catchingUp = true;
+    try {
+      do {
+        catchUpAgain = false;
+        if (lastSequence === null) {
+          resync(await connection.invoke('GetLatestSequence'));
+          continue;
+        }
+        const missed = await connection.invoke('GetEventsSince', lastSequence);
+        if (!run) return;
+        if (!missed?.complete) {
+          resync(missed?.latest);
+          continue;
+        }
+        missed.events.forEach(({ sequence, name, payload }) => {
+          if (sequence <= lastSequence) return;
+          lastSequence = sequence;
+          onEvent(name, payload);
+        });
+      } while (catchUpAgain && run);
+    } catch (err) {
+      console.error('SignalR catch-up failed, reloading lists:', err);
+      if (run) resync(null);
+    } finally {
+      catchingUp = false;
+    }
+  };
+
+  const receive = (evt, data, sequence) => {
+    if (!run) return;
+    if (typeof sequence === 'number' && lastSequence !== null) {
+      if (sequence <= lastSequence) return; // already replayed by a catch-up
+      // Missed one: the catch-up replays it together with this event
+      if (sequence > lastSequence + 1) { catchUp(); return; }
+    }
+    if (typeof sequence === 'number') lastSequence = sequence;
+    onEvent(evt, data);
+  };
+
+  [...BOOKING_EVENTS, ...ROOM_EVENTS].forEach(evt =>
+    connection.on(evt, (data, sequence) => receive(evt, data, sequence))
+  );
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+  connection.onreconnecting(() => setStatus('reconnecting'));
+  connection.onreconnected(() => {
+    setStatus('connected');
+    catchUp();
+  });
+  // Closed by stop(), or withAutomaticReconnect gave up
+  connection.onclose(() => { if (!closing) setStatus('disconnected'); });
+
+  // The first connect isn't covered by withAutomaticReconnect — retry it on
+  // the same backoff
+  const connect = async (current, attempt) => {
+    setStatus('connecting');
+    try {
+      await stopping; // starting while the last stop is in flight would fail
+      if (current !== run) return;
+      await connection.start();
+      if (current !== run) return;
+      setStatus('connected');
+      if (lastSequence !== null) {
+        catchUp();
+        return;
+      }
+      try {
+        lastSequence = await connection.invoke('GetLatestSequence');
+      } catch {
+        lastSequence = null; // older API: gaps can't be detected
+      }
+    } catch (err) {
+      if (current !== run) return;
+      const delay = retryPolicy.nextRetryDelayInMilliseconds({ previousRetryCount: attempt });
+      console.error('SignalR connection error:', err);
+      if (delay === null) setStatus('disconnected');
+      else retryTimer = setTimeout(() => connect(current, attempt + 1), delay);
+    }
+  };
+
+  const halt = () => {
+    stopTimer = null;
+    if (!run) return;
+    run = null;
+    clearTimeout(retryTimer);
+    setStatus('disconnected');
+    closing = true;
+    stopping = connection.stop()
+      .catch(() => {})
+      .finally(() => { closing = false; });
+  };
+
+  return {
+    // Connects unless already connected or on the way; cancels a pending stop
+    start() {
+      clearTimeout(stopTimer);
+      stopTimer = null;
+      if (run && status !== 'disconnected') return;
+      run = {};
+      connect(run, 0);
+    },
+
+    // Disconnects now, or after delayMs unless start() is called first
+    stop(delayMs = 0) {
+      clearTimeout(stopTimer);
+      if (delayMs > 0) stopTimer = setTimeout(halt, delayMs);
+      else halt();
+    },
+
+    getStatus: () => status,
+
+    subscribeStatus(listener) {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,179 @@
+// liveUpdates.js — Apply BookingHub events to the lists already on screen.
+//
+// Every event carries the entity that changed, so instead of every open tab
+// re-downloading its whole list, the row in the payload is inserted, updated
+// or removed in place:
+//
+//   BookingCreated / BookingUpdated   { data: BookingDetailDTO, by }
+//   BookingCancelled                  { id, roomId, status, reason, by }
+//   BookingDeleted                    { id, by }
+//   RoomCreated / RoomUpdated         { id, name, capacity, number, location, isActive, by }
+//                                     (a status change sends only id, name, isActive)
+//   RoomDeleted                       { id, name, by } — a soft delete
+//
+// A list falls back to a refetch only when the payload can't place the row:
+// a row that belongs in it but isn't loaded and the payload isn't the whole
+// row, or a page whose filters / sort order decide where a new row goes.
+// HubProvider applies each event to the query cache (applyHubEvent) and
+// refetches everything when missed events can't be replayed; pages keeping
+// their own lists patch them with readHubEvent() + applyToList().
+
+import { updateQueryRows, invalidateQueries } from './queryCache';
+import { rowId } from './optimistic';
+import { parseStatuses } from '../dto/FilterBookingsDTO';
+
+export const BOOKING_EVENTS = ['BookingCreated', 'BookingUpdated', 'BookingCancelled', 'BookingDeleted'];
+export const ROOM_EVENTS    = ['RoomCreated', 'RoomUpdated', 'RoomDeleted'];
+
+// The fields of a list row — a payload without them can't be inserted
+const BOOKING_FIELDS = ['bookingId', 'roomId', 'roomName', 'startTime', 'endTime', 'location', 'status'];
+const ROOM_FIELDS    = ['id', 'name', 'capacity', 'number', 'location', 'isActive'];
+
+// Keys of a bookings page that aren't filters
+const PAGING = ['page', 'pageSize', 'sortBy', 'sortOrder'];
+
+// The hub serialises camelCase by default; accept PascalCase too
+const camelCase = (value) =>
+  value && typeof value === 'object'
+    ? Object.fromEntries(Object.entries(value).map(([name, v]) => [name[0].toLowerCase() + name.slice(1), v]))
+    : {};
+
+/**
+ * What a hub event changed.
+ * @param {string} eventName - e.g. 'BookingCancelled'
+ * @param {Object} payload - The event's first argument
+ * @returns {{
+ *   entity: 'booking'|'room', id: number, row: Object,
+ *   created: boolean, removed: boolean, complete: boolean, actor: string|undefined
+ * }|null} row holds the fields the event sets (with the id); complete is true
+ *   when it is a whole list row. null when the payload doesn't name the entity.
+ */
+export function readHubEvent(eventName, payload) {
+  const { by, data, ...fields } = camelCase(payload);
+  const created = eventName.endsWith('Created');
+
+  if (BOOKING_EVENTS.includes(eventName)) {
+    let row;
+    if (eventName === 'BookingCancelled') row = { bookingId: fields.id, status: fields.status ?? 'Cancelled' };
+    else if (eventName === 'BookingDeleted') row = { bookingId: fields.id };
+    else row = camelCase(data);
+    if (row.bookingId == null) return null;
+    return {
+      entity: 'booking', id: row.bookingId, row, created,
+      removed: eventName === 'BookingDeleted',
+      complete: BOOKING_FIELDS.every(name => row[name] !== undefined),
+      actor: by,
+    };
+  }
+
+  if (ROOM_EVENTS.includes(eventName)) {
+    // Deactivating a room keeps it (inactive) — it only leaves active-room lists
+    const row = eventName === 'RoomDeleted' ? { ...fields, isActive: false } : fields;
+    if (row.id == null) return null;
+    return {
+      entity: 'room', id: row.id, row, created, removed: false,
+      complete: ROOM_FIELDS.every(name => row[name] !== undefined),
+      actor: by,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a change from readHubEvent() to one list.
+ *
+ * @param {Array} rows
+ * @param {Object} change
+ * @param {{ belongs?: (row: Object) => boolean, addAt?: 'start'|'end'|null }} [options]
+ *   belongs – whether a row is part of this list (e.g. only Pending bookings);
+ *             a row that no longer passes is removed
+ *   addAt   – where a row that now belongs goes; null when only the server
+ *             can say (sorted pages)
+ * @returns {Array|null} The new rows (the same array when nothing changed), or
+ *   null when the list has to be refetched
+ */
+export function applyToList(rows, change, { belongs = () => true, addAt = 'end' } = {}) {
+  const index = rows.findIndex(row => rowId(row) === change.id);
+
+  if (index >= 0) {
+    const next = [...rows];
+    if (change.removed) next.splice(index, 1);
+    else {
+      const row = { ...rows[index], ...change.row };
+      if (belongs(row)) next[index] = row;
+      else next.splice(index, 1);
+    }
+    return next;
+  }
+
+  if (change.removed || !belongs(change.row)) return rows;
+  if (!change.complete || !addAt) return null;
+  return addAt === 'start' ? [change.row, ...rows] : [...rows, change.row];
+}
+
+/**
+ * Whether a room is in the results of roomService.searchRooms(term) — active,
+ * name containing the term (as GET /Room?name= filters) — for patching them.
+ * @param {Object} room
+ * @param {string} term
+ * @returns {boolean}
+ */
+export const matchesRoomSearch = (room, term) =>
+  room.isActive !== false && String(room.name ?? '').toLowerCase().includes(term.toLowerCase());
+
+// A bookings page: rows are patched where they are; a new or changed row that
+// may now belong on the page is placed only on the first page of the default
+// newest-first order, otherwise the page is refetched
+function patchBookingPage(rows, key, change, stale) {
+  const params = key[2] ?? {};
+  const filtered = Object.entries(params).some(([name, value]) => !PAGING.includes(name) && value);
+  const present = rows.some(row => rowId(row) === change.id);
+  // Not here and nothing narrows the list: it is on another page
+  if (!present && !change.created && !filtered) return rows;
+
+  const newestFirst = params.page === 1 && params.sortBy === 'CreatedAt' && String(params.sortOrder).toLowerCase() === 'desc';
+  // status may list several ("Pending,Confirmed")
+  const statuses = parseStatuses(params.status);
+  const next = applyToList(rows, change, {
+    belongs: row => statuses.length === 0 || statuses.includes(row.status),
+    addAt: change.created && newestFirst && !filtered ? 'start' : null,
+  });
+  if (next) return next;
+  stale.push(key);
+  return rows;
+}
+
+// Room lists: ['rooms', 'active'] keeps active rooms only, ['rooms', 'all'] every room
+function patchRoomList(rows, key, change, stale) {
+  const next = applyToList(rows, change, { belongs: row => key[1] !== 'active' || row.isActive !== false });
+  if (next) return next;
+  stale.push(key);
+  return rows;
+}
+
+/**
+ * Patch the cached bookings or rooms with one hub event. Lists the payload
+ * can't patch are refetched (only those on screen; the rest are marked stale).
+ * @param {string} eventName
+ * @param {Object} payload
+ * @returns {Object|null} The change from readHubEvent(); null when the payload
+ *   was unreadable and every list of that kind was refetched
+ */
+export function applyHubEvent(eventName, payload) {
+  const change = readHubEvent(eventName, payload);
+  if (!change) {
+    if (BOOKING_EVENTS.includes(eventName)) invalidateQueries(['bookings']);
+    if (ROOM_EVENTS.includes(eventName)) invalidateQueries(['rooms']);
+    return null;
+  }
+
+  const stale = [];
+  if (change.entity === 'booking') {
+    updateQueryRows(['bookings', 'page'], (rows, key) => patchBookingPage(rows, key, change, stale));
+  } else {
+    updateQueryRows(['rooms'], (rows, key) => patchRoomList(rows, key, change, stale));
+  }
+  stale.forEach(key => invalidateQueries(key));
+  return change;
+}
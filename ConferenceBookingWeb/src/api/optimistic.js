@@ -0,0 +1,146 @@
+// optimistic.js — Show a mutation's result in the cached lists before the API answers.
+//
+// Each helper rewrites the matching rows in every cached list under a key
+// prefix (a plain array or a { data, totalRecords } page) and returns
+// { commit, rollback }:
+//
+//   const change = optimisticUpdate(['bookings'], id, { status: 'Confirmed' });
+//   try {
+//     change.commit(await bookingService.confirmBooking(id));
+//   } catch (err) {
+//     change.rollback();
+//   }
+//
+// Rows waiting for the server carry `isSaving: true` so lists can mark them.
+// commit() merges in the server's row and clears the marker; the service's
+// invalidation then refetches the lists in the background. rollback() puts
+// back only the rows this change touched, so other mutations still in flight
+// (several room toggles in a row) keep theirs.
+
+import { updateQueryRows, hashKey } from './queryCache';
+
+const TEMP_ID_PREFIX = 'unsaved-';
+let tempIds = 0;
+
+/** Bookings are keyed by bookingId, rooms by id */
+export const rowId = (row) => row?.bookingId ?? row?.id;
+
+/**
+ * True for a row added by optimisticInsert() that the server hasn't created
+ * yet — it has no real id to link to or load details for.
+ * @param {Object} row
+ * @returns {boolean}
+ */
+export const isUnsaved = (row) => String(rowId(row)).startsWith(TEMP_ID_PREFIX);
+
+/**
+ * The API's explanation when it rejected a change (400 validation, 409
+ * conflict), to show in the rollback toast; null for any other failure.
+ * @param {any} err - An Axios error
+ * @returns {string|null}
+ */
+export function rejectionMessage(err) {
+  const status = err?.response?.status;
+  if (status !== 400 && status !== 409) return null;
+  const data = err.response.data;
+  return data?.message ?? data?.title ?? err.message;
+}
+
+// Same array back when the row isn't in it
+function replaceRow(rows, id, replace) {
+  const index = rows.findIndex(row => rowId(row) === id);
+  if (index < 0) return rows;
+  const next = [...rows];
+  next[index] = replace(rows[index]);
+  return next;
+}
+
+const saved = (row, serverRow) => ({ ...row, ...(serverRow && typeof serverRow === 'object' ? serverRow : {}), isSaving: false });
+
+/**
+ * Apply `changes` to the row with this id wherever it is cached.
+ * @param {Array} prefix - e.g. ['bookings']
+ * @param {number|string} id - bookingId / room id
+ * @param {Object} changes - Fields the mutation is expected to set
+ * @returns {{ commit: (serverRow?: Object) => void, rollback: () => void }}
+ *   commit(serverRow) – merge the server's copy of the row (when the endpoint
+ *                       returns one) and clear the saving marker
+ */
+export function optimisticUpdate(prefix, id, changes) {
+  const originals = new Map();
+  updateQueryRows(prefix, (rows, key) => replaceRow(rows, id, (row) => {
+    originals.set(hashKey(key), row);
+    return { ...row, ...changes, isSaving: true };
+  }));
+
+  return {
+    commit: (serverRow) => updateQueryRows(prefix, rows => replaceRow(rows, id, row => saved(row, serverRow))),
+    rollback: () => updateQueryRows(prefix, (rows, key) => {
+      const original = originals.get(hashKey(key));
+      return original ? replaceRow(rows, id, () => original) : rows;
+    }),
+  };
+}
+
+/**
+ * Add a row that doesn't exist on the server yet, under a temporary id.
+ * @param {Array} prefix - e.g. ['rooms']
+ * @param {Object} row - The row as the lists should show it
+ * @param {{ atStart?: boolean, where?: (key: Array) => boolean }} [options]
+ *   atStart – prepend instead of append (newest-first lists)
+ *   where   – only lists whose key passes, e.g. just the first page
+ * @returns {{ commit: (serverRow?: Object) => void, rollback: () => void }}
+ *   commit(serverRow) – the temporary row takes the server's fields and id
+ */
+export function optimisticInsert(prefix, row, { atStart = false, where = () => true } = {}) {
+  const id = `${TEMP_ID_PREFIX}${++tempIds}`;
+  const pending = { ...row, id, isSaving: true };
+  updateQueryRows(prefix, (rows, key) => {
+    if (!where(key)) return rows;
+    return atStart ? [pending, ...rows] : [...rows, pending];
+  });
+
+  const drop = (rows) => {
+    const next = rows.filter(current => rowId(current) !== id);
+    return next.length === rows.length ? rows : next;
+  };
+
+  return {
+    // The SignalR event for this row can arrive before the response — then
+    // the server's row is already listed and the temporary one just goes
+    commit: (serverRow) => updateQueryRows(prefix, rows => {
+      const serverId = rowId(serverRow);
+      if (serverId !== undefined && rows.some(current => rowId(current) === serverId)) return drop(rows);
+      return replaceRow(rows, id, current => saved(current, serverRow));
+    }),
+    rollback: () => updateQueryRows(prefix, drop),
+  };
+}
+
+/**
+ * Take the row with this id out of every cached list.
+ * @param {Array} prefix
+ * @param {number|string} id
+ * @returns {{ commit: () => void, rollback: () => void }}
+ *   rollback – the row goes back where it was
+ */
+export function optimisticRemove(prefix, id) {
+  const removed = new Map();
+  updateQueryRows(prefix, (rows, key) => {
+    const index = rows.findIndex(row => rowId(row) === id);
+    if (index < 0) return rows;
+    removed.set(hashKey(key), { row: rows[index], index });
+    return rows.filter((_, i) => i !== index);
+  });
+
+  return {
+    commit: () => {},
+    rollback: () => updateQueryRows(prefix, (rows, key) => {
+      const entry = removed.get(hashKey(key));
+      if (!entry || rows.some(row => rowId(row) === id)) return rows;
+      const next = [...rows];
+      next.splice(Math.min(entry.index, next.length), 0, entry.row);
+      return next;
+    }),
+  };
+}
@@ -0,0 +1,49 @@
+// queries.js — The shared reads: one { key, fetcher } per kind of data.
+//
+// Pages pass these to useQuery instead of calling the services in an effect,
+// so two pages showing the same rooms share one cache entry (queryCache.js).
+// Keys start with 'bookings' or 'rooms' so a mutation can invalidate all of one
+// kind at once: invalidateQueries(['bookings']).
+
+import * as bookingService from '../services/bookingService';
+import * as roomService from '../services/roomService';
+
+/** Active rooms — room lists, the location filter and the booking form dropdown */
+export const roomsQuery = () => ({
+  key: ['rooms', 'active'],
+  fetcher: () => roomService.fetchAllRooms(),
+});
+
+/** Active and inactive rooms — Room Management */
+export const managedRoomsQuery = () => ({
+  key: ['rooms', 'all'],
+  fetcher: () => roomService.fetchAllRoomsManagement(),
+});
+
+/**
+ * One page of the filtered bookings list, with its pagination envelope
+ * @param {Object} params - { page, pageSize, sortBy, sortOrder, ...filters }
+ */
+export const bookingsPageQuery = (params) => ({
+  key: ['bookings', 'page', params],
+  fetcher: () => bookingService.fetchBookingsPage(params),
+});
+
+/**
+ * True for the cache key of a first bookings page — where a booking that was
+ * just created shows up optimistically until the list is refetched
+ * @param {Array} key
+ * @returns {boolean}
+ */
+export const isFirstBookingsPage = (key) => key[0] === 'bookings' && key[1] === 'page' && key[2]?.page === 1;
+
+/**
+ * The fields the bookings list can be sorted by. They only change with a new
+ * API version, so they never go stale; sorting is optional, so a failure
+ * resolves to null and the list keeps its default order.
+ */
+export const bookingSortOptionsQuery = () => ({
+  key: ['bookingSortOptions'],
+  fetcher: () => bookingService.fetchSortingOptions().catch(() => null),
+  staleMs: Infinity,
+});
@@ -0,0 +1,256 @@
+// queryCache.js — Shared client-side cache for API reads.
+//
+// Each dashboard page used to keep its own copy of the bookings and rooms,
+// load them on every mount and refetch everything after each change. Reads now
+// go through this one store:
+//   • keyed       – ['rooms', 'active'], ['bookings', 'page', { page: 2, … }]…
+//                   The same key on two pages is one entry, so switching tabs
+//                   reuses what is already loaded.
+//   • deduped     – asking for a key that is already loading shares that request.
+//   • stale-while-revalidate – data older than staleMs is still served while a
+//                   fresh copy loads in the background.
+//   • invalidation – invalidateQueries(['bookings']) refetches every matching
+//                   entry that is on screen and marks the rest stale. The
+//                   services call it after each mutation, HubProvider after a
+//                   missed event or a payload it can't patch in.
+//   • patching     – updateQueryData() / updateQueryRows() rewrite cached lists
+//                   in place: before the server answers (src/api/optimistic.js)
+//                   and from SignalR event payloads (src/api/liveUpdates.js).
+//   • gc           – an entry nobody is subscribed to is dropped once its data
+//                   goes stale, so old pages / filters don't pile up all session.
+//
+// Components read it through useQuery (src/hooks/useQuery.js); the keys and
+// fetchers live in src/api/queries.js. useAuth clears it on login / logout so
+// one user's data is never shown to the next.
+
+export const DEFAULT_STALE_MS = 30 * 1000;
+
+const EMPTY_STATE = Object.freeze({ data: undefined, error: null, updatedAt: 0, isFetching: false });
+
+/**
+ * hash → { key, state, fetcher, promise, run, invalidated, listeners, staleMs, gcTimer }
+ *   state    – the snapshot useQuery renders; replaced (never mutated) on change
+ *   run      – bumped by every request, so a slower older response can't
+ *              overwrite a newer one
+ *   gcTimer  – pending removal while the entry has no listeners
+ */
+const entries = new Map();
+
+// Object keys sorted, so { page: 1, sortBy: 'x' } and { sortBy: 'x', page: 1 } match
+const sortKeys = (_, value) =>
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+    : value;
+
+/**
+ * The string a query key is stored under.
+ * @param {Array} key - e.g. ['bookings', 'page', { page: 1, pageSize: 10 }]
+ * @returns {string}
+ */
+export const hashKey = (key) => JSON.stringify(key, sortKeys);
+
+const startsWith = (key, prefix) => prefix.every((part, i) => hashKey(part) === hashKey(key[i]));
+
+function entryFor(key) {
+  const hash = hashKey(key);
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = {
+      key, state: EMPTY_STATE, fetcher: null, promise: null, run: 0, invalidated: false,
+      listeners: new Set(), staleMs: DEFAULT_STALE_MS, gcTimer: null,
+    };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+function cancelGc(entry) {
+  clearTimeout(entry.gcTimer);
+  entry.gcTimer = null;
+}
+
+// Drop the entry once its data would be refetched anyway — unless someone
+// subscribes again in the meantime
+function scheduleGc(entry) {
+  cancelGc(entry);
+  if (entry.listeners.size) return;
+  const hash = hashKey(entry.key);
+  entry.gcTimer = setTimeout(() => {
+    entry.gcTimer = null;
+    if (entry.listeners.size || entries.get(hash) !== entry) return;
+    entry.run++; // a response still in flight has nowhere to go
+    entries.delete(hash);
+  }, entry.staleMs);
+}
+
+function setState(entry, updates) {
+  entry.state = { ...entry.state, ...updates };
+  entry.listeners.forEach(listener => listener());
+}
+
+function load(entry) {
+  const run = ++entry.run;
+  const promise = Promise.resolve()
+    .then(() => entry.fetcher())
+    .then(
+      (data) => {
+        if (entry.run === run) {
+          entry.promise = null;
+          entry.invalidated = false;
+          setState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false });
+          scheduleGc(entry);
+        }
+        return data;
+      },
+      (error) => {
+        // Keep the last good data — the page can show it next to the error
+        if (entry.run === run) {
+          entry.promise = null;
+          setState(entry, { error, isFetching: false });
+          scheduleGc(entry);
+        }
+        throw error;
+      },
+    );
+  entry.promise = promise;
+  setState(entry, { isFetching: true });
+  return promise;
+}
+
+/**
+ * Current snapshot of a key: { data, error, updatedAt, isFetching }.
+ * The same object is returned until the entry changes.
+ * @param {Array} key
+ * @returns {{ data: any, error: any, updatedAt: number, isFetching: boolean }}
+ */
+export function getQueryState(key) {
+  return entries.get(hashKey(key))?.state ?? EMPTY_STATE;
+}
+
+/**
+ * Call `listener` whenever the key's snapshot changes. After the last listener
+ * unsubscribes, the entry is kept for its staleMs and then dropped.
+ * @param {Array} key
+ * @param {Function} listener
+ * @returns {Function} unsubscribe
+ */
+export function subscribeQuery(key, listener) {
+  const entry = entryFor(key);
+  entry.listeners.add(listener);
+  cancelGc(entry);
+  return () => {
+    entry.listeners.delete(listener);
+    scheduleGc(entry);
+  };
+}
+
+/**
+ * Resolve a key's data: straight from the cache while it is fresh, otherwise
+ * with `fetcher` — sharing the request when one is already in flight.
+ *
+ * @param {Array} key
+ * @param {() => Promise<any>} fetcher - Loads the data (a service call)
+ * @param {{ staleMs?: number, force?: boolean }} [options]
+ *   staleMs – how long loaded data counts as fresh (default 30s)
+ *   force   – always start a new request
+ * @returns {Promise<any>} The data; rejects with the fetcher's error
+ */
+export function fetchQuery(key, fetcher, { staleMs = DEFAULT_STALE_MS, force = false } = {}) {
+  const entry = entryFor(key);
+  entry.fetcher = fetcher;
+  entry.staleMs = staleMs;
+  const { state } = entry;
+
+  const isFresh = state.updatedAt > 0 && !entry.invalidated && Date.now() - state.updatedAt < staleMs;
+  if (isFresh && !force) return Promise.resolve(state.data);
+  if (entry.promise && !force) return entry.promise;
+  return load(entry);
+}
+
+/**
+ * Mark every entry whose key starts with `prefix` as stale. The ones a mounted
+ * component is showing are refetched now; the rest on their next use.
+ *
+ * @param {Array} prefix - e.g. ['bookings'] for every bookings page
+ * @returns {Promise<void>} Resolves when the refetches have settled (their
+ *   errors land in each entry's state, not here)
+ */
+export function invalidateQueries(prefix) {
+  const refetches = [];
+  entries.forEach((entry) => {
+    if (!startsWith(entry.key, prefix)) return;
+    entry.invalidated = true;
+    if (entry.listeners.size && entry.fetcher) refetches.push(load(entry).catch(() => {}));
+  });
+  return Promise.all(refetches).then(() => {});
+}
+
+/**
+ * Rewrite the cached data of every entry whose key starts with `prefix` — the
+ * building block of optimistic updates (src/api/optimistic.js). A response
+ * still in flight for a changed entry predates the change, so it is dropped;
+ * the mutation's own invalidation brings the server's copy.
+ *
+ * @param {Array} prefix
+ * @param {(data: any, key: Array) => any} updater - Returns the new data, or
+ *   the same reference to leave the entry alone
+ */
+export function updateQueryData(prefix, updater) {
+  entries.forEach((entry) => {
+    if (!startsWith(entry.key, prefix) || entry.state.data === undefined) return;
+    const data = updater(entry.state.data, entry.key);
+    if (data === entry.state.data) return;
+    if (entry.promise) {
+      entry.run++;
+      entry.promise = null;
+    }
+    setState(entry, { data, isFetching: false });
+  });
+}
+
+const rowsOf = (data) => (Array.isArray(data) ? data : data?.data);
+
+// Keep a page's totalRecords in step with rows added or removed
+const withRows = (data, rows, before) => {
+  if (Array.isArray(data)) return rows;
+  const next = { ...data, data: rows };
+  if (typeof data.totalRecords === 'number') next.totalRecords = data.totalRecords + rows.length - before.length;
+  return next;
+};
+
+/**
+ * updateQueryData() for lists: `patch` gets the rows of each matching entry —
+ * a plain array, or the `data` of a { data, totalRecords } page — and returns
+ * the new rows. A page's totalRecords follows the rows added or removed.
+ *
+ * @param {Array} prefix
+ * @param {(rows: Array, key: Array) => Array} patch - Returns the same array
+ *   to leave the entry alone
+ */
+export function updateQueryRows(prefix, patch) {
+  updateQueryData(prefix, (data, key) => {
+    const rows = rowsOf(data);
+    if (!Array.isArray(rows)) return data;
+    const next = patch(rows, key);
+    return next === rows ? data : withRows(data, next, rows);
+  });
+}
+
+/**
+ * Drop all cached data and ignore requests still in flight. Entries with
+ * subscribers are emptied rather than removed so their components update.
+ */
+export function clearQueryCache() {
+  entries.forEach((entry, hash) => {
+    entry.run++;
+    entry.promise = null;
+    entry.invalidated = false;
+    cancelGc(entry);
+    if (!entry.listeners.size) {
+      entries.delete(hash);
+      return;
+    }
+    entry.state = EMPTY_STATE;
+    entry.listeners.forEach(listener => listener());
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * loginRedirect.test.js
+ *
+ * Tests where LoginPageClient sends a user after signing in:
+ *   1. Safe paths   — only same-origin paths are accepted from ?from=
+ *   2. Going back   — a safe path the user's role may open wins
+ *   3. Landing page — otherwise each role gets its default page
+ */
+
+import { safeRedirectPath, landingPath, loginRedirectPath } from '../loginRedirect';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const admin        = { username: 'ada',   roles: ['Admin'] };
+const receptionist = { username: 'rita',  roles: ['Receptionist'] };
+const employee     = { username: 'alice', roles: ['Employee'] };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('loginRedirect', () => {
+  it('accepts only same-origin paths', () => {
+    expect(safeRedirectPath('/dashboard/bookings?page=2#list')).toBe('/dashboard/bookings?page=2#list');
+    expect(safeRedirectPath('/bookings/%2F%2Fevil.com')).toBe('/bookings/%2F%2Fevil.com');
+
+    expect(safeRedirectPath('https://evil.com/dashboard')).toBeNull();
+    expect(safeRedirectPath('//evil.com')).toBeNull();
+    expect(safeRedirectPath('/\\evil.com')).toBeNull();
+    expect(safeRedirectPath('/\t/evil.com')).toBeNull();
+    expect(safeRedirectPath('javascript:alert(1)')).toBeNull();
+    expect(safeRedirectPath('/login?from=/dashboard')).toBeNull();
+    expect(safeRedirectPath(undefined)).toBeNull();
+  });
+
+  it('sends users back to the page they came from when their role may open it', () => {
+    expect(loginRedirectPath('/dashboard/calendar?view=week', employee)).toBe('/dashboard/calendar?view=week');
+    expect(loginRedirectPath('/bookings/12', receptionist)).toBe('/bookings/12');
+    expect(loginRedirectPath('/dashboard/room-management', employee)).toBe('/dashboard/my-bookings');
+    expect(loginRedirectPath('//evil.com', admin)).toBe('/dashboard');
+  });
+
+  it('lands each role on its default page', () => {
+    expect(landingPath(receptionist)).toBe('/dashboard/approvals');
+    expect(landingPath(employee)).toBe('/dashboard/my-bookings');
+    expect(landingPath({ roles: ['FacilityManager'] })).toBe('/dashboard/room-management');
+    expect(landingPath({ roles: ['Receptionist', 'Admin'] })).toBe('/dashboard');
+    expect(loginRedirectPath(null, receptionist)).toBe('/dashboard/approvals');
+  });
+});
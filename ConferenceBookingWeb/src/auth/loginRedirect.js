@@ -0,0 +1,75 @@
+// loginRedirect.js — Where to send a user after they sign in.
+//
+// proxy.ts and ProtectedRoute send guests to /login?from=<path>. After login
+// they go back to that path when it is safe and their role may open it;
+// otherwise to their role's landing page.
+//
+// `from` comes from the URL, so anyone can craft it: only same-origin paths
+// are accepted ("/dashboard/…", never "https://…", "//evil.com" or "/\evil.com"),
+// which keeps /login from being used as an open redirect.
+
+import { can, routeCapability } from '../permissions/permissions';
+
+// First role that matches wins, so a Receptionist who is also an Admin lands
+// on the Admin page.
+const LANDING_PAGES = [
+  { role: 'Admin',           path: '/dashboard' },
+  { role: 'FacilityManager', path: '/dashboard/room-management' },
+  { role: 'Receptionist',    path: '/dashboard/approvals' },
+  { role: 'Employee',        path: '/dashboard/my-bookings' },
+];
+
+const FALLBACK_PATH = '/dashboard';
+
+// Stand-in origin for resolving `from` — only the path part is kept
+const BASE = 'http://localhost';
+
+/**
+ * The path part of `from` when it stays on this site, otherwise null.
+ * @param {string|null|undefined} from - The raw ?from= value
+ * @returns {string|null} pathname + search + hash, e.g. '/dashboard/bookings?page=2'
+ */
+export function safeRedirectPath(from) {
+  if (typeof from !== 'string' || !from.startsWith('/') || from.startsWith('//')) return null;
+  // Browsers treat "\" like "/" and drop tabs / newlines, so "/\evil.com"
+  // would become "//evil.com"
+  if (/[\\\u0000-\u001f]/.test(from)) return null;
+
+  let url;
+  try {
+    url = new URL(from, BASE);
+  } catch {
+    return null;
+  }
+  if (url.origin !== BASE) return null;
+  // Back to /login would only show the form again
+  if (url.pathname === '/login' || url.pathname.startsWith('/login/')) return null;
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * The page a user lands on when there is nowhere to go back to.
+ * @param {{ roles?: string[] }|null} user
+ * @returns {string}
+ */
+export function landingPath(user) {
+  const roles = user?.roles ?? [];
+  return LANDING_PAGES.find(({ role }) => roles.includes(role))?.path ?? FALLBACK_PATH;
+}
+
+/**
+ * Where to go after signing in: `from` when it is safe and the user's role may
+ * open it, otherwise their landing page.
+ * @param {string|null|undefined} from - The raw ?from= value
+ * @param {{ username?: string, roles?: string[] }|null} user - The signed-in user
+ * @returns {string}
+ */
+export function loginRedirectPath(from, user) {
+  const path = safeRedirectPath(from);
+  if (path) {
+    const capability = routeCapability(new URL(path, BASE).pathname);
+    if (!capability || can(user, capability)) return path;
+  }
+  return landingPath(user);
+}
@@ -0,0 +1,12 @@
+// sessionEvents.js — Tells open forms the session is about to be ended for them.
+//
+// Fired right before a forced logout (the session expired, or a 401 could not
+// be refreshed) while the user is still in AuthContext, so anything with
+// unsaved input can stash it (see useBookingDraft). Not fired when the user
+// signs out on purpose.
+
+export const SESSION_ENDING_EVENT = 'auth:session-ending';
+
+export function announceSessionEnding() {
+  window.dispatchEvent(new CustomEvent(SESSION_ENDING_EVENT));
+}
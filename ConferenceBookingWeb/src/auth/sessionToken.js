@@ -0,0 +1,64 @@
+// sessionToken.js — Reads the claims the app needs from the API's JWT.
+//
+// Shared by proxy.ts (route protection before a page renders) and the
+// /api/session route that mirrors the token into an httpOnly cookie.
+// No React, no browser-only APIs — it runs in the Next.js server too.
+//
+// The signature is NOT checked here: the signing key only lives in the API,
+// which verifies every request. These claims decide what to render, never
+// what data a user gets.
+
+// httpOnly cookie holding a copy of the JWT from localStorage
+export const SESSION_COOKIE = 'cb_session';
+
+// TokenService adds ClaimTypes.Name / ClaimTypes.Role; JwtSecurityTokenHandler
+// writes them as the short names, but accept the long URIs as well.
+const NAME_CLAIMS = ['unique_name', 'name', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name'];
+const ROLE_CLAIMS = ['role', 'roles', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role'];
+
+// base64url → UTF-8 string
+const decodeSegment = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+  const binary = atob(base64);
+  return decodeURIComponent(
+    Array.from(binary, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+};
+
+/**
+ * Claims from a JWT, or null when it is not a readable JWT.
+ * @param {string|undefined|null} token
+ * @returns {{ username: string|null, roles: string[], expiresAt: number|null }|null}
+ *   expiresAt is in milliseconds since the epoch (null if the token has no exp)
+ */
+export function readTokenClaims(token) {
+  const payload = token?.split('.')[1];
+  if (!payload) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(decodeSegment(payload));
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims !== 'object') return null;
+
+  const pick = (keys) => keys.map(key => claims[key]).find(value => value !== undefined);
+  const role = pick(ROLE_CLAIMS);
+
+  return {
+    username: pick(NAME_CLAIMS) ?? null,
+    roles: role === undefined ? [] : [].concat(role),
+    expiresAt: typeof claims.exp === 'number' ? claims.exp * 1000 : null,
+  };
+}
+
+/**
+ * Whether the claims are missing or past their exp.
+ * @param {{ expiresAt: number|null }|null} claims - From readTokenClaims
+ * @param {number} [now] - Date.now() by default
+ * @returns {boolean}
+ */
+export function isSessionExpired(claims, now = Date.now()) {
+  return !claims || (claims.expiresAt !== null && claims.expiresAt <= now);
+}
@@ -0,0 +1,251 @@
+'use client';
+// ApprovalQueue.jsx — Receptionist triage list for Pending bookings.
+//
+// 'use client': keeps selection / focus state and listens for keyboard
+// shortcuts on window.
+//
+// Purely presentational: the parent fetches the queue (oldest request first),
+// works out conflicts with findQueueConflicts() and performs the confirm /
+// reject calls. Each row shows the requester, room, time and any bookings it
+// overlaps — a Confirmed overlap means confirming will be refused (409), a
+// Pending one means only one of the two can be confirmed.
+//
+// Keyboard shortcuts (ignored while typing in a field):
+//   j / ↓   next request          k / ↑   previous request
+//   x / Space  select focused     a       select all / none
+//   c       confirm selected (or the focused request)
+//   r       reject selected (or the focused request)
+//   Esc     clear selection
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import Button from './Button';
+import './ApprovalQueue.css';
+
+const overlaps = (a, b) =>
+  new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime);
+
+/**
+ * Bookings that clash with each queued request in the same room.
+ * @param {Array} pending - Pending BookingSummaryDTOs (the queue)
+ * @param {Array} confirmed - Confirmed BookingSummaryDTOs covering the queue's time span
+ * @returns {Object<number, Array>} bookingId → overlapping bookings (Confirmed first)
+ */
+export function findQueueConflicts(pending, confirmed) {
+  const conflicts = {};
+  for (const request of pending) {
+    const clashes = [...confirmed, ...pending].filter(other =>
+      other.bookingId !== request.bookingId &&
+      other.roomId === request.roomId &&
+      overlaps(request, other)
+    );
+    if (clashes.length > 0) conflicts[request.bookingId] = clashes;
+  }
+  return conflicts;
+}
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+// Typing in a text field / select must not trigger shortcuts
+const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select' || target.isContentEditable) return true;
+  return tag === 'input' && target.type !== 'checkbox';
+};
+
+/**
+ * ApprovalQueue
+ *
+ * @param {Array} bookings - Pending bookings, oldest request first
+ * @param {Object} conflicts - From findQueueConflicts()
+ * @param {Function} onConfirm - Called with an array of booking IDs
+ * @param {Function} onReject - Called with an array of booking IDs
+ * @param {number[]} busyIds - Requests currently being confirmed / rejected
+ * @param {Object} rowErrors - bookingId → server message from the last attempt
+ */
+function ApprovalQueue({ bookings, conflicts = {}, onConfirm, onReject, busyIds = [], rowErrors = {} }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [focusIndex, setFocusIndex] = useState(0);
+  const rowRefs = useRef([]);
+
+  // Drop selections / focus that no longer exist after the queue changes
+  useEffect(() => {
+    const ids = new Set(bookings.map(b => b.bookingId));
+    setSelected(prev => {
+      const next = new Set([...prev].filter(id => ids.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+    setFocusIndex(i => Math.min(i, Math.max(bookings.length - 1, 0)));
+  }, [bookings]);
+
+  useEffect(() => {
+    rowRefs.current[focusIndex]?.scrollIntoView?.({ block: 'nearest' });
+  }, [focusIndex]);
+
+  const toggle = useCallback((id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const toggleAll = useCallback(() => {
+    setSelected(prev => (prev.size === bookings.length ? new Set() : new Set(bookings.map(b => b.bookingId))));
+  }, [bookings]);
+
+  // Selected requests, or the focused one when nothing is selected
+  const targetIds = useCallback(() => {
+    if (selected.size > 0) return bookings.map(b => b.bookingId).filter(id => selected.has(id));
+    const focused = bookings[focusIndex];
+    return focused ? [focused.bookingId] : [];
+  }, [bookings, selected, focusIndex]);
+
+  const runAction = useCallback((action) => {
+    const ids = targetIds();
+    if (ids.length === 0) return;
+    action(ids);
+    setSelected(new Set());
+  }, [targetIds]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+      if (bookings.length === 0) return;
+
+      switch (e.key) {
+        case 'j':
+        case 'ArrowDown':
+          e.preventDefault();
+          setFocusIndex(i => Math.min(i + 1, bookings.length - 1));
+          break;
+        case 'k':
+        case 'ArrowUp':
+          e.preventDefault();
+          setFocusIndex(i => Math.max(i - 1, 0));
+          break;
+        case 'x':
+        case ' ':
+          e.preventDefault();
+          if (bookings[focusIndex]) toggle(bookings[focusIndex].bookingId);
+          break;
+        case 'a':
+          toggleAll();
+          break;
+        case 'c':
+          runAction(onConfirm);
+          break;
+        case 'r':
+          runAction(onReject);
+          break;
+        case 'Escape':
+          setSelected(new Set());
+          break;
+        default:
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [bookings, focusIndex, toggle, toggleAll, runAction, onConfirm, onReject]);
+
+  if (bookings.length === 0) {
+    return <p className="approval-empty">🎉 No bookings waiting for approval.</p>;
+  }
+
+  const allSelected = selected.size === bookings.length;
+
+  return (
+    <div className="approval-queue">
+      {/* ── Bulk toolbar ────────────────────────────────────────────────────── */}
+      <div className="approval-toolbar">
+        <label>
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all requests" />
+          {' '}{selected.size > 0 ? `${selected.size} selected` : `${bookings.length} waiting`}
+        </label>
+        <div className="approval-toolbar-actions">
+          <Button
+            label={selected.size > 0 ? `Confirm ${selected.size}` : 'Confirm selected'}
+            variant="success"
+            onClick={() => runAction(onConfirm)}
+            disabled={selected.size === 0}
+          />
+          <Button
+            label={selected.size > 0 ? `Reject ${selected.size}` : 'Reject selected'}
+            variant="danger"
+            onClick={() => runAction(onReject)}
+            disabled={selected.size === 0}
+          />
+        </div>
+      </div>
+
+      <p className="approval-shortcuts">
+        <kbd>j</kbd>/<kbd>k</kbd> move · <kbd>x</kbd> select · <kbd>a</kbd> all · <kbd>c</kbd> confirm · <kbd>r</kbd> reject · <kbd>Esc</kbd> clear
+      </p>
+
+      {/* ── Requests, oldest first ─────────────────────────────────────────── */}
+      <ol className="approval-list">
+        {bookings.map((booking, index) => {
+          const id = booking.bookingId;
+          const busy = busyIds.includes(id);
+          const clashes = conflicts[id] ?? [];
+          const classes = [
+            'approval-item',
+            index === focusIndex && 'approval-item-focused',
+            selected.has(id) && 'approval-item-selected',
+            busy && 'approval-item-busy',
+          ].filter(Boolean).join(' ');
+
+          return (
+            <li
+              key={id}
+              ref={el => { rowRefs.current[index] = el; }}
+              className={classes}
+              onClick={() => setFocusIndex(index)}
+              aria-current={index === focusIndex ? 'true' : undefined}
+            >
+              <input
+                type="checkbox"
+                checked={selected.has(id)}
+                onChange={() => toggle(id)}
+                aria-label={`Select booking #${id}`}
+              />
+              <div className="approval-item-body">
+                <div className="approval-item-heading">
+                  <strong>#{id}</strong>
+                  <span>{booking.requestedBy || 'Unknown requester'}</span>
+                  {booking.createdAt && (
+                    <span className="approval-item-age">requested {formatDay(booking.createdAt)} {formatTime(booking.createdAt)}</span>
+                  )}
+                </div>
+                <div className="approval-item-details">
+                  {booking.roomName} · {booking.location} · {formatDay(booking.startTime)}, {formatTime(booking.startTime)}–{formatTime(booking.endTime)}
+                </div>
+                {clashes.length > 0 && (
+                  <ul className="approval-conflicts">
+                    {clashes.map(other => (
+                      <li key={other.bookingId} className={`approval-conflict-${other.status.toLowerCase()}`}>
+                        {other.status === 'Confirmed' ? '⛔ Overlaps confirmed' : '⚠ Competes with pending'}
+                        {' '}#{other.bookingId} ({formatTime(other.startTime)}–{formatTime(other.endTime)}
+                        {other.requestedBy ? `, ${other.requestedBy}` : ''})
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {rowErrors[id] && <p className="approval-item-error" role="alert">{rowErrors[id]}</p>}
+              </div>
+              <div className="approval-item-actions">
+                <Button label="Confirm" variant="success" onClick={() => onConfirm([id])} disabled={busy} />
+                <Button label="Reject" variant="secondary" onClick={() => onReject([id])} disabled={busy} />
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default ApprovalQueue;
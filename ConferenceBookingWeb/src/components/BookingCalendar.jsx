@@ -0,0 +1,520 @@
+'use client';
+// BookingCalendar.jsx — Day / week timeline of bookings, one row per room.
+//
+// 'use client': the toolbar buttons call onViewChange / onDateChange, the
+// "now" marker reads the browser clock and drag gestures use pointer events.
+//
+// Layout: rooms are rows, time runs left → right across the business day
+// (08:00–16:00, the hours the API accepts bookings in). In week view each of
+// the seven days gets an equal slice of the row. Bookings are absolutely
+// positioned blocks (left/width as a percentage of the row) coloured by
+// status; overlapping bookings in the same room (e.g. two Pending requests)
+// are stacked in separate lanes. Clicking a block opens /bookings/[id].
+//
+// BookingSummaryDTO has no roomId, so bookings are matched to rooms by
+// name + location. Bookings for rooms that aren't in `rooms` (e.g. a room
+// that was deactivated) still get their own row so nothing disappears.
+//
+// Drag interactions (only when the matching handler is passed):
+//   • drag across empty time      → onSelectSlot({ room, start, end })
+//   • drag a block                → onMoveBooking(booking, { start, end }) — same length, new time
+//   • drag a block's right edge   → onMoveBooking(booking, { start, end }) — new end time
+// Times snap to 15 minutes and stay inside one business day. While
+// onMoveBooking is pending the block stays where it was dropped; if the
+// promise rejects, the block snaps back and the error message is shown
+// under the room's row.
+
+import { memo, useMemo, useState, useRef, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import './BookingCalendar.css';
+
+export const DAY_START_HOUR = 8;
+export const DAY_END_HOUR = 16;
+export const SNAP_MINUTES = 15;
+const HOURS = DAY_END_HOUR - DAY_START_HOUR;
+const MINUTES_PER_DAY = HOURS * 60;
+
+const LANE_HEIGHT = 44;    // px — one stacked booking
+const DRAG_THRESHOLD = 4;  // px — less than this is a click, not a drag
+const DEFAULT_SLOT = 60;   // minutes — a plain click on empty time selects an hour
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const isSameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+
+const formatTime = (date) => date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * The days shown for a view. Weeks start on Monday.
+ * @param {'day'|'week'} view
+ * @param {Date} date - Any moment inside the wanted day / week
+ * @returns {{ days: Date[], start: Date, end: Date }} days at local midnight;
+ *   start/end bound the whole window (end is exclusive)
+ */
+export function getCalendarRange(view, date) {
+  const day = startOfDay(date);
+  const first = view === 'week' ? addDays(day, -((day.getDay() + 6) % 7)) : day;
+  const count = view === 'week' ? 7 : 1;
+  const days = Array.from({ length: count }, (_, i) => addDays(first, i));
+  return { days, start: first, end: addDays(first, count) };
+}
+
+/**
+ * Horizontal placement of a booking inside a row, as percentages.
+ * The booking is clipped to the business hours of the day it starts on.
+ * @returns {{ left: number, width: number } | null} null when it falls outside the view
+ */
+export function positionBooking(booking, days) {
+  const start = new Date(booking.startTime);
+  const end = new Date(booking.endTime);
+  const dayIndex = days.findIndex(day => isSameDay(day, start));
+  if (dayIndex === -1) return null;
+
+  const minutesFrom = (date) => isSameDay(date, start)
+    ? date.getHours() * 60 + date.getMinutes() - DAY_START_HOUR * 60
+    : MINUTES_PER_DAY;
+  const from = clamp(minutesFrom(start), 0, MINUTES_PER_DAY);
+  const to = clamp(minutesFrom(end), 0, MINUTES_PER_DAY);
+  if (to <= from) return null;
+
+  const slice = 100 / days.length;
+  return {
+    left: slice * (dayIndex + from / MINUTES_PER_DAY),
+    width: slice * ((to - from) / MINUTES_PER_DAY),
+  };
+}
+
+// ── Grid minutes ─────────────────────────────────────────────────────────────
+// Drag maths works in "grid minutes": business-hour minutes from 08:00 on the
+// first visible day, so day i covers [i * 480, (i + 1) * 480).
+
+/**
+ * Grid minute of a moment, or null when it isn't inside a visible business day.
+ */
+export function toGridMinutes(date, days) {
+  const dayIndex = days.findIndex(day => isSameDay(day, date));
+  if (dayIndex === -1) return null;
+  const minutes = date.getHours() * 60 + date.getMinutes() - DAY_START_HOUR * 60;
+  if (minutes < 0 || minutes > MINUTES_PER_DAY) return null;
+  return dayIndex * MINUTES_PER_DAY + minutes;
+}
+
+/**
+ * Moment for a grid minute. With `isEnd`, a value on a day boundary means
+ * 16:00 of the earlier day rather than 08:00 of the next one.
+ */
+export function fromGridMinutes(minutes, days, isEnd = false) {
+  let dayIndex = Math.floor(minutes / MINUTES_PER_DAY);
+  if (isEnd && minutes > 0 && minutes % MINUTES_PER_DAY === 0) dayIndex -= 1;
+  dayIndex = clamp(dayIndex, 0, days.length - 1);
+  const day = days[dayIndex];
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+    DAY_START_HOUR, minutes - dayIndex * MINUTES_PER_DAY);
+}
+
+const snap = (minutes) => Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES;
+const dayStartOf = (minutes) => Math.floor(minutes / MINUTES_PER_DAY) * MINUTES_PER_DAY;
+
+// Grid minute under the pointer, for a timeline spanning totalMinutes
+const pointerToGrid = (clientX, rect, totalMinutes) =>
+  clamp((clientX - rect.left) / (rect.width || 1), 0, 1) * totalMinutes;
+
+// Only whole, non-cancelled bookings inside one visible business day can be dragged.
+function reschedulableRange(booking, days) {
+  if (booking.status === 'Cancelled') return null;
+  const start = toGridMinutes(new Date(booking.startTime), days);
+  const end = toGridMinutes(new Date(booking.endTime), days);
+  if (start === null || end === null || end <= start) return null;
+  if (end > dayStartOf(start) + MINUTES_PER_DAY) return null;
+  return { start, end };
+}
+
+const roomKey = (name, location) => `${name}|${location}`;
+
+/**
+ * One row per room, each holding its positioned bookings split into lanes so
+ * overlapping blocks don't cover each other.
+ */
+export function buildCalendarRows(rooms, bookings, days) {
+  const rows = new Map();
+  rooms.forEach(room => {
+    rows.set(roomKey(room.name, room.location), { room, blocks: [], lanes: 1 });
+  });
+
+  bookings.forEach(booking => {
+    const position = positionBooking(booking, days);
+    if (!position) return;
+    const key = roomKey(booking.roomName, booking.location);
+    if (!rows.has(key)) {
+      rows.set(key, { room: { name: booking.roomName, location: booking.location }, blocks: [], lanes: 1 });
+    }
+    rows.get(key).blocks.push({ booking, ...position });
+  });
+
+  rows.forEach(row => {
+    // Greedy lane assignment: first lane whose last block ends before this one starts.
+    const laneEnds = [];
+    row.blocks.sort((a, b) => a.left - b.left);
+    row.blocks.forEach(block => {
+      let lane = laneEnds.findIndex(end => end <= block.left);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = block.left + block.width;
+      block.lane = lane;
+    });
+    row.lanes = Math.max(1, laneEnds.length);
+  });
+
+  return Array.from(rows.values());
+}
+
+function rangeLabel(view, days) {
+  if (view === 'day') {
+    return days[0].toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  }
+  const fmt = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  return `${fmt(days[0])} – ${fmt(days[days.length - 1])} ${days[days.length - 1].getFullYear()}`;
+}
+
+/**
+ * BookingCalendar — rooms × time grid of bookings.
+ *
+ * @param {Array} rooms - Rooms to show as rows ({ id, name, location, capacity })
+ * @param {Array} bookings - BookingSummaryDTOs inside the visible range
+ * @param {'day'|'week'} view - Day or week view
+ * @param {Date} date - Any moment inside the visible day / week
+ * @param {Function} onViewChange - Called with 'day' | 'week'
+ * @param {Function} onDateChange - Called with the new anchor Date (prev / today / next)
+ * @param {Function} onSelectSlot - Optional; called with { room, start, end } after dragging across empty time
+ * @param {Function} onMoveBooking - Optional; called with (booking, { start, end }) after a block is
+ *   dragged or resized. Return a promise — reject with an Error to snap the block back.
+ * @param {Function} canMove - Optional; (booking) => boolean, limits which blocks can be dragged
+ * @param {boolean} isLoading - Dims the grid while a refetch is in flight
+ */
+const BookingCalendar = memo(function BookingCalendar({
+  rooms = [],
+  bookings = [],
+  view = 'day',
+  date,
+  onViewChange,
+  onDateChange,
+  onSelectSlot,
+  onMoveBooking,
+  canMove = () => true,
+  isLoading = false,
+}) {
+  // Without a date, "today" is fixed at mount so the memo below holds
+  const [today] = useState(() => new Date());
+  const anchor = date ?? today;
+  const { days } = useMemo(() => getCalendarRange(view, anchor), [view, anchor]);
+  const totalMinutes = days.length * MINUTES_PER_DAY;
+
+  // ── Drag state ─────────────────────────────────────────────────────────────
+  // The ref mirrors the state so the window listeners always see the latest gesture.
+  const [drag, setDragState] = useState(null);
+  const dragRef = useRef(null);
+  const setDrag = useCallback((next) => { dragRef.current = next; setDragState(next); }, []);
+  const suppressClickRef = useRef(false);
+
+  // What the window listeners read when the pointer moves or is released —
+  // kept current so a gesture doesn't act on the props it started with
+  const gridRef = useRef({ days, totalMinutes, onSelectSlot, onMoveBooking });
+  useEffect(() => {
+    gridRef.current = { days, totalMinutes, onSelectSlot, onMoveBooking };
+  }, [days, totalMinutes, onSelectSlot, onMoveBooking]);
+
+  // Bookings dropped but not yet saved: bookingId → { start, end }
+  const [pending, setPending] = useState({});
+  const [moveError, setMoveError] = useState(null);
+
+  // Where each booking should be drawn right now (dragged / awaiting save / as loaded)
+  const displayBookings = useMemo(() => bookings.map(booking => {
+    const id = booking.bookingId;
+    if (drag && drag.booking?.bookingId === id && drag.moved) {
+      return {
+        ...booking,
+        startTime: fromGridMinutes(drag.start, days),
+        endTime: fromGridMinutes(drag.end, days, true),
+      };
+    }
+    if (pending[id]) return { ...booking, startTime: pending[id].start, endTime: pending[id].end };
+    return booking;
+  }), [bookings, drag, pending, days]);
+
+  const rows = useMemo(() => buildCalendarRows(rooms, displayBookings, days), [rooms, displayBookings, days]);
+
+  // ── Gesture start ──────────────────────────────────────────────────────────
+  const startSlotDrag = (e, room) => {
+    if (!onSelectSlot || !room.id || e.button !== 0 || e.target !== e.currentTarget) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const at = pointerToGrid(e.clientX, rect, totalMinutes);
+    const dayStart = dayStartOf(Math.min(at, totalMinutes - 1));
+    const anchorMinute = clamp(Math.floor(at / SNAP_MINUTES) * SNAP_MINUTES, dayStart, dayStart + MINUTES_PER_DAY - SNAP_MINUTES);
+    setMoveError(null);
+    setDrag({
+      type: 'create', room, rect, originX: e.clientX, moved: false,
+      anchor: anchorMinute, dayStart, start: anchorMinute, end: anchorMinute + SNAP_MINUTES,
+    });
+  };
+
+  const startBlockDrag = (e, booking, type) => {
+    if (!onMoveBooking || !canMove(booking) || e.button !== 0 || pending[booking.bookingId]) return;
+    const range = reschedulableRange(booking, days);
+    if (!range) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.closest('.calendar-timeline').getBoundingClientRect();
+    setMoveError(null);
+    setDrag({
+      type, booking, rect, originX: e.clientX, moved: false,
+      grab: pointerToGrid(e.clientX, rect, totalMinutes),
+      original: range, start: range.start, end: range.end,
+    });
+  };
+
+  // ── Gesture tracking (window-level so the pointer can leave the row) ───────
+  const isDragging = drag !== null;
+  useEffect(() => {
+    if (!isDragging) return undefined;
+
+    const handleMove = (e) => {
+      const current = dragRef.current;
+      if (!current) return;
+      const { totalMinutes } = gridRef.current;
+      const at = pointerToGrid(e.clientX, current.rect, totalMinutes);
+      const moved = current.moved || Math.abs(e.clientX - current.originX) > DRAG_THRESHOLD;
+      let { start, end } = current;
+
+      if (current.type === 'create') {
+        const edge = clamp(snap(at), current.dayStart, current.dayStart + MINUTES_PER_DAY);
+        start = Math.min(current.anchor, edge);
+        end = Math.max(current.anchor + SNAP_MINUTES, edge);
+      } else if (current.type === 'move') {
+        const length = current.original.end - current.original.start;
+        start = clamp(snap(current.original.start + at - current.grab), 0, totalMinutes - length);
+        // Keep the whole booking inside one business day.
+        const dayEnd = dayStartOf(start) + MINUTES_PER_DAY;
+        if (start + length > dayEnd) start = dayEnd - length;
+        end = start + length;
+      } else {
+        const dayStart = dayStartOf(current.original.start);
+        end = clamp(snap(at), current.original.start + SNAP_MINUTES, dayStart + MINUTES_PER_DAY);
+      }
+
+      setDrag({ ...current, moved, start, end });
+    };
+
+    const handleUp = async () => {
+      const current = dragRef.current;
+      setDrag(null);
+      if (!current) return;
+      const { days, onSelectSlot, onMoveBooking } = gridRef.current;
+
+      if (current.type === 'create') {
+        const start = current.start;
+        const end = current.moved
+          ? current.end
+          : Math.min(start + DEFAULT_SLOT, current.dayStart + MINUTES_PER_DAY);
+        onSelectSlot?.({
+          room: current.room,
+          start: fromGridMinutes(start, days),
+          end: fromGridMinutes(end, days, true),
+        });
+        return;
+      }
+
+      if (!current.moved) return; // plain click → let the link open the booking
+      // Swallow the click that follows this pointerup so the drop doesn't navigate.
+      suppressClickRef.current = true;
+      setTimeout(() => { suppressClickRef.current = false; }, 0);
+      if (current.start === current.original.start && current.end === current.original.end) return;
+
+      const id = current.booking.bookingId;
+      const slot = {
+        start: fromGridMinutes(current.start, days),
+        end: fromGridMinutes(current.end, days, true),
+      };
+      setPending(p => ({ ...p, [id]: slot }));
+      try {
+        await onMoveBooking?.(current.booking, slot);
+      } catch (err) {
+        setMoveError({
+          key: roomKey(current.booking.roomName, current.booking.location),
+          message: err?.message || 'The booking could not be rescheduled.',
+        });
+      } finally {
+        setPending(p => {
+          const next = { ...p };
+          delete next[id];
+          return next;
+        });
+      }
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [isDragging, setDrag]);
+
+  const handleBlockClick = (e) => {
+    if (suppressClickRef.current) e.preventDefault();
+  };
+
+  const now = new Date();
+  const nowPosition = positionBooking({ startTime: now, endTime: new Date(now.getTime() + 60000) }, days);
+
+  const step = view === 'week' ? 7 : 1;
+  const columns = days.length * HOURS;
+
+  return (
+    <div className={`booking-calendar${drag?.moved ? ' calendar-dragging' : ''}`}>
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button type="button" onClick={() => onDateChange?.(addDays(anchor, -step))} aria-label={`Previous ${view}`}>‹</button>
+          <button type="button" onClick={() => onDateChange?.(new Date())}>Today</button>
+          <button type="button" onClick={() => onDateChange?.(addDays(anchor, step))} aria-label={`Next ${view}`}>›</button>
+        </div>
+        <h2 className="calendar-range">{rangeLabel(view, days)}</h2>
+        <div className="calendar-views" role="group" aria-label="Calendar view">
+          {['day', 'week'].map(mode => (
+            <button
+              key={mode}
+              type="button"
+              className={view === mode ? 'active' : ''}
+              aria-pressed={view === mode}
+              onClick={() => onViewChange?.(mode)}
+            >
+              {mode === 'day' ? 'Day' : 'Week'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {(onSelectSlot || onMoveBooking) && (
+        <p className="calendar-hint">
+          {onSelectSlot && 'Drag across empty time to book a room. '}
+          {onMoveBooking && 'Drag a booking to move it, or drag its right edge to change when it ends.'}
+        </p>
+      )}
+
+      <div className={`calendar-grid${isLoading ? ' calendar-grid-loading' : ''}`}>
+        {/* ── Time scale ─────────────────────────────────────────────────── */}
+        <div className="calendar-row calendar-header">
+          <div className="calendar-room-cell">Room</div>
+          <div className="calendar-timeline calendar-scale">
+            {view === 'day'
+              ? Array.from({ length: HOURS }, (_, i) => (
+                <span key={i} style={{ left: `${(i / HOURS) * 100}%`, width: `${100 / HOURS}%` }}>
+                  {String(DAY_START_HOUR + i).padStart(2, '0')}:00
+                </span>
+              ))
+              : days.map((day, i) => (
+                <span
+                  key={i}
+                  className={isSameDay(day, now) ? 'calendar-today' : ''}
+                  style={{ left: `${(i / days.length) * 100}%`, width: `${100 / days.length}%` }}
+                >
+                  {day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}
+                </span>
+              ))}
+          </div>
+        </div>
+
+        {/* ── Room rows ──────────────────────────────────────────────────── */}
+        {rows.length === 0 ? (
+          <p className="calendar-empty">No rooms to show.</p>
+        ) : rows.map(({ room, blocks, lanes }) => {
+          const key = roomKey(room.name, room.location);
+          const selecting = drag?.type === 'create' && drag.room === room;
+          return (
+            <div key={key} className="calendar-row-group">
+              <div className="calendar-row">
+                <div className="calendar-room-cell">
+                  <strong>{room.name}</strong>
+                  <span>{room.location}{room.capacity ? ` · ${room.capacity} seats` : ''}</span>
+                </div>
+                <div
+                  className={`calendar-timeline${view === 'week' ? ' calendar-timeline-week' : ''}${onSelectSlot && room.id ? ' calendar-timeline-selectable' : ''}`}
+                  style={{
+                    height: lanes * LANE_HEIGHT,
+                    backgroundSize: `${100 / columns}% 100%, ${100 / days.length}% 100%`,
+                  }}
+                  onPointerDown={e => startSlotDrag(e, room)}
+                >
+                  {blocks.map(({ booking, left, width, lane }) => {
+                    const start = new Date(booking.startTime);
+                    const end = new Date(booking.endTime);
+                    const status = booking.status ?? 'Pending';
+                    const movable = !!onMoveBooking && canMove(booking) && !!reschedulableRange(booking, days);
+                    const isActive = drag?.booking?.bookingId === booking.bookingId && drag.moved;
+                    const isSaving = !!pending[booking.bookingId];
+                    return (
+                      <Link
+                        key={booking.bookingId}
+                        href={`/bookings/${booking.bookingId}`}
+                        className={[
+                          'calendar-block',
+                          `status-${status.toLowerCase()}`,
+                          movable && 'calendar-block-movable',
+                          isActive && 'calendar-block-dragging',
+                          isSaving && 'calendar-block-saving',
+                        ].filter(Boolean).join(' ')}
+                        style={{ left: `${left}%`, width: `${width}%`, top: lane * LANE_HEIGHT + 2, height: LANE_HEIGHT - 4 }}
+                        title={`#${booking.bookingId} · ${room.name} · ${formatTime(start)}–${formatTime(end)} · ${status}`}
+                        draggable={false}
+                        onClick={handleBlockClick}
+                        onPointerDown={e => startBlockDrag(e, booking, 'move')}
+                      >
+                        <span className="calendar-block-time">{formatTime(start)}–{formatTime(end)}</span>
+                        <span className="calendar-block-label">#{booking.bookingId} · {status}</span>
+                        {movable && (
+                          <span
+                            className="calendar-block-resize"
+                            aria-hidden="true"
+                            onPointerDown={e => startBlockDrag(e, booking, 'resize')}
+                          />
+                        )}
+                      </Link>
+                    );
+                  })}
+                  {selecting && (
+                    <div
+                      className="calendar-selection"
+                      style={{ left: `${(drag.start / totalMinutes) * 100}%`, width: `${((drag.end - drag.start) / totalMinutes) * 100}%` }}
+                    >
+                      {formatTime(fromGridMinutes(drag.start, days))}–{formatTime(fromGridMinutes(drag.end, days, true))}
+                    </div>
+                  )}
+                  {nowPosition && <div className="calendar-now" style={{ left: `${nowPosition.left}%` }} aria-hidden="true" />}
+                </div>
+              </div>
+              {moveError?.key === key && (
+                <p className="calendar-move-error" role="alert">
+                  {moveError.message}
+                  <button type="button" aria-label="Dismiss" onClick={() => setMoveError(null)}>×</button>
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <ul className="calendar-legend" aria-label="Status legend">
+        {['Pending', 'Confirmed', 'Cancelled'].map(status => (
+          <li key={status}><span className={`calendar-swatch status-${status.toLowerCase()}`} />{status}</li>
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+export default BookingCalendar;
@@ -3,13 +3,27 @@
 //
 // 'use client': renders <Button onClick={() => onEdit(booking)}> —
 // inline arrow functions as event handlers require the browser.
+//
+// Each action needs its handler from the parent AND the capability for the
+// signed-in user (useCan): Edit / Cancel on their own bookings or as a
+// Receptionist / Admin, Confirm for Receptionist / Admin, Delete for Admin.
+// Confirm / Cancel also need the booking's status to allow that transition.
+//
+// While a change is being saved (booking.isSaving, see src/api/optimistic.js)
+// the card is dimmed with a "Saving…" marker and offers no actions.
 
 import Link from "next/link";
 import { memo, useMemo } from 'react';
 import Button from "./Button";
+import useCan from "../hooks/useCan";
+import { allowedStatusTransitions } from "../validation/bookingRules";
 import "./BookingCard.css";
 
-const BookingCard = memo(function BookingCard({ booking, onEdit, onDelete }) {
+const BookingCard = memo(function BookingCard({ booking, onEdit, onDelete, onConfirm, onCancel }) {
+  const can = useCan();
+  const bookingId = booking.bookingId || booking.id;
+  const transitions = allowedStatusTransitions(booking.status, { canConfirm: can('bookings.confirm') });
+
   const formattedStart = useMemo(
     () => booking.startTime ? new Date(booking.startTime).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—',
     [booking.startTime]
@@ -20,7 +34,7 @@ const BookingCard = memo(function BookingCard({ booking, onEdit, onDelete }) {
   );
 
   return (
-    <div className="booking-card">
+    <div className={`booking-card${booking.isSaving ? ' is-saving' : ''}`} aria-busy={booking.isSaving || undefined}>
       <h3>
         {booking.roomName} - {booking.location}
       </h3>
@@ -34,25 +48,47 @@ const BookingCard = memo(function BookingCard({ booking, onEdit, onDelete }) {
         <span className={`booking-status status-${booking.status.toLowerCase()}`}>
           {booking.status}
         </span>
+        {booking.isSaving && <span className="booking-saving">Saving…</span>}
       </p>
-      <div className="booking-card-actions">
-        {/* Navigate to the booking detail page */}
-        <Link href={`/bookings/${booking.bookingId || booking.id}`} className="btn-view-details">
-          View Details
-        </Link>
-        {/* Event Handler: Call onEdit when clicked */}
-        <Button 
-          label="Edit" 
-          variant="primary"
-          onClick={() => onEdit(booking)}
-        />
-        {/* Event Handler: Call onDelete when clicked */}
-        <Button 
-          label="Delete" 
-          variant="danger"
-          onClick={() => onDelete(booking.bookingId || booking.id)}
-        />
-      </div>
+      {!booking.isSaving && (
+        <div className="booking-card-actions">
+          {/* Navigate to the booking detail page */}
+          <Link href={`/bookings/${bookingId}`} className="btn-view-details">
+            View Details
+          </Link>
+          {/* Event Handler: Call onEdit when clicked */}
+          {onEdit && can('bookings.update', booking) && (
+            <Button 
+              label="Edit" 
+              variant="primary"
+              onClick={() => onEdit(booking)}
+            />
+          )}
+          {/* Status changes go through the dedicated confirm / cancel endpoints */}
+          {onConfirm && transitions.includes('Confirmed') && (
+            <Button
+              label="Confirm"
+              variant="success"
+              onClick={() => onConfirm(bookingId)}
+            />
+          )}
+          {onCancel && can('bookings.cancel', booking) && transitions.includes('Cancelled') && (
+            <Button
+              label="Cancel Booking"
+              variant="secondary"
+              onClick={() => onCancel(bookingId)}
+            />
+          )}
+          {/* Event Handler: Call onDelete when clicked */}
+          {onDelete && can('bookings.delete') && (
+            <Button 
+              label="Delete" 
+              variant="danger"
+              onClick={() => onDelete(bookingId)}
+            />
+          )}
+        </div>
+      )}
     </div>
   );
 });
@@ -0,0 +1,138 @@
+'use client';
+// BookingFilterPanel.jsx — Filters for the bookings list, mapped to FilterBookingsDTO.
+//
+// 'use client': keeps the room-name input in local state (debounced with
+// useDebounce) and calls the onChange function prop from input handlers.
+//
+// Controlled by the URL: `filters` is the state read with useQueryState and
+// every change is reported through onChange(updates), so the parent can write
+// it back to the query string and reset to page 1. The panel never filters
+// anything itself — the parent sends the filters to GET /Booking/filter.
+//
+//   • Room name    — partial match, debounced so typing doesn't refetch per key
+//   • Location     — one of the RoomLocation values
+//   • From / To    — whole days; To can't be before From
+//   • Status chips — any combination; none selected means every status
+//   • "Inactive rooms only" — bookings in deactivated rooms (IsActiveRoom=false)
+
+import { useState, useEffect, useRef } from 'react';
+import useDebounce from '../hooks/useDebounce';
+import { ROOM_LOCATIONS } from '../dto/CreateRoomDTO';
+import { BOOKING_STATUSES, parseStatuses } from '../dto/FilterBookingsDTO';
+import './BookingFilterPanel.css';
+
+// What "Clear filters" resets to
+export const EMPTY_BOOKING_FILTERS = { roomName: '', location: '', from: '', to: '', status: '', inactiveOnly: false };
+
+/**
+ * @param {{ roomName: string, location: string, from: string, to: string,
+ *           status: string, inactiveOnly: boolean }} filters - Current filters (URL form)
+ * @param {Function} onChange - Called with the changed keys, e.g. { status: 'Pending,Confirmed' }
+ * @param {boolean} disabled - Disable the inputs (e.g. while a page loads)
+ */
+function BookingFilterPanel({ filters, onChange, disabled = false }) {
+  const [roomName, setRoomName] = useState(filters.roomName);
+  const debouncedRoomName = useDebounce(roomName, 400);
+
+  // The latest onChange and URL value, so only settled typing runs the sync
+  // below — not a new onChange or a URL change
+  const onChangeRef = useRef(onChange);
+  const urlRoomNameRef = useRef(filters.roomName);
+  useEffect(() => { onChangeRef.current = onChange; }, [onChange]);
+  useEffect(() => { urlRoomNameRef.current = filters.roomName; }, [filters.roomName]);
+
+  // Settled typing → URL
+  useEffect(() => {
+    if (debouncedRoomName !== urlRoomNameRef.current) onChangeRef.current({ roomName: debouncedRoomName });
+  }, [debouncedRoomName]);
+
+  // URL → input (Clear filters, back/forward, a shared link)
+  useEffect(() => { setRoomName(filters.roomName); }, [filters.roomName]);
+
+  const statuses = parseStatuses(filters.status);
+
+  const toggleStatus = (status) => {
+    const next = statuses.includes(status) ? statuses.filter(s => s !== status) : [...statuses, status];
+    // Keep the URL in a stable order whatever order the chips were clicked in
+    onChange({ status: BOOKING_STATUSES.filter(s => next.includes(s)).join(',') });
+  };
+
+  const isFiltered = Object.keys(EMPTY_BOOKING_FILTERS).some(key => filters[key] !== EMPTY_BOOKING_FILTERS[key]);
+
+  return (
+    <div className="booking-filters">
+      <div className="booking-filters-row">
+        <label>
+          Room name
+          <input
+            type="search"
+            placeholder="Type room name…"
+            value={roomName}
+            onChange={e => setRoomName(e.target.value)}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Location
+          <select value={filters.location} onChange={e => onChange({ location: e.target.value })} disabled={disabled}>
+            <option value="">All locations</option>
+            {ROOM_LOCATIONS.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+          </select>
+        </label>
+        <label>
+          From
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={e => onChange({ from: e.target.value })}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={e => onChange({ to: e.target.value })}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      <div className="booking-filters-row">
+        <div className="booking-filters-chips" role="group" aria-label="Status">
+          {BOOKING_STATUSES.map(status => (
+            <button
+              key={status}
+              type="button"
+              className={`booking-filters-chip booking-filters-chip-${status.toLowerCase()}`}
+              aria-pressed={statuses.includes(status)}
+              onClick={() => toggleStatus(status)}
+              disabled={disabled}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+        <label className="booking-filters-toggle">
+          <input
+            type="checkbox"
+            checked={filters.inactiveOnly}
+            onChange={e => onChange({ inactiveOnly: e.target.checked })}
+            disabled={disabled}
+          />
+          Inactive rooms only
+        </label>
+        {isFiltered && (
+          <button type="button" className="booking-filters-clear" onClick={() => onChange(EMPTY_BOOKING_FILTERS)} disabled={disabled}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BookingFilterPanel;
@@ -23,15 +23,66 @@
 
 import { useState, useEffect } from "react";
 import Button from "./Button";
+import useAvailabilityPreview from "../hooks/useAvailabilityPreview";
+import useCan from "../hooks/useCan";
+import useBookingDraft from "../hooks/useBookingDraft";
+import { validateBooking, allowedStatusTransitions } from "../validation/bookingRules";
 import "./BookingForm.css";
 
-function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErrors = {} }) {
+// Date → "2026-02-24T09:00" for the datetime-local inputs
+const toInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+function BookingForm({ onSubmit, onCancel, rooms, initialData = null, prefill = null, serverErrors = {} }) {
   // State for each form field (Controlled Components pattern)
-  // If initialData exists (editing mode), use it; otherwise use empty defaults
-  const [roomId, setRoomId] = useState(initialData?.roomId || "");
-  const [startTime, setStartTime] = useState(initialData?.startTime || "");
-  const [endTime, setEndTime] = useState(initialData?.endTime || "");
+  // If initialData exists (editing mode), use it; otherwise start from prefill
+  // (e.g. a slot picked on the calendar) or empty defaults
+  const [roomId, setRoomId] = useState(initialData?.roomId || prefill?.roomId || "");
+  const [startTime, setStartTime] = useState(initialData?.startTime || prefill?.startTime || "");
+  const [endTime, setEndTime] = useState(initialData?.endTime || prefill?.endTime || "");
   const [status, setStatus] = useState(initialData?.status || "Pending");
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const can = useCan();
+
+  // Client-side booking rules (src/validation/bookingRules.js) — the same checks
+  // BookingValidationService runs, so most mistakes show before submit.
+  // Rule errors appear once the fields they depend on are filled in;
+  // "required" errors wait until the user tries to submit.
+  const selectedRoom = rooms.find(r => r.id === parseInt(roomId));
+  const ruleErrors = validateBooking({ roomId, startTime, endTime, room: selectedRoom });
+  const clientErrors = submitAttempted ? ruleErrors : {
+    roomId: roomId ? ruleErrors.roomId : undefined,
+    startTime: startTime && endTime ? ruleErrors.startTime : undefined,
+    endTime: startTime && endTime ? ruleErrors.endTime : undefined,
+  };
+
+  // Status can only move along the transitions the API allows for this user
+  // (Pending → Confirmed needs Receptionist/Admin; Cancelled is final). New
+  // bookings always start Pending, so the dropdown is only offered when editing
+  // and there is somewhere legal to go.
+  const statusOptions = initialData
+    ? [initialData.status || "Pending", ...allowedStatusTransitions(initialData.status || "Pending", { canConfirm: can('bookings.confirm') })]
+    : [];
+  const showStatus = statusOptions.length > 1;
+
+  // Background availability check for the room/time being picked (debounced)
+  const availability = useAvailabilityPreview({
+    roomId,
+    startTime,
+    endTime,
+    rooms,
+    excludeBookingId: initialData?.id,
+  });
+
+  const applySlot = (slot) => {
+    setStartTime(toInputValue(slot.start));
+    setEndTime(toInputValue(slot.end));
+  };
 
   // Update form fields when initialData changes (for edit mode)
   useEffect(() => {
@@ -40,14 +91,27 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
       setStartTime(initialData.startTime || "");
       setEndTime(initialData.endTime || "");
       setStatus(initialData.status || "Pending");
+      setSubmitAttempted(false);
     } else {
-      // Reset form when creating new booking
-      setRoomId("");
-      setStartTime("");
-      setEndTime("");
+      // Reset form when creating new booking (keeping any prefilled slot)
+      setRoomId(prefill?.roomId || "");
+      setStartTime(prefill?.startTime || "");
+      setEndTime(prefill?.endTime || "");
       setStatus("Pending");
+      setSubmitAttempted(false);
     }
-  }, [initialData]);
+  }, [initialData, prefill]);
+
+  // A forced logout (session expired) saves the fields as a draft; reopening
+  // the form for the same booking brings them back (useBookingDraft)
+  const [draftRestored, setDraftRestored] = useState(false);
+  useBookingDraft(initialData?.id ?? null, { roomId, startTime, endTime, status }, (draft) => {
+    setRoomId(draft.roomId || "");
+    setStartTime(draft.startTime || "");
+    setEndTime(draft.endTime || "");
+    if (initialData && draft.status) setStatus(draft.status);
+    setDraftRestored(true);
+  });
 
   // Helper function to format datetime for API with proper timezone handling
   // The backend validates business hours (08:00-16:00) using the HOUR component
@@ -79,15 +143,10 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
   const handleSubmit = async (e) => {
     e.preventDefault(); // Prevents page reload (default HTML form behavior)
     
-    // Validation
-    if (!roomId || !startTime || !endTime) {
-      alert("Please fill in all fields");
-      return;
-    }
+    // Validation — show every rule error and stop if any rule fails
+    setSubmitAttempted(true);
+    if (Object.keys(ruleErrors).length > 0) return;
 
-    // Find the selected room to get its details
-    const selectedRoom = rooms.find(r => r.id === parseInt(roomId));
-    
     if (!selectedRoom) {
       alert("Invalid room selected");
       return;
@@ -102,8 +161,9 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
         roomId: parseInt(roomId),
         startTime: formatDateTimeForAPI(startTime),
         endTime: formatDateTimeForAPI(endTime),
-        status: status
       };
+      // Only send status when it changes — the API rejects a "transition" to the same status
+      if (status !== (initialData.status || "Pending")) bookingData.status = status;
     } else {
       // CREATE: Match CreateBookingRequestDTO structure
       bookingData = {
@@ -129,6 +189,7 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
       setStartTime("");
       setEndTime("");
       setStatus("Pending");
+      setSubmitAttempted(false);
     } catch {
       // Parent (App.jsx) sets bookingFormErrors; nothing to do here.
     }
@@ -140,12 +201,19 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
     setStartTime("");
     setEndTime("");
     setStatus("Pending");
+    setSubmitAttempted(false);
   };
 
   return (
     <div className="booking-form-container">
       <h3>{initialData ? "Edit Booking" : "Create New Booking"}</h3>
 
+      {draftRestored && (
+        <p className="booking-form-draft" role="status">
+          Restored what you were entering before your session ended.
+        </p>
+      )}
+
       {/* Req 5: General server error (e.g. "Room is already occupied") */}
       {serverErrors.general && (
         <p style={{ color: '#dc3545', background: '#f8d7da', border: '1px solid #f5c6cb', borderRadius: '4px', padding: '8px 12px', marginBottom: '12px', fontSize: '0.875rem' }}>
@@ -171,10 +239,10 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
               </option>
             ))}
           </select>
-          {/* Req 5: Per-field server error */}
-          {serverErrors.roomId && (
+          {/* Req 5: Per-field server error, else the client-side rule error */}
+          {(serverErrors.roomId || clientErrors.roomId) && (
             <span style={{ color: '#dc3545', fontSize: '0.8rem', marginTop: '4px', display: 'block' }}>
-              {serverErrors.roomId}
+              {serverErrors.roomId || clientErrors.roomId}
             </span>
           )}
         </div>
@@ -189,10 +257,10 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
             onChange={(e) => setStartTime(e.target.value)}
             required
           />
-          {/* Req 5: Per-field server error */}
-          {serverErrors.startTime && (
+          {/* Req 5: Per-field server error, else the client-side rule error */}
+          {(serverErrors.startTime || clientErrors.startTime) && (
             <span style={{ color: '#dc3545', fontSize: '0.8rem', marginTop: '4px', display: 'block' }}>
-              {serverErrors.startTime}
+              {serverErrors.startTime || clientErrors.startTime}
             </span>
           )}
         </div>
@@ -207,27 +275,68 @@ function BookingForm({ onSubmit, onCancel, rooms, initialData = null, serverErro
             onChange={(e) => setEndTime(e.target.value)}
             required
           />
-          {/* Req 5: Per-field server error */}
-          {serverErrors.endTime && (
+          {/* Req 5: Per-field server error, else the client-side rule error */}
+          {(serverErrors.endTime || clientErrors.endTime) && (
             <span style={{ color: '#dc3545', fontSize: '0.8rem', marginTop: '4px', display: 'block' }}>
-              {serverErrors.endTime}
+              {serverErrors.endTime || clientErrors.endTime}
             </span>
           )}
         </div>
 
-        {/* Controlled Select Input */}
-        <div className="form-group">
-          <label htmlFor="status">Status:</label>
-          <select
-            id="status"
-            value={status}
-            onChange={(e) => setStatus(e.target.value)}
-          >
-            <option value="Pending">Pending</option>
-            <option value="Confirmed">Confirmed</option>
-            <option value="Cancelled">Cancelled</option>
-          </select>
-        </div>
+        {/* Live availability preview — shown before submit */}
+        {availability.status !== 'idle' && (
+          <div className={`availability-preview availability-${availability.status}`} aria-live="polite">
+            {availability.status === 'checking' && <p>Checking availability…</p>}
+            {availability.status === 'available' && <p>✓ Available</p>}
+            {availability.status === 'outside-hours' && <p>Outside 08:00–16:00 business hours</p>}
+            {availability.status === 'invalid' && <p>End time must be after start time</p>}
+            {availability.status === 'error' && <p>Couldn't check availability right now.</p>}
+            {availability.status === 'conflict' && (
+              <>
+                <p>
+                  ✗ Conflicts with booking #{availability.conflict.bookingId}
+                  {' '}({formatTime(availability.conflict.startTime)}–{formatTime(availability.conflict.endTime)})
+                </p>
+                {availability.freeSlots.length > 0 && (
+                  <div className="availability-suggestions">
+                    <span>Nearest free slots in this room:</span>
+                    {availability.freeSlots.map(slot => (
+                      <button type="button" key={slot.start.getTime()} onClick={() => applySlot(slot)}>
+                        {formatTime(slot.start)}–{formatTime(slot.end)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {availability.alternatives.length > 0 && (
+                  <div className="availability-suggestions">
+                    <span>Free at this time:</span>
+                    {availability.alternatives.map(room => (
+                      <button type="button" key={room.roomId} onClick={() => setRoomId(String(room.roomId))}>
+                        {room.roomName} ({room.capacity})
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Controlled Select Input — only the legal transitions for this user */}
+        {showStatus && (
+          <div className="form-group">
+            <label htmlFor="status">Status:</label>
+            <select
+              id="status"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+            >
+              {statusOptions.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+        )}
 
         {/* Form Actions */}
         <div className="form-actions">
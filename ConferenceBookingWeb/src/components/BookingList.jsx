@@ -1,15 +1,18 @@
 'use client';
 // BookingList.jsx — Renders a list of BookingCard components.
 //
-// 'use client': accepts onEdit and onDelete function props and forwards them
-// to BookingCard. In Next.js, Server Components cannot accept or pass functions
-// as props — doing so would cross the server/client serialisation boundary.
+// 'use client': accepts onEdit, onDelete, onConfirm and onCancel function props
+// and forwards them to BookingCard. In Next.js, Server Components cannot accept
+// or pass functions as props — doing so would cross the server/client
+// serialisation boundary.
+//
+// Each card decides which actions the signed-in user may take (useCan).
 
 import { memo } from 'react';
 import BookingCard from "./BookingCard";
 import "./BookingList.css";
 
-const BookingList = memo(function BookingList({ bookings, onEdit, onDelete }) {
+const BookingList = memo(function BookingList({ bookings, onEdit, onDelete, onConfirm, onCancel }) {
   // Pass both data AND event handlers to child components
   
   return (
@@ -27,6 +30,8 @@ const BookingList = memo(function BookingList({ bookings, onEdit, onDelete }) {
               booking={booking}
               onEdit={onEdit}
               onDelete={onDelete}
+              onConfirm={onConfirm}
+              onCancel={onCancel}
             />
           ))}
         </div>
@@ -0,0 +1,25 @@
+'use client';
+// Can.jsx — Renders its children only when the signed-in user has a capability.
+//
+// 'use client': reads the user through useCan → AuthContext.
+//
+//   <Can do="bookings.create"><Button label="New Booking" … /></Can>
+//   <Can do="bookings.cancel" on={booking} fallback={<span>Read only</span>}>…</Can>
+//
+// Capabilities are listed in src/permissions/permissions.js.
+
+import useCan from '../hooks/useCan';
+
+/**
+ * @param {Object} props
+ * @param {string} props.do - Capability, e.g. 'rooms.manage'
+ * @param {Object} [props.on] - Resource for owned capabilities (a booking)
+ * @param {React.ReactNode} [props.fallback] - Rendered instead when not allowed (default: nothing)
+ * @param {React.ReactNode} props.children
+ */
+function Can({ do: capability, on, fallback = null, children }) {
+  const can = useCan();
+  return can(capability, on) ? children : fallback;
+}
+
+export default Can;
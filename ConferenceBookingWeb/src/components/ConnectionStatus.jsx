@@ -1,5 +1,6 @@
 // ConnectionStatus.jsx — Pings the backend /health endpoint and displays
-// "Connected" (green) or "Backend Offline" (red) in the Header.
+// "Connected" (green) or "Backend Offline" (red) in the Header, next to the
+// state of the live-update (SignalR) connection.
 
 'use client';
 // 'use client': uses useState to track online/offline/checking status and
@@ -7,10 +8,22 @@
 
 import { useState, useEffect } from 'react';
 import apiClient from '../api/apiClient';
+import { useHubStatus } from '../context/HubContext';
+import { useAuthContext } from '../context/AuthContext';
 import './ConnectionStatus.css';
 
+// Hub connection state → pill class and label
+const HUB_LABELS = {
+  connected:    ['online',   'Live'],
+  connecting:   ['checking', 'Live: connecting…'],
+  reconnecting: ['checking', 'Live: reconnecting…'],
+  disconnected: ['offline',  'Live updates off'],
+};
+
 function ConnectionStatus() {
   const [status, setStatus] = useState('checking'); // 'checking' | 'online' | 'offline'
+  const hubStatus = useHubStatus();
+  const { isLoggedIn } = useAuthContext();
 
   const ping = async () => {
     try {
@@ -28,13 +41,29 @@ function ConnectionStatus() {
     return () => clearInterval(interval);
   }, []);
 
+  // The hub is only connected for a signed-in user on a page that listens
+  const [hubClass, hubLabel] = HUB_LABELS[hubStatus] ?? HUB_LABELS.disconnected;
+  const hub = isLoggedIn && (
+    <span className={`connection-status ${hubClass}`} title="Real-time updates (SignalR)">
+      &#9679; {hubLabel}
+    </span>
+  );
+
   if (status === 'checking') {
-    return <span className="connection-status checking">&#9679; Connecting…</span>;
+    return (
+      <span className="connection-status-group">
+        <span className="connection-status checking">&#9679; Connecting…</span>
+        {hub}
+      </span>
+    );
   }
 
   return (
-    <span className={`connection-status ${status === 'online' ? 'online' : 'offline'}`}>
-      &#9679; {status === 'online' ? 'Connected' : 'Backend Offline'}
+    <span className="connection-status-group">
+      <span className={`connection-status ${status === 'online' ? 'online' : 'offline'}`}>
+        &#9679; {status === 'online' ? 'Connected' : 'Backend Offline'}
+      </span>
+      {hub}
     </span>
   );
 }
@@ -1,17 +1,25 @@
 'use client';
 // CreateUserButton.jsx — Button for creating a new user account.
 //
-// 'use client': defines an inline onClick handler (handleCreateUser).
-// Inline event handlers are browser-only — they cannot run on the server.
+// 'use client': defines an inline onClick handler (handleCreateUser) and uses
+// useRouter / useCan. Both are browser-only.
+//
+// Only Admin can create users (POST /api/UserManagement/create), so the
+// button renders nothing for other roles. Clicking it opens the create modal
+// on the User Management page via ?create=1.
 
+import { useRouter } from 'next/navigation';
+import useCan from '../hooks/useCan';
 import "./CreateUserButton.css";
 
 function CreateUserButton() {
+  const router = useRouter();
+  const can = useCan();
+
+  if (!can('users.create')) return null;
+
   const handleCreateUser = () => {
-    // TODO: In a real app, this would:
-    // 1. Navigate to user creation page
-    // 2. Or open a modal with user creation form
-    alert("Create User clicked! (Not implemented yet)");
+    router.push('/dashboard/users?create=1');
   };
 
   return (
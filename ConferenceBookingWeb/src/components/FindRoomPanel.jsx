@@ -0,0 +1,157 @@
+'use client';
+// FindRoomPanel.jsx — "Find a room": which rooms are free for a whole slot?
+//
+// 'use client': controlled inputs and an on-demand fetch with the JWT-backed
+// apiClient (browser-only).
+//
+// Takes a date, a time range, a headcount and (optionally) a location, asks
+// GET /Room/availability?atTime&endTime for the rooms with no Confirmed
+// booking overlapping that window, then keeps the ones that seat everyone and
+// ranks them by best capacity fit — the smallest room that fits comes first so
+// big rooms stay free for big meetings.
+
+import { useState } from 'react';
+import Button from './Button';
+import { checkAvailableRooms } from '../services/roomService';
+import { ROOM_LOCATIONS } from '../dto/CreateRoomDTO';
+import './FindRoomPanel.css';
+
+const pad = (n) => String(n).padStart(2, '0');
+const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * Rooms that seat `headcount` (and are in `location`, unless 'All'),
+ * smallest spare capacity first, then by name.
+ * @param {Array} rooms - CheckAvailableRoomsDTO list
+ * @param {number} headcount
+ * @param {string} location - A ROOM_LOCATIONS value or 'All'
+ * @returns {Array} Ranked rooms
+ */
+export function rankRoomsByFit(rooms, headcount, location = 'All') {
+  return rooms
+    .filter(room => room.capacity >= headcount)
+    .filter(room => location === 'All' || room.location === location)
+    .sort((a, b) => (a.capacity - headcount) - (b.capacity - headcount) || a.roomName.localeCompare(b.roomName));
+}
+
+/**
+ * FindRoomPanel
+ *
+ * @param {Function} onSelectRoom - Optional; adds a "Book" button to each result,
+ *   called with { room, start, end } (room is a CheckAvailableRoomsDTO, times are Dates)
+ */
+function FindRoomPanel({ onSelectRoom }) {
+  const [date, setDate] = useState(today);
+  const [startTime, setStartTime] = useState('09:00');
+  const [endTime, setEndTime] = useState('10:00');
+  const [headcount, setHeadcount] = useState('');
+  const [location, setLocation] = useState('All');
+
+  const [results, setResults] = useState(null); // null = not searched yet
+  const [searched, setSearched] = useState(null); // window the results belong to
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const start = new Date(`${date}T${startTime}`);
+    const end = new Date(`${date}T${endTime}`);
+    const people = Number(headcount);
+    if (!date || !startTime || !endTime || !people || people < 1) {
+      setError('Please enter a date, a time range and how many people are coming.');
+      return;
+    }
+    if (end <= start) {
+      setError('End time must be after start time.');
+      return;
+    }
+    if (startTime < '08:00' || endTime > '16:00') {
+      setError('Rooms can only be booked between 08:00 and 16:00.');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const free = await checkAvailableRooms({ startDate: start, endDate: end });
+      setResults(rankRoomsByFit(free, people, location));
+      setSearched({ start, end, people });
+    } catch (err) {
+      setError(err?.response?.data?.message ?? err?.message ?? 'Could not check availability.');
+      setResults(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="find-room">
+      <h3>Find a room</h3>
+      <form className="find-room-form" onSubmit={handleSubmit}>
+        <label>
+          Date
+          <input type="date" value={date} onChange={e => setDate(e.target.value)} required />
+        </label>
+        <label>
+          From
+          <input type="time" value={startTime} min="08:00" max="16:00" step={900} onChange={e => setStartTime(e.target.value)} required />
+        </label>
+        <label>
+          To
+          <input type="time" value={endTime} min="08:00" max="16:00" step={900} onChange={e => setEndTime(e.target.value)} required />
+        </label>
+        <label>
+          People
+          <input type="number" min={1} value={headcount} onChange={e => setHeadcount(e.target.value)} required />
+        </label>
+        <label>
+          Location
+          <select value={location} onChange={e => setLocation(e.target.value)}>
+            <option value="All">All Locations</option>
+            {ROOM_LOCATIONS.map(loc => <option key={loc} value={loc}>{loc}</option>)}
+          </select>
+        </label>
+        <Button label={isLoading ? 'Searching…' : 'Find rooms'} variant="primary" disabled={isLoading} />
+      </form>
+
+      {error && <p className="find-room-error" role="alert">{error}</p>}
+
+      {results && searched && (
+        results.length === 0 ? (
+          <p className="find-room-empty">
+            No room seating {searched.people} is free for the whole of {time(searched.start)}–{time(searched.end)}.
+          </p>
+        ) : (
+          <ol className="find-room-results">
+            {results.map((room, index) => (
+              <li key={room.roomId} className={index === 0 ? 'find-room-best' : ''}>
+                <div>
+                  <strong>{room.roomName}</strong>
+                  <span>
+                    {room.location} · seats {room.capacity}
+                    {room.capacity === searched.people ? ' · exact fit' : ` · ${room.capacity - searched.people} spare`}
+                  </span>
+                </div>
+                {onSelectRoom && (
+                  <Button
+                    label="Book"
+                    variant="success"
+                    onClick={() => onSelectRoom({ room, start: searched.start, end: searched.end })}
+                  />
+                )}
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+    </div>
+  );
+}
+
+export default FindRoomPanel;
@@ -13,6 +13,7 @@ import { useRouter, usePathname } from 'next/navigation';
 import { useAuthContext } from '../context/AuthContext';
 import UserInfo from './UserInfo';
 import CreateUserButton from './CreateUserButton';
+import ConnectionStatus from './ConnectionStatus';
 import './Header.css';
 
 function Header() {
@@ -40,6 +41,7 @@ function Header() {
         </nav>
 
         <div className="header-actions">
+          <ConnectionStatus />
           {isLoggedIn && (
             <>
               <UserInfo user={currentUser} />
@@ -0,0 +1,65 @@
+'use client';
+// MeetingCountdown.jsx — "Starts in 2 h 5 min" label for an upcoming booking.
+//
+// 'use client': the parent passes a ticking `now` (e.g. from setInterval),
+// which only exists in the browser.
+//
+// The component holds no timer of its own, so a page with many bookings
+// re-renders every countdown from one clock. formatCountdown() is exported so
+// the text can be tested without rendering.
+
+import './MeetingCountdown.css';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// 125 min → "2 h 5 min", 3 days 4 h → "3 days 4 h"
+const formatDuration = (ms) => {
+  if (ms >= DAY) {
+    const days = Math.floor(ms / DAY);
+    const hours = Math.floor((ms % DAY) / HOUR);
+    return `${days} day${days === 1 ? '' : 's'}${hours > 0 ? ` ${hours} h` : ''}`;
+  }
+  if (ms >= HOUR) {
+    const hours = Math.floor(ms / HOUR);
+    const minutes = Math.floor((ms % HOUR) / MINUTE);
+    return `${hours} h${minutes > 0 ? ` ${minutes} min` : ''}`;
+  }
+  return `${Math.max(1, Math.ceil(ms / MINUTE))} min`;
+};
+
+/**
+ * Countdown text for a booking relative to `now`.
+ * @param {string|Date} startTime
+ * @param {string|Date} endTime
+ * @param {number} now - Milliseconds since epoch (Date.now())
+ * @returns {string}
+ */
+export function formatCountdown(startTime, endTime, now) {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  if (now >= end) return 'Ended';
+  if (now >= start) return `In progress — ends in ${formatDuration(end - now)}`;
+  if (start - now < MINUTE) return 'Starting now';
+  return `Starts in ${formatDuration(start - now)}`;
+}
+
+/**
+ * @param {string} startTime - Booking start (ISO)
+ * @param {string} endTime - Booking end (ISO)
+ * @param {number} now - Current time in ms, ticked by the parent
+ */
+function MeetingCountdown({ startTime, endTime, now }) {
+  const start = new Date(startTime).getTime();
+  // Highlight meetings that are running or start within 15 minutes
+  const soon = start - now < 15 * MINUTE && now < new Date(endTime).getTime();
+
+  return (
+    <span className={`meeting-countdown${soon ? ' meeting-countdown-soon' : ''}`} role="timer">
+      {formatCountdown(startTime, endTime, now)}
+    </span>
+  );
+}
+
+export default MeetingCountdown;
@@ -0,0 +1,57 @@
+'use client';
+// Pagination.jsx — Prev/Next page controls with a page-size picker.
+//
+// 'use client': calls onPageChange / onPageSizeChange function props from
+// click and change handlers.
+//
+// Stateless: the parent owns page / pageSize (usually in the URL via
+// useQueryState) and the totals from the API's PaginatedResponseDTO.
+
+import './Pagination.css';
+
+/**
+ * @param {number} page - Current page (1-based)
+ * @param {number} totalPages - From the pagination envelope
+ * @param {number} totalRecords - From the pagination envelope
+ * @param {number} pageSize - Items per page
+ * @param {number[]} pageSizes - Options for the page-size picker
+ * @param {Function} onPageChange - Called with the new page number
+ * @param {Function} onPageSizeChange - Called with the new page size
+ * @param {boolean} disabled - Disable the controls (e.g. while a page loads)
+ * @param {string} itemLabel - Singular noun for the record count ("booking")
+ */
+function Pagination({
+  page,
+  totalPages,
+  totalRecords,
+  pageSize,
+  pageSizes = [10, 25, 50, 100],
+  onPageChange,
+  onPageSizeChange,
+  disabled = false,
+  itemLabel = 'item',
+}) {
+  const lastPage = Math.max(totalPages, 1);
+
+  return (
+    <div className="pagination">
+      <label className="pagination-size">
+        Per page:
+        <select value={pageSize} onChange={e => onPageSizeChange(Number(e.target.value))} disabled={disabled}>
+          {pageSizes.map(size => <option key={size} value={size}>{size}</option>)}
+        </select>
+      </label>
+      <button className="pagination-button" onClick={() => onPageChange(page - 1)} disabled={disabled || page <= 1}>
+        ‹ Prev
+      </button>
+      <span className="pagination-status">
+        Page {page} of {lastPage} ({totalRecords} {totalRecords === 1 ? itemLabel : `${itemLabel}s`})
+      </span>
+      <button className="pagination-button" onClick={() => onPageChange(page + 1)} disabled={disabled || page >= lastPage}>
+        Next ›
+      </button>
+    </div>
+  );
+}
+
+export default Pagination;
@@ -5,6 +5,10 @@
 // If no valid JWT token is found in the auth state, the user is
 // programmatically redirected to /login using Next.js useRouter.
 //
+// proxy.ts already turns guests away on the server before the page renders;
+// this guard covers the session ending while the page is open (logout, a
+// rejected refresh).
+//
 // Usage:
 //   <ProtectedRoute>{children}</ProtectedRoute>
 //
@@ -3,16 +3,23 @@
 //
 // 'use client': renders <Button onClick={() => onEdit(room)}> —
 // inline arrow functions as event handlers require the browser.
+//
+// A room whose change is still being saved (room.isSaving) is dimmed, marked
+// "Saving…" and has no actions; one that doesn't exist on the server yet
+// doesn't load its sessions either.
 
 import { memo } from 'react';
 import Button from "./Button";
+import RoomSessionList from "./RoomSessionList";
+import { isUnsaved } from "../api/optimistic";
 import "./RoomCard.css";
 
 const RoomCard = memo(function RoomCard({ room, onEdit, onDelete }) {
   return (
-    <div className="room-card">
+    <div className={`room-card${room.isSaving ? ' is-saving' : ''}`} aria-busy={room.isSaving || undefined}>
       <h3>
         {room.name}
+        {room.isSaving && <span className="room-saving">Saving…</span>}
       </h3>
       <p>
         <strong>Location:</strong> {room.location}
@@ -23,7 +30,8 @@ const RoomCard = memo(function RoomCard({ room, onEdit, onDelete }) {
       <p>
         <strong>Capacity:</strong> {room.capacity} people
       </p>
-      {(onEdit || onDelete) && (
+      {!isUnsaved(room) && <RoomSessionList roomId={room.id} />}
+      {!room.isSaving && (onEdit || onDelete) && (
         <div className="room-card-actions">
           {onEdit && (
             <Button 
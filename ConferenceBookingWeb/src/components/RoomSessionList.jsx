@@ -0,0 +1,82 @@
+'use client';
+// RoomSessionList.jsx — Collapsible list of conference sessions in one room.
+//
+// 'use client': holds expand/collapse state and fetches on demand with the
+// JWT-backed apiClient (browser-only).
+//
+// Rendered inside RoomCard. Sessions are fetched only when the list is first
+// expanded, so a grid of rooms does not fire one request per card on load.
+
+import { useState } from 'react';
+import { fetchSessionsByRoom } from '../services/sessionService';
+import './RoomSessionList.css';
+
+const formatSlot = (startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const day = start.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `${day}, ${time(start)}–${time(end)}`;
+};
+
+function RoomSessionList({ roomId }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState(null); // null = not loaded yet
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening || sessions !== null) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const data = await fetchSessionsByRoom(roomId);
+      // Upcoming first — the card is a quick "what's on in here" glance.
+      setSessions([...data].sort((a, b) => new Date(a.startTime) - new Date(b.startTime)));
+    } catch (err) {
+      setError(err?.message ?? 'Could not load sessions.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="room-sessions">
+      <button
+        type="button"
+        className="room-sessions-toggle"
+        onClick={toggle}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? '▾' : '▸'} Sessions{sessions ? ` (${sessions.length})` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="room-sessions-body">
+          {isLoading && <p className="room-sessions-note">Loading…</p>}
+          {error && <p className="room-sessions-note room-sessions-error">{error}</p>}
+          {!isLoading && !error && sessions?.length === 0 && (
+            <p className="room-sessions-note">No sessions scheduled.</p>
+          )}
+          {!isLoading && !error && sessions?.length > 0 && (
+            <ul className="room-sessions-list">
+              {sessions.map((session) => (
+                <li key={session.id}>
+                  <span className="room-sessions-title">{session.title}</span>
+                  <span className="room-sessions-meta">
+                    {formatSlot(session.startTime, session.endTime)} · {session.capacity} seats
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoomSessionList;
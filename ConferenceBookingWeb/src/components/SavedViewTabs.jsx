@@ -0,0 +1,115 @@
+'use client';
+// SavedViewTabs.jsx — Quick tabs for saved bookings views, shown above BookingList.
+//
+// 'use client': keeps the "Save view" form in local state and calls the
+// onSelect / onSave / onDelete function props from event handlers.
+//
+// The tabs only report clicks; the parent owns the views (useSavedViews) and
+// writes a chosen view's filters to the URL. "All bookings" clears every
+// filter. A view can be saved with the current dates or with a relative range
+// ("This week", "Last month", …) that is worked out again each time it opens.
+
+import { useState } from 'react';
+import { DATE_RANGES } from '../hooks/useSavedViews';
+import './SavedViewTabs.css';
+
+const rangeLabel = (range) => DATE_RANGES.find(r => r.value === range)?.label;
+
+/**
+ * @param {Array<{ id: string, name: string, range: string }>} views - Saved views
+ * @param {string|null} activeId - View whose filters match the current ones, if any
+ * @param {boolean} filtered - Whether any filter is applied (else "All bookings" is active)
+ * @param {Function} onSelect - Called with a view, or null for "All bookings"
+ * @param {Function} onSave - Called with (name, range); range is '' to keep the current dates
+ * @param {Function} onDelete - Called with the view to delete
+ */
+function SavedViewTabs({ views = [], activeId = null, filtered = false, onSelect, onSave, onDelete }) {
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [range, setRange] = useState('');
+
+  const closeForm = () => {
+    setIsSaving(false);
+    setName('');
+    setRange('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name, range);
+    closeForm();
+  };
+
+  return (
+    <div className="saved-views">
+      <div className="saved-views-tabs" role="group" aria-label="Saved views">
+        <button
+          type="button"
+          className="saved-views-tab"
+          aria-pressed={!filtered}
+          onClick={() => onSelect(null)}
+        >
+          All bookings
+        </button>
+        {views.map(view => (
+          <span key={view.id} className="saved-views-item">
+            <button
+              type="button"
+              className="saved-views-tab"
+              aria-pressed={view.id === activeId}
+              title={view.range ? `Dates: ${rangeLabel(view.range)}` : undefined}
+              onClick={() => onSelect(view)}
+            >
+              {view.name}
+            </button>
+            <button
+              type="button"
+              className="saved-views-delete"
+              aria-label={`Delete view "${view.name}"`}
+              onClick={() => onDelete(view)}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {!isSaving && (
+          <button type="button" className="saved-views-add" onClick={() => setIsSaving(true)}>
+            + Save view
+          </button>
+        )}
+      </div>
+
+      {isSaving && (
+        <form
+          className="saved-views-form"
+          onSubmit={handleSubmit}
+          onKeyDown={e => { if (e.key === 'Escape') closeForm(); }}
+        >
+          <label>
+            View name
+            <input
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="e.g. Cancelled last month"
+              maxLength={40}
+              autoFocus
+            />
+          </label>
+          <label>
+            Dates
+            <select value={range} onChange={e => setRange(e.target.value)}>
+              <option value="">As currently filtered</option>
+              {DATE_RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+          </label>
+          <button type="submit" className="saved-views-save" disabled={!name.trim()}>Save</button>
+          <button type="button" className="saved-views-cancel" onClick={closeForm}>Cancel</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SavedViewTabs;
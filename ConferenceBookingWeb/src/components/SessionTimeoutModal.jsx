@@ -0,0 +1,47 @@
+'use client';
+// SessionTimeoutModal.jsx — "Your session is about to expire" warning.
+//
+// 'use client': driven by useSessionTimeout, which runs timers and listens for
+// user activity in the browser.
+//
+// Rendered once by app/AppShell.tsx, so it covers every page. Shows only while
+// useSessionTimeout says the session ends within two minutes and the user has
+// been idle; otherwise renders nothing.
+
+import Button from './Button';
+import useSessionTimeout from '../hooks/useSessionTimeout';
+import './SessionTimeoutModal.css';
+
+// 95 → "1:35"
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+function SessionTimeoutModal() {
+  const { showWarning, secondsLeft, staySignedIn, signOut, isRefreshing, error } = useSessionTimeout();
+
+  if (!showWarning) return null;
+
+  return (
+    <div className="session-timeout-overlay">
+      <div
+        className="session-timeout"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-timeout-title"
+        aria-describedby="session-timeout-text"
+      >
+        <h3 id="session-timeout-title">Your session is about to expire</h3>
+        <p id="session-timeout-text">
+          You will be signed out in <strong role="timer">{formatClock(secondsLeft)}</strong>.
+          Any booking you are filling in will be kept for when you sign back in.
+        </p>
+        {error && <p className="session-timeout-error">{error}</p>}
+        <div className="session-timeout-actions">
+          <Button label="Sign out" variant="secondary" onClick={signOut} disabled={isRefreshing} />
+          <Button label={isRefreshing ? 'Extending…' : 'Stay signed in'} variant="primary" onClick={staySignedIn} disabled={isRefreshing} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionTimeoutModal;
@@ -10,27 +10,30 @@
 
 import { usePathname } from 'next/navigation';
 import Link from 'next/link';
-import { useAuthContext } from '../context/AuthContext';
+import useCan from '../hooks/useCan';
 import './Sidebar.css';
 
-// roles: [] means visible to everyone (including unauthenticated).
-// roles: ['...'] means the user must have at least one of those roles.
+// No capability means visible to everyone (including unauthenticated).
+// Otherwise the user needs that capability (src/permissions/permissions.js).
 const ALL_NAV_ITEMS = [
-  { href: '/',                          label: 'Home',            icon: '🏠', roles: [] },
-  { href: '/dashboard',                 label: 'Dashboard',       icon: '📊', roles: ['Admin', 'FacilityManager', 'Receptionist', 'Employee'] },
-  { href: '/dashboard/bookings',        label: 'Bookings',        icon: '📅', roles: ['Admin', 'FacilityManager', 'Receptionist', 'Employee'] },
-  { href: '/dashboard/rooms',           label: 'Rooms',           icon: '🏢', roles: ['Admin', 'FacilityManager', 'Receptionist', 'Employee'] },
-  { href: '/dashboard/room-management', label: 'Room Management', icon: '⚙️', roles: ['FacilityManager'] },
+  { href: '/',                          label: 'Home',            icon: '🏠' },
+  { href: '/dashboard',                 label: 'Dashboard',       icon: '📊', capability: 'bookings.view' },
+  { href: '/dashboard/bookings',        label: 'Bookings',        icon: '📅', capability: 'bookings.view' },
+  { href: '/dashboard/my-bookings',     label: 'My Bookings',     icon: '🙋', capability: 'bookings.view' },
+  { href: '/dashboard/calendar',        label: 'Calendar',        icon: '🗓️', capability: 'bookings.view' },
+  { href: '/dashboard/approvals',       label: 'Approvals',       icon: '✅', capability: 'bookings.confirm' },
+  { href: '/dashboard/rooms',           label: 'Rooms',           icon: '🏢', capability: 'rooms.view' },
+  { href: '/dashboard/sessions',        label: 'Sessions',        icon: '🎤', capability: 'sessions.view' },
+  { href: '/dashboard/room-management', label: 'Room Management', icon: '⚙️', capability: 'rooms.manage' },
+  { href: '/dashboard/users',           label: 'Users',           icon: '👥', capability: 'users.list' },
+  { href: '/dashboard/my-sessions',     label: 'My Sessions',     icon: '🔐', capability: 'account.sessions' },
 ];
 
 function Sidebar() {
   const pathname = usePathname();
-  const { currentUser } = useAuthContext();
-  const userRoles = (currentUser?.roles ?? []);
+  const can = useCan();
 
-  const navItems = ALL_NAV_ITEMS.filter(
-    item => item.roles.length === 0 || item.roles.some(r => userRoles.includes(r))
-  );
+  const navItems = ALL_NAV_ITEMS.filter(item => !item.capability || can(item.capability));
 
   return (
     <aside className="sidebar">
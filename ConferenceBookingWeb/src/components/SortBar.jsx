@@ -0,0 +1,57 @@
+'use client';
+// SortBar.jsx — Column-style sort buttons for a list.
+//
+// 'use client': calls the onSortChange function prop from click handlers.
+//
+// The fields come from GET /Booking/sorting-options (availableFields), so the
+// UI only offers sorts the API understands; each field's description is shown
+// as its tooltip. Clicking the active field flips asc/desc, clicking another
+// field sorts by it ascending.
+
+import './SortBar.css';
+
+// "RoomName" → "Room name", "CreatedAt" → "Created at"
+const fieldLabel = (value) => {
+  const words = value.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * @param {Array<{ value: string, description: string }>} fields - Sortable fields
+ * @param {string} sortBy - Active field
+ * @param {string} sortOrder - 'asc' | 'desc'
+ * @param {Function} onSortChange - Called with ({ sortBy, sortOrder })
+ * @param {boolean} disabled - Disable the buttons (e.g. while a page loads)
+ */
+function SortBar({ fields = [], sortBy, sortOrder, onSortChange, disabled = false }) {
+  if (fields.length === 0) return null;
+
+  const handleClick = (value) => {
+    if (value === sortBy) onSortChange({ sortBy, sortOrder: sortOrder === 'asc' ? 'desc' : 'asc' });
+    else onSortChange({ sortBy: value, sortOrder: 'asc' });
+  };
+
+  return (
+    <div className="sort-bar" role="group" aria-label="Sort by">
+      <span className="sort-bar-label">Sort by:</span>
+      {fields.map(field => {
+        const active = field.value === sortBy;
+        return (
+          <button
+            key={field.value}
+            type="button"
+            className={`sort-bar-button${active ? ' sort-bar-button-active' : ''}`}
+            title={field.description}
+            aria-pressed={active}
+            onClick={() => handleClick(field.value)}
+            disabled={disabled}
+          >
+            {fieldLabel(field.value)}{active && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SortBar;
@@ -0,0 +1,72 @@
+/**
+ * ApprovalQueue.test.jsx
+ *
+ * Tests the receptionist approval queue:
+ *   1. Conflicts  — a request clashes with Confirmed bookings and competing
+ *                   Pending requests in the same room only
+ *   2. Keyboard   — j moves to the next request, c confirms the focused one
+ *   3. Bulk       — selected requests are rejected together, in queue order
+ *
+ * The component is presentational, so no services are mocked.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ApprovalQueue, { findQueueConflicts } from '../ApprovalQueue';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const pending = [
+  { bookingId: 3, roomId: 1, roomName: 'Boardroom', location: 'London', status: 'Pending', requestedBy: 'ana',
+    startTime: '2026-03-10T09:00:00', endTime: '2026-03-10T10:00:00', createdAt: '2026-03-01T08:00:00' },
+  { bookingId: 5, roomId: 1, roomName: 'Boardroom', location: 'London', status: 'Pending', requestedBy: 'ben',
+    startTime: '2026-03-10T09:30:00', endTime: '2026-03-10T11:00:00', createdAt: '2026-03-02T08:00:00' },
+  { bookingId: 6, roomId: 2, roomName: 'Huddle', location: 'London', status: 'Pending', requestedBy: 'cat',
+    startTime: '2026-03-10T09:00:00', endTime: '2026-03-10T10:00:00', createdAt: '2026-03-03T08:00:00' },
+];
+
+const confirmed = [
+  { bookingId: 1, roomId: 1, roomName: 'Boardroom', location: 'London', status: 'Confirmed',
+    startTime: '2026-03-10T10:30:00', endTime: '2026-03-10T12:00:00' },
+];
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('ApprovalQueue', () => {
+  it('finds confirmed and competing pending bookings in the same room', () => {
+    const conflicts = findQueueConflicts(pending, confirmed);
+
+    expect(conflicts[3].map(b => b.bookingId)).toEqual([5]);
+    expect(conflicts[5].map(b => b.bookingId)).toEqual([1, 3]);
+    expect(conflicts[6]).toBeUndefined();
+  });
+
+  it('confirms the focused request from the keyboard', () => {
+    const onConfirm = jest.fn();
+    render(<ApprovalQueue bookings={pending} onConfirm={onConfirm} onReject={jest.fn()} />);
+
+    fireEvent.keyDown(window, { key: 'j' });
+    fireEvent.keyDown(window, { key: 'c' });
+
+    expect(onConfirm).toHaveBeenCalledWith([5]);
+  });
+
+  it('rejects the selected requests together in queue order', () => {
+    const onReject = jest.fn();
+    render(
+      <ApprovalQueue
+        bookings={pending}
+        conflicts={findQueueConflicts(pending, confirmed)}
+        onConfirm={jest.fn()}
+        onReject={onReject}
+      />
+    );
+
+    expect(screen.getByText(/Overlaps confirmed/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Select booking #6'));
+    fireEvent.click(screen.getByLabelText('Select booking #3'));
+    fireEvent.click(screen.getByRole('button', { name: 'Reject 2' }));
+
+    expect(onReject).toHaveBeenCalledWith([3, 6]);
+  });
+});
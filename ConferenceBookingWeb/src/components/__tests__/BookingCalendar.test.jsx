@@ -0,0 +1,132 @@
+/**
+ * BookingCalendar.test.jsx
+ *
+ * Tests the calendar layout helpers and the rendered grid:
+ *   1. Range    — week view starts on Monday and spans seven days
+ *   2. Position — blocks are placed as a percentage of the business day
+ *   3. Lanes    — overlapping bookings in one room stack instead of covering each other
+ *   4. Render   — one row per room, blocks link to /bookings/[id] with a status class
+ *   5. Move     — dragging a block reports the new slot; a rejected save snaps it
+ *                 back and shows the server message under the row
+ *   6. Select   — dragging across empty time reports the room and slot
+ *
+ * Times are written without an offset so they parse as local time and the
+ * assertions hold in any timezone.
+ *
+ * jsdom has no layout or PointerEvent: every element reports an 800px-wide
+ * box (100px per hour in day view) and PointerEvent is aliased to MouseEvent
+ * so clientX reaches the handlers.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BookingCalendar, {
+  getCalendarRange,
+  positionBooking,
+  buildCalendarRows,
+} from '../BookingCalendar';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const rooms = [
+  { id: 1, name: 'Boardroom', location: 'London', capacity: 12 },
+  { id: 2, name: 'Huddle', location: 'Durban', capacity: 4 },
+];
+
+const bookings = [
+  { bookingId: 10, roomName: 'Boardroom', location: 'London', startTime: '2026-03-10T09:00:00', endTime: '2026-03-10T11:00:00', status: 'Confirmed' },
+  { bookingId: 11, roomName: 'Boardroom', location: 'London', startTime: '2026-03-10T10:00:00', endTime: '2026-03-10T12:00:00', status: 'Pending' },
+  { bookingId: 12, roomName: 'Huddle',    location: 'Durban', startTime: '2026-03-11T09:00:00', endTime: '2026-03-11T10:00:00', status: 'Cancelled' },
+];
+
+const day = new Date(2026, 2, 10); // Tuesday 10 March 2026
+
+const at = (hours, minutes = 0) => new Date(2026, 2, 10, hours, minutes);
+const timeLabel = (date) => date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+beforeAll(() => {
+  if (!window.PointerEvent) window.PointerEvent = window.MouseEvent;
+});
+
+beforeEach(() => {
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({
+    left: 0, top: 0, right: 800, bottom: 44, width: 800, height: 44, x: 0, y: 0, toJSON: () => ({}),
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('BookingCalendar', () => {
+  it('starts the week view on Monday', () => {
+    const { days, start, end } = getCalendarRange('week', day);
+
+    expect(days).toHaveLength(7);
+    expect(start).toEqual(new Date(2026, 2, 9));
+    expect(end).toEqual(new Date(2026, 2, 16));
+  });
+
+  it('positions a booking as a share of the 08:00–16:00 day', () => {
+    const { days } = getCalendarRange('day', day);
+
+    // 09:00–11:00 → starts 1h into an 8h day, lasts 2h
+    expect(positionBooking(bookings[0], days)).toEqual({ left: 12.5, width: 25 });
+    // Different day → not shown
+    expect(positionBooking(bookings[2], days)).toBeNull();
+  });
+
+  it('stacks overlapping bookings in the same room', () => {
+    const { days } = getCalendarRange('day', day);
+    const [boardroom, huddle] = buildCalendarRows(rooms, bookings, days);
+
+    expect(boardroom.lanes).toBe(2);
+    expect(boardroom.blocks.map(b => b.lane)).toEqual([0, 1]);
+    expect(huddle.blocks).toHaveLength(0);
+  });
+
+  it('renders a row per room with blocks linking to the booking', () => {
+    render(<BookingCalendar rooms={rooms} bookings={bookings} view="week" date={day} />);
+
+    expect(screen.getByText('Boardroom')).toBeInTheDocument();
+    expect(screen.getByText('Huddle')).toBeInTheDocument();
+
+    const confirmed = screen.getByText('#10 · Confirmed').closest('a');
+    expect(confirmed).toHaveAttribute('href', '/bookings/10');
+    expect(confirmed).toHaveClass('status-confirmed');
+    expect(screen.getByText('#12 · Cancelled').closest('a')).toHaveClass('status-cancelled');
+  });
+
+  it('snaps a dragged block back and shows the error when the move is rejected', async () => {
+    const onMoveBooking = jest.fn().mockRejectedValue(new Error('Room is already booked for this time.'));
+    render(<BookingCalendar rooms={rooms} bookings={[bookings[0]]} view="day" date={day} onMoveBooking={onMoveBooking} />);
+
+    const block = screen.getByText('#10 · Confirmed').closest('a');
+    // Grab at 09:30 (x=150), drop one hour later (x=250)
+    fireEvent.pointerDown(block, { button: 0, clientX: 150 });
+    fireEvent.pointerMove(window, { clientX: 250 });
+    fireEvent.pointerUp(window, { clientX: 250 });
+
+    expect(onMoveBooking).toHaveBeenCalledWith(bookings[0], { start: at(10), end: at(12) });
+    expect(await screen.findByRole('alert')).toHaveTextContent('Room is already booked for this time.');
+    await waitFor(() =>
+      expect(screen.getByText(`${timeLabel(at(9))}–${timeLabel(at(11))}`)).toBeInTheDocument()
+    );
+  });
+
+  it('reports the room and slot dragged across empty time', () => {
+    const onSelectSlot = jest.fn();
+    const { container } = render(
+      <BookingCalendar rooms={rooms} bookings={[]} view="day" date={day} onSelectSlot={onSelectSlot} />
+    );
+
+    const huddleRow = container.querySelectorAll('.calendar-timeline-selectable')[1];
+    // 13:00 (x=500) → 14:30 (x=650)
+    fireEvent.pointerDown(huddleRow, { button: 0, clientX: 500 });
+    fireEvent.pointerMove(window, { clientX: 650 });
+    fireEvent.pointerUp(window, { clientX: 650 });
+
+    expect(onSelectSlot).toHaveBeenCalledWith({ room: rooms[1], start: at(13), end: at(14, 30) });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * BookingFilterPanel.test.jsx
+ *
+ * Tests the bookings filter panel and the params it maps to:
+ *   1. DTO       — URL-form filters become FilterBookingsDTO query params
+ *                  (whole local days, comma-joined statuses, IsActiveRoom=false)
+ *   2. Chips     — toggling status chips reports them in a stable order
+ *   3. Room name — typing is debounced into a single change; Clear resets all
+ *
+ * The panel only reports changes, so no services are mocked.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import BookingFilterPanel, { EMPTY_BOOKING_FILTERS } from '../BookingFilterPanel';
+import { filterBookingsDTO } from '../../dto/FilterBookingsDTO';
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('BookingFilterPanel', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('maps URL filters to FilterBookingsDTO params', () => {
+    expect(filterBookingsDTO(EMPTY_BOOKING_FILTERS)).toEqual({});
+    expect(filterBookingsDTO({
+      roomName: ' Board ', location: 'London', from: '2026-03-10', to: '2026-03-12',
+      status: 'Pending,Confirmed', inactiveOnly: true,
+    })).toEqual({
+      roomName: 'Board',
+      location: 'London',
+      startDate: new Date(2026, 2, 10).toISOString(),
+      endDate: new Date(2026, 2, 12, 23, 59, 59, 999).toISOString(),
+      status: 'Pending,Confirmed',
+      isActiveRoom: false,
+    });
+    expect(() => filterBookingsDTO({ from: '2026-03-12', to: '2026-03-10' }))
+      .toThrow('FilterBookingsDTO: the From date must be on or before the To date.');
+  });
+
+  it('reports status chips in a stable order', () => {
+    const onChange = jest.fn();
+    render(<BookingFilterPanel filters={{ ...EMPTY_BOOKING_FILTERS, status: 'Confirmed' }} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pending' }));
+    expect(onChange).toHaveBeenLastCalledWith({ status: 'Pending,Confirmed' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Confirmed' }));
+    expect(onChange).toHaveBeenLastCalledWith({ status: '' });
+  });
+
+  it('debounces the room name and clears every filter', () => {
+    jest.useFakeTimers();
+    const onChange = jest.fn();
+    render(<BookingFilterPanel filters={{ ...EMPTY_BOOKING_FILTERS, location: 'Durban' }} onChange={onChange} />);
+
+    const input = screen.getByPlaceholderText('Type room name…');
+    fireEvent.change(input, { target: { value: 'Bo' } });
+    fireEvent.change(input, { target: { value: 'Board' } });
+    act(() => { jest.advanceTimersByTime(400); });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ roomName: 'Board' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+    expect(onChange).toHaveBeenLastCalledWith(EMPTY_BOOKING_FILTERS);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * FindRoomPanel.test.jsx
+ *
+ * Tests the "Find a room" panel:
+ *   1. Ranking  — rooms too small or in another location are dropped, the
+ *                 tightest fit comes first
+ *   2. Request  — the chosen window is sent to the availability endpoint
+ *   3. Guard    — an end time before the start time never reaches the API
+ *
+ * Strategy: mock roomService so no real HTTP calls are made.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FindRoomPanel, { rankRoomsByFit } from '../FindRoomPanel';
+import * as roomService from '../../services/roomService';
+
+// ── Mock the service module ──────────────────────────────────────────────────
+jest.mock('../../services/roomService');
+
+const mockCheckAvailableRooms = roomService.checkAvailableRooms;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const freeRooms = [
+  { roomId: 1, roomName: 'Auditorium', capacity: 40, location: 'London', isAvailable: true },
+  { roomId: 2, roomName: 'Huddle',     capacity: 4,  location: 'London', isAvailable: true },
+  { roomId: 3, roomName: 'Boardroom',  capacity: 12, location: 'London', isAvailable: true },
+  { roomId: 4, roomName: 'Seaview',    capacity: 10, location: 'Durban', isAvailable: true },
+];
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('FindRoomPanel', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('ranks rooms that seat everyone by best capacity fit', () => {
+    expect(rankRoomsByFit(freeRooms, 8).map(r => r.roomName)).toEqual(['Seaview', 'Boardroom', 'Auditorium']);
+    expect(rankRoomsByFit(freeRooms, 8, 'London').map(r => r.roomName)).toEqual(['Boardroom', 'Auditorium']);
+  });
+
+  it('searches the chosen window and lists the ranked rooms', async () => {
+    mockCheckAvailableRooms.mockResolvedValue(freeRooms);
+    render(<FindRoomPanel />);
+
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2026-03-10' } });
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '10:00' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '11:30' } });
+    fireEvent.change(screen.getByLabelText('People'), { target: { value: '10' } });
+    fireEvent.click(screen.getByText('Find rooms'));
+
+    await waitFor(() => expect(screen.getByText('Seaview')).toBeInTheDocument());
+    expect(mockCheckAvailableRooms).toHaveBeenCalledWith({
+      startDate: new Date(2026, 2, 10, 10, 0),
+      endDate: new Date(2026, 2, 10, 11, 30),
+    });
+    expect(screen.getByText(/exact fit/)).toBeInTheDocument();
+    expect(screen.queryByText('Huddle')).not.toBeInTheDocument();
+  });
+
+  it('rejects an end time before the start time without calling the API', () => {
+    render(<FindRoomPanel />);
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '11:00' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '10:00' } });
+    fireEvent.change(screen.getByLabelText('People'), { target: { value: '3' } });
+    fireEvent.click(screen.getByText('Find rooms'));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('End time must be after start time.');
+    expect(mockCheckAvailableRooms).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * MeetingCountdown.test.jsx
+ *
+ * Tests the countdown shown on the My Bookings page:
+ *   1. Text   — minutes, hours and days until the start; "In progress" while
+ *               the meeting runs; "Ended" afterwards
+ *   2. Render — meetings starting within 15 minutes are highlighted, and the
+ *               label follows the `now` the parent ticks
+ */
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import MeetingCountdown, { formatCountdown } from '../MeetingCountdown';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const START = '2026-03-10T10:00:00';
+const END   = '2026-03-10T11:00:00';
+const at = (time) => new Date(`2026-03-${time}`).getTime();
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('MeetingCountdown', () => {
+  it('describes the time until, during and after a meeting', () => {
+    expect(formatCountdown(START, END, at('10T09:35:00'))).toBe('Starts in 25 min');
+    expect(formatCountdown(START, END, at('10T07:55:00'))).toBe('Starts in 2 h 5 min');
+    expect(formatCountdown(START, END, at('07T06:00:00'))).toBe('Starts in 3 days 4 h');
+    expect(formatCountdown(START, END, at('10T09:59:30'))).toBe('Starting now');
+    expect(formatCountdown(START, END, at('10T10:40:00'))).toBe('In progress — ends in 20 min');
+    expect(formatCountdown(START, END, at('10T11:00:00'))).toBe('Ended');
+  });
+
+  it('highlights meetings about to start and follows the ticking clock', () => {
+    const { rerender } = render(<MeetingCountdown startTime={START} endTime={END} now={at('10T08:00:00')} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('Starts in 2 h');
+    expect(screen.getByRole('timer')).not.toHaveClass('meeting-countdown-soon');
+
+    rerender(<MeetingCountdown startTime={START} endTime={END} now={at('10T09:50:00')} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('Starts in 10 min');
+    expect(screen.getByRole('timer')).toHaveClass('meeting-countdown-soon');
+  });
+});
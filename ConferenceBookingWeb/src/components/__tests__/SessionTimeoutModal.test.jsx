@@ -0,0 +1,102 @@
+/**
+ * SessionTimeoutModal.test.jsx
+ *
+ * Tests the session expiry warning (useSessionTimeout) and draft keeping:
+ *   1. Idle      — two minutes before the JWT's exp an idle user gets the
+ *                  warning; "Stay signed in" refreshes the session
+ *   2. Active    — a user who was recently active is refreshed silently
+ *   3. Expiry    — nobody answers: an open BookingForm's draft is saved,
+ *                  the user is signed out, and the draft comes back once
+ *
+ * AuthContext is mocked; timers and Date are faked.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import SessionTimeoutModal from '../SessionTimeoutModal';
+import useBookingDraft, { DRAFT_KEY } from '../../hooks/useBookingDraft';
+
+const MINUTE = 60 * 1000;
+
+const mockAuth = {};
+jest.mock('../../context/AuthContext', () => ({
+  useAuthContext: () => mockAuth,
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const tokenExpiringIn = (ms) =>
+  `${base64url({ alg: 'HS256' })}.${base64url({ unique_name: 'alice', role: 'Employee', exp: Math.floor((Date.now() + ms) / 1000) })}.sig`;
+
+// Stands in for BookingForm: reports what it would save / restore
+function DraftForm({ onRestore }) {
+  useBookingDraft(null, { roomId: '3', startTime: '2026-03-10T09:00', endTime: '2026-03-10T10:00', status: 'Pending' }, onRestore);
+  return null;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('SessionTimeoutModal', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    Object.assign(mockAuth, {
+      isLoggedIn: true,
+      token: tokenExpiringIn(10 * MINUTE),
+      currentUser: { username: 'alice', roles: ['Employee'] },
+      refreshSession: jest.fn().mockResolvedValue({}),
+      logout: jest.fn().mockResolvedValue(),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('warns an idle user two minutes before expiry and refreshes on "Stay signed in"', async () => {
+    render(<SessionTimeoutModal />);
+
+    act(() => { jest.advanceTimersByTime(7 * MINUTE); });
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+
+    act(() => { jest.advanceTimersByTime(1 * MINUTE); });
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument();
+    expect(screen.getByRole('timer')).toHaveTextContent('2:00');
+
+    act(() => { jest.advanceTimersByTime(25 * 1000); });
+    expect(screen.getByRole('timer')).toHaveTextContent('1:35');
+
+    await act(async () => { fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' })); });
+    expect(mockAuth.refreshSession).toHaveBeenCalledTimes(1);
+    expect(mockAuth.logout).not.toHaveBeenCalled();
+  });
+
+  it('refreshes silently for a user who was active recently', () => {
+    render(<SessionTimeoutModal />);
+
+    act(() => { jest.advanceTimersByTime(6 * MINUTE); });
+    fireEvent.keyDown(window, { key: 'a' });
+    act(() => { jest.advanceTimersByTime(2 * MINUTE); });
+
+    expect(mockAuth.refreshSession).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+  });
+
+  it('saves the open booking draft and signs out at expiry, then restores the draft once', () => {
+    const { unmount } = render(<><SessionTimeoutModal /><DraftForm onRestore={jest.fn()} /></>);
+
+    act(() => { jest.advanceTimersByTime(10 * MINUTE); });
+
+    expect(mockAuth.logout).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem(DRAFT_KEY))).toMatchObject({
+      username: 'alice', bookingId: null, roomId: '3', startTime: '2026-03-10T09:00',
+    });
+    unmount();
+
+    const onRestore = jest.fn();
+    render(<DraftForm onRestore={onRestore} />);
+
+    expect(onRestore).toHaveBeenCalledWith(expect.objectContaining({ roomId: '3', endTime: '2026-03-10T10:00' }));
+    expect(localStorage.getItem(DRAFT_KEY)).toBeNull();
+  });
+});
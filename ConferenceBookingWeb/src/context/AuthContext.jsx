@@ -13,6 +13,7 @@
 import { createContext, useContext, useEffect } from 'react';
 import useAuthState from '../hooks/useAuth'; // renamed to avoid collision with exported useAuth alias
 import { configureApiClient } from '../api/apiClient';
+import { announceSessionEnding } from '../auth/sessionEvents';
 
 const AuthContext = createContext(null);
 
@@ -24,14 +25,20 @@ export function AuthProvider({ children }) {
   // ── Axios Interceptor Integration ──────────────────────────────────────────
   // Wire the live Context token and logout() into the Axios singleton so:
   //   • Request interceptor reads the token directly from Context state.
-  //   • 401 response interceptor calls logout() from Context (not CustomEvent).
-  // Re-runs whenever token or logout reference changes.
+  //   • 401 response interceptor first tries refreshSession() and only calls
+  //     logout() from Context (not CustomEvent) when the refresh fails —
+  //     after announcing it, so an open BookingForm can save its draft.
+  // Re-runs whenever token, logout or refreshSession reference changes.
   useEffect(() => {
     configureApiClient({
       getToken: () => auth.token,
-      onUnauthorized: auth.logout,
+      onUnauthorized: () => {
+        announceSessionEnding();
+        auth.logout();
+      },
+      refreshSession: auth.refreshSession,
     });
-  }, [auth.token, auth.logout]);
+  }, [auth.token, auth.logout, auth.refreshSession]);
 
   return <AuthContext.Provider value={auth}>{children}</AuthContext.Provider>;
 }
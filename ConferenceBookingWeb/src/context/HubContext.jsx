@@ -0,0 +1,176 @@
+'use client';
+// HubContext.jsx — One SignalR connection shared by the entire application.
+//
+// <HubProvider> (rendered inside <AuthProvider> by app/AppShell.tsx) owns the
+// hub client (src/api/hubClient.js) of the signed-in user. Components don't
+// connect themselves — they subscribe to the events they show:
+//
+//   useHubEvent('BookingCreated', (payload) => ...)
+//   useHubEvent(BOOKING_EVENTS, (payload, eventName) => ...)
+//   useHubResync(() => reloadMyList())
+//   const status = useHubStatus()
+//
+// Every event is applied to the query cache (applyHubEvent) before the
+// subscribers run, so they only refresh what the cache doesn't hold.
+//
+// Each subscription holds a reference on the connection: it starts with the
+// first one and stops STOP_DELAY_MS after the last one goes. Moving between
+// pages, and Strict Mode's mount → unmount → mount, therefore keep the same
+// connection instead of dropping and reopening it.
+
+import {
+  createContext, useCallback, useContext, useEffect, useMemo, useRef, useSyncExternalStore,
+} from 'react';
+import { createHubClient } from '../api/hubClient';
+import { applyHubEvent } from '../api/liveUpdates';
+import { invalidateQueries } from '../api/queryCache';
+import { useAuthContext } from './AuthContext';
+
+const HubContext = createContext(null);
+
+// Subscribers to resyncs are kept with the event handlers, under a name no
+// hub event has
+const RESYNC = '#resync';
+
+/** How long the connection stays open after its last subscriber leaves. */
+export const STOP_DELAY_MS = 1000;
+
+const noStatus = () => () => {};
+
+/**
+ * @param {{
+ *   children: React.ReactNode,
+ *   backoff?: Partial<typeof import('../api/hubClient').DEFAULT_BACKOFF>,
+ *   stopDelayMs?: number
+ * }} props
+ */
+export function HubProvider({ children, backoff, stopDelayMs = STOP_DELAY_MS }) {
+  const { token, currentUser } = useAuthContext();
+  const username = currentUser?.username;
+  const signedIn = !!token;
+
+  const tokenRef = useRef(token);
+  const backoffRef = useRef(backoff);
+  useEffect(() => { tokenRef.current = token; }, [token]);
+
+  // ── Subscriptions ──────────────────────────────────────────────────────────
+  // eventName → handler → how many subscriptions hold it
+  const handlersRef = useRef(new Map());
+  // Subscriptions of any event — the connection runs while there are some
+  const demandRef = useRef(0);
+  const clientRef = useRef(null);
+
+  const dispatch = useCallback((eventName, ...args) => {
+    const handlers = handlersRef.current.get(eventName);
+    if (handlers) [...handlers.keys()].forEach(handler => handler(...args));
+  }, []);
+
+  const subscribe = useCallback((eventNames, handler) => {
+    eventNames.forEach(name => {
+      const handlers = handlersRef.current.get(name) ?? new Map();
+      handlers.set(handler, (handlers.get(handler) ?? 0) + 1);
+      handlersRef.current.set(name, handlers);
+    });
+    demandRef.current += 1;
+    clientRef.current?.start();
+
+    return () => {
+      eventNames.forEach(name => {
+        const handlers = handlersRef.current.get(name);
+        const count = handlers?.get(handler) ?? 0;
+        if (count > 1) handlers.set(handler, count - 1);
+        else if (handlers) {
+          handlers.delete(handler);
+          if (handlers.size === 0) handlersRef.current.delete(name);
+        }
+      });
+      demandRef.current -= 1;
+      if (demandRef.current === 0) clientRef.current?.stop(stopDelayMs);
+    };
+  }, [stopDelayMs]);
+
+  // ── Connection ─────────────────────────────────────────────────────────────
+  // Building a client opens nothing; a different user gets a new one. Events
+  // from the previous user's client, while it winds down, are dropped.
+  const client = useMemo(() => {
+    if (!signedIn) return null;
+    const created = createHubClient({
+      getToken: () => tokenRef.current,
+      backoff: backoffRef.current,
+      onEvent: (eventName, payload) => {
+        if (clientRef.current !== created) return;
+        applyHubEvent(eventName, payload);
+        dispatch(eventName, payload, eventName);
+      },
+      onResync: () => {
+        if (clientRef.current !== created) return;
+        invalidateQueries(['bookings']);
+        invalidateQueries(['rooms']);
+        dispatch(RESYNC);
+      },
+    });
+    return created;
+  }, [signedIn, username, dispatch]);
+
+  useEffect(() => {
+    clientRef.current = client;
+    if (!client) return;
+    if (demandRef.current > 0) client.start();
+    // Delayed, so Strict Mode's second run (start()) keeps the connection
+    return () => client.stop(stopDelayMs);
+  }, [client, stopDelayMs]);
+
+  const subscribeStatus = client ? client.subscribeStatus : noStatus;
+  const status = useSyncExternalStore(
+    subscribeStatus,
+    () => client?.getStatus() ?? 'disconnected',
+    () => 'disconnected',
+  );
+
+  const value = useMemo(() => ({ subscribe, status }), [subscribe, status]);
+  return <HubContext.Provider value={value}>{children}</HubContext.Provider>;
+}
+
+function useHub(hookName) {
+  const ctx = useContext(HubContext);
+  if (!ctx) throw new Error(`${hookName} must be used inside <HubProvider>`);
+  return ctx;
+}
+
+/**
+ * Calls handler(payload, eventName) for each of the named hub events, after
+ * the query cache has been patched with it. The latest handler is always
+ * called, so it needn't be memoised.
+ *
+ * @param {string|string[]} eventNames - e.g. 'BookingCreated' or BOOKING_EVENTS
+ * @param {(payload: Object, eventName: string) => void} handler
+ */
+export function useHubEvent(eventNames, handler) {
+  const { subscribe } = useHub('useHubEvent');
+  const handlerRef = useRef(handler);
+  useEffect(() => { handlerRef.current = handler; }, [handler]);
+
+  const names = [].concat(eventNames).join(' ');
+  useEffect(
+    () => subscribe(names.split(' '), (...args) => handlerRef.current?.(...args)),
+    [subscribe, names],
+  );
+}
+
+/**
+ * Calls handler() when missed events could not be replayed — every cached
+ * list is refetched, and lists kept outside the query cache should reload.
+ * @param {() => void} handler
+ */
+export function useHubResync(handler) {
+  useHub('useHubResync');
+  useHubEvent(RESYNC, () => handler?.());
+}
+
+/**
+ * State of the hub connection.
+ * @returns {'connecting'|'connected'|'reconnecting'|'disconnected'}
+ */
+export function useHubStatus() {
+  return useHub('useHubStatus').status;
+}
@@ -0,0 +1,189 @@
+/**
+ * HubContext.test.jsx
+ *
+ * Tests the shared hub connection:
+ *   1. Auth      — connects only with a token from AuthContext, reports
+ *                  connecting → connected → reconnecting through useHubStatus
+ *                  and stops once the last subscriber is gone
+ *   2. Shared    — pages and Strict Mode's double mount share one connection;
+ *                  each subscriber gets the events it asked for
+ *   3. Catch-up  — after a reconnect, or a jump in the sequence numbers, the
+ *                  missed events are fetched and replayed once each, in order
+ *   4. Resync    — when the hub no longer has them, useHubResync() asks for a reload
+ *   5. Backoff   — delays grow by the multiplier up to the cap, then give up
+ *
+ * @microsoft/signalr is replaced by fake connections the tests drive.
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { HubProvider, useHubEvent, useHubResync, useHubStatus } from '../HubContext';
+import { createBackoffPolicy } from '../../api/hubClient';
+import useSignalR from '../../hooks/useSignalR';
+
+const mockAuth = {};
+jest.mock('../AuthContext', () => ({
+  useAuthContext: () => mockAuth,
+}));
+
+const mockHub = {};
+jest.mock('@microsoft/signalr', () => {
+  const builder = {
+    withUrl: () => builder,
+    withAutomaticReconnect: () => builder,
+    configureLogging: () => builder,
+    build: () => mockHub.build(),
+  };
+  return { HubConnectionBuilder: jest.fn(() => builder), LogLevel: { Warning: 3 } };
+});
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+function fakeConnection(hubMethods) {
+  const handlers = {};
+  return {
+    handlers,
+    on: (name, handler) => { handlers[name] = handler; },
+    onreconnecting: (handler) => { handlers.reconnecting = handler; },
+    onreconnected: (handler) => { handlers.reconnected = handler; },
+    onclose: (handler) => { handlers.close = handler; },
+    start: jest.fn().mockResolvedValue(undefined),
+    stop: jest.fn().mockResolvedValue(undefined),
+    invoke: jest.fn((method, ...args) => Promise.resolve(hubMethods[method](...args))),
+  };
+}
+
+// Every connection built, and the hub methods they answer
+let built;
+const useHubMethods = (hubMethods) => {
+  built = [];
+  mockHub.build = () => {
+    const connection = fakeConnection(hubMethods);
+    built.push(connection);
+    return connection;
+  };
+};
+const started = () => built.filter(connection => connection.start.mock.calls.length > 0);
+const live = () => started().at(-1);
+
+const wrapper = ({ children }) => <HubProvider stopDelayMs={0}>{children}</HubProvider>;
+// Keeps the connection through Strict Mode's unmount → remount
+const delayedStopWrapper = ({ children }) => <HubProvider>{children}</HubProvider>;
+
+const created = (bookingId) => ({ data: { bookingId }, by: 'bob' });
+const flush = () => act(async () => { await new Promise(resolve => setTimeout(resolve, 0)); });
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('HubContext', () => {
+  beforeEach(() => {
+    mockAuth.token = 'jwt';
+    mockAuth.currentUser = { username: 'alice' };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('connects with the AuthContext token and reports its state', async () => {
+    useHubMethods({ GetLatestSequence: () => 0 });
+    mockAuth.token = null;
+    const { result, rerender, unmount } = renderHook(() => ({ page: useSignalR(), header: useHubStatus() }), { wrapper });
+    expect(result.current.page).toBe('disconnected');
+    expect(started()).toHaveLength(0);
+
+    mockAuth.token = 'jwt';
+    rerender();
+    expect(result.current.page).toBe('connecting');
+    await flush();
+    expect(result.current).toEqual({ page: 'connected', header: 'connected' });
+
+    act(() => live().handlers.reconnecting());
+    expect(result.current.header).toBe('reconnecting');
+
+    unmount();
+    expect(live().stop).toHaveBeenCalled();
+  });
+
+  it('shares one connection between subscribers, even under Strict Mode', async () => {
+    useHubMethods({ GetLatestSequence: () => 0 });
+    const onCreated = jest.fn();
+    const onAnyBooking = jest.fn();
+    const onRoom = jest.fn();
+    renderHook(() => {
+      useHubEvent('BookingCreated', onCreated);
+      useHubEvent(['BookingCreated', 'BookingDeleted'], onAnyBooking);
+      useHubEvent('RoomCreated', onRoom);
+    }, { wrapper: delayedStopWrapper, reactStrictMode: true });
+    await flush();
+
+    expect(started()).toHaveLength(1);
+    expect(live().start).toHaveBeenCalledTimes(1);
+    expect(live().stop).not.toHaveBeenCalled();
+
+    // Subscribed, dropped and subscribed again by Strict Mode — each handler runs once
+    act(() => live().handlers.BookingCreated(created(1), 1));
+    act(() => live().handlers.BookingDeleted({ id: 1, by: 'bob' }, 2));
+    expect(onCreated.mock.calls).toEqual([[created(1), 'BookingCreated']]);
+    expect(onAnyBooking.mock.calls.map(([, eventName]) => eventName)).toEqual(['BookingCreated', 'BookingDeleted']);
+    expect(onRoom).not.toHaveBeenCalled();
+  });
+
+  it('replays missed events once each after a reconnect or a gap', async () => {
+    const broadcast = { 5: created(5), 6: created(6), 7: created(7) };
+    useHubMethods({
+      GetLatestSequence: () => 4,
+      GetEventsSince: (since) => ({
+        complete: true,
+        latest: 7,
+        events: Object.keys(broadcast).map(Number).filter(n => n > since)
+          .map(sequence => ({ sequence, name: 'BookingCreated', payload: broadcast[sequence] })),
+      }),
+    });
+    const onBookingChange = jest.fn();
+    renderHook(() => useSignalR({ onBookingChange }), { wrapper });
+    await flush();
+
+    // Reconnected after 5 and 6 were broadcast
+    await act(async () => { live().handlers.reconnected(); });
+    await flush();
+    expect(onBookingChange.mock.calls.map(([, payload]) => payload.data.bookingId)).toEqual([5, 6, 7]);
+
+    // Events the catch-up already replayed aren't applied twice
+    act(() => live().handlers.BookingCreated(created(7), 7));
+    expect(onBookingChange).toHaveBeenCalledTimes(3);
+
+    // 8 lost in transit: 9 arrives, both are fetched
+    broadcast[8] = created(8);
+    broadcast[9] = created(9);
+    act(() => live().handlers.BookingCreated(created(9), 9));
+    await flush();
+    expect(onBookingChange.mock.calls.map(([, payload]) => payload.data.bookingId)).toEqual([5, 6, 7, 8, 9]);
+  });
+
+  it('asks for a reload when the missed events are no longer kept', async () => {
+    useHubMethods({
+      GetLatestSequence: () => 4,
+      GetEventsSince: () => ({ complete: false, latest: 900, events: [] }),
+    });
+    const onResync = jest.fn();
+    const onCreated = jest.fn();
+    renderHook(() => {
+      useHubEvent('BookingCreated', onCreated);
+      useHubResync(onResync);
+    }, { wrapper });
+    await flush();
+
+    await act(async () => { live().handlers.reconnected(); });
+    await flush();
+    expect(onResync).toHaveBeenCalledTimes(1);
+
+    // Picks up from the hub's latest number
+    act(() => live().handlers.BookingCreated(created(901), 901));
+    expect(onCreated).toHaveBeenCalledTimes(1);
+  });
+
+  it('backs off exponentially up to the cap and then gives up', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+    const policy = createBackoffPolicy({ initialDelayMs: 500, maxDelayMs: 3000, maxAttempts: 5 });
+    const delays = [0, 1, 2, 3, 4, 5].map(previousRetryCount => policy.nextRetryDelayInMilliseconds({ previousRetryCount }));
+    expect(delays).toEqual([500, 1000, 2000, 3000, 3000, null]);
+  });
+});
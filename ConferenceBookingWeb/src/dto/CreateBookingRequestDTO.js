@@ -10,8 +10,12 @@
 //   string   Location  [Required]
 //   int      Capacity  [Required, Range(1, int.MaxValue)]
 //
-// The factory validates required fields and throws a descriptive error
-// before the Axios call so failures surface immediately in the console.
+// The factory validates required fields and the time rules the API would
+// reject (date range, same day, business hours — src/validation/bookingRules.js)
+// and throws a descriptive error before the Axios call so failures surface
+// immediately in the console.
+
+import { validateTimeRange } from '../validation/bookingRules';
 
 /**
  * Build a payload that exactly matches CreateBookingRequestDTO.
@@ -29,6 +33,13 @@ export function createBookingRequestDTO(data) {
   if (!capacity || capacity < 1)
     throw new Error('CreateBookingRequestDTO: capacity must be at least 1.');
 
+  const start = new Date(startDate);
+  const end   = new Date(endDate);
+  if (Number.isNaN(start.getTime())) throw new Error('CreateBookingRequestDTO: startDate is not a valid date.');
+  if (Number.isNaN(end.getTime()))   throw new Error('CreateBookingRequestDTO: endDate is not a valid date.');
+  const timeError = validateTimeRange(start, end);
+  if (timeError) throw new Error(`CreateBookingRequestDTO: ${timeError.message}`);
+
   return {
     roomId:    Number(roomId),
     startDate: String(startDate),
@@ -0,0 +1,42 @@
+// CreateSessionDTO.js
+//
+// Frontend mirror of the .NET CreateSessionDTO.
+// Mirrors: API/DTO/CreateSessionDTO.cs
+//
+// .NET shape:
+//   string          Title        [Required]
+//   string?         Description
+//   int             Capacity     [Required, Range(1, int.MaxValue)]
+//   DateTimeOffset  StartTime    [Required]
+//   DateTimeOffset  EndTime      [Required]
+//   int?            RoomId       — null leaves the session unassigned
+//
+// The backend also rejects EndTime <= StartTime and a Capacity larger than
+// the assigned room's capacity (SessionManagementService).
+
+/**
+ * Build a payload that exactly matches CreateSessionDTO.
+ *
+ * @param {{ title: string, description?: string, capacity: number, startTime: string, endTime: string, roomId?: number|null }} data
+ * @returns {{ title: string, description: string|null, capacity: number, startTime: string, endTime: string, roomId: number|null }}
+ */
+export function createSessionDTO(data) {
+  const { title, description, capacity, startTime, endTime, roomId } = data;
+
+  if (!title || !String(title).trim()) throw new Error('CreateSessionDTO: title is required.');
+  if (!capacity || capacity < 1)
+    throw new Error('CreateSessionDTO: capacity must be at least 1.');
+  if (!startTime) throw new Error('CreateSessionDTO: startTime is required.');
+  if (!endTime)   throw new Error('CreateSessionDTO: endTime is required.');
+  if (new Date(endTime) <= new Date(startTime))
+    throw new Error('CreateSessionDTO: endTime must be after startTime.');
+
+  return {
+    title:       String(title).trim(),
+    description: description ? String(description).trim() : null,
+    capacity:    Number(capacity),
+    startTime:   String(startTime),
+    endTime:     String(endTime),
+    roomId:      roomId ? Number(roomId) : null,
+  };
+}
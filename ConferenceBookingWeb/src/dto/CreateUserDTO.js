@@ -0,0 +1,66 @@
+// CreateUserDTO.js
+//
+// Frontend mirror of the .NET CreateUserDTO.
+// Mirrors: API/DTO/CreateUserDTO.cs
+//
+// .NET shape:
+//   string        FirstName               [Required, MaxLength(100)]
+//   string        LastName                [Required, MaxLength(100)]
+//   string        Email                   [Required, EmailAddress]
+//   string?       PhoneNumber             [Phone]
+//   string        Password                [Required, MinLength(6)]
+//   string        Role                    [Required] — Admin | FacilityManager | Receptionist | Employee
+//   string?       Department              [MaxLength(100)]
+//   string?       EmployeeNumber          [MaxLength(50)]
+//   RoomLocation? PrimaryLocation
+//   RoomLocation? PreferredLocation
+//   string        NotificationPreferences (default: "Email") — Email | SMS | Both | None
+
+import { ROOM_LOCATIONS } from './CreateRoomDTO';
+
+export const USER_ROLES = ['Admin', 'FacilityManager', 'Receptionist', 'Employee'];
+export const NOTIFICATION_PREFERENCES = ['Email', 'SMS', 'Both', 'None'];
+
+// Blank optional strings become null so [Phone] / enum binding don't reject "".
+const optional = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Build a payload that exactly matches CreateUserDTO.
+ *
+ * @param {{ firstName: string, lastName: string, email: string, password: string, role: string,
+ *           phoneNumber?: string, department?: string, employeeNumber?: string,
+ *           primaryLocation?: string, preferredLocation?: string, notificationPreferences?: string }} data
+ * @returns {Object}
+ */
+export function createUserDTO(data) {
+  const { firstName, lastName, email, password, role, notificationPreferences = 'Email' } = data;
+
+  if (!firstName) throw new Error('CreateUserDTO: firstName is required.');
+  if (!lastName)  throw new Error('CreateUserDTO: lastName is required.');
+  if (!email)     throw new Error('CreateUserDTO: email is required.');
+  if (!password || String(password).length < 6)
+    throw new Error('CreateUserDTO: password must be at least 6 characters.');
+  if (!role || !USER_ROLES.includes(role))
+    throw new Error(`CreateUserDTO: role must be one of ${USER_ROLES.join(', ')}.`);
+
+  const primaryLocation   = optional(data.primaryLocation);
+  const preferredLocation = optional(data.preferredLocation);
+  for (const loc of [primaryLocation, preferredLocation]) {
+    if (loc && !ROOM_LOCATIONS.includes(loc))
+      throw new Error(`CreateUserDTO: location must be one of ${ROOM_LOCATIONS.join(', ')}.`);
+  }
+
+  return {
+    firstName:               String(firstName).trim(),
+    lastName:                String(lastName).trim(),
+    email:                   String(email).trim(),
+    phoneNumber:             optional(data.phoneNumber),
+    password:                String(password),
+    role:                    String(role),
+    department:              optional(data.department),
+    employeeNumber:          optional(data.employeeNumber),
+    primaryLocation,
+    preferredLocation,
+    notificationPreferences: String(notificationPreferences),
+  };
+}
@@ -0,0 +1,68 @@
+// FilterBookingsDTO.js
+//
+// Frontend mirror of the .NET FilterBookingsDTO (bound from the query string
+// of GET /Booking/filter).
+// Mirrors: API/DTO/FilterBookingsDTO.cs
+//
+// .NET shape:
+//   string?         RoomName      — partial match
+//   RoomLocation?   Location      — one of: London | CapeTown | Johannesburg | Bloemfontein | Durban
+//   DateTimeOffset? StartDate     — keeps bookings ending at/after it
+//   DateTimeOffset? EndDate       — keeps bookings starting at/before it
+//   bool?           IsActiveRoom
+//   string?         Status        — one status or a comma-separated list
+//   string?         RequestedBy   — username of the person who booked (exact)
+//
+// Input is the filter state as kept in the URL: from / to are date-input
+// values (YYYY-MM-DD, local days — the whole To day is included), status is
+// "Pending,Confirmed" or an array, inactiveOnly asks for deactivated rooms
+// only. Empty values are left out so the API applies no filter for them.
+
+import { ROOM_LOCATIONS } from './CreateRoomDTO';
+
+export const BOOKING_STATUSES = ['Pending', 'Confirmed', 'Cancelled'];
+
+// "Pending,Confirmed" | ['Pending', 'Confirmed'] | '' → string[]
+export const parseStatuses = (status) =>
+  (Array.isArray(status) ? status : String(status ?? '').split(',')).map(s => s.trim()).filter(Boolean);
+
+const toLocalDay = (value, time) => {
+  const date = new Date(`${value}T${time}`);
+  if (Number.isNaN(date.getTime())) throw new Error(`FilterBookingsDTO: "${value}" is not a valid date.`);
+  return date;
+};
+
+/**
+ * Build query params that exactly match FilterBookingsDTO.
+ *
+ * @param {{ roomName?: string, location?: string, from?: string, to?: string,
+ *           status?: string|string[], inactiveOnly?: boolean, requestedBy?: string }} filters
+ * @returns {{ roomName?: string, location?: string, startDate?: string, endDate?: string,
+ *             status?: string, isActiveRoom?: boolean, requestedBy?: string }}
+ */
+export function filterBookingsDTO({ roomName, location, from, to, status, inactiveOnly = false, requestedBy } = {}) {
+  if (location && !ROOM_LOCATIONS.includes(location))
+    throw new Error(`FilterBookingsDTO: location must be one of ${ROOM_LOCATIONS.join(', ')}.`);
+
+  const statuses = parseStatuses(status);
+  const unknown = statuses.filter(s => !BOOKING_STATUSES.includes(s));
+  if (unknown.length > 0)
+    throw new Error(`FilterBookingsDTO: status must be one of ${BOOKING_STATUSES.join(', ')}.`);
+
+  const startDate = from ? toLocalDay(from, '00:00:00') : null;
+  const endDate   = to   ? toLocalDay(to, '23:59:59.999') : null;
+  if (startDate && endDate && startDate > endDate)
+    throw new Error('FilterBookingsDTO: the From date must be on or before the To date.');
+
+  const params = {};
+
+  if (roomName?.trim())    params.roomName     = roomName.trim();
+  if (location)            params.location     = location;
+  if (startDate)           params.startDate    = startDate.toISOString();
+  if (endDate)             params.endDate      = endDate.toISOString();
+  if (statuses.length > 0) params.status       = statuses.join(',');
+  if (inactiveOnly)        params.isActiveRoom = false;
+  if (requestedBy?.trim()) params.requestedBy  = requestedBy.trim();
+
+  return params;
+}
@@ -14,6 +14,12 @@
 // All fields except bookingId are optional — only truthy / explicitly provided
 // values are included in the payload so the .NET model binder treats absent
 // keys as "no change" rather than null-overwrite.
+//
+// When both times are provided they are checked against the time rules the
+// API would reject (date range, same day, business hours —
+// src/validation/bookingRules.js) before the Axios call.
+
+import { validateTimeRange } from '../validation/bookingRules';
 
 /**
  * Build a payload that exactly matches UpdateBookingDTO.
@@ -25,6 +31,15 @@
 export function updateBookingDTO(bookingId, data) {
   if (!bookingId) throw new Error('UpdateBookingDTO: bookingId is required.');
 
+  if (data.startTime !== undefined && data.endTime !== undefined) {
+    const start = new Date(data.startTime);
+    const end   = new Date(data.endTime);
+    if (Number.isNaN(start.getTime())) throw new Error('UpdateBookingDTO: startTime is not a valid date.');
+    if (Number.isNaN(end.getTime()))   throw new Error('UpdateBookingDTO: endTime is not a valid date.');
+    const timeError = validateTimeRange(start, end);
+    if (timeError) throw new Error(`UpdateBookingDTO: ${timeError.message}`);
+  }
+
   const payload = { bookingId: Number(bookingId) };
 
   if (data.roomId    !== undefined) payload.roomId    = Number(data.roomId);
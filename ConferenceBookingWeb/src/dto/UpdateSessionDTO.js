@@ -0,0 +1,39 @@
+// UpdateSessionDTO.js
+//
+// Frontend mirror of the .NET UpdateSessionDTO.
+// Mirrors: API/DTO/UpdateSessionDTO.cs
+//
+// .NET shape:
+//   int             Id           [Required] — must match the {id} route value
+//   string          Title        [Required]
+//   string?         Description
+//   int             Capacity     [Required, Range(1, int.MaxValue)]
+//   DateTimeOffset  StartTime    [Required]
+//   DateTimeOffset  EndTime      [Required]
+//   int?            RoomId       — null unassigns the session
+//
+// Unlike UpdateRoomDTO this is a full replacement (PUT): every field is
+// written back, so callers must send the complete session.
+
+import { createSessionDTO } from './CreateSessionDTO';
+
+/**
+ * Build a payload that exactly matches UpdateSessionDTO.
+ *
+ * @param {number} sessionId
+ * @param {{ title: string, description?: string, capacity: number, startTime: string, endTime: string, roomId?: number|null }} data
+ * @returns {{ id: number, title: string, description: string|null, capacity: number, startTime: string, endTime: string, roomId: number|null }}
+ */
+export function updateSessionDTO(sessionId, data) {
+  if (!sessionId) throw new Error('UpdateSessionDTO: id is required.');
+
+  // Same field rules as create — reuse them, then add the id.
+  let fields;
+  try {
+    fields = createSessionDTO(data);
+  } catch (err) {
+    throw new Error(err.message.replace('CreateSessionDTO', 'UpdateSessionDTO'));
+  }
+
+  return { id: Number(sessionId), ...fields };
+}
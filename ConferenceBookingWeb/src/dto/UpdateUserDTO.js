@@ -0,0 +1,55 @@
+// UpdateUserDTO.js
+//
+// Frontend mirror of the .NET UpdateUserDTO.
+// Mirrors: API/DTO/UpdateUserDTO.cs
+//
+// .NET shape (all fields except UserId optional — omit to leave unchanged):
+//   string        UserId                  [Required] — must match the {userId} route value
+//   string?       FirstName               [MaxLength(100)]
+//   string?       LastName                [MaxLength(100)]
+//   string?       Email                   [EmailAddress]
+//   string?       PhoneNumber             [Phone]
+//   string?       Department              [MaxLength(100)]
+//   string?       EmployeeNumber          [MaxLength(50)]
+//   RoomLocation? PrimaryLocation
+//   RoomLocation? PreferredLocation
+//   string?       NotificationPreferences
+//   string?       Role                    — applied only when the caller is Admin
+
+import { ROOM_LOCATIONS } from './CreateRoomDTO';
+import { USER_ROLES } from './CreateUserDTO';
+
+/**
+ * Build a payload that exactly matches UpdateUserDTO.
+ * Only fields that are explicitly provided (not undefined) are included.
+ * Blank strings are dropped rather than sent — the backend cannot clear a
+ * field to null anyway, and "" would fail [Phone] / [EmailAddress].
+ *
+ * @param {string} userId
+ * @param {Object} data
+ * @returns {Object}
+ */
+export function updateUserDTO(userId, data) {
+  if (!userId) throw new Error('UpdateUserDTO: userId is required.');
+
+  const payload = { userId: String(userId) };
+  const fields = [
+    'firstName', 'lastName', 'email', 'phoneNumber', 'department',
+    'employeeNumber', 'primaryLocation', 'preferredLocation', 'notificationPreferences', 'role',
+  ];
+
+  for (const field of fields) {
+    const value = data[field];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    payload[field] = String(value).trim();
+  }
+
+  for (const field of ['primaryLocation', 'preferredLocation']) {
+    if (payload[field] && !ROOM_LOCATIONS.includes(payload[field]))
+      throw new Error(`UpdateUserDTO: ${field} must be one of ${ROOM_LOCATIONS.join(', ')}.`);
+  }
+  if (payload.role && !USER_ROLES.includes(payload.role))
+    throw new Error(`UpdateUserDTO: role must be one of ${USER_ROLES.join(', ')}.`);
+
+  return payload;
+}
@@ -0,0 +1,97 @@
+/**
+ * useAvailabilityPreview.test.js
+ *
+ * Tests the live availability check behind BookingForm:
+ *   1. Free slots    — nearest free slots of the same length, in time order
+ *   2. Hours         — a slot past 16:00 is reported without any request
+ *   3. Conflict      — an overlapping Confirmed booking is named, with free
+ *                      slots and same-location alternatives
+ *   4. Editing       — the booking being edited never conflicts with itself
+ *
+ * Strategy: mock bookingService / roomService so no real HTTP calls are made.
+ * delay: 0 keeps the debounce to a single tick.
+ */
+
+import { renderHook, waitFor } from '@testing-library/react';
+import useAvailabilityPreview, { findFreeSlots } from '../useAvailabilityPreview';
+import * as bookingService from '../../services/bookingService';
+import * as roomService from '../../services/roomService';
+
+// ── Mock the service modules ─────────────────────────────────────────────────
+jest.mock('../../services/bookingService');
+jest.mock('../../services/roomService');
+
+const mockFetchBookingsInRange = bookingService.fetchBookingsInRange;
+const mockCheckAvailableRooms = roomService.checkAvailableRooms;
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const rooms = [
+  { id: 1, name: 'Boardroom', location: 'London', capacity: 12 },
+  { id: 2, name: 'Huddle', location: 'London', capacity: 4 },
+];
+
+const confirmed = {
+  bookingId: 7, roomName: 'Boardroom', location: 'London',
+  startTime: '2026-03-10T09:00:00', endTime: '2026-03-10T11:00:00', status: 'Confirmed',
+};
+
+const at = (hours, minutes = 0) => new Date(2026, 2, 10, hours, minutes);
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('useAvailabilityPreview', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('suggests the nearest free slots of the same length', () => {
+    const busy = [{ start: at(9), end: at(11) }];
+
+    expect(findFreeSlots(busy, at(10), 60)).toEqual([
+      { start: at(11), end: at(12) },
+      { start: at(11, 15), end: at(12, 15) },
+      { start: at(11, 30), end: at(12, 30) },
+    ]);
+  });
+
+  it('flags times outside business hours without calling the API', async () => {
+    const { result } = renderHook(() => useAvailabilityPreview({
+      roomId: '1', startTime: '2026-03-10T15:00', endTime: '2026-03-10T17:00', rooms, delay: 0,
+    }));
+
+    await waitFor(() => expect(result.current.status).toBe('outside-hours'));
+    expect(mockFetchBookingsInRange).not.toHaveBeenCalled();
+  });
+
+  it('names the conflicting booking and offers alternatives', async () => {
+    mockFetchBookingsInRange.mockResolvedValue([confirmed]);
+    mockCheckAvailableRooms.mockResolvedValue([
+      { roomId: 2, roomName: 'Huddle', capacity: 4, location: 'London', isAvailable: true },
+      { roomId: 9, roomName: 'Seaview', capacity: 12, location: 'Durban', isAvailable: true },
+    ]);
+
+    const { result } = renderHook(() => useAvailabilityPreview({
+      roomId: '1', startTime: '2026-03-10T10:00', endTime: '2026-03-10T11:00', rooms, delay: 0,
+    }));
+
+    await waitFor(() => expect(result.current.status).toBe('conflict'));
+    expect(result.current.conflict.bookingId).toBe(7);
+    expect(result.current.freeSlots[0]).toEqual({ start: at(11), end: at(12) });
+    expect(result.current.alternatives.map(r => r.roomName)).toEqual(['Huddle']);
+    expect(mockFetchBookingsInRange).toHaveBeenCalledWith(
+      new Date(2026, 2, 10), new Date(2026, 2, 11),
+      { roomName: 'Boardroom', location: 'London', status: 'Confirmed' }
+    );
+  });
+
+  it('ignores the booking that is being edited', async () => {
+    mockFetchBookingsInRange.mockResolvedValue([confirmed]);
+
+    const { result } = renderHook(() => useAvailabilityPreview({
+      roomId: '1', startTime: '2026-03-10T10:00', endTime: '2026-03-10T11:00', rooms, excludeBookingId: 7, delay: 0,
+    }));
+
+    await waitFor(() => expect(result.current.status).toBe('available'));
+    expect(mockCheckAvailableRooms).not.toHaveBeenCalled();
+  });
+});
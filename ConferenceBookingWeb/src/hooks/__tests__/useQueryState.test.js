@@ -0,0 +1,55 @@
+/**
+ * useQueryState.test.js
+ *
+ * Tests the URL-backed list state behind the paginated bookings pages:
+ *   1. Parsing  — params are read against their defaults (numbers, booleans);
+ *                 missing or unparseable values fall back to the default
+ *   2. Updates  — changed keys are written with router.replace, defaults are
+ *                 dropped from the URL and unrelated params are kept
+ *
+ * Strategy: mock next/navigation so the hook runs outside the App Router.
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import useQueryState from '../useQueryState';
+
+// ── Mock next/navigation ─────────────────────────────────────────────────────
+const mockReplace = jest.fn();
+let mockSearch = '';
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ replace: mockReplace }),
+  usePathname: () => '/dashboard/bookings',
+  useSearchParams: () => new URLSearchParams(mockSearch),
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const DEFAULTS = { page: 1, pageSize: 10, sortBy: 'CreatedAt', sortOrder: 'desc', inactiveOnly: false };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('useQueryState', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('reads params against their defaults', () => {
+    mockSearch = 'page=3&pageSize=abc&sortBy=RoomName&inactiveOnly=true';
+
+    const { result } = renderHook(() => useQueryState(DEFAULTS));
+
+    expect(result.current[0]).toEqual({ page: 3, pageSize: 10, sortBy: 'RoomName', sortOrder: 'desc', inactiveOnly: true });
+  });
+
+  it('writes changes to the URL, dropping defaults and keeping other params', () => {
+    mockSearch = 'page=3&create=1';
+
+    const { result } = renderHook(() => useQueryState(DEFAULTS));
+    act(() => result.current[1]({ page: 1, sortBy: 'RoomName', sortOrder: 'asc' }));
+
+    expect(mockReplace).toHaveBeenCalledWith(
+      '/dashboard/bookings?create=1&sortBy=RoomName&sortOrder=asc',
+      { scroll: false }
+    );
+  });
+});
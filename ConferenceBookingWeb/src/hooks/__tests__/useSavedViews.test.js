@@ -0,0 +1,63 @@
+/**
+ * useSavedViews.test.js
+ *
+ * Tests the saved bookings views behind the quick tabs:
+ *   1. Ranges   — relative ranges resolve to whole weeks / months around today
+ *                 (weeks start on Monday, "last month" crosses the year)
+ *   2. Rolling  — a view saved as "This week" opens on the current week, not
+ *                 the week it was saved in
+ *   3. Storage  — views are kept per user; saving an existing name replaces it
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import useSavedViews, { resolveDateRange, viewFilters, findActiveView } from '../useSavedViews';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const FILTERS = { roomName: '', location: 'CapeTown', from: '2026-03-01', to: '2026-03-02', status: 'Pending', inactiveOnly: false };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('useSavedViews', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('resolves relative ranges from today', () => {
+    const wednesday = new Date(2026, 2, 11);
+
+    expect(resolveDateRange('thisWeek', wednesday)).toEqual({ from: '2026-03-09', to: '2026-03-15' });
+    expect(resolveDateRange('lastWeek', wednesday)).toEqual({ from: '2026-03-02', to: '2026-03-08' });
+    expect(resolveDateRange('lastMonth', new Date(2026, 0, 20))).toEqual({ from: '2025-12-01', to: '2025-12-31' });
+    expect(resolveDateRange('someday', wednesday)).toBeNull();
+  });
+
+  it('rolls a relative view forward', () => {
+    const view = { id: 'a', name: 'My pending in Cape Town this week', filters: { ...FILTERS, from: '', to: '' }, range: 'thisWeek' };
+
+    expect(viewFilters(view, new Date(2026, 2, 11))).toMatchObject({ from: '2026-03-09', to: '2026-03-15' });
+    expect(viewFilters(view, new Date(2026, 2, 18))).toMatchObject({ from: '2026-03-16', to: '2026-03-22' });
+
+    const current = { ...FILTERS, from: '2026-03-16', to: '2026-03-22', page: 2 };
+    expect(findActiveView([view], current, new Date(2026, 2, 18))).toBe(view);
+    expect(findActiveView([view], current, new Date(2026, 2, 11))).toBeUndefined();
+  });
+
+  it('keeps views per user and replaces views saved under the same name', () => {
+    const { result, rerender } = renderHook(({ user }) => useSavedViews(user), { initialProps: { user: 'alice' } });
+
+    act(() => result.current.saveView('Pending', FILTERS, 'thisWeek'));
+    act(() => result.current.saveView(' pending ', { ...FILTERS, status: 'Confirmed' }));
+
+    expect(result.current.views).toHaveLength(1);
+    expect(result.current.views[0]).toMatchObject({ name: 'pending', range: '', filters: { status: 'Confirmed', from: '2026-03-01' } });
+
+    rerender({ user: 'bob' });
+    expect(result.current.views).toEqual([]);
+
+    rerender({ user: 'alice' });
+    expect(result.current.views).toHaveLength(1);
+
+    act(() => result.current.deleteView(result.current.views[0].id));
+    expect(JSON.parse(localStorage.getItem('conference-booking-views:alice'))).toEqual([]);
+  });
+});
@@ -8,9 +8,13 @@
 //   - isLoggedIn / currentUser state
 //   - showLoginForm UI flag
 //   - refreshKey counter (forces data re-fetch after silent re-login)
+//   - the shared query cache, emptied on login / logout so cached bookings
+//     and rooms never carry over to another user
 //   - 401 "auth:unauthorized" global event → clears state, surfaces login form
 //   - login()  → POST /auth/login via authService (all HTTP through apiClient)
 //   - logout() → POST /auth/logout via authService
+//   - logoutAll() → POST /auth/logout-all via authService (every device)
+//   - refreshSession() → POST /auth/refresh via authService
 //
 // @param {{ onSessionExpired?: () => void }} options
 //   onSessionExpired — optional callback fired when a 401 wipes the session,
@@ -18,6 +22,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { authService } from '../services/authService';
+import { clearQueryCache } from '../api/queryCache';
 
 function useAuth({ onSessionExpired } = {}) {
   // Always start with logged-out state on both server and client so the
@@ -41,6 +46,8 @@ function useAuth({ onSessionExpired } = {}) {
     setToken(storedToken);
     setIsLoggedIn(!!storedToken);
     setCurrentUser(authService.getCurrentUser());
+    // Keep proxy.ts's session cookie in step with the restored token
+    authService.restoreSessionCookie();
   }, []);
 
   // ── login ────────────────────────────────────────────────────────────────────
@@ -58,6 +65,7 @@ function useAuth({ onSessionExpired } = {}) {
     setIsLoggedIn(true);
     setCurrentUser(result.user);
     setShowLoginForm(false);
+    clearQueryCache();         // useQuery reloads for the new user
     setRefreshKey(k => k + 1); // Trigger data re-fetch in App
     return result;
   }, []);
@@ -69,6 +77,34 @@ function useAuth({ onSessionExpired } = {}) {
     setToken(null);
     setIsLoggedIn(false);
     setCurrentUser(null);
+    clearQueryCache();
+  }, []);
+
+  // ── logoutAll ────────────────────────────────────────────────────────────────
+  // Revokes every session of the user server-side, then clears local state.
+  // Skips /auth/logout — this session is already revoked by the call above.
+  // Re-throws so the caller can keep the user signed in and show the error.
+  const logoutAll = useCallback(async () => {
+    await authService.logoutAll();
+    setToken(null);
+    setIsLoggedIn(false);
+    setCurrentUser(null);
+    clearQueryCache();
+  }, []);
+
+  // ── refreshSession ───────────────────────────────────────────────────────────
+  // Exchanges the stored refresh token for a new JWT (authService stores the
+  // rotated pair in localStorage) and pushes the new token into state.
+  // Called by the apiClient 401 interceptor; re-throws so it can fall back
+  // to logout when the refresh is rejected.
+  //
+  // @returns {Promise<{ token: string, refreshToken: string, user: object }>}
+  const refreshSession = useCallback(async () => {
+    const result = await authService.refreshSession();
+    setToken(result.token);
+    setIsLoggedIn(true);
+    if (result.user) setCurrentUser(result.user);
+    return result;
   }, []);
 
   return {
@@ -81,6 +117,8 @@ function useAuth({ onSessionExpired } = {}) {
     refreshKey,
     login,
     logout,
+    logoutAll,
+    refreshSession,
   };
 }
 
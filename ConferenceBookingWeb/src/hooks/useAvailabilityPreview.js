@@ -0,0 +1,144 @@
+// useAvailabilityPreview.js — Custom Hook: live availability check for BookingForm.
+//
+// As the user picks a room and times, this checks in the background (debounced
+// with useDebounce) whether the slot can be booked, so conflicts show up before
+// submit instead of coming back as serverErrors.general.
+//
+//   • Outside business hours → reported straight away, no request.
+//   • Otherwise the room's Confirmed bookings for that day are fetched
+//     (GET /Booking/filter). An overlap is a conflict, named by booking ID.
+//   • On a conflict it also suggests the nearest free slots of the same length
+//     in the same room, and rooms in the same location that are free for the
+//     requested time (GET /Room/availability?atTime&endTime).
+//
+// Only Confirmed bookings block a room — the same rule the API applies.
+
+import { useState, useEffect, useRef } from 'react';
+import useDebounce from './useDebounce';
+import { fetchBookingsInRange } from '../services/bookingService';
+import { checkAvailableRooms } from '../services/roomService';
+import {
+  BUSINESS_HOURS_START,
+  BUSINESS_HOURS_END,
+  isWithinBusinessHours,
+  findConflictingBooking,
+} from '../validation/bookingRules';
+
+const SLOT_STEP = 15; // minutes between suggested start times
+
+const IDLE = { status: 'idle', conflict: null, freeSlots: [], alternatives: [] };
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+// The Confirmed bookings that block the room, as time ranges
+const busySlots = (bookings, excludeBookingId) => bookings
+  .filter(b => b.status === 'Confirmed' && b.bookingId !== excludeBookingId)
+  .map(b => ({ start: new Date(b.startTime), end: new Date(b.endTime) }));
+
+/**
+ * The free slots of the requested length closest to the requested start,
+ * returned in time order.
+ * @param {Array<{start: Date, end: Date}>} busy - Blocking bookings that day
+ * @param {Date} requestedStart
+ * @param {number} durationMinutes
+ * @param {number} count - How many slots to return (default 3)
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export function findFreeSlots(busy, requestedStart, durationMinutes, count = 3) {
+  const y = requestedStart.getFullYear(), m = requestedStart.getMonth(), d = requestedStart.getDate();
+  const slots = [];
+  for (let minute = BUSINESS_HOURS_START * 60; minute + durationMinutes <= BUSINESS_HOURS_END * 60; minute += SLOT_STEP) {
+    const start = new Date(y, m, d, 0, minute);
+    const end = new Date(y, m, d, 0, minute + durationMinutes);
+    if (start.getTime() === requestedStart.getTime()) continue;
+    if (busy.some(b => overlaps(start, end, b.start, b.end))) continue;
+    slots.push({ start, end });
+  }
+  return slots
+    .sort((a, b) => Math.abs(a.start - requestedStart) - Math.abs(b.start - requestedStart))
+    .slice(0, count)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * @param {{
+ *   roomId: string|number,
+ *   startTime: string,          datetime-local value ("2026-03-10T09:00")
+ *   endTime: string,            datetime-local value
+ *   rooms: Array,               rooms offered by the form ({ id, name, location, capacity })
+ *   excludeBookingId?: number,  the booking being edited — never conflicts with itself
+ *   delay?: number              debounce delay in ms (default 500)
+ * }} options
+ * @returns {{
+ *   status: 'idle'|'checking'|'available'|'conflict'|'outside-hours'|'invalid'|'error',
+ *   conflict: Object|null,      the overlapping BookingSummaryDTO
+ *   freeSlots: Array<{start: Date, end: Date}>,
+ *   alternatives: Array         CheckAvailableRoomsDTOs, closest capacity first
+ * }}
+ */
+export default function useAvailabilityPreview({ roomId, startTime, endTime, rooms, excludeBookingId, delay = 500 }) {
+  const [preview, setPreview] = useState(IDLE);
+
+  // rooms is usually a fresh array on every parent render — read it through a ref.
+  const roomsRef = useRef(rooms);
+  useEffect(() => { roomsRef.current = rooms; }, [rooms]);
+
+  const debouncedKey = useDebounce(`${roomId ?? ''}|${startTime ?? ''}|${endTime ?? ''}|${excludeBookingId ?? ''}`, delay);
+
+  useEffect(() => {
+    const [id, from, to] = debouncedKey.split('|');
+    const room = roomsRef.current?.find(r => String(r.id) === id);
+    if (!room || !from || !to) { setPreview(IDLE); return undefined; }
+
+    const start = new Date(from);
+    const end = new Date(to);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) { setPreview(IDLE); return undefined; }
+    if (end <= start) { setPreview({ ...IDLE, status: 'invalid' }); return undefined; }
+    if (!isWithinBusinessHours(start, end)) { setPreview({ ...IDLE, status: 'outside-hours' }); return undefined; }
+
+    let cancelled = false;
+    setPreview({ ...IDLE, status: 'checking' });
+
+    (async () => {
+      try {
+        const dayStart = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        const dayEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        const dayBookings = await fetchBookingsInRange(dayStart, dayEnd, {
+          roomName: room.name,
+          location: room.location,
+          status: 'Confirmed',
+        });
+        // roomName is a "contains" filter server-side — keep exact matches only.
+        const roomBookings = dayBookings.filter(b => b.roomName === room.name && b.location === room.location);
+
+        const clash = findConflictingBooking(roomBookings, start, end, excludeBookingId);
+        if (!clash) {
+          if (!cancelled) setPreview({ ...IDLE, status: 'available' });
+          return;
+        }
+
+        const freeRooms = await checkAvailableRooms({ startDate: start, endDate: end });
+        const alternatives = freeRooms
+          .filter(r => r.roomId !== room.id && r.location === room.location)
+          .sort((a, b) => Math.abs(a.capacity - room.capacity) - Math.abs(b.capacity - room.capacity))
+          .slice(0, 3);
+
+        if (!cancelled) {
+          setPreview({
+            status: 'conflict',
+            conflict: clash,
+            freeSlots: findFreeSlots(busySlots(roomBookings, excludeBookingId), start, (end - start) / 60000),
+            alternatives,
+          });
+        }
+      } catch (err) {
+        console.error('❌ Failed to preview availability:', err);
+        if (!cancelled) setPreview({ ...IDLE, status: 'error' });
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [debouncedKey]);
+
+  return preview;
+}
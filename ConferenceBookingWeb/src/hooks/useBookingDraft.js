@@ -0,0 +1,63 @@
+// useBookingDraft.js — Custom Hook: keeps a BookingForm's input across a forced logout.
+//
+// When the session is ended for the user (SESSION_ENDING_EVENT, fired by
+// useSessionTimeout and the apiClient 401 handler), the form's current fields
+// are written to localStorage. The next time the same user opens the form for
+// the same booking (or a new one), the draft is handed back once and removed.
+//
+// One draft at a time, under DRAFT_KEY — a forced logout ends every form.
+
+import { useEffect, useRef } from 'react';
+import { useAuthContext } from '../context/AuthContext';
+import { SESSION_ENDING_EVENT } from '../auth/sessionEvents';
+
+export const DRAFT_KEY = 'conference-booking-draft';
+
+const readDraft = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFT_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {number|null} bookingId - The booking being edited, null when creating
+ * @param {{ roomId: string, startTime: string, endTime: string, status: string }} values - Current form fields
+ * @param {(draft: Object) => void} onRestore - Called once with a saved draft for this user and booking
+ */
+export default function useBookingDraft(bookingId, values, onRestore) {
+  const { currentUser } = useAuthContext();
+  const username = currentUser?.username ?? null;
+
+  // Read by the event listener, so it always saves the latest input
+  const valuesRef = useRef(values);
+  const onRestoreRef = useRef(onRestore);
+  useEffect(() => {
+    valuesRef.current = values;
+    onRestoreRef.current = onRestore;
+  });
+
+  // ── Save on a forced logout ──────────────────────────────────────────────────
+  useEffect(() => {
+    if (!username) return;
+    const save = () => {
+      const { roomId, startTime, endTime, status } = valuesRef.current;
+      if (!roomId && !startTime && !endTime) return; // nothing typed yet
+      localStorage.setItem(DRAFT_KEY, JSON.stringify({
+        username, bookingId, roomId, startTime, endTime, status, savedAt: new Date().toISOString(),
+      }));
+    };
+    window.addEventListener(SESSION_ENDING_EVENT, save);
+    return () => window.removeEventListener(SESSION_ENDING_EVENT, save);
+  }, [username, bookingId]);
+
+  // ── Restore once, for the same user and booking ──────────────────────────────
+  useEffect(() => {
+    if (!username) return;
+    const draft = readDraft();
+    if (draft?.username !== username || (draft.bookingId ?? null) !== bookingId) return;
+    localStorage.removeItem(DRAFT_KEY);
+    onRestoreRef.current(draft);
+  }, [username, bookingId]);
+}
@@ -1,33 +1,52 @@
-// useBookings.js — Custom Hook: fetch, create, and update bookings (Command Handshake).
+// useBookings.js — Custom Hook: the latest bookings, plus create and update.
 //
-// Req 1: Exposes createBooking() and updateBooking() using Axios POST / PUT.
-// Req 2: Payload shapes match the .NET [FromBody] DTOs exactly:
+// Reads the first page (100 newest bookings) through the shared query cache
+// (src/api/queryCache.js), so it shares its request and data with the
+// dashboard pages showing the same page instead of loading its own copy.
+//
+// createBooking() / updateBooking() go through bookingService, which builds the
+// payloads from the .NET [FromBody] DTOs:
 //
 //   CreateBookingRequestDTO  →  { roomId, startDate, endDate, location, capacity }
 //   UpdateBookingDTO         →  { bookingId, roomId?, startTime?, endTime?, status? }
 //
-// Req 3: After every successful mutation, refetch() is called internally so the
-//        bookings list always reflects the latest server state (Pessimistic Update).
-//
-// Uses the centralized apiClient singleton (src/api/apiClient.js).
-// No raw fetch() or direct axios calls — all HTTP traffic flows through apiClient.
+// and invalidates the cached bookings after each success. An update shows in
+// the list straight away and is rolled back if the API rejects it
+// (src/api/optimistic.js); a new booking appears once the list has refetched.
+
+import { useState, useCallback } from 'react';
+import * as bookingService from '../services/bookingService';
+import { bookingsPageQuery } from '../api/queries';
+import { optimisticUpdate } from '../api/optimistic';
+import useQuery from './useQuery';
+import { useAuthContext } from '../context/AuthContext';
 
-import { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
-import apiClient from '../api/apiClient';
+const LATEST_BOOKINGS = { ...bookingService.BOOKING_LIST_DEFAULTS, page: 1, pageSize: 100, sortBy: 'CreatedAt', sortOrder: 'desc' };
+
+const NO_BOOKINGS = [];
+
+/** Classify Axios errors into a human-readable string. */
+const classifyError = (err) => {
+  if (!err) return null;
+  if (err.code === 'ECONNABORTED') return 'The server took too long to respond. Please try again.';
+  if (err.response) {
+    const msg = err.response.data?.message ?? err.response.data?.title ?? err.message;
+    return `Server error ${err.response.status}: ${msg}`;
+  }
+  return 'Cannot reach the server. Check your network connection.';
+};
 
 /**
- * Manages all booking CRUD operations and exposes reactive state.
+ * The latest bookings and the create / update commands.
  *
  * State:
- *   bookings   — current list, refreshed after every mutation.
- *   loading    — true while any request is in flight.
+ *   bookings   — the 100 newest bookings, refreshed after every mutation.
+ *   loading    — true while the list is being (re)loaded.
  *   mutating   — true specifically during POST / PUT so the UI can disable submit.
  *   error      — null on success; descriptive string on failure.
  *
  * @returns {{
  *   bookings: Array,
- *   setBookings: Function,
  *   loading: boolean,
  *   mutating: boolean,
  *   error: string|null,
@@ -37,133 +56,64 @@ import apiClient from '../api/apiClient';
  * }}
  */
 function useBookings() {
-  const [bookings, setBookings] = useState([]);
-  const [loading, setLoading]   = useState(false);
-  const [mutating, setMutating] = useState(false);
-  const [error, setError]       = useState(null);
-
-  // ── Internal helpers ─────────────────────────────────────────────────────────
-
-  /** Classify Axios errors into a human-readable string. */
-  const classifyError = (err) => {
-    if (err.code === 'ECONNABORTED') return 'The server took too long to respond. Please try again.';
-    if (err.response) {
-      const msg = err.response.data?.message ?? err.response.data?.title ?? err.message;
-      return `Server error ${err.response.status}: ${msg}`;
-    }
-    return 'Cannot reach the server. Check your network connection.';
-  };
-
-  // ── Req 3: refetch ───────────────────────────────────────────────────────────
-  // Exposed so consumers can trigger a refresh imperatively if needed.
-  // Also called internally after every successful mutation.
-  const refetch = useCallback(async (signal) => {
-    setLoading(true);
-    setError(null);
-    try {
-      const { data: fetchedBookings } = await apiClient.get('/Booking', {
-        params: { page: 1, pageSize: 100, sortBy: 'CreatedAt', sortOrder: 'desc' },
-        signal,
-      });
-      setBookings(fetchedBookings ?? []);
-    } catch (err) {
-      if (axios.isCancel(err)) return; // Intentional abort — not an error.
-      setError(classifyError(err));
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
-  // Fetch on mount; abort on unmount to prevent state updates after removal.
-  useEffect(() => {
-    const controller = new AbortController();
-    refetch(controller.signal);
-    return () => controller.abort();
-  }, [refetch]);
-
-  // SignalR real-time sync is handled by the single useSignalR call in App.jsx.
-  // Removed the duplicate useSignalR call here to avoid opening two WebSocket
-  // connections simultaneously.
+  const { isLoggedIn } = useAuthContext();
+  const { data, error: loadError, isFetching, refetch } = useQuery(bookingsPageQuery(LATEST_BOOKINGS), { enabled: isLoggedIn });
+  const [mutating, setMutating]           = useState(false);
+  const [mutationError, setMutationError] = useState(null);
 
-  // ── Req 1 + 2: createBooking (POST) ─────────────────────────────────────────
   /**
    * Create a new booking.
-   *
-   * Payload must match CreateBookingRequestDTO:
-   *   { roomId: number, startDate: string (ISO), endDate: string (ISO),
-   *     location: string, capacity: number }
-   *
-   * Req 3: Re-fetches the full list after a successful 200/201 response.
-   *
    * @param {{ roomId: number, startDate: string, endDate: string, location: string, capacity: number }} bookingData
    * @returns {Promise<Object>} The created booking returned by the server.
    * @throws Re-throws on validation (400) or auth (401/403) errors so the
    *         calling component can map ProblemDetails to form fields.
    */
   const createBooking = useCallback(async (bookingData) => {
-    // Req 2: Enforce payload contract — only the fields CreateBookingRequestDTO expects.
-    const payload = {
-      roomId:    bookingData.roomId,
-      startDate: bookingData.startDate,
-      endDate:   bookingData.endDate,
-      location:  bookingData.location,
-      capacity:  bookingData.capacity,
-    };
-
     setMutating(true);
-    setError(null);
+    setMutationError(null);
     try {
-      const created = await apiClient.post('/Booking', payload);
-      await refetch(); // Req 3: Pessimistic Update — sync with server.
-      return created;
+      return await bookingService.createBooking(bookingData);
     } catch (err) {
-      setError(classifyError(err));
+      setMutationError(err);
       throw err; // Re-throw so the form can handle field-level errors.
     } finally {
       setMutating(false);
     }
-  }, [refetch]);
+  }, []);
 
-  // ── Req 1 + 2: updateBooking (PUT) ──────────────────────────────────────────
   /**
    * Update an existing booking.
-   *
-   * Payload must match UpdateBookingDTO:
-   *   { bookingId: number, roomId?: number, startTime?: string (ISO),
-   *     endTime?: string (ISO), status?: string }
-   *
-   * Req 3: Re-fetches the full list after a successful response.
-   *
    * @param {number} bookingId
    * @param {{ roomId?: number, startTime?: string, endTime?: string, status?: string }} bookingData
    * @returns {Promise<Object>} The updated booking returned by the server.
    * @throws Re-throws on validation (400) or auth errors.
    */
   const updateBooking = useCallback(async (bookingId, bookingData) => {
-    // Req 2: Enforce payload contract — only the fields UpdateBookingDTO expects.
-    const payload = {
-      bookingId,
-      ...(bookingData.roomId    !== undefined && { roomId:    bookingData.roomId }),
-      ...(bookingData.startTime !== undefined && { startTime: bookingData.startTime }),
-      ...(bookingData.endTime   !== undefined && { endTime:   bookingData.endTime }),
-      ...(bookingData.status    !== undefined && { status:    bookingData.status }),
-    };
-
     setMutating(true);
-    setError(null);
+    setMutationError(null);
+    const change = optimisticUpdate(['bookings'], bookingId, bookingData);
     try {
-      const updated = await apiClient.put(`/Booking/${bookingId}`, payload);
-      await refetch(); // Req 3: Pessimistic Update — sync with server.
+      const updated = await bookingService.updateBooking(bookingId, bookingData);
+      change.commit(updated);
       return updated;
     } catch (err) {
-      setError(classifyError(err));
+      change.rollback();
+      setMutationError(err);
       throw err; // Re-throw so the form can handle field-level errors.
     } finally {
       setMutating(false);
     }
-  }, [refetch]);
+  }, []);
 
-  return { bookings, setBookings, loading, mutating, error, refetch, createBooking, updateBooking };
+  return {
+    bookings: data?.data ?? NO_BOOKINGS,
+    loading: isFetching,
+    mutating,
+    error: classifyError(mutationError ?? loadError),
+    refetch,
+    createBooking,
+    updateBooking,
+  };
 }
 
 export default useBookings;
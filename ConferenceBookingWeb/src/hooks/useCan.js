@@ -0,0 +1,22 @@
+// useCan.js — Custom Hook: permission checks for the signed-in user.
+//
+// Binds can() from src/permissions/permissions.js to currentUser from
+// AuthContext, so components don't read roles themselves.
+
+import { useCallback } from 'react';
+import { useAuthContext } from '../context/AuthContext';
+import { can } from '../permissions/permissions';
+
+/**
+ * @returns {(capability: string, resource?: Object) => boolean} Stable until
+ *   the signed-in user changes
+ *
+ * @example
+ * const can = useCan();
+ * {can('bookings.delete') && <Button label="Delete" … />}
+ * {can('bookings.cancel', booking) && <Button label="Cancel Booking" … />}
+ */
+export default function useCan() {
+  const { currentUser } = useAuthContext();
+  return useCallback((capability, resource) => can(currentUser, capability, resource), [currentUser]);
+}
@@ -0,0 +1,77 @@
+// useQuery.js — Custom Hook: read one entry of the shared query cache.
+//
+// Renders whatever the cache holds for the key (possibly stale) and asks the
+// cache for a fresh copy on mount, when the key changes and after the cache is
+// cleared. Requests are shared between every component using the same key;
+// invalidateQueries() refetches it while it is mounted.
+//
+// See src/api/queryCache.js for the store and src/api/queries.js for the keys.
+
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQueryState, hashKey, subscribeQuery } from '../api/queryCache';
+
+/**
+ * @param {{ key: Array, fetcher: () => Promise<any>, staleMs?: number }} query
+ *   A descriptor from src/api/queries.js
+ * @param {{ enabled?: boolean, keepPreviousData?: boolean }} [options]
+ *   enabled          – false skips loading (e.g. while logged out)
+ *   keepPreviousData – keep showing the last key's data while a new key loads
+ *                      (paging / sorting), instead of an empty list
+ * @returns {{
+ *   data: any,
+ *   error: any,
+ *   isLoading: boolean,
+ *   isFetching: boolean,
+ *   refetch: () => Promise<any>
+ * }}
+ *   isLoading  – nothing to show yet (first load of this key)
+ *   isFetching – a request for this key is in flight, including background ones
+ *
+ * @example
+ * const { data: rooms = [], isLoading } = useQuery(roomsQuery(), { enabled: isLoggedIn });
+ */
+export default function useQuery(query, { enabled = true, keepPreviousData = false } = {}) {
+  // Descriptors are rebuilt every render — keep the key's identity per hash
+  const hash = hashKey(query.key);
+  const key = useMemo(() => JSON.parse(hash), [hash]);
+  const { staleMs } = query;
+
+  // Latest fetcher for the effects below, without re-running them
+  const fetcherRef = useRef(query.fetcher);
+  useEffect(() => { fetcherRef.current = query.fetcher; });
+
+  const subscribe = useCallback(listener => subscribeQuery(key, listener), [key]);
+  const getSnapshot = useCallback(() => getQueryState(key), [key]);
+  const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  // Empty again after clearQueryCache() (login) — load it anew
+  const isEmpty = state.updatedAt === 0 && !state.error && !state.isFetching;
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchQuery(key, () => fetcherRef.current(), { staleMs }).catch(() => {}); // the error is in `state`
+  }, [key, enabled, staleMs, isEmpty]);
+
+  const previousData = useRef(undefined);
+  useEffect(() => {
+    if (state.data !== undefined) previousData.current = state.data;
+  }, [state.data]);
+
+  const refetch = useCallback(
+    () => fetchQuery(key, () => fetcherRef.current(), { force: true }),
+    [key]
+  );
+
+  const data = !enabled ? undefined
+    : state.data !== undefined ? state.data
+    : keepPreviousData ? previousData.current
+    : undefined;
+
+  return {
+    data,
+    error: enabled ? state.error : null,
+    isLoading: enabled && data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
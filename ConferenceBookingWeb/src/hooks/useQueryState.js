@@ -0,0 +1,58 @@
+// useQueryState.js — Custom Hook: list state (page, sort, …) kept in the URL.
+//
+// Keeping paging and sorting in the query string means a link to
+// /dashboard/bookings?page=3&sortBy=RoomName&sortOrder=asc opens exactly that
+// view, and a reload doesn't lose it.
+//
+//   • Each key in `defaults` is read from useSearchParams(). A numeric default
+//     parses the param as a number, a boolean default as "true" / "false";
+//     anything missing or unparseable falls back to the default.
+//   • Values equal to their default are left out of the URL, so the plain
+//     route stays clean.
+//   • Updates use router.replace (no history entry per click) and keep any
+//     other params already in the URL.
+
+import { useMemo, useCallback } from 'react';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
+
+/**
+ * Read and update a set of query-string values.
+ *
+ * @param {Object} defaults - { key: defaultValue }. Pass a module-level
+ *   constant so the parsed state keeps its identity between renders.
+ * @returns {[Object, Function]} [state, setState] — setState(updates) merges
+ *   the given keys into the URL
+ *
+ * @example
+ * const [list, setList] = useQueryState({ page: 1, sortBy: 'CreatedAt' });
+ * setList({ page: list.page + 1 });
+ */
+export default function useQueryState(defaults) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const state = useMemo(() => {
+    const parsed = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const raw = searchParams.get(key);
+      if (raw === null || raw === '') parsed[key] = fallback;
+      else if (typeof fallback === 'number') parsed[key] = Number.isFinite(Number(raw)) ? Number(raw) : fallback;
+      else if (typeof fallback === 'boolean') parsed[key] = raw === 'true' ? true : raw === 'false' ? false : fallback;
+      else parsed[key] = raw;
+    }
+    return parsed;
+  }, [searchParams, defaults]);
+
+  const setState = useCallback((updates) => {
+    const next = new URLSearchParams(searchParams.toString());
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === undefined || value === null || value === '' || value === defaults[key]) next.delete(key);
+      else next.set(key, String(value));
+    }
+    const query = next.toString();
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  }, [router, pathname, searchParams, defaults]);
+
+  return [state, setState];
+}
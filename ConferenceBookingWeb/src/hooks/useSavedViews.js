@@ -0,0 +1,153 @@
+// useSavedViews.js — Custom Hook: named bookings filter views, saved per user.
+//
+// A view is a name plus the filters from BookingFilterPanel, e.g.
+// "Cancelled last month" = { status: 'Cancelled' } over the range 'lastMonth'.
+//
+//   • Views are kept in localStorage under one key per user, so people sharing
+//     a browser don't see each other's views. The login payload has no user
+//     id, so the username is the key.
+//   • A view can carry a relative date range instead of fixed From / To dates.
+//     The range is resolved each time the view is opened, so "This week"
+//     keeps rolling forward.
+//   • Storage is read after mount (like useAuth) — localStorage doesn't exist
+//     during the server render.
+
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_PREFIX = 'conference-booking-views:';
+
+// Relative ranges a view can use instead of fixed dates. Weeks start on Monday.
+export const DATE_RANGES = [
+  { value: 'today',      label: 'Today' },
+  { value: 'thisWeek',   label: 'This week' },
+  { value: 'nextWeek',   label: 'Next week' },
+  { value: 'lastWeek',   label: 'Last week' },
+  { value: 'thisMonth',  label: 'This month' },
+  { value: 'lastMonth',  label: 'Last month' },
+  { value: 'next7Days',  label: 'Next 7 days' },
+  { value: 'last30Days', label: 'Last 30 days' },
+];
+
+// Date → "YYYY-MM-DD" in local time (the format of the From / To date inputs)
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Resolve a relative range to From / To dates, counted from `today`.
+ *
+ * @param {string} range - One of the DATE_RANGES values
+ * @param {Date} today - Defaults to now
+ * @returns {{ from: string, to: string } | null} null for an unknown range
+ */
+export function resolveDateRange(range, today = new Date()) {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const monday = addDays(day, -((day.getDay() + 6) % 7));
+  const y = day.getFullYear();
+  const m = day.getMonth();
+
+  const spans = {
+    today:      [day, day],
+    thisWeek:   [monday, addDays(monday, 6)],
+    nextWeek:   [addDays(monday, 7), addDays(monday, 13)],
+    lastWeek:   [addDays(monday, -7), addDays(monday, -1)],
+    thisMonth:  [new Date(y, m, 1), new Date(y, m + 1, 0)],
+    lastMonth:  [new Date(y, m - 1, 1), new Date(y, m, 0)],
+    next7Days:  [day, addDays(day, 6)],
+    last30Days: [addDays(day, -29), day],
+  };
+  const span = spans[range];
+  return span ? { from: toDateInput(span[0]), to: toDateInput(span[1]) } : null;
+}
+
+/**
+ * The filters a view applies today — its saved filters with any relative
+ * range resolved to From / To.
+ *
+ * @param {{ filters: Object, range?: string }} view
+ * @param {Date} today - Defaults to now
+ * @returns {Object} Filters in the URL form used by BookingFilterPanel
+ */
+export function viewFilters(view, today = new Date()) {
+  const dates = view.range ? resolveDateRange(view.range, today) : null;
+  return dates ? { ...view.filters, ...dates } : view.filters;
+}
+
+/**
+ * The view whose filters match `filters` today, so its tab can be shown active.
+ *
+ * @param {Array<Object>} views
+ * @param {Object} filters - Current filters; extra keys (page, sort) are ignored
+ * @param {Date} today - Defaults to now
+ * @returns {Object|undefined}
+ */
+export function findActiveView(views, filters, today = new Date()) {
+  return views.find(view => {
+    const applied = viewFilters(view, today);
+    return Object.keys(applied).every(key => applied[key] === filters[key]);
+  });
+}
+
+const loadViews = (storageKey) => {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error loading saved views from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Saved bookings views for one user.
+ *
+ * @param {string|null|undefined} userKey - Username; no views until it is known
+ * @returns {{ views: Array<{ id: string, name: string, filters: Object, range: string }>,
+ *             saveView: Function, deleteView: Function }}
+ *
+ * @example
+ * const { views, saveView } = useSavedViews(currentUser?.username);
+ * saveView('Cancelled last month', { ...filters, status: 'Cancelled' }, 'lastMonth');
+ */
+export default function useSavedViews(userKey) {
+  const storageKey = userKey ? `${STORAGE_PREFIX}${userKey}` : null;
+  const [views, setViews] = useState([]);
+
+  useEffect(() => {
+    setViews(storageKey ? loadViews(storageKey) : []);
+  }, [storageKey]);
+
+  const persist = useCallback((update) => {
+    setViews(prev => {
+      const next = update(prev);
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving views to localStorage:', error);
+      }
+      return next;
+    });
+  }, [storageKey]);
+
+  // Saving under an existing name (any case) replaces that view in place
+  const saveView = useCallback((name, filters, range = '') => {
+    if (!storageKey) return;
+    const trimmed = name.trim();
+    // A relative range replaces the fixed dates rather than sitting next to them
+    const saved = range ? { ...filters, from: '', to: '' } : filters;
+    persist(prev => {
+      const existing = prev.find(v => v.name.toLowerCase() === trimmed.toLowerCase());
+      const view = { id: existing?.id ?? Date.now().toString(36), name: trimmed, filters: saved, range };
+      return existing ? prev.map(v => (v.id === existing.id ? view : v)) : [...prev, view];
+    });
+  }, [storageKey, persist]);
+
+  const deleteView = useCallback((id) => {
+    if (!storageKey) return;
+    persist(prev => prev.filter(v => v.id !== id));
+  }, [storageKey, persist]);
+
+  return { views, saveView, deleteView };
+}
@@ -0,0 +1,112 @@
+// useSessionTimeout.js — Custom Hook: session expiry warning + inactivity tracking.
+//
+// Reads the `exp` claim of the current JWT and, two minutes before it runs out:
+//   • refreshes silently when the user has been active in the last 5 minutes
+//     (typing, clicking, scrolling) — they are clearly still there
+//   • otherwise opens the warning (SessionTimeoutModal) with a countdown and
+//     "Stay signed in" (POST /auth/refresh) / "Sign out"
+// If nobody answers, the session is ended at expiry: announceSessionEnding()
+// lets an open BookingForm save its draft, then logout().
+//
+// A token that had already expired before the page opened (a reopened tab) is
+// refreshed straight away; when that fails the apiClient 401 handler signs
+// the user out.
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuthContext } from '../context/AuthContext';
+import { readTokenClaims } from '../auth/sessionToken';
+import { announceSessionEnding } from '../auth/sessionEvents';
+
+export const WARNING_MS = 2 * 60 * 1000;
+export const IDLE_AFTER_MS = 5 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * @returns {{
+ *   showWarning: boolean,
+ *   secondsLeft: number,
+ *   staySignedIn: () => Promise<void>,
+ *   signOut: () => Promise<void>,
+ *   isRefreshing: boolean,
+ *   error: string|null
+ * }}
+ */
+export default function useSessionTimeout() {
+  const { isLoggedIn, token, refreshSession, logout } = useAuthContext();
+  const expiresAt = isLoggedIn ? readTokenClaims(token)?.expiresAt ?? null : null;
+
+  const lastActivity = useRef(Date.now());
+  // The warning belongs to one token: a refreshed token (new exp) closes it
+  const [warnedFor, setWarnedFor] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const showWarning = expiresAt !== null && warnedFor === expiresAt;
+
+  // ── Inactivity tracking ──────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    const markActive = () => { lastActivity.current = Date.now(); };
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, markActive, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, markActive));
+  }, [isLoggedIn]);
+
+  const staySignedIn = useCallback(async () => {
+    setIsRefreshing(true);
+    setError(null);
+    try {
+      await refreshSession(); // new token → new exp → the warning closes
+    } catch (err) {
+      setError(err?.response?.data?.message ?? 'Your session could not be extended.');
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [refreshSession]);
+
+  // ── Warning + expiry timers, rescheduled for every new token ─────────────────
+  useEffect(() => {
+    if (expiresAt === null) return;
+
+    if (expiresAt <= Date.now()) {
+      refreshSession().catch(() => {}); // a 401 here logs out via apiClient
+      return;
+    }
+
+    const warn = setTimeout(() => {
+      if (Date.now() - lastActivity.current < IDLE_AFTER_MS) {
+        refreshSession().catch(() => {});
+        return;
+      }
+      setNow(Date.now());
+      setWarnedFor(expiresAt);
+    }, Math.max(0, expiresAt - WARNING_MS - Date.now()));
+
+    const expire = setTimeout(() => {
+      announceSessionEnding();
+      logout();
+    }, expiresAt - Date.now());
+
+    return () => {
+      clearTimeout(warn);
+      clearTimeout(expire);
+    };
+  }, [expiresAt, refreshSession, logout]);
+
+  // ── Countdown tick while the warning is open ─────────────────────────────────
+  useEffect(() => {
+    if (!showWarning) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [showWarning]);
+
+  return {
+    showWarning,
+    secondsLeft: expiresAt === null ? 0 : Math.max(0, Math.ceil((expiresAt - now) / 1000)),
+    staySignedIn,
+    signOut: logout,
+    isRefreshing,
+    error,
+  };
+}
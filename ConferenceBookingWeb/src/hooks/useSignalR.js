@@ -1,87 +1,42 @@
-// useSignalR.js — Custom Hook: manages the SignalR hub connection lifecycle.
+// useSignalR.js — Custom Hook: listen to booking and room changes from the hub.
 //
 // Extra Credit requirements satisfied:
-//   • The Live Hub:  connects to the .NET BookingHub at /hubs/booking.
-//   • The Listener: registers handlers for booking AND room events and calls the
+//   • The Live Hub:  listens to the .NET BookingHub at /hubs/booking.
+//   • The Listener: subscribes to booking AND room events and calls the
 //                   appropriate callback when each fires.
-//   • Memory leak prevention: the cleanup function returned by useEffect stops
-//                   the connection when the component unmounts.
+//   • Memory leak prevention: the subscriptions are removed when the component
+//                   unmounts.
 //
-// Hook Discipline: all SignalR logic lives here — no hub code in components.
-//
-// JWT auth: SignalR cannot set HTTP headers on the WebSocket handshake, so the
-// token is passed as ?access_token=... via the accessTokenFactory option.
-// The backend JwtBearerEvents.OnMessageReceived reads it from the query string.
-
-import { useEffect, useRef, useState } from 'react';
-import * as signalR from '@microsoft/signalr';
+// The connection itself is shared: <HubProvider> (src/context/HubContext.jsx)
+// opens one for the whole app and this hook subscribes to it with
+// useHubEvent(), so pages mounting and unmounting don't reconnect. By the time
+// a callback runs the event has been applied to the cached lists
+// (src/api/liveUpdates.js), and missed events have been replayed.
 
-const HUB_URL = process.env.NEXT_PUBLIC_HUB_URL ?? 'http://localhost:5230/hubs/booking';
+import { BOOKING_EVENTS, ROOM_EVENTS } from '../api/liveUpdates';
+import { useHubEvent, useHubResync, useHubStatus } from '../context/HubContext';
 
 /**
- * Establishes and maintains a SignalR connection to the BookingHub.
+ * Subscribes to the BookingHub's booking and room events.
  *
- * Calls onBookingChange(eventName, data) when a booking is created or updated.
+ * Calls onBookingChange(eventName, data) when a booking is created, updated,
+ * cancelled or deleted.
  * Calls onRoomChange(eventName, data) when a room is created, updated, or deleted.
- *
- * Automatically stops the connection when the consuming component unmounts.
+ * Calls onResync() when missed events could not be replayed — lists not kept
+ * in the query cache should be reloaded.
  *
  * @param {{
  *   onBookingChange?: (eventName: string, data: Object) => void,
- *   onRoomChange?: (eventName: string, data: Object) => void
+ *   onRoomChange?: (eventName: string, data: Object) => void,
+ *   onResync?: () => void
  * }} options
+ * @returns {'connecting'|'connected'|'reconnecting'|'disconnected'} Connection state
  */
-function useSignalR({ onBookingChange, onRoomChange } = {}) {
-  const bookingCallbackRef = useRef(onBookingChange);
-  const roomCallbackRef = useRef(onRoomChange);
-  const [hasToken, setHasToken] = useState(
-    () => typeof window !== 'undefined' && !!localStorage.getItem('token')
-  );
-
-  // Keep callback refs current so the effect doesn't need to re-run when they change.
-  useEffect(() => { bookingCallbackRef.current = onBookingChange; }, [onBookingChange]);
-  useEffect(() => { roomCallbackRef.current = onRoomChange; }, [onRoomChange]);
-
-  // Sync hasToken with localStorage so we connect once the user logs in.
-  useEffect(() => {
-    const sync = () => setHasToken(!!localStorage.getItem('token'));
-    window.addEventListener('storage', sync);
-    // Also poll briefly after mount in case the token was set in the same tab.
-    const id = setInterval(sync, 2000);
-    return () => {
-      window.removeEventListener('storage', sync);
-      clearInterval(id);
-    };
-  }, []);
-
-  useEffect(() => {
-    // Don't connect until there is a valid token.
-    if (!hasToken) return;
-
-    const connection = new signalR.HubConnectionBuilder()
-      .withUrl(HUB_URL, {
-        accessTokenFactory: () => localStorage.getItem('token') ?? '',
-      })
-      .withAutomaticReconnect()
-      .configureLogging(signalR.LogLevel.Warning)
-      .build();
-
-    const bookingEvents = ['BookingCreated', 'BookingUpdated', 'BookingCancelled'];
-    const roomEvents    = ['RoomCreated',    'RoomUpdated',    'RoomDeleted'];
-
-    bookingEvents.forEach(evt =>
-      connection.on(evt, data => bookingCallbackRef.current?.(evt, data))
-    );
-    roomEvents.forEach(evt =>
-      connection.on(evt, data => roomCallbackRef.current?.(evt, data))
-    );
-
-    connection.start().catch(err => console.error('SignalR connection error:', err));
-
-    return () => {
-      connection.stop();
-    };
-  }, [hasToken]);
+function useSignalR({ onBookingChange, onRoomChange, onResync } = {}) {
+  useHubEvent(BOOKING_EVENTS, (data, eventName) => onBookingChange?.(eventName, data));
+  useHubEvent(ROOM_EVENTS, (data, eventName) => onRoomChange?.(eventName, data));
+  useHubResync(onResync);
+  return useHubStatus();
 }
 
 export default useSignalR;
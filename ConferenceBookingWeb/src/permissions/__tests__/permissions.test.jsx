@@ -0,0 +1,82 @@
+/**
+ * permissions.test.jsx
+ *
+ * Tests the role → capability map shared by the UI:
+ *   1. Roles     — capabilities follow the controllers' [Authorize(Roles = …)]
+ *                  (e.g. only Admin deletes bookings, only FacilityManager
+ *                  manages rooms); unknown capabilities throw
+ *   2. Ownership — only the owner, a Receptionist or an Admin may edit /
+ *                  cancel a booking
+ *   3. <Can>     — renders its children or the fallback for the signed-in user
+ *
+ * AuthContext is mocked to supply the signed-in user.
+ */
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { can } from '../permissions';
+import Can from '../../components/Can';
+
+let mockUser = null;
+jest.mock('../../context/AuthContext', () => ({
+  useAuthContext: () => ({ currentUser: mockUser }),
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const admin        = { username: 'ada',   roles: ['Admin'] };
+const manager      = { username: 'fran',  roles: ['FacilityManager'] };
+const receptionist = { username: 'rita',  roles: ['Receptionist'] };
+const employee     = { username: 'alice', roles: ['Employee'] };
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('permissions', () => {
+  afterEach(() => {
+    mockUser = null;
+  });
+
+  it('maps roles to the capabilities the API allows', () => {
+    expect(can(admin, 'bookings.delete')).toBe(true);
+    expect(can(manager, 'bookings.delete')).toBe(false);
+    expect(can(employee, 'bookings.create')).toBe(false);
+    expect(can(receptionist, 'bookings.confirm')).toBe(true);
+    expect(can(admin, 'rooms.manage')).toBe(false);
+    expect(can(manager, 'rooms.manage')).toBe(true);
+    expect(can(manager, 'users.changeRole')).toBe(false);
+    expect(can(employee, 'bookings.view')).toBe(true);
+    expect(can(null, 'bookings.view')).toBe(false);
+    expect(() => can(admin, 'bookings.destroy')).toThrow('permissions: unknown capability "bookings.destroy".');
+  });
+
+  it('limits editing and cancelling to the owner unless the role manages any booking', () => {
+    const booking = { bookingId: 3, requestedBy: 'Alice' };
+
+    expect(can(employee, 'bookings.update', booking)).toBe(true);
+    expect(can({ username: 'bob', roles: ['Employee'] }, 'bookings.cancel', booking)).toBe(false);
+    expect(can({ username: 'bob', roles: ['FacilityManager'] }, 'bookings.update', booking)).toBe(false);
+    expect(can(receptionist, 'bookings.cancel', booking)).toBe(true);
+    expect(can(employee, 'bookings.update', { bookingId: 4 })).toBe(false);
+    expect(can(null, 'bookings.update', booking)).toBe(false);
+  });
+
+  it('renders <Can> children only for a permitted user', () => {
+    mockUser = employee;
+    const { rerender } = render(
+      <Can do="bookings.delete" fallback={<span>Read only</span>}>
+        <button type="button">Delete</button>
+      </Can>
+    );
+
+    expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+    expect(screen.getByText('Read only')).toBeInTheDocument();
+
+    mockUser = admin;
+    rerender(
+      <Can do="bookings.delete" fallback={<span>Read only</span>}>
+        <button type="button">Delete</button>
+      </Can>
+    );
+
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,118 @@
+// permissions.js
+//
+// Which roles may do what — one map shared by every page, card and the
+// Sidebar, so the UI never offers an action the API would reject with 403.
+// Mirrors the [Authorize(Roles = …)] attributes on:
+//   API/Controllers/BookingController.cs
+//   API/Controllers/RoomController.cs, RoomManagementController.cs
+//   API/Controllers/ConferenceSessionController.cs
+//   API/Controllers/UserManagementController.cs
+//   API/Controllers/AuthController.cs
+//
+// Capabilities are "area.action" strings. A few are owned: checked against a
+// resource (a booking), they also pass for its owner. The API lets any role
+// edit or cancel a booking; the UI keeps other people's bookings to
+// Receptionist / Admin.
+//
+// Components use useCan() (src/hooks/useCan.js) or <Can> (src/components/Can.jsx);
+// can() is the plain function behind both.
+
+export const ROLES = ['Admin', 'FacilityManager', 'Receptionist', 'Employee'];
+
+const EVERYONE = ROLES;
+
+export const CAPABILITIES = {
+  // ── BookingController — class: Admin, Employee, FacilityManager, Receptionist ──
+  'bookings.view':      EVERYONE,                     // GET    /Booking, /Booking/{id}, /Booking/filter
+  'bookings.create':    ['Admin'],                    // POST   /Booking
+  'bookings.update':    ['Receptionist', 'Admin'],    // PUT    /Booking/{id} — owners too (OWNED)
+  'bookings.confirm':   ['Receptionist', 'Admin'],    // PATCH  /Booking/{id}/confirm
+  'bookings.cancel':    ['Receptionist', 'Admin'],    // DELETE /Booking/{id}/cancel — owners too (OWNED)
+  'bookings.delete':    ['Admin'],                    // DELETE /Booking/{id}
+
+  // ── RoomController — [Authorize] ──────────────────────────────────────────────
+  'rooms.view':         EVERYONE,                     // GET /Room, /Room/availability
+
+  // ── RoomManagementController — class: FacilityManager ─────────────────────────
+  'rooms.manage':       ['FacilityManager'],          // POST / PUT / PATCH status / DELETE /RoomManagement
+
+  // ── ConferenceSessionController — [Authorize] ─────────────────────────────────
+  'sessions.view':      EVERYONE,                     // GET    /ConferenceSession…
+  'sessions.create':    ['Admin'],                    // POST   /ConferenceSession
+  'sessions.update':    EVERYONE,                     // PUT    /ConferenceSession/{id} (incl. assigning a room)
+  'sessions.delete':    EVERYONE,                     // DELETE /ConferenceSession/{id}
+
+  // ── UserManagementController — [Authorize] + per action ───────────────────────
+  'users.list':         ['Admin', 'FacilityManager'], // GET    /UserManagement/fetch…
+  'users.view':         ['Admin', 'FacilityManager', 'Receptionist'], // GET /UserManagement/{id}
+  'users.history':      ['Admin', 'FacilityManager'], // GET    /UserManagement/{id}/history
+  'users.create':       ['Admin'],                    // POST   /UserManagement/create
+  'users.update':       ['Admin', 'FacilityManager'], // PUT    /UserManagement/{id}/update
+  'users.changeRole':   ['Admin'],                    // PUT    …/update with a role (UserManagementService)
+  'users.deactivate':   ['Admin'],                    // DELETE …/deactivate, POST …/reactivate, PATCH …/status
+
+  // ── AuthController — [Authorize] ──────────────────────────────────────────────
+  'account.sessions':   EVERYONE,                     // GET / DELETE /auth/sessions, POST /auth/logout-all
+};
+
+// Capabilities the owner of the resource also has, whatever their role
+const OWNED = ['bookings.update', 'bookings.cancel'];
+
+// The capability each protected page needs, checked by proxy.ts before it
+// renders. Most specific first; a path ending in "/" matches anything below it.
+const ROUTE_CAPABILITIES = [
+  { path: '/dashboard/room-management', capability: 'rooms.manage' },
+  { path: '/dashboard/approvals',       capability: 'bookings.confirm' },
+  { path: '/dashboard/users/',          capability: 'users.view' },  // a single user's page
+  { path: '/dashboard/users',           capability: 'users.list' },
+  { path: '/dashboard/my-sessions',     capability: 'account.sessions' },
+  { path: '/dashboard/sessions',        capability: 'sessions.view' },
+  { path: '/dashboard/rooms',           capability: 'rooms.view' },
+  { path: '/dashboard',                 capability: 'bookings.view' },
+  { path: '/bookings',                  capability: 'bookings.view' },
+];
+
+/**
+ * Whether `username` made the booking (BookingSummaryDTO / BookingDetailDTO requestedBy).
+ * @param {{ requestedBy?: string }} resource
+ * @param {string} username - currentUser.username
+ * @returns {boolean}
+ */
+export function isOwner(resource, username) {
+  if (!resource?.requestedBy || !username) return false;
+  return resource.requestedBy.toLowerCase() === username.toLowerCase();
+}
+
+/**
+ * Whether a user may perform an action.
+ *
+ * Without a resource, owned capabilities only ask whether the user can do it
+ * to *some* booking (any signed-in user can edit their own), so pass the
+ * booking whenever there is one.
+ *
+ * @param {{ username?: string, roles?: string[] }|null} user - currentUser
+ * @param {string} capability - A key of CAPABILITIES, e.g. 'bookings.delete'
+ * @param {{ requestedBy?: string }} [resource] - The booking the action is on
+ * @returns {boolean}
+ * @throws {Error} For an unknown capability (a typo would otherwise hide UI silently)
+ */
+export function can(user, capability, resource) {
+  const allowed = CAPABILITIES[capability];
+  if (!allowed) throw new Error(`permissions: unknown capability "${capability}".`);
+
+  const roles = user?.roles ?? [];
+  if (roles.some(role => allowed.includes(role))) return true;
+  if (!OWNED.includes(capability) || roles.length === 0) return false;
+  return resource === undefined || isOwner(resource, user?.username);
+}
+
+/**
+ * The capability needed to open a page, or undefined for a public one.
+ * @param {string} pathname - e.g. '/dashboard/users/42'
+ * @returns {string|undefined}
+ */
+export function routeCapability(pathname) {
+  return ROUTE_CAPABILITIES.find(({ path }) =>
+    path.endsWith('/') ? pathname.startsWith(path) : pathname === path || pathname.startsWith(`${path}/`)
+  )?.capability;
+}
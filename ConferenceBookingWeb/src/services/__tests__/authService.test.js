@@ -0,0 +1,77 @@
+/**
+ * authService.test.js
+ *
+ * Tests the refresh and session-cookie calls:
+ *   1. Refresh — callers refreshing at the same time share one /auth/refresh
+ *                (the server rotates the refresh token) and the new JWT is
+ *                mirrored into the cookie
+ *   2. Restore — only an unexpired stored JWT is re-mirrored into the cookie
+ *
+ * Strategy: mock apiClient so no real HTTP calls are made; its interceptor
+ * would unwrap response.data, so the mocks resolve with the body itself.
+ * fetch (the Next.js /api/session route) is a jest.fn().
+ */
+
+import apiClient from '../../api/apiClient';
+import { authService } from '../authService';
+
+jest.mock('../../api/apiClient', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const base64url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const makeToken = (expiresInSeconds = 3600) =>
+  [
+    base64url({ alg: 'HS256', typ: 'JWT' }),
+    base64url({ unique_name: 'alice', role: 'Employee', exp: Math.floor(Date.now() / 1000) + expiresInSeconds }),
+    'signature',
+  ].join('.');
+
+const cookieBodies = () =>
+  global.fetch.mock.calls.map(([, init]) => (init.body ? JSON.parse(init.body) : init.method));
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('authService', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+    localStorage.setItem('refreshToken', 'refresh-1');
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    localStorage.clear();
+    delete global.fetch;
+  });
+
+  it('shares one refresh between callers asking at the same time', async () => {
+    const fresh = makeToken();
+    apiClient.post.mockResolvedValue({ token: fresh, refreshToken: 'refresh-2' });
+
+    const [first, second] = await Promise.all([authService.refreshSession(), authService.refreshSession()]);
+
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+    expect(second).toBe(first);
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+    expect(cookieBodies()).toEqual([{ token: fresh }]);
+
+    // Settled, so the next refresh goes to the server again
+    await authService.refreshSession();
+    expect(apiClient.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('re-mirrors only an unexpired stored token into the cookie', async () => {
+    const fresh = makeToken();
+    localStorage.setItem('token', fresh);
+    await authService.restoreSessionCookie();
+
+    localStorage.setItem('token', makeToken(-60));
+    await authService.restoreSessionCookie();
+
+    expect(cookieBodies()).toEqual([{ token: fresh }]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * bookingService.test.js
+ *
+ * Tests the calls that read every page of GET /Booking/filter:
+ *   1. Pages   — fetchPendingBookings walks all pages into one list
+ *   2. Params  — fetchMyBookings / fetchBookingsInRange keep their own filters
+ *                and sort on every page
+ *   3. Errors  — a failed page is re-thrown to the caller
+ *
+ * Strategy: mock apiClient so no real HTTP calls are made; its interceptor
+ * would unwrap response.data, so the mocks resolve with the body itself.
+ */
+
+import apiClient from '../../api/apiClient';
+import { fetchBookingsInRange, fetchMyBookings, fetchPendingBookings } from '../bookingService';
+
+jest.mock('../../api/apiClient', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const page = (bookings, currentPage, totalPages) => ({
+  data: bookings, currentPage, pageSize: 100, totalRecords: bookings.length, totalPages,
+});
+
+const paramsOf = (call) => call[1].params;
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('bookingService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('walks every filter page into one list', async () => {
+    apiClient.get
+      .mockResolvedValueOnce(page([{ bookingId: 1 }, { bookingId: 2 }], 1, 2))
+      .mockResolvedValueOnce(page([{ bookingId: 3 }], 2, 2));
+
+    const result = await fetchPendingBookings();
+
+    expect(result.map(b => b.bookingId)).toEqual([1, 2, 3]);
+    expect(apiClient.get.mock.calls.map(paramsOf)).toEqual([
+      { status: 'Pending', sortBy: 'CreatedAt', sortOrder: 'asc', page: 1, pageSize: 100 },
+      { status: 'Pending', sortBy: 'CreatedAt', sortOrder: 'asc', page: 2, pageSize: 100 },
+    ]);
+  });
+
+  it('sends each caller its own filters and sort', async () => {
+    apiClient.get.mockResolvedValue(page([], 1, 1));
+    const start = new Date('2026-03-02T00:00:00Z');
+    const end = new Date('2026-03-09T00:00:00Z');
+
+    await fetchMyBookings('jane');
+    await fetchBookingsInRange(start, end, { roomName: 'Boardroom' });
+
+    const [mine, inRange] = apiClient.get.mock.calls.map(paramsOf);
+    expect(mine).toMatchObject({ requestedBy: 'jane', sortBy: 'CreatedAt', sortOrder: 'desc', page: 1 });
+    expect(inRange).toMatchObject({
+      roomName: 'Boardroom',
+      startDate: start.toISOString(),
+      endDate: end.toISOString(),
+      sortBy: 'Date',
+      sortOrder: 'asc',
+      page: 1,
+    });
+  });
+
+  it('re-throws when a page fails', async () => {
+    const error = new Error('Network Error');
+    apiClient.get
+      .mockResolvedValueOnce(page([{ bookingId: 1 }], 1, 2))
+      .mockRejectedValueOnce(error);
+
+    await expect(fetchMyBookings('jane')).rejects.toBe(error);
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to fetch my bookings:', error);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * sessionService.test.js
+ *
+ * Tests assigning a conference session to a room:
+ *   1. Assign   — the whole session is PUT back with the new roomId
+ *   2. Unassign — roomId null takes the session out of its room
+ *   3. Rejected — the API's 400 (room too small) is re-thrown to the caller
+ *
+ * Strategy: mock apiClient so no real HTTP calls are made; its interceptor
+ * would unwrap response.data, so the mocks resolve with the body itself.
+ */
+
+import apiClient from '../../api/apiClient';
+import { assignSessionToRoom } from '../sessionService';
+
+jest.mock('../../api/apiClient', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+// SessionResponseDTO as the list returns it
+const KEYNOTE = {
+  id: 7,
+  title: 'Keynote: The Year Ahead',
+  description: 'Opening talk',
+  capacity: 40,
+  startTime: '2026-03-10T09:00:00+00:00',
+  endTime: '2026-03-10T10:00:00+00:00',
+  roomId: 1,
+  roomName: 'Main Hall',
+  roomLocation: 'London',
+};
+
+const UPDATE_FIELDS = {
+  id: 7,
+  title: 'Keynote: The Year Ahead',
+  description: 'Opening talk',
+  capacity: 40,
+  startTime: '2026-03-10T09:00:00+00:00',
+  endTime: '2026-03-10T10:00:00+00:00',
+};
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('sessionService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('assigns a session by PUTting it back with the new room', async () => {
+    apiClient.put.mockResolvedValue({ ...KEYNOTE, roomId: 3, roomName: 'Training Room' });
+
+    const result = await assignSessionToRoom(KEYNOTE, 3);
+
+    // Only UpdateSessionDTO fields — roomName / roomLocation are not sent
+    expect(apiClient.put).toHaveBeenCalledWith('/ConferenceSession/7', { ...UPDATE_FIELDS, roomId: 3 });
+    expect(result.roomName).toBe('Training Room');
+  });
+
+  it('unassigns a session with a null room', async () => {
+    apiClient.put.mockResolvedValue({ ...KEYNOTE, roomId: null, roomName: null, roomLocation: null });
+
+    await assignSessionToRoom(KEYNOTE, null);
+
+    expect(apiClient.put).toHaveBeenCalledWith('/ConferenceSession/7', { ...UPDATE_FIELDS, roomId: null });
+  });
+
+  it('re-throws when the room is too small for the session', async () => {
+    const error = Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { message: 'Session capacity (40) exceeds room capacity (12).' } },
+    });
+    apiClient.put.mockRejectedValue(error);
+
+    await expect(assignSessionToRoom(KEYNOTE, 2)).rejects.toBe(error);
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to update session 7:', error);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * userService.test.js
+ *
+ * Tests the user list and status calls the user console makes:
+ *   1. List    — fetchUsers sends paging defaults plus the given filters
+ *   2. Status  — changeUserStatus PATCHes the flag with a trimmed reason
+ *   3. Errors  — a rejected request is re-thrown to the caller
+ *
+ * Strategy: mock apiClient so no real HTTP calls are made; its interceptor
+ * would unwrap response.data, so the mocks resolve with the body itself.
+ */
+
+import apiClient from '../../api/apiClient';
+import { fetchUsers, changeUserStatus } from '../userService';
+
+jest.mock('../../api/apiClient', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const page = (users) => ({ data: users, currentPage: 1, pageSize: 10, totalRecords: users.length, totalPages: 1 });
+
+const badRequest = (message) =>
+  Object.assign(new Error('Request failed with status code 400'), { response: { status: 400, data: { message } } });
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('userService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists users with paging defaults and the given filters', async () => {
+    apiClient.get.mockResolvedValue(page([{ id: 'u-1', fullName: 'Jane Doe' }]));
+
+    const result = await fetchUsers({ role: 'Receptionist', isActive: false });
+
+    expect(apiClient.get).toHaveBeenCalledWith('/UserManagement/fetch', {
+      params: { pageNumber: 1, pageSize: 10, role: 'Receptionist', isActive: false },
+    });
+    expect(result.data).toEqual([{ id: 'u-1', fullName: 'Jane Doe' }]);
+  });
+
+  it("changes a user's status with the reason for the history", async () => {
+    apiClient.patch.mockResolvedValue({ id: 'u-1', isActive: true });
+
+    await changeUserStatus('u-1', 1, '  Returned from leave ');
+    await changeUserStatus('u-2', false, '   ');
+
+    expect(apiClient.patch.mock.calls).toEqual([
+      ['/UserManagement/u-1/status', { userId: 'u-1', isActive: true, reason: 'Returned from leave' }],
+      ['/UserManagement/u-2/status', { userId: 'u-2', isActive: false, reason: null }],
+    ]);
+  });
+
+  it('re-throws a rejected list or status request', async () => {
+    const listError = new Error('Network Error');
+    apiClient.get.mockRejectedValue(listError);
+    await expect(fetchUsers()).rejects.toBe(listError);
+
+    const statusError = badRequest('You cannot deactivate your own account.');
+    apiClient.patch.mockRejectedValue(statusError);
+    await expect(changeUserStatus('u-1', false, 'Left')).rejects.toBe(statusError);
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to change status for user u-1:', statusError);
+  });
+});
@@ -1,5 +1,44 @@
 // authService.js - Authentication API calls
 import apiClient from '../api/apiClient';
+import { readTokenClaims, isSessionExpired } from '../auth/sessionToken';
+
+// Mirrors the JWT into the httpOnly cookie proxy.ts checks before protected
+// pages render (app/api/session/route.ts). That route belongs to the Next.js
+// app, not the .NET API, so it is called with fetch rather than apiClient.
+// A failure is logged, not thrown — the API calls still work without it.
+const syncSessionCookie = async (token) => {
+  try {
+    const response = await fetch('/api/session', token
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token }) }
+      : { method: 'DELETE' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    console.error('Session cookie sync error:', error);
+  }
+};
+
+// Persists the token pair (and user, when present) returned by both
+// /auth/login and /auth/refresh.
+const storeSession = async (response) => {
+  localStorage.setItem('token', response.token);
+  if (response.refreshToken) {
+    localStorage.setItem('refreshToken', response.refreshToken);
+  }
+  if (response.user) {
+    localStorage.setItem('user', JSON.stringify(response.user));
+  }
+  await syncSessionCookie(response.token);
+};
+
+const clearSession = async () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  await syncSessionCookie(null);
+};
+
+// The /auth/refresh call in flight, shared by concurrent refreshSession() calls
+let pendingRefresh = null;
 
 export const authService = {
   /**
@@ -16,18 +55,37 @@ export const authService = {
     
     // Interceptor already unwraps response.data → response IS the payload
     if (response.token) {
-      localStorage.setItem('token', response.token);
-      if (response.refreshToken) {
-        localStorage.setItem('refreshToken', response.refreshToken);
-      }
-      if (response.user) {
-        localStorage.setItem('user', JSON.stringify(response.user));
-      }
+      await storeSession(response);
     }
     
     return response;
   },
 
+  /**
+   * Exchange the stored refresh token for a new JWT.
+   * The server rotates the refresh token, so both are stored again — and
+   * callers asking at the same time share one request, since a second one
+   * would present the already-rotated token and be rejected.
+   * @returns {Promise<{token: string, refreshToken: string, user: object}>}
+   * @throws {Error} When no refresh token is stored or the server rejects it
+   */
+  refreshSession() {
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          throw new Error('No refresh token stored');
+        }
+
+        const response = await apiClient.post('/auth/refresh', { refreshToken });
+        await storeSession(response);
+
+        return response;
+      })().finally(() => { pendingRefresh = null; });
+    }
+    return pendingRefresh;
+  },
+
   /**
    * Logout and revoke session
    */
@@ -38,12 +96,49 @@ export const authService = {
       console.error('Logout error:', error);
     } finally {
       // Clear local storage regardless of API call success
-      localStorage.removeItem('token');
-      localStorage.removeItem('refreshToken');
-      localStorage.removeItem('user');
+      await clearSession();
     }
   },
 
+  /**
+   * Revoke every session of the current user (all devices, this one included).
+   * Unlike logout(), a failed call is re-thrown and local storage is kept —
+   * the user must not believe other devices were signed out when they weren't.
+   */
+  async logoutAll() {
+    await apiClient.post('/auth/logout-all');
+    await clearSession();
+  },
+
+  /**
+   * List the current user's active sessions
+   * @returns {Promise<Array<{id: number, createdAt: string, expiresAt: string,
+   *   lastActivityAt: string, ipAddress: string|null, userAgent: string|null,
+   *   isCurrent: boolean}>>}
+   */
+  async getSessions() {
+    return apiClient.get('/auth/sessions');
+  },
+
+  /**
+   * Revoke a single session by id (e.g. a lost laptop)
+   * @param {number} sessionId
+   */
+  async revokeSession(sessionId) {
+    return apiClient.delete(`/auth/sessions/${sessionId}`);
+  },
+
+  /**
+   * Re-mirror the stored JWT into the session cookie, e.g. for a session
+   * restored from localStorage whose cookie is missing or was cleared.
+   * An expired JWT is skipped — the route refuses it; refreshSession()
+   * mirrors its replacement.
+   */
+  async restoreSessionCookie() {
+    const token = localStorage.getItem('token');
+    if (token && !isSessionExpired(readTokenClaims(token))) await syncSessionCookie(token);
+  },
+
   /**
    * Get current user from localStorage
    */
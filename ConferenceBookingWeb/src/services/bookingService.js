@@ -8,13 +8,75 @@
 // - JWT authentication
 // - Error handling
 // - Request/response logging
+//
+// Every successful mutation invalidates the cached bookings (src/api/queryCache.js):
+// the lists on screen refetch in the background (pages show the change
+// optimistically meanwhile — src/api/optimistic.js), the others on their next visit.
 
 import apiClient from '../api/apiClient';
+import { invalidateQueries } from '../api/queryCache';
 import { createBookingRequestDTO } from '../dto/CreateBookingRequestDTO';
 import { updateBookingDTO } from '../dto/UpdateBookingDTO';
+import { filterBookingsDTO } from '../dto/FilterBookingsDTO';
+
+// Bookings list state used when the URL doesn't say otherwise. Page / sort
+// match the API's own defaults (SortingOptionsDTO.DefaultField / DefaultOrder);
+// empty filters mean "no filter" (see src/dto/FilterBookingsDTO.js).
+export const BOOKING_LIST_DEFAULTS = {
+  page: 1,
+  pageSize: 10,
+  sortBy: 'CreatedAt',
+  sortOrder: 'desc',
+  roomName: '',
+  location: '',
+  from: '',
+  to: '',
+  status: '',
+  inactiveOnly: false,
+};
+
+// Page sizes offered by the picker; the API caps pageSize at 100
+export const BOOKING_PAGE_SIZES = [10, 25, 50, 100];
 
 // ==================== BOOKING API FUNCTIONS ====================
 
+/**
+ * Fetch one page of filtered bookings, keeping the pagination envelope
+ * @param {Object} params - { page, pageSize, sortBy, sortOrder, ...filters } (see BOOKING_LIST_DEFAULTS)
+ * @returns {Promise<Object>} PaginatedResponseDTO ({ data, currentPage, pageSize, totalRecords, totalPages, sortBy, sortOrder })
+ * @throws {Error} Network or server errors
+ */
+export const fetchBookingsPage = async ({ page, pageSize, sortBy, sortOrder, ...filters } = BOOKING_LIST_DEFAULTS) => {
+  // Build query params that exactly match FilterBookingsDTO (src/dto/FilterBookingsDTO.js)
+  const filterParams = filterBookingsDTO(filters);
+  try {
+    const response = await apiClient.get('/Booking/filter', {
+      params: { ...filterParams, page, pageSize, sortBy, sortOrder }
+    });
+    console.log('✓ API: Fetched bookings page', page, 'of', response?.totalPages);
+    return response;
+  } catch (error) {
+    console.error('❌ Failed to fetch bookings page:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the fields and orders the bookings list can be sorted by
+ * @returns {Promise<Object>} SortingOptionsDTO ({ availableFields, availableOrders, defaultField, defaultOrder })
+ * @throws {Error} Network or server errors
+ */
+export const fetchSortingOptions = async () => {
+  try {
+    const response = await apiClient.get('/Booking/sorting-options');
+    console.log('✓ API: Fetched sorting options', response?.availableFields?.length ?? 0);
+    return response;
+  } catch (error) {
+    console.error('❌ Failed to fetch sorting options:', error);
+    throw error;
+  }
+};
+
 /**
  * Fetch all bookings from the server with pagination
  * @param {number} page - Page number (default: 1)
@@ -67,6 +129,7 @@ export const createBooking = async (bookingData) => {
   try {
     const response = await apiClient.post('/Booking', payload);
     console.log('✓ API: Created booking', response?.bookingId ?? response?.id);
+    invalidateQueries(['bookings']);
     return response;
   } catch (error) {
     console.error('❌ Failed to create booking:', error);
@@ -87,6 +150,7 @@ export const updateBooking = async (bookingId, bookingData) => {
   try {
     const response = await apiClient.put(`/Booking/${bookingId}`, payload);
     console.log('✓ API: Updated booking', bookingId);
+    invalidateQueries(['bookings']);
     return response;
   } catch (error) {
     console.error(`❌ Failed to update booking ${bookingId}:`, error);
@@ -94,6 +158,43 @@ export const updateBooking = async (bookingId, bookingData) => {
   }
 };
 
+/**
+ * Confirm a pending booking (Receptionist/Admin only)
+ * @param {number} bookingId - ID of booking to confirm
+ * @returns {Promise<Object>} { message, booking } — booking is the updated BookingDetailDTO
+ * @throws {Error} Network or server errors (409 when the room is already taken, 400 when not Pending)
+ */
+export const confirmBooking = async (bookingId) => {
+  try {
+    const response = await apiClient.patch(`/Booking/${bookingId}/confirm`);
+    console.log('✓ API: Confirmed booking', bookingId);
+    invalidateQueries(['bookings']);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to confirm booking ${bookingId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a booking (soft — the booking is kept with status Cancelled)
+ * @param {number} bookingId - ID of booking to cancel
+ * @param {string} reason - Optional cancellation reason, logged by the API
+ * @returns {Promise<void>}
+ * @throws {Error} Network or server errors (400 when already cancelled)
+ */
+export const cancelBooking = async (bookingId, reason) => {
+  try {
+    const params = reason?.trim() ? { reason: reason.trim() } : undefined;
+    await apiClient.delete(`/Booking/${bookingId}/cancel`, { params });
+    console.log('✓ API: Cancelled booking', bookingId);
+    invalidateQueries(['bookings']);
+  } catch (error) {
+    console.error(`❌ Failed to cancel booking ${bookingId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Delete a booking from the server
  * @param {number} bookingId - ID of booking to delete
@@ -104,6 +205,7 @@ export const deleteBooking = async (bookingId) => {
   try {
     await apiClient.delete(`/Booking/${bookingId}`);
     console.log('✓ API: Deleted booking', bookingId);
+    invalidateQueries(['bookings']);
   } catch (error) {
     console.error(`❌ Failed to delete booking ${bookingId}:`, error);
     throw error;
@@ -111,15 +213,20 @@ export const deleteBooking = async (bookingId) => {
 };
 
 /**
- * Check room availability for a date range
- * @param {Object} params - { roomId, startDate, endDate }
- * @returns {Promise<Object>} Availability status
- * @throws {Error} Network or server errors
+ * Check whether one room is free for a date range (no Confirmed booking overlaps it)
+ * @param {Object} params - { roomId, startDate, endDate } — dates as Date objects or ISO strings
+ * @returns {Promise<Object>} CheckAvailableRoomsDTO ({ roomId, roomName, capacity, location, isAvailable })
+ * @throws {Error} Network or server errors (400 for an inactive room, 404 for an unknown one)
  */
-export const checkAvailability = async (params) => {
+export const checkAvailability = async ({ roomId, startDate, endDate }) => {
   try {
-    const response = await apiClient.post('/Booking/check-availability', params);
-    console.log('✓ API: Checked availability');
+    const response = await apiClient.get(`/Room/${roomId}/availability`, {
+      params: {
+        atTime: new Date(startDate).toISOString(),
+        endTime: new Date(endDate).toISOString(),
+      },
+    });
+    console.log('✓ API: Checked availability', roomId, response?.isAvailable);
     return response;
   } catch (error) {
     console.error('❌ Failed to check availability:', error);
@@ -167,3 +274,83 @@ export const searchBookings = async (roomName, pageSize = 100) => {
   }
 };
 
+// GET /Booking/filter pages are capped at 100 items server-side; walks every
+// page for params ({ sortBy, sortOrder, ...filters }) and returns one flat list.
+const fetchAllFilterPages = async (params) => {
+  const bookings = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiClient.get('/Booking/filter', {
+      params: { ...params, page, pageSize: 100 },
+    });
+    bookings.push(...(response.data || []));
+    totalPages = response.totalPages || 1;
+    page += 1;
+  } while (page <= totalPages);
+  return bookings;
+};
+
+/**
+ * Fetch every booking that overlaps a time window (used by the calendar).
+ * GET /Booking/filter keeps bookings with EndTime >= startDate and
+ * StartTime <= endDate; every page is fetched and returned as one flat list.
+ * @param {Date} startDate - Window start
+ * @param {Date} endDate - Window end
+ * @param {Object} filters - Optional extra /Booking/filter params ({ roomName, location, status })
+ * @returns {Promise<Array>} BookingSummaryDTO list
+ * @throws {Error} Network or server errors
+ */
+export const fetchBookingsInRange = async (startDate, endDate, filters = {}) => {
+  try {
+    const bookings = await fetchAllFilterPages({
+      ...filters,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      sortBy: 'Date',
+      sortOrder: 'asc',
+    });
+    console.log('✓ API: Fetched bookings in range', bookings.length);
+    return bookings;
+  } catch (error) {
+    console.error('❌ Failed to fetch bookings in range:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch every Pending booking, oldest request first (the approval queue).
+ * Walks all GET /Booking/filter pages like fetchBookingsInRange.
+ * @returns {Promise<Array>} BookingSummaryDTO list (with requestedBy / createdAt)
+ * @throws {Error} Network or server errors
+ */
+export const fetchPendingBookings = async () => {
+  try {
+    const bookings = await fetchAllFilterPages({ status: 'Pending', sortBy: 'CreatedAt', sortOrder: 'asc' });
+    console.log('✓ API: Fetched pending bookings', bookings.length);
+    return bookings;
+  } catch (error) {
+    console.error('❌ Failed to fetch pending bookings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch every booking made by one user ("My bookings"), newest request first.
+ * Walks all GET /Booking/filter pages like fetchPendingBookings.
+ * @param {string} username - currentUser.username (matched against requestedBy)
+ * @returns {Promise<Array>} BookingSummaryDTO list
+ * @throws {Error} Network or server errors
+ */
+export const fetchMyBookings = async (username) => {
+  // Build query params that exactly match FilterBookingsDTO (src/dto/FilterBookingsDTO.js)
+  const filterParams = filterBookingsDTO({ requestedBy: username });
+  try {
+    const bookings = await fetchAllFilterPages({ ...filterParams, sortBy: 'CreatedAt', sortOrder: 'desc' });
+    console.log('✓ API: Fetched my bookings', bookings.length);
+    return bookings;
+  } catch (error) {
+    console.error('❌ Failed to fetch my bookings:', error);
+    throw error;
+  }
+};
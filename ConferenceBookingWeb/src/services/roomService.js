@@ -8,8 +8,13 @@
 // - JWT authentication
 // - Error handling
 // - Request/response logging
+//
+// Every successful mutation invalidates the cached rooms (src/api/queryCache.js):
+// the lists on screen refetch in the background (pages show the change
+// optimistically meanwhile — src/api/optimistic.js), the others on their next visit.
 
 import apiClient from '../api/apiClient';
+import { invalidateQueries } from '../api/queryCache';
 import { createRoomDTO } from '../dto/CreateRoomDTO';
 import { updateRoomDTO } from '../dto/UpdateRoomDTO';
 import { updateRoomStatusDTO } from '../dto/UpdateRoomStatusDTO';
@@ -86,6 +91,7 @@ export const createRoom = async (roomData) => {
   try {
     const response = await apiClient.post('/RoomManagement', payload);
     console.log('✓ API: Created room', response?.id);
+    invalidateQueries(['rooms']);
     return response;
   } catch (error) {
     console.error('❌ Failed to create room:', error);
@@ -106,6 +112,7 @@ export const updateRoom = async (roomId, roomData) => {
   try {
     const response = await apiClient.put(`/RoomManagement/${roomId}`, payload);
     console.log('✓ API: Updated room', roomId);
+    invalidateQueries(['rooms']);
     return response;
   } catch (error) {
     console.error(`❌ Failed to update room ${roomId}:`, error);
@@ -123,6 +130,7 @@ export const deleteRoom = async (roomId) => {
   try {
     await apiClient.delete(`/RoomManagement/${roomId}`);
     console.log('✓ API: Deleted room', roomId);
+    invalidateQueries(['rooms']);
   } catch (error) {
     console.error(`❌ Failed to delete room ${roomId}:`, error);
     throw error;
@@ -142,6 +150,7 @@ export const updateRoomStatus = async (roomId, isActive) => {
   try {
     const response = await apiClient.patch(`/RoomManagement/${roomId}/status`, payload);
     console.log('✓ API: Updated room status', roomId, isActive);
+    invalidateQueries(['rooms']);
     return response;
   } catch (error) {
     console.error(`❌ Failed to update room status ${roomId}:`, error);
@@ -173,16 +182,22 @@ export const fetchAllRoomsManagement = async () => {
 };
 
 /**
- * Check available rooms for a specific date/time range
- * @param {Object} params - { startDate, endDate, capacity }
- * @returns {Promise<Array>} Available rooms
- * @throws {Error} Network or server errors
+ * Fetch the active rooms that are free for a whole time window — no Confirmed
+ * booking overlaps [startDate, endDate). Pending bookings don't block a room.
+ * @param {Object} params - { startDate, endDate } as Date objects or ISO strings
+ * @returns {Promise<Array>} CheckAvailableRoomsDTO list ({ roomId, roomName, capacity, location, isAvailable })
+ * @throws {Error} Network or server errors (400 when endDate isn't after startDate)
  */
-export const checkAvailableRooms = async (params) => {
+export const checkAvailableRooms = async ({ startDate, endDate }) => {
   try {
-    const response = await apiClient.post('/Room/check-available', params);
-    console.log('✓ API: Checked available rooms');
-    return response;
+    const response = await apiClient.get('/Room/availability', {
+      params: {
+        atTime: new Date(startDate).toISOString(),
+        endTime: new Date(endDate).toISOString(),
+      },
+    });
+    console.log('✓ API: Checked available rooms', response?.length ?? 0);
+    return response ?? [];
   } catch (error) {
     console.error('❌ Failed to check available rooms:', error);
     throw error;
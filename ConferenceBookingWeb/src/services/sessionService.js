@@ -0,0 +1,154 @@
+// sessionService.js - Conference Session API Service
+//
+// This module handles all conference-session calls to the .NET
+// ConferenceSessionController (/api/ConferenceSession). A conference session
+// is a scheduled talk/track (title, capacity, start/end) that may be assigned
+// to a room — not to be confused with a login session (authService).
+//
+// All functions use the centralized apiClient (axios) which handles:
+// - Base URL configuration
+// - JWT authentication
+// - Error handling
+// - Request/response logging
+//
+// Role requirements (enforced server-side): any authenticated user, except
+// POST (create) which is Admin only.
+
+import apiClient from '../api/apiClient';
+import { createSessionDTO } from '../dto/CreateSessionDTO';
+import { updateSessionDTO } from '../dto/UpdateSessionDTO';
+
+// ==================== SESSION API FUNCTIONS ====================
+
+/**
+ * Fetch all conference sessions (assigned and unassigned)
+ * @returns {Promise<Array>} SessionResponseDTO list
+ * @throws {Error} Network or server errors
+ */
+export const fetchAllSessions = async () => {
+  try {
+    const response = await apiClient.get('/ConferenceSession');
+    console.log('✓ API: Fetched sessions', response?.length ?? 0);
+    return response ?? [];
+  } catch (error) {
+    console.error('❌ Failed to fetch sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single session by ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} SessionResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const getSessionById = async (sessionId) => {
+  try {
+    const response = await apiClient.get(`/ConferenceSession/${sessionId}`);
+    console.log('✓ API: Fetched session', sessionId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to fetch session ${sessionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the sessions scheduled in one room
+ * @param {number} roomId - Room ID
+ * @returns {Promise<Array>} SessionResponseDTO list
+ * @throws {Error} Network or server errors (404 when the room doesn't exist)
+ */
+export const fetchSessionsByRoom = async (roomId) => {
+  try {
+    const response = await apiClient.get(`/ConferenceSession/room/${roomId}`);
+    console.log('✓ API: Fetched sessions for room', roomId, response?.length ?? 0);
+    return response ?? [];
+  } catch (error) {
+    console.error(`❌ Failed to fetch sessions for room ${roomId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch sessions that have no room yet
+ * @returns {Promise<Array>} SessionResponseDTO list (roomId/roomName/roomLocation null)
+ * @throws {Error} Network or server errors
+ */
+export const fetchUnassignedSessions = async () => {
+  try {
+    const response = await apiClient.get('/ConferenceSession/unassigned');
+    console.log('✓ API: Fetched unassigned sessions', response?.length ?? 0);
+    return response ?? [];
+  } catch (error) {
+    console.error('❌ Failed to fetch unassigned sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new session (Admin only)
+ * @param {Object} sessionData - Session to create (see src/dto/CreateSessionDTO.js)
+ * @returns {Promise<Object>} Created SessionResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const createSession = async (sessionData) => {
+  // Build a payload that exactly matches CreateSessionDTO (src/dto/CreateSessionDTO.js)
+  const payload = createSessionDTO(sessionData);
+  try {
+    const response = await apiClient.post('/ConferenceSession', payload);
+    console.log('✓ API: Created session', response?.id);
+    return response;
+  } catch (error) {
+    console.error('❌ Failed to create session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace an existing session (PUT — send every field)
+ * @param {number} sessionId - ID of session to update
+ * @param {Object} sessionData - Full session (see src/dto/UpdateSessionDTO.js)
+ * @returns {Promise<Object>} Updated SessionResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const updateSession = async (sessionId, sessionData) => {
+  // Build a payload that exactly matches UpdateSessionDTO (src/dto/UpdateSessionDTO.js)
+  const payload = updateSessionDTO(sessionId, sessionData);
+  try {
+    const response = await apiClient.put(`/ConferenceSession/${sessionId}`, payload);
+    console.log('✓ API: Updated session', sessionId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to update session ${sessionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Assign a session to a room (or unassign it with roomId = null).
+ * The API has no dedicated endpoint, so this PUTs the whole session back
+ * with the new roomId.
+ * @param {Object} session - SessionResponseDTO as returned by the API
+ * @param {number|null} roomId - Target room
+ * @returns {Promise<Object>} Updated SessionResponseDTO
+ * @throws {Error} Network or server errors (400 when the room is too small)
+ */
+export const assignSessionToRoom = async (session, roomId) =>
+  updateSession(session.id, { ...session, roomId });
+
+/**
+ * Delete a session
+ * @param {number} sessionId - ID of session to delete
+ * @returns {Promise<void>}
+ * @throws {Error} Network or server errors
+ */
+export const deleteSession = async (sessionId) => {
+  try {
+    await apiClient.delete(`/ConferenceSession/${sessionId}`);
+    console.log('✓ API: Deleted session', sessionId);
+  } catch (error) {
+    console.error(`❌ Failed to delete session ${sessionId}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,204 @@
+// userService.js - User Management API Service
+//
+// This module handles all user-administration calls to the .NET
+// UserManagementController (/api/UserManagement).
+//
+// All functions use the centralized apiClient (axios) which handles:
+// - Base URL configuration
+// - JWT authentication
+// - Error handling
+// - Request/response logging
+//
+// Role requirements (enforced server-side):
+//   fetch, fetch/true, fetch/false, {userId}/update,
+//   {userId}/history                                  — Admin, FacilityManager
+//   {userId}                                          — Admin, FacilityManager, Receptionist
+//   create, deactivate, reactivate, status            — Admin
+
+import apiClient from '../api/apiClient';
+import { createUserDTO } from '../dto/CreateUserDTO';
+import { updateUserDTO } from '../dto/UpdateUserDTO';
+
+// ==================== USER API FUNCTIONS ====================
+
+/**
+ * Fetch a page of users with optional filters.
+ * The backend returns active users only unless isActive is explicitly false.
+ * @param {{ isActive?: boolean, role?: string, department?: string, pageNumber?: number, pageSize?: number }} params
+ * @returns {Promise<{ data: Array, currentPage: number, pageSize: number, totalRecords: number, totalPages: number }>}
+ * @throws {Error} Network or server errors
+ */
+export const fetchUsers = async (params = {}) => {
+  try {
+    const queryParams = {
+      pageNumber: params.pageNumber || 1,
+      pageSize: params.pageSize || 10,
+      ...params,
+    };
+    // Interceptor already unwraps response.data → response IS the PaginatedResponseDTO.
+    const response = await apiClient.get('/UserManagement/fetch', { params: queryParams });
+    console.log('✓ API: Fetched users', response?.data?.length ?? 0, 'of', response?.totalRecords ?? 0);
+    return response;
+  } catch (error) {
+    console.error('❌ Failed to fetch users:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a page of active (isActive = true) or inactive (isActive = false) users
+ * @param {boolean} isActive - Which status to list
+ * @param {number} pageNumber - 1-based page
+ * @param {number} pageSize - Items per page
+ * @returns {Promise<{ data: Array, currentPage: number, pageSize: number, totalRecords: number, totalPages: number }>}
+ * @throws {Error} Network or server errors
+ */
+export const fetchUsersByStatus = async (isActive, pageNumber = 1, pageSize = 10) => {
+  try {
+    const response = await apiClient.get(`/UserManagement/fetch/${isActive ? 'true' : 'false'}`, {
+      params: { pageNumber, pageSize },
+    });
+    console.log(`✓ API: Fetched ${isActive ? 'active' : 'inactive'} users`, response?.data?.length ?? 0);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to fetch ${isActive ? 'active' : 'inactive'} users:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single user by ID
+ * @param {string} userId - Identity user ID (GUID string)
+ * @returns {Promise<Object>} UserResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const getUserById = async (userId) => {
+  try {
+    const response = await apiClient.get(`/UserManagement/${userId}`);
+    console.log('✓ API: Fetched user', userId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to fetch user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new user (Admin only)
+ * @param {Object} userData - User to create (see src/dto/CreateUserDTO.js)
+ * @returns {Promise<Object>} Created UserResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const createUser = async (userData) => {
+  // Build a payload that exactly matches CreateUserDTO (src/dto/CreateUserDTO.js)
+  const payload = createUserDTO(userData);
+  try {
+    const response = await apiClient.post('/UserManagement/create', payload);
+    console.log('✓ API: Created user', response?.id);
+    return response;
+  } catch (error) {
+    console.error('❌ Failed to create user:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing user. Role changes are ignored unless the caller is Admin.
+ * @param {string} userId - ID of user to update
+ * @param {Object} userData - Updated fields (see src/dto/UpdateUserDTO.js)
+ * @returns {Promise<Object>} Updated UserResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const updateUser = async (userId, userData) => {
+  // Build a payload that exactly matches UpdateUserDTO (src/dto/UpdateUserDTO.js)
+  const payload = updateUserDTO(userId, userData);
+  try {
+    const response = await apiClient.put(`/UserManagement/${userId}/update`, payload);
+    console.log('✓ API: Updated user', userId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to update user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Soft delete a user (marks inactive). The reason is stored in the status history.
+ * @param {string} userId - ID of user to deactivate
+ * @param {string} [reason] - Why the account is being deactivated
+ * @returns {Promise<{ message: string, deletedAt: string }>}
+ * @throws {Error} Network or server errors
+ */
+export const deactivateUser = async (userId, reason) => {
+  try {
+    // DeleteUserDTO travels in the DELETE body — axios needs it under `data`.
+    const response = await apiClient.delete(`/UserManagement/${userId}/deactivate`, {
+      data: { reason: reason?.trim() || null },
+    });
+    console.log('✓ API: Deactivated user', userId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to deactivate user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Reactivate a soft-deleted user
+ * @param {string} userId - ID of user to reactivate
+ * @returns {Promise<Object>} Reactivated UserResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const reactivateUser = async (userId) => {
+  try {
+    const response = await apiClient.post(`/UserManagement/${userId}/reactivate`);
+    console.log('✓ API: Reactivated user', userId);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to reactivate user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set a user's active flag with a reason recorded in the status history.
+ * Unlike reactivateUser(), this endpoint accepts a reason for both directions.
+ * @param {string} userId - ID of user to change
+ * @param {boolean} isActive - New status
+ * @param {string} [reason] - Why the status is changing
+ * @returns {Promise<Object>} Updated UserResponseDTO
+ * @throws {Error} Network or server errors
+ */
+export const changeUserStatus = async (userId, isActive, reason) => {
+  try {
+    const response = await apiClient.patch(`/UserManagement/${userId}/status`, {
+      userId,
+      isActive: Boolean(isActive),
+      reason: reason?.trim() || null,
+    });
+    console.log('✓ API: Changed user status', userId, isActive);
+    return response;
+  } catch (error) {
+    console.error(`❌ Failed to change status for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the status-change audit trail for one user, newest first
+ * @param {string} userId - ID of user
+ * @returns {Promise<Array<{ id: number, userId: string, userFullName: string, oldStatus: boolean,
+ *   newStatus: boolean, changedBy: string, changedAt: string, reason: string|null,
+ *   action: string, ipAddress: string|null }>>} UserStatusHistoryDTO list
+ * @throws {Error} Network or server errors
+ */
+export const getUserStatusHistory = async (userId) => {
+  try {
+    const response = await apiClient.get(`/UserManagement/${userId}/history`);
+    console.log('✓ API: Fetched status history for user', userId, response?.length ?? 0);
+    return response ?? [];
+  } catch (error) {
+    console.error(`❌ Failed to fetch status history for user ${userId}:`, error);
+    throw error;
+  }
+};
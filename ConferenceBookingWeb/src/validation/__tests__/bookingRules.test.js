@@ -0,0 +1,109 @@
+/**
+ * bookingRules.test.js
+ *
+ * Tests the client-side mirror of BookingValidationService:
+ *   1. Date range      — start must be before end
+ *   2. Same day        — multi-day bookings are rejected
+ *   3. Business hours  — 08:00 start, 16:00 end are the limits; the failing
+ *                        end is reported on its own field
+ *   4. Room / capacity — inactive rooms and oversize requests are rejected
+ *   5. Double booking  — only Confirmed bookings conflict, never the booking
+ *                        being edited
+ *   6. validateBooking — collects field-level errors keyed like serverErrors
+ *   7. DTO factories   — createBookingRequestDTO / updateBookingDTO refuse
+ *                        payloads the API would reject
+ *
+ * Times are written without an offset so they parse as local time and the
+ * assertions hold in any timezone.
+ */
+
+import {
+  validateDateRange,
+  validateSameDay,
+  validateBusinessHours,
+  validateRoomActive,
+  validateCapacity,
+  findConflictingBooking,
+  validateBooking,
+} from '../bookingRules';
+import { createBookingRequestDTO } from '../../dto/CreateBookingRequestDTO';
+import { updateBookingDTO } from '../../dto/UpdateBookingDTO';
+
+// ── Shared fixtures ──────────────────────────────────────────────────────────
+const at = (hours, minutes = 0, day = 10) => new Date(2026, 2, day, hours, minutes);
+
+const room = { id: 1, name: 'Boardroom', location: 'London', capacity: 12, isActive: true };
+
+const bookings = [
+  { bookingId: 7, startTime: '2026-03-10T09:00:00', endTime: '2026-03-10T11:00:00', status: 'Confirmed' },
+  { bookingId: 8, startTime: '2026-03-10T12:00:00', endTime: '2026-03-10T13:00:00', status: 'Pending' },
+];
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('bookingRules', () => {
+  it('requires start to be before end', () => {
+    expect(validateDateRange(at(10), at(11))).toBeNull();
+    expect(validateDateRange(at(11), at(11))).toBe('Start time must be before end time.');
+  });
+
+  it('rejects bookings that span more than one day', () => {
+    expect(validateSameDay(at(9), at(10, 0, 11))).toMatch(/same day/);
+    expect(validateSameDay(at(9), at(15))).toBeNull();
+  });
+
+  it('allows 08:00–16:00 and reports the out-of-hours end on its own field', () => {
+    expect(validateBusinessHours(at(8), at(16))).toBeNull();
+    expect(validateBusinessHours(at(7, 45), at(9))).toEqual({
+      field: 'startTime',
+      message: 'Booking start time must be between 08:00 and 16:00. Provided start time: 07:45',
+    });
+    expect(validateBusinessHours(at(15), at(16, 15))).toEqual({
+      field: 'endTime',
+      message: 'Booking end time must be at or before 16:00. Provided end time: 16:15',
+    });
+  });
+
+  it('rejects inactive rooms and requests the room cannot seat', () => {
+    expect(validateRoomActive(room)).toBeNull();
+    expect(validateRoomActive({ ...room, isActive: false })).toMatch(/deactivated/);
+    expect(validateCapacity(0, 12)).toBe('Booking capacity must be at least 1 person.');
+    expect(validateCapacity(13, 12)).toBe('Requested capacity (13) exceeds room capacity (12).');
+    expect(validateCapacity(12, 12)).toBeNull();
+  });
+
+  it('only lets Confirmed bookings conflict, and never the one being edited', () => {
+    expect(findConflictingBooking(bookings, at(10), at(12))?.bookingId).toBe(7);
+    expect(findConflictingBooking(bookings, at(11), at(13))).toBeNull();
+    expect(findConflictingBooking(bookings, at(10), at(12), 7)).toBeNull();
+  });
+
+  it('collects field-level errors keyed like serverErrors', () => {
+    expect(validateBooking({ roomId: '', startTime: '', endTime: '' })).toEqual({
+      roomId: 'Please select a room.',
+      startTime: 'Start time is required.',
+      endTime: 'End time is required.',
+    });
+    expect(validateBooking({ roomId: '1', startTime: '2026-03-10T15:00', endTime: '2026-03-10T17:00', room }))
+      .toEqual({ endTime: 'Booking end time must be at or before 16:00. Provided end time: 17:00' });
+    expect(validateBooking({ roomId: '1', startTime: '2026-03-10T10:00', endTime: '2026-03-10T11:00', room, capacity: 20, bookings }))
+      .toEqual({
+        general: 'Requested capacity (20) exceeds room capacity (12).',
+        startTime: 'Room is not available during the requested time. It overlaps booking #7.',
+      });
+    expect(validateBooking({ roomId: '1', startTime: '2026-03-10T13:00', endTime: '2026-03-10T14:00', room, bookings }))
+      .toEqual({});
+  });
+
+  it('makes the DTO factories refuse payloads the API would reject', () => {
+    const valid = { roomId: 1, startDate: '2026-03-10T09:00', endDate: '2026-03-10T10:00', location: 'London', capacity: 12 };
+
+    expect(createBookingRequestDTO(valid).roomId).toBe(1);
+    expect(() => createBookingRequestDTO({ ...valid, startDate: '2026-03-10T07:00' }))
+      .toThrow('CreateBookingRequestDTO: Booking start time must be between 08:00 and 16:00. Provided start time: 07:00');
+    expect(() => updateBookingDTO(5, { startTime: '2026-03-10T11:00', endTime: '2026-03-10T10:00' }))
+      .toThrow('UpdateBookingDTO: Start time must be before end time.');
+    // A status-only update carries no times to check
+    expect(updateBookingDTO(5, { status: 'Cancelled' })).toEqual({ bookingId: 5, status: 'Cancelled' });
+  });
+});
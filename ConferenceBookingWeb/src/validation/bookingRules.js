@@ -0,0 +1,215 @@
+// bookingRules.js
+//
+// Frontend mirror of the booking domain rules.
+// Mirrors: API/Services/BookingValidationService.cs
+//
+// Rules, in the order the API applies them:
+//   1. Date range      — start must be before end
+//   2. Same day        — no multi-day bookings
+//   3. Business hours  — start 08:00–15:59, end no later than 16:00
+//   4. Room            — must be active
+//   5. Capacity        — at least 1, no more than the room seats
+//   6. Double booking  — no overlap with a Confirmed booking in the same room
+//
+// Status transitions mirror BookingManagementService.ValidateStatusTransition:
+// Pending → Confirmed | Cancelled, Confirmed → Cancelled, Cancelled is final.
+// Who may confirm, edit or cancel lives in src/permissions/permissions.js.
+//
+// Each rule returns a message (or null) so it can be unit-tested on its own;
+// validateBooking() runs them all and returns field-level errors keyed the
+// same way BookingForm keys serverErrors (roomId / startTime / endTime /
+// general), so client and server messages land in the same place.
+//
+// Times are compared on their local hour — BookingForm sends local-offset ISO
+// strings, which is the hour the API reads from the DateTimeOffset.
+
+export const BUSINESS_HOURS_START = 8;
+export const BUSINESS_HOURS_END = 16;
+
+const pad = (n) => String(n).padStart(2, '0');
+const hhmm = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Date | ISO string | datetime-local value → Date, or null when missing/unparseable
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * RULE 1: start must be before end.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDateRange(start, end) {
+  return start >= end ? 'Start time must be before end time.' : null;
+}
+
+/**
+ * RULE 2: a booking starts and ends on the same day.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {string|null}
+ */
+export function validateSameDay(start, end) {
+  return start.toDateString() !== end.toDateString()
+    ? 'Bookings must start and end on the same day. Multi-day bookings are not allowed.'
+    : null;
+}
+
+/**
+ * RULE 3: start and end fall within business hours (08:00–16:00).
+ * End may be exactly 16:00 but not after.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {{ field: 'startTime'|'endTime', message: string }|null}
+ */
+export function validateBusinessHours(start, end) {
+  const startHour = start.getHours();
+  if (startHour < BUSINESS_HOURS_START || startHour >= BUSINESS_HOURS_END) {
+    return {
+      field: 'startTime',
+      message: `Booking start time must be between ${pad(BUSINESS_HOURS_START)}:00 and ${pad(BUSINESS_HOURS_END)}:00. Provided start time: ${hhmm(start)}`,
+    };
+  }
+
+  const endHour = end.getHours();
+  if (endHour > BUSINESS_HOURS_END || (endHour === BUSINESS_HOURS_END && end.getMinutes() > 0)) {
+    return {
+      field: 'endTime',
+      message: `Booking end time must be at or before ${pad(BUSINESS_HOURS_END)}:00. Provided end time: ${hhmm(end)}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * RULES 1–3 together. Like the API, the first failing rule wins — date range
+ * and same-day failures are reported on startTime, business hours on
+ * whichever end is out.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {{ field: 'startTime'|'endTime', message: string }|null}
+ */
+export function validateTimeRange(start, end) {
+  const rangeError = validateDateRange(start, end) ?? validateSameDay(start, end);
+  if (rangeError) return { field: 'startTime', message: rangeError };
+  return validateBusinessHours(start, end);
+}
+
+/**
+ * Whether [start, end) is a bookable slot: one day, inside business hours.
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {boolean}
+ */
+export function isWithinBusinessHours(start, end) {
+  return validateTimeRange(start, end) === null;
+}
+
+/**
+ * RULE 4: the room is active.
+ * @param {{ isActive?: boolean }} room
+ * @returns {string|null}
+ */
+export function validateRoomActive(room) {
+  return room.isActive === false
+    ? 'This room is not currently available for booking. The room has been deactivated.'
+    : null;
+}
+
+/**
+ * RULE 5: requested capacity is at least 1 and fits the room.
+ * @param {number} requestedCapacity
+ * @param {number} roomCapacity
+ * @returns {string|null}
+ */
+export function validateCapacity(requestedCapacity, roomCapacity) {
+  if (!requestedCapacity || requestedCapacity <= 0) return 'Booking capacity must be at least 1 person.';
+  if (requestedCapacity > roomCapacity)
+    return `Requested capacity (${requestedCapacity}) exceeds room capacity (${roomCapacity}).`;
+  return null;
+}
+
+/**
+ * RULE 6: the first Confirmed booking that overlaps [start, end).
+ * @param {Array} bookings - The room's bookings ({ bookingId, startTime, endTime, status })
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} excludeBookingId - The booking being edited; never conflicts with itself
+ * @returns {Object|null} The conflicting booking
+ */
+export function findConflictingBooking(bookings, start, end, excludeBookingId) {
+  return bookings.find(b =>
+    b.status === 'Confirmed' &&
+    b.bookingId !== excludeBookingId &&
+    new Date(b.startTime) < end &&
+    start < new Date(b.endTime)
+  ) ?? null;
+}
+
+/**
+ * Run every rule that the given data allows and collect field-level errors.
+ * Rules that need data that wasn't passed (room, capacity, bookings) are skipped.
+ *
+ * @param {{
+ *   roomId: number|string,
+ *   startTime: Date|string,
+ *   endTime: Date|string,
+ *   room?: { capacity: number, isActive?: boolean },
+ *   capacity?: number,
+ *   bookings?: Array,          the room's bookings, for the double-booking check
+ *   excludeBookingId?: number
+ * }} data
+ * @returns {{ roomId?: string, startTime?: string, endTime?: string, general?: string }}
+ *   Empty object when the booking is valid
+ */
+export function validateBooking(data) {
+  const { roomId, room, capacity, bookings, excludeBookingId } = data;
+  const errors = {};
+
+  if (!roomId) errors.roomId = 'Please select a room.';
+  else if (room) {
+    const roomError = validateRoomActive(room);
+    if (roomError) errors.roomId = roomError;
+  }
+
+  const start = toDate(data.startTime);
+  const end = toDate(data.endTime);
+  if (!start) errors.startTime = data.startTime ? 'Start time is not a valid date.' : 'Start time is required.';
+  if (!end)   errors.endTime   = data.endTime ? 'End time is not a valid date.' : 'End time is required.';
+  if (!start || !end) return errors;
+
+  const timeError = validateTimeRange(start, end);
+  if (timeError) {
+    errors[timeError.field] = timeError.message;
+    return errors;
+  }
+
+  if (room && capacity !== undefined) {
+    const capacityError = validateCapacity(Number(capacity), room.capacity);
+    if (capacityError) errors.general = capacityError;
+  }
+
+  if (bookings) {
+    const conflict = findConflictingBooking(bookings, start, end, excludeBookingId);
+    if (conflict)
+      errors.startTime = `Room is not available during the requested time. It overlaps booking #${conflict.bookingId}.`;
+  }
+
+  return errors;
+}
+
+/**
+ * The statuses a booking may move to from `current` — never the current one.
+ * @param {string} current - 'Pending' | 'Confirmed' | 'Cancelled'
+ * @param {{ canConfirm: boolean }} options - can('bookings.confirm') for the current user
+ * @returns {string[]}
+ */
+export function allowedStatusTransitions(current, { canConfirm }) {
+  if (current === 'Pending') return canConfirm ? ['Confirmed', 'Cancelled'] : ['Cancelled'];
+  if (current === 'Confirmed') return ['Cancelled'];
+  return [];
+}